@@ -8,28 +8,82 @@ const AudioAnalyzer = require('./modules/AudioAnalyzer.js');
 const CutGenerator = require('./modules/CutGenerator.js');
 const TimelineEditor = require('./modules/TimelineEditor.js');
 const VisualizationUI = require('./modules/VisualizationUI.js');
+const EdlExporter = require('./modules/EdlExporter.js');
+const XmlExporter = require('./modules/XmlExporter.js');
+const OtioSerializer = require('./modules/OtioSerializer.js');
+const SyncDetector = require('./modules/SyncDetector.js');
+const BleedCompensator = require('./modules/BleedCompensator.js');
+const AnalysisCache = require('./modules/AnalysisCache.js');
+const AudioWorkerClient = require('./modules/AudioWorkerClient.js');
 
 console.log('[Auto Camera] Modules imported successfully');
 
+// Supported camera count range
+const MIN_CAMERAS = 2;
+const MAX_CAMERAS = 8;
+
+/**
+ * Milliseconds after the last settings change before the cut preview is regenerated
+ * @type {number}
+ */
+const PREVIEW_DELAY_MS = 300;
+
+// Decoded envelopes and analysis results, kept in the plugin data folder
+const analysisCache = new AnalysisCache();
+
+// Decodes media files in a Web Worker so the panel stays responsive; shared by all runs
+const audioWorker = new AudioWorkerClient();
+
 // State management
 const state = {
-  cameras: { 1: null, 2: null, 3: null },
+  cameras: { 1: null, 2: null, 3: null },  // Keyed by camera number 1-N
+  speakers: [],                            // External speaker audio ({name, mediaPath, offset, camera})
+  tracks: { video: [], audio: [] },        // Tracks of the loaded sequence ({index, name})
+  sequenceKey: null,                       // Sequence the tracks were loaded from
   analysisResult: null,
+  analysisKey: null,     // getAnalysisKey() of analysisResult; reused while unchanged
   cuts: null,
   isAnalyzing: false,
   isEditing: false,
+  abortController: null, // Cancels the running analysis or edit
+  previewTimer: null,    // Pending cut preview after a settings change
   currentStep: 'setup',  // 'setup' | 'config' | 'processing' | 'refinement'
   settings: {
     minCutDuration: 2.0,
     sampleRate: 1.0,
     cutFrequency: 'medium',
-    transitionDuration: 0.0
+    transitionDuration: 0.0,
+    attackTime: 0.5,
+    holdTime: 1.0,
+    switchMarginDb: 3,
+    strategy: 'greedy',
+    overlapThreshold: 0.5,
+    wideMinDuration: 2.0,
+    maxCutDuration: 0,
+    cutawayDuration: 2.0,
+    cutawayCamera: 'wide',
+    autoSync: false,
+    syncMinConfidence: 0.5,
+    bleedCompensation: false,
+    detection: 'speech',
+    calibration: false
   }
 };
 
 // DOM elements
-let cam1Btn, cam2Btn, cam3Btn, analyzeBtn, progressDiv, statusDiv;
+let cameraListDiv, addCameraBtn, removeCameraBtn, loadTracksBtn, analyzeBtn, progressDiv, statusDiv;
+let progressTextSpan, cancelBtn, cacheSizeSpan, clearCacheBtn;
+let speakerListDiv, addSpeakerBtn;
 let minCutDurationInput, sampleRateInput, cutFrequencySelect;
+let attackTimeInput, holdTimeInput, switchMarginInput, cutStrategySelect;
+let overlapThresholdInput, wideMinDurationInput;
+let maxCutDurationInput, cutawayDurationInput, cutawayCameraSelect;
+let autoSyncSelect, syncMinConfidenceInput, bleedCompensationSelect, detectionSelect, calibrationSelect;
+let exportEdlBtn, exportFcpxmlBtn, exportXmemlBtn, exportOtioBtn, importOtioBtn;
+let regenerateBtn, applyCutsBtn;
+
+// VisualizationUI bound to the results canvas; kept so its mouse editing survives re-renders
+let visualization = null;
 
 function ensureMarkup() {
   // If HTML didn't render (seen as blank panel), inject fallback markup.
@@ -47,13 +101,32 @@ function ensureMarkup() {
       .camera-btn { display:block; width:100%; padding:10px; margin-bottom:8px; background:#2d2d2d; color:#d4d4d4; border:1px solid #3e3e3e; border-radius:4px; cursor:pointer; font-size:13px; text-align:left; }
       .camera-btn:hover { background:#3e3e3e; border-color:#0e639c; }
       .camera-btn.active { background:#0e639c; color:#fff; border-color:#0e639c; }
+      .camera-row { display:flex; align-items:center; gap:6px; padding:6px; margin-bottom:8px; background:#2d2d2d; border:1px solid #3e3e3e; border-radius:4px; }
+      .camera-row.active { border-color:#0e639c; }
+      .camera-label { flex:0 0 64px; }
+      .track-select { flex:1; min-width:0; padding:4px; background:#1e1e1e; color:#d4d4d4; border:1px solid #3e3e3e; border-radius:4px; font-size:12px; }
+      .sync-offset { flex:0 0 auto; font-size:11px; color:#89c4f4; }
+      .calibration { flex:0 0 auto; font-size:11px; color:#89d185; }
+      .gain-trim { flex:0 0 48px; padding:4px; background:#1e1e1e; color:#d4d4d4; border:1px solid #3e3e3e; border-radius:4px; font-size:12px; }
+      .wide-toggle { flex:0 0 auto; display:flex; align-items:center; gap:2px; font-size:11px; color:#858585; }
+      .speaker-setup { margin-top:16px; }
+      .speaker-file { flex:1; min-width:0; overflow:hidden; text-overflow:ellipsis; white-space:nowrap; font-size:12px; color:#858585; }
+      .speaker-offset { flex:0 0 56px; padding:4px; background:#1e1e1e; color:#d4d4d4; border:1px solid #3e3e3e; border-radius:4px; font-size:12px; }
+      .speaker-camera { flex:0 0 96px; }
+      .icon-btn { flex:0 0 auto; padding:2px 6px; background:transparent; color:#d4d4d4; border:1px solid #3e3e3e; border-radius:4px; cursor:pointer; font-size:12px; }
+      .camera-count-controls { display:flex; gap:8px; }
+      .secondary-btn { flex:1; padding:6px; background:transparent; color:#d4d4d4; border:1px solid #3e3e3e; border-radius:4px; cursor:pointer; font-size:12px; }
+      .secondary-btn:disabled { color:#585858; cursor:not-allowed; }
       .hint { margin:12px 0 0 0; font-size:12px; color:#858585; font-style:italic; }
       .analysis { margin-bottom:20px; }
       .primary-btn { display:block; width:100%; padding:12px; background:#0e639c; color:#fff; border:none; border-radius:4px; cursor:pointer; font-size:13px; font-weight:500; }
       .primary-btn:hover { background:#1177bb; }
       .primary-btn:disabled { background:#3e3e3e; color:#858585; cursor:not-allowed; }
       .progress-display { margin-top:12px; padding:8px; background:#252525; border-radius:4px; min-height:20px; font-size:12px; color:#d4d4d4; display:none; }
-      .progress-display.visible { display:block; }
+      .progress-display.visible { display:flex; align-items:center; gap:8px; }
+      .progress-text { flex:1; }
+      .cancel-btn { flex:0 0 auto; padding:4px 10px; background:transparent; color:#f48771; border:1px solid #5a1d1d; border-radius:4px; cursor:pointer; font-size:12px; }
+      .cancel-btn:disabled { color:#585858; border-color:#3e3e3e; cursor:not-allowed; }
       .status { padding:8px; background:#252525; border-radius:4px; font-size:12px; min-height:20px; display:none; }
       .status.visible { display:block; }
       .status.error { background:#5a1d1d; color:#f48771; }
@@ -64,15 +137,28 @@ function ensureMarkup() {
       <h2>Auto Camera Switcher</h2>
       <section class="camera-setup">
         <h3>Assign Camera Tracks</h3>
-        <button id="cam1-btn" class="camera-btn">Camera 1</button>
-        <button id="cam2-btn" class="camera-btn">Camera 2</button>
-        <button id="cam3-btn" class="camera-btn">Camera 3</button>
-        <p class="hint">Click each button to bind a camera to a video track (top three tracks).</p>
+        <div id="camera-list" class="camera-list"></div>
+        <div class="camera-count-controls">
+          <button id="load-tracks-btn" class="secondary-btn">Load Tracks</button>
+          <button id="add-camera-btn" class="secondary-btn">+ Add Camera</button>
+          <button id="remove-camera-btn" class="secondary-btn">− Remove Camera</button>
+        </div>
+        <p class="hint">Pick a video and an audio track for each camera (2-8 cameras). Mark one camera as Wide to cover overlapping speech and silence. Assignments are saved per sequence.</p>
+        <div class="speaker-setup">
+          <h3>External Speaker Audio (optional)</h3>
+          <div id="speaker-list" class="camera-list"></div>
+          <div class="camera-count-controls">
+            <button id="add-speaker-btn" class="secondary-btn">+ Add Speaker</button>
+          </div>
+        </div>
       </section>
       <section class="analysis">
         <h3>Analyze Audio</h3>
         <button id="analyze-btn" class="primary-btn" disabled>Analyze and Generate Switches</button>
-        <div id="progress" class="progress-display"></div>
+        <div id="progress" class="progress-display">
+          <span id="progress-text" class="progress-text"></span>
+          <button id="cancel-btn" class="cancel-btn" hidden>Cancel</button>
+        </div>
       </section>
       <div id="status" class="status info"></div>
     </div>
@@ -84,29 +170,96 @@ function initUI() {
   ensureMarkup();
 
   // Get DOM elements
-  cam1Btn = document.getElementById('cam1-btn');
-  cam2Btn = document.getElementById('cam2-btn');
-  cam3Btn = document.getElementById('cam3-btn');
+  cameraListDiv = document.getElementById('camera-list');
+  speakerListDiv = document.getElementById('speaker-list');
+  addSpeakerBtn = document.getElementById('add-speaker-btn');
+  addCameraBtn = document.getElementById('add-camera-btn');
+  removeCameraBtn = document.getElementById('remove-camera-btn');
+  loadTracksBtn = document.getElementById('load-tracks-btn');
   analyzeBtn = document.getElementById('analyze-btn');
   progressDiv = document.getElementById('progress');
+  progressTextSpan = document.getElementById('progress-text');
+  cancelBtn = document.getElementById('cancel-btn');
+  cacheSizeSpan = document.getElementById('cache-size');
+  clearCacheBtn = document.getElementById('clear-cache-btn');
   statusDiv = document.getElementById('status');
+  exportEdlBtn = document.getElementById('export-edl-btn');
+  exportFcpxmlBtn = document.getElementById('export-fcpxml-btn');
+  exportXmemlBtn = document.getElementById('export-xmeml-btn');
+  exportOtioBtn = document.getElementById('export-otio-btn');
+  importOtioBtn = document.getElementById('import-otio-btn');
+  regenerateBtn = document.getElementById('regenerate-btn');
+  applyCutsBtn = document.getElementById('apply-cuts-btn');
 
   // Get settings input elements
   minCutDurationInput = document.getElementById('min-cut-duration');
   sampleRateInput = document.getElementById('sample-rate');
   cutFrequencySelect = document.getElementById('cut-frequency');
-
-  if (!cam1Btn || !cam2Btn || !cam3Btn || !analyzeBtn || !progressDiv || !statusDiv) {
+  attackTimeInput = document.getElementById('attack-time');
+  holdTimeInput = document.getElementById('hold-time');
+  switchMarginInput = document.getElementById('switch-margin');
+  cutStrategySelect = document.getElementById('cut-strategy');
+  overlapThresholdInput = document.getElementById('overlap-threshold');
+  wideMinDurationInput = document.getElementById('wide-min-duration');
+  maxCutDurationInput = document.getElementById('max-cut-duration');
+  cutawayDurationInput = document.getElementById('cutaway-duration');
+  cutawayCameraSelect = document.getElementById('cutaway-camera');
+  autoSyncSelect = document.getElementById('auto-sync');
+  syncMinConfidenceInput = document.getElementById('sync-min-confidence');
+  bleedCompensationSelect = document.getElementById('bleed-compensation');
+  detectionSelect = document.getElementById('speaker-detection');
+  calibrationSelect = document.getElementById('level-calibration');
+
+  if (!cameraListDiv || !addCameraBtn || !removeCameraBtn || !loadTracksBtn || !analyzeBtn || !progressDiv || !statusDiv) {
     console.warn('[Auto Camera] UI elements not found; retrying...');
     setTimeout(initUI, 100);
     return;
   }
 
-  // Set up event listeners for camera buttons
-  cam1Btn.addEventListener('click', () => setupCamera(1));
-  cam2Btn.addEventListener('click', () => setupCamera(2));
-  cam3Btn.addEventListener('click', () => setupCamera(3));
+  // Build camera buttons and set up camera count controls
+  renderCameraList();
+  addCameraBtn.addEventListener('click', addCamera);
+  removeCameraBtn.addEventListener('click', removeCamera);
+  loadTracksBtn.addEventListener('click', loadTracks);
+  if (addSpeakerBtn) {
+    addSpeakerBtn.addEventListener('click', addSpeaker);
+  }
   analyzeBtn.addEventListener('click', analyze);
+  if (cancelBtn) {
+    cancelBtn.addEventListener('click', cancelRun);
+  }
+  if (clearCacheBtn) {
+    clearCacheBtn.addEventListener('click', clearAnalysisCache);
+  }
+  updateCacheSize();
+  if (exportEdlBtn) {
+    exportEdlBtn.addEventListener('click', () => exportCutList('edl'));
+  }
+  if (exportFcpxmlBtn) {
+    exportFcpxmlBtn.addEventListener('click', () => exportCutList('fcpxml'));
+  }
+  if (exportXmemlBtn) {
+    exportXmemlBtn.addEventListener('click', () => exportCutList('xml'));
+  }
+  if (exportOtioBtn) {
+    exportOtioBtn.addEventListener('click', () => exportCutList('otio'));
+  }
+  if (importOtioBtn) {
+    importOtioBtn.addEventListener('click', importOtio);
+  }
+  if (regenerateBtn) {
+    regenerateBtn.addEventListener('click', regenerateCuts);
+  }
+  if (applyCutsBtn) {
+    applyCutsBtn.addEventListener('click', applyPreviewCuts);
+  }
+
+  // Live preview: any settings change re-runs cut generation on the cached analysis
+  // (bubbles up after the individual listeners below have updated state.settings)
+  const configSection = document.querySelector('.configuration');
+  if (configSection) {
+    configSection.addEventListener('change', schedulePreview);
+  }
 
   // Set up event listeners for settings inputs (if they exist in HTML)
   if (minCutDurationInput) {
@@ -130,8 +283,111 @@ function initUI() {
     });
   }
 
+  if (attackTimeInput) {
+    attackTimeInput.addEventListener('change', (e) => {
+      state.settings.attackTime = parseFloat(e.target.value);
+      console.log('[Auto Camera] Attack time updated:', state.settings.attackTime);
+    });
+  }
+
+  if (holdTimeInput) {
+    holdTimeInput.addEventListener('change', (e) => {
+      state.settings.holdTime = parseFloat(e.target.value);
+      console.log('[Auto Camera] Hold time updated:', state.settings.holdTime);
+    });
+  }
+
+  if (switchMarginInput) {
+    switchMarginInput.addEventListener('change', (e) => {
+      state.settings.switchMarginDb = parseFloat(e.target.value);
+      console.log('[Auto Camera] Switch margin updated:', state.settings.switchMarginDb);
+    });
+  }
+
+  if (cutStrategySelect) {
+    cutStrategySelect.addEventListener('change', (e) => {
+      state.settings.strategy = e.target.value;
+      console.log('[Auto Camera] Cut strategy updated:', state.settings.strategy);
+      updateStrategyControls();
+    });
+    updateStrategyControls();
+  }
+
+  if (overlapThresholdInput) {
+    overlapThresholdInput.addEventListener('change', (e) => {
+      state.settings.overlapThreshold = parseFloat(e.target.value);
+      console.log('[Auto Camera] Overlap threshold updated:', state.settings.overlapThreshold);
+    });
+  }
+
+  if (wideMinDurationInput) {
+    wideMinDurationInput.addEventListener('change', (e) => {
+      state.settings.wideMinDuration = parseFloat(e.target.value);
+      console.log('[Auto Camera] Wide shot min duration updated:', state.settings.wideMinDuration);
+    });
+  }
+
+  if (maxCutDurationInput) {
+    maxCutDurationInput.addEventListener('change', (e) => {
+      state.settings.maxCutDuration = parseFloat(e.target.value);
+      console.log('[Auto Camera] Max cut duration updated:', state.settings.maxCutDuration);
+    });
+  }
+
+  if (cutawayDurationInput) {
+    cutawayDurationInput.addEventListener('change', (e) => {
+      state.settings.cutawayDuration = parseFloat(e.target.value);
+      console.log('[Auto Camera] Cutaway duration updated:', state.settings.cutawayDuration);
+    });
+  }
+
+  if (cutawayCameraSelect) {
+    cutawayCameraSelect.addEventListener('change', (e) => {
+      state.settings.cutawayCamera = e.target.value;
+      console.log('[Auto Camera] Cutaway camera updated:', state.settings.cutawayCamera);
+    });
+  }
+
+  if (autoSyncSelect) {
+    autoSyncSelect.addEventListener('change', (e) => {
+      state.settings.autoSync = e.target.value === 'on';
+      console.log('[Auto Camera] Auto sync updated:', state.settings.autoSync);
+    });
+  }
+
+  if (syncMinConfidenceInput) {
+    syncMinConfidenceInput.addEventListener('change', (e) => {
+      state.settings.syncMinConfidence = parseFloat(e.target.value);
+      console.log('[Auto Camera] Sync min confidence updated:', state.settings.syncMinConfidence);
+    });
+  }
+
+  if (bleedCompensationSelect) {
+    bleedCompensationSelect.addEventListener('change', (e) => {
+      state.settings.bleedCompensation = e.target.value === 'on';
+      console.log('[Auto Camera] Bleed compensation updated:', state.settings.bleedCompensation);
+    });
+  }
+
+  if (detectionSelect) {
+    detectionSelect.addEventListener('change', (e) => {
+      state.settings.detection = e.target.value;
+      console.log('[Auto Camera] Speaker detection updated:', state.settings.detection);
+    });
+  }
+
+  if (calibrationSelect) {
+    calibrationSelect.addEventListener('change', (e) => {
+      state.settings.calibration = e.target.value === 'auto';
+      console.log('[Auto Camera] Level calibration updated:', state.settings.calibration);
+    });
+  }
+
   console.log('[Auto Camera] Event listeners attached');
-  updateStatus('Ready. Assign camera tracks to begin.', 'info');
+  updateStatus('Ready. Load tracks and assign cameras to begin.', 'info');
+
+  // Populate the track pickers if a sequence is already open
+  loadTracks();
 }
 
 // Initialize when DOM is ready (or immediately if already ready)
@@ -196,6 +452,26 @@ async function getActiveSequence() {
  * Supports getVideoTracks(), sequence.videoTracks (array/array-like), or numTracks/getItemAt.
  */
 async function getVideoTracksList(sequence) {
+  return getTracksList(sequence, 'Video');
+}
+
+/**
+ * Retrieve audio tracks with compatibility across API shapes.
+ * Supports getAudioTracks(), sequence.audioTracks (array/array-like), or numTracks/getItemAt.
+ */
+async function getAudioTracksList(sequence) {
+  return getTracksList(sequence, 'Audio');
+}
+
+/**
+ * Retrieve video or audio tracks with compatibility across API shapes.
+ * @param {Object} sequence - Premiere Pro sequence
+ * @param {'Video'|'Audio'} kind - Track kind (used to build API method names)
+ * @returns {Promise<Object[]>} Tracks in index order
+ */
+async function getTracksList(sequence, kind) {
+  const lower = kind.toLowerCase();
+  const listProp = `${lower}Tracks`;
   const logShape = (label, obj) => {
     try {
       console.log(`[Auto Camera] ${label}: type=${typeof obj}, keys=${obj ? Object.keys(obj) : 'n/a'}, numTracks=${obj?.numTracks}, length=${obj?.length}`);
@@ -219,7 +495,7 @@ async function getVideoTracksList(sequence) {
   };
 
   // If async API returned an opaque sequence with no tracks, hop to legacy sequence early
-  if (!sequence?.videoTracks && typeof sequence?.getVideoTracks !== 'function') {
+  if (!sequence?.[listProp] && typeof sequence?.[`get${kind}Tracks`] !== 'function') {
     try {
       const legacySeq = require('premierepro')?.app?.project?.activeSequence;
       logShape('legacy seq (early fallback)', legacySeq);
@@ -232,56 +508,56 @@ async function getVideoTracksList(sequence) {
     }
   }
 
-  // Newer async API: getVideoTracks()
-  if (sequence && typeof sequence.getVideoTracks === 'function') {
-    const tracks = await sequence.getVideoTracks();
-    logShape('tracks from getVideoTracks()', tracks);
+  // Newer async API: getVideoTracks() / getAudioTracks()
+  if (sequence && typeof sequence[`get${kind}Tracks`] === 'function') {
+    const tracks = await sequence[`get${kind}Tracks`]();
+    logShape(`tracks from get${kind}Tracks()`, tracks);
     if (Array.isArray(tracks)) return tracks;
     if (tracks && typeof tracks.length === 'number') return Array.from(tracks);
   }
 
-  // Some builds expose getVideoTrackAt / getVideoTrackCount
-  if (sequence && typeof sequence.getVideoTrackAt === 'function') {
+  // Some builds expose get<Kind>TrackAt / get<Kind>TrackCount
+  if (sequence && typeof sequence[`get${kind}TrackAt`] === 'function') {
     try {
       const count = await resolveMaybePromise(
-        typeof sequence.getVideoTrackCount === 'function'
-          ? sequence.getVideoTrackCount()
+        typeof sequence[`get${kind}TrackCount`] === 'function'
+          ? sequence[`get${kind}TrackCount`]()
           : (typeof sequence.numTracks === 'number' ? sequence.numTracks : 0)
       );
-      console.log('[Auto Camera] sequence.getVideoTrackAt exists, count=', count);
+      console.log(`[Auto Camera] sequence.get${kind}TrackAt exists, count=`, count);
       if (count && count > 0) {
         const tracks = await Promise.all(
-          Array.from({ length: count }, (_, i) => resolveMaybePromise(sequence.getVideoTrackAt(i)))
+          Array.from({ length: count }, (_, i) => resolveMaybePromise(sequence[`get${kind}TrackAt`](i)))
         );
         return tracks.filter(Boolean);
       }
     } catch (e) {
-      console.warn('[Auto Camera] getVideoTrackAt fallback failed:', e);
+      console.warn(`[Auto Camera] get${kind}TrackAt fallback failed:`, e);
     }
   }
 
-  // Some builds expose getVideoTrack / getVideoTrackCount
-  if (sequence && typeof sequence.getVideoTrack === 'function') {
+  // Some builds expose get<Kind>Track / get<Kind>TrackCount
+  if (sequence && typeof sequence[`get${kind}Track`] === 'function') {
     try {
       const count = await resolveMaybePromise(
-        typeof sequence.getVideoTrackCount === 'function'
-          ? sequence.getVideoTrackCount()
+        typeof sequence[`get${kind}TrackCount`] === 'function'
+          ? sequence[`get${kind}TrackCount`]()
           : 0
       );
-      console.log('[Auto Camera] sequence.getVideoTrack exists, count=', count);
+      console.log(`[Auto Camera] sequence.get${kind}Track exists, count=`, count);
       if (count && count > 0) {
         const tracks = await Promise.all(
-          Array.from({ length: count }, (_, i) => resolveMaybePromise(sequence.getVideoTrack(i)))
+          Array.from({ length: count }, (_, i) => resolveMaybePromise(sequence[`get${kind}Track`](i)))
         );
         return tracks.filter(Boolean);
       }
     } catch (e) {
-      console.warn('[Auto Camera] getVideoTrack fallback failed:', e);
+      console.warn(`[Auto Camera] get${kind}Track fallback failed:`, e);
     }
   }
 
-  const tracks = sequence?.videoTracks;
-  logShape('sequence.videoTracks', tracks);
+  const tracks = sequence?.[listProp];
+  logShape(`sequence.${listProp}`, tracks);
   logProps('sequence', sequence);
   if (Array.isArray(tracks)) return tracks;
   if (tracks && typeof tracks.length === 'number') {
@@ -290,16 +566,16 @@ async function getVideoTracksList(sequence) {
   if (tracks && typeof tracks.numTracks === 'number' && typeof tracks.getItemAt === 'function') {
     return Array.from({ length: tracks.numTracks }, (_, i) => tracks.getItemAt(i));
   }
-  // Legacy API: app.project.activeSequence.videoTracks with numTracks/getItemAt
+  // Legacy API: app.project.activeSequence.videoTracks/audioTracks with numTracks/getItemAt
   if (sequence && typeof sequence.numTracks === 'number' && typeof sequence.getItemAt === 'function') {
     return Array.from({ length: sequence.numTracks }, (_, i) => sequence.getItemAt(i));
   }
 
   // Try legacy global app.project.activeSequence
   try {
-    const legacyTracks = require('premierepro')?.app?.project?.activeSequence?.videoTracks;
+    const legacyTracks = require('premierepro')?.app?.project?.activeSequence?.[listProp];
     if (legacyTracks) {
-      logShape('legacy app.project.activeSequence.videoTracks', legacyTracks);
+      logShape(`legacy app.project.activeSequence.${listProp}`, legacyTracks);
       if (Array.isArray(legacyTracks)) return legacyTracks;
       if (legacyTracks && typeof legacyTracks.length === 'number') {
         return Array.from({ length: legacyTracks.length }, (_, i) => legacyTracks[i]);
@@ -309,21 +585,21 @@ async function getVideoTracksList(sequence) {
       }
     }
   } catch (e) {
-    console.warn('[Auto Camera] Error inspecting legacy app.project.activeSequence.videoTracks:', e);
+    console.warn(`[Auto Camera] Error inspecting legacy app.project.activeSequence.${listProp}:`, e);
   }
 
   // Log sequence shape before giving up
   logShape('sequence (fallback inspection)', sequence);
 
-  throw new Error('Unable to read video tracks from sequence.');
+  throw new Error(`Unable to read ${lower} tracks from sequence.`);
 }
 
 /**
- * Assign a video track to a camera number
- * @param {number} num - Camera number (1, 2, or 3)
+ * Read the active sequence's video and audio tracks into the camera pickers
+ * and restore the camera assignments saved for that sequence.
  */
-async function setupCamera(num) {
-  console.log(`[Auto Camera] Setting up camera ${num}...`);
+async function loadTracks() {
+  console.log('[Auto Camera] Loading sequence tracks...');
 
   try {
     const sequence = await getActiveSequence();
@@ -333,239 +609,1408 @@ async function setupCamera(num) {
       return;
     }
 
-    // Get video tracks (API compatibility handled inside helper)
+    // Get tracks (API compatibility handled inside helpers)
     const videoTracks = await getVideoTracksList(sequence);
-    console.log(`[Auto Camera] Found ${videoTracks.length} video tracks`);
-
-    if (videoTracks.length < 3) {
-      updateStatus(`Error: Need at least 3 video tracks. Found ${videoTracks.length}.`, 'error');
-      return;
-    }
+    const audioTracks = await getAudioTracksList(sequence);
+    console.log(`[Auto Camera] Found ${videoTracks.length} video tracks, ${audioTracks.length} audio tracks`);
 
-    // For Phase 1, assign tracks sequentially (track index = camera number - 1)
-    const trackIndex = num - 1;
-    const track = videoTracks[trackIndex];
-
-    // Store track reference
-    state.cameras[num] = {
-      trackIndex: trackIndex,
-      trackName: track.name || `Video ${trackIndex + 1}`
+    state.tracks = {
+      video: videoTracks.map((track, index) => ({index, name: track?.name || `Video ${index + 1}`})),
+      audio: audioTracks.map((track, index) => ({index, name: track?.name || `Audio ${index + 1}`}))
     };
+    state.sequenceKey = getSequenceKey(sequence);
 
-    console.log(`[Auto Camera] Camera ${num} assigned to track:`, state.cameras[num]);
+    // Reloading is also how a changed timeline gets re-analyzed
+    state.analysisResult = null;
+    state.analysisKey = null;
 
-    // Update UI
-    updateCameraButton(num, true);
-    updateStatus(`Camera ${num} assigned to ${state.cameras[num].trackName}`, 'success');
+    restoreCameraAssignments();
+    restoreSpeakers();
+    renderCameraList();
 
-    // Enable analyze button if all cameras assigned
-    if (allCamerasAssigned()) {
-      analyzeBtn.disabled = false;
-      console.log('[Auto Camera] All cameras assigned, analyze button enabled');
-    }
+    updateStatus(`Loaded ${videoTracks.length} video and ${audioTracks.length} audio tracks from ${sequence.name}`, 'success');
 
   } catch (error) {
-    console.error(`[Auto Camera] Error setting up camera ${num}:`, error);
+    console.error('[Auto Camera] Error loading tracks:', error);
     updateStatus(`Error: ${error.message}`, 'error');
   }
 }
 
 /**
- * Update camera button visual state
- * @param {number} num - Camera number
- * @param {boolean} active - Whether button should be active
+ * Get a stable key identifying a sequence for persisted settings
+ * @param {Object} sequence - Premiere Pro sequence
+ * @returns {string} Sequence key
  */
-function updateCameraButton(num, active) {
-  const button = document.getElementById(`cam${num}-btn`);
+function getSequenceKey(sequence) {
+  const id = sequence.guid || sequence.sequenceID || sequence.name;
+  return String(id && id.toString ? id.toString() : id);
+}
 
-  if (active) {
-    button.classList.add('active');
-    if (state.cameras[num]) {
-      button.textContent = `Camera ${num}: ${state.cameras[num].trackName}`;
-    }
+/**
+ * Assign a video or audio track to a camera number
+ * @param {number} num - Camera number (1-N)
+ * @param {'video'|'audio'} kind - Which track to assign
+ * @param {string} value - Selected track index ('' clears the assignment)
+ */
+function assignTrack(num, kind, value) {
+  const camera = Object.assign({}, state.cameras[num]);
+  const track = value === '' ? null : state.tracks[kind][Number(value)];
+  const indexKey = kind === 'video' ? 'trackIndex' : 'audioTrackIndex';
+  const nameKey = kind === 'video' ? 'trackName' : 'audioTrackName';
+
+  if (track) {
+    camera[indexKey] = track.index;
+    camera[nameKey] = track.name;
   } else {
-    button.classList.remove('active');
-    button.textContent = `Camera ${num}`;
+    delete camera[indexKey];
+    delete camera[nameKey];
+  }
+
+  // Sync offset and calibration were measured for the previous tracks
+  delete camera.syncOffset;
+  delete camera.calibration;
+
+  state.cameras[num] = Object.keys(camera).length > 0 ? camera : null;
+  console.log(`[Auto Camera] Camera ${num} ${kind} track:`, track ? track.name : 'none');
+
+  saveCameraAssignments();
+  renderCameraList();
+
+  if (isCameraAssigned(state.cameras[num])) {
+    updateStatus(`Camera ${num} assigned to ${state.cameras[num].trackName} / ${state.cameras[num].audioTrackName}`, 'success');
   }
 }
 
 /**
- * Check if all cameras have been assigned
- * @returns {boolean} True if all 3 cameras assigned
+ * Check whether a camera has both a video and an audio track.
+ * With external speaker audio, only the video track is needed.
+ * @param {Object|null} camera - Camera entry from state.cameras
+ * @returns {boolean}
  */
-function allCamerasAssigned() {
-  return state.cameras[1] !== null &&
-         state.cameras[2] !== null &&
-         state.cameras[3] !== null;
+function isCameraAssigned(camera) {
+  return !!camera &&
+         Number.isInteger(camera.trackIndex) &&
+         (Number.isInteger(camera.audioTrackIndex) || usesSpeakerAudio());
 }
 
 /**
- * Full audio analysis and editing workflow
- * Integrates: AudioAnalyzer → CutGenerator → TimelineEditor → VisualizationUI
+ * Check whether levels come from external speaker files instead of camera audio
+ * @returns {boolean} True if at least one speaker has a file and a camera
  */
-async function analyze() {
-  console.log('[Auto Camera] Starting full analysis workflow...');
-
-  try {
-    // Verify all cameras assigned
-    if (!allCamerasAssigned()) {
-      updateStatus('Error: Assign all 3 cameras before analyzing.', 'error');
-      return;
-    }
+function usesSpeakerAudio() {
+  return getActiveSpeakers().length > 0;
+}
 
-    // Set state
-    state.isAnalyzing = true;
-    analyzeBtn.disabled = true;
+/**
+ * Get speakers that have a file and point at an existing camera
+ * @returns {Object[]} Speaker entries from state.speakers
+ */
+function getActiveSpeakers() {
+  return state.speakers.filter(speaker => speaker.mediaPath && state.cameras[speaker.camera] !== undefined);
+}
 
-    // Get sequence
-    const sequence = await getActiveSequence();
-    if (!sequence) {
-      updateStatus('Error: No active sequence found.', 'error');
-      state.isAnalyzing = false;
-      analyzeBtn.disabled = false;
-      return;
+/**
+ * Mark a camera as the wide/master shot, or clear the role.
+ * At most one camera holds the role at a time.
+ * @param {number} num - Camera number (1-N)
+ * @param {boolean} isWide - Whether the camera is the wide shot
+ */
+function setWideCamera(num, isWide) {
+  for (const other of getCameraNumbers()) {
+    const camera = state.cameras[other];
+    if (!camera || camera.role !== 'wide') {
+      continue;
     }
 
-    console.log('[Auto Camera] Sequence:', sequence.name);
-    state.currentStep = 'processing';
+    const updated = Object.assign({}, camera);
+    delete updated.role;
+    state.cameras[other] = Object.keys(updated).length > 0 ? updated : null;
+  }
 
-    // Step 1: Audio Analysis
-    updateProgress('Step 1/4: Analyzing audio levels...');
-    const analyzer = new AudioAnalyzer();
-    analyzer.onProgress((progress, msg) => {
-      updateProgress(`Step 1/4: ${msg}`);
-    });
+  if (isWide) {
+    state.cameras[num] = Object.assign({}, state.cameras[num], {role: 'wide'});
+  }
 
-    state.analysisResult = await analyzer.analyzeSequence(
-      sequence,
-      state.cameras,
-      { sampleRate: state.settings.sampleRate }
-    );
+  console.log('[Auto Camera] Wide camera:', isWide ? num : 'none');
 
-    console.log('[Auto Camera] Audio analysis complete:', {
-      duration: state.analysisResult.duration,
-      samples: Object.keys(state.analysisResult.timeline).length
-    });
+  saveCameraAssignments();
+  renderCameraList();
+  schedulePreview();
+}
 
-    // Step 2: Cut Generation
-    updateProgress('Step 2/4: Generating camera switches...');
-    const generator = new CutGenerator();
+/**
+ * Get the camera marked as the wide/master shot
+ * @returns {number|null} Camera number, or null if no camera has the role
+ */
+function getWideCamera() {
+  const num = getCameraNumbers().find(n => state.cameras[n] && state.cameras[n].role === 'wide');
+  return num !== undefined ? num : null;
+}
 
-    state.cuts = generator.generateCuts(state.analysisResult, {
-      minCutDuration: state.settings.minCutDuration,
-      cutFrequency: state.settings.cutFrequency,
-      transitionDuration: state.settings.transitionDuration
-    });
+/**
+ * Persist camera assignments for the current sequence
+ */
+function saveCameraAssignments() {
+  if (!state.sequenceKey) {
+    return;
+  }
 
-    console.log('[Auto Camera] Cut generation complete:', {
-      totalCuts: state.cuts.length
-    });
+  try {
+    localStorage.setItem(`autocamera.cameras.${state.sequenceKey}`, JSON.stringify(state.cameras));
+  } catch (error) {
+    console.warn('[Auto Camera] Could not save camera assignments:', error);
+  }
+}
 
-    // Get statistics
-    const stats = generator.getStatistics(state.cuts);
-    console.log('[Auto Camera] Cut statistics:', stats);
+/**
+ * Restore camera assignments saved for the current sequence.
+ * Assignments pointing at tracks that no longer exist are dropped.
+ */
+function restoreCameraAssignments() {
+  let saved = null;
 
-    // Step 3: Timeline Editing
-    updateProgress('Step 3/4: Creating multicam sequence...');
-    const editor = new TimelineEditor();
-    editor.onProgress((progress, msg) => {
-      updateProgress(`Step 3/4: ${msg}`);
-    });
+  try {
+    saved = JSON.parse(localStorage.getItem(`autocamera.cameras.${state.sequenceKey}`) || 'null');
+  } catch (error) {
+    console.warn('[Auto Camera] Could not read saved camera assignments:', error);
+  }
 
-    const editResult = await editor.applyEdits(sequence, state.cuts, state.cameras);
+  const count = saved ?
+    Math.min(MAX_CAMERAS, Math.max(MIN_CAMERAS, Object.keys(saved).length)) :
+    getCameraNumbers().length;
 
-    if (!editResult.success) {
-      throw new Error(editResult.errors ? editResult.errors.join(', ') : 'Timeline editing failed');
+  const cameras = {};
+  for (let num = 1; num <= count; num++) {
+    const entry = saved ? saved[num] : null;
+    const video = entry ? state.tracks.video[entry.trackIndex] : null;
+    const audio = entry ? state.tracks.audio[entry.audioTrackIndex] : null;
+
+    const camera = {};
+    if (video) {
+      camera.trackIndex = video.index;
+      camera.trackName = video.name;
+    }
+    if (audio) {
+      camera.audioTrackIndex = audio.index;
+      camera.audioTrackName = audio.name;
+    }
+    if (entry && entry.role === 'wide') {
+      camera.role = 'wide';
+    }
+    if (entry && typeof entry.syncOffset === 'number' && (video || audio)) {
+      camera.syncOffset = entry.syncOffset;
+    }
+    if (entry && typeof entry.gainDb === 'number' && entry.gainDb !== 0) {
+      camera.gainDb = entry.gainDb;
+    }
+    if (entry && entry.calibration && (video || audio) &&
+        typeof entry.calibration.noiseFloorDb === 'number' && typeof entry.calibration.speechDb === 'number') {
+      camera.calibration = {noiseFloorDb: entry.calibration.noiseFloorDb, speechDb: entry.calibration.speechDb};
     }
 
-    console.log('[Auto Camera] Timeline editing complete:', editResult);
+    cameras[num] = Object.keys(camera).length > 0 ? camera : null;
+  }
 
-    // Step 4: Visualization
-    updateProgress('Step 4/4: Rendering visualization...');
+  state.cameras = cameras;
+  console.log('[Auto Camera] Camera assignments restored:', state.cameras);
+}
 
-    // Get or create canvas in visualization container
-    let canvas = document.getElementById('vis-canvas');
-    if (!canvas) {
-      console.log('[Auto Camera] Creating visualization canvas');
-      const container = document.getElementById('vis-container') || document.querySelector('.visualization-container');
-      if (container) {
-        // Clear container first (remove hint text)
-        container.innerHTML = '';
-
-        canvas = document.createElement('canvas');
-        canvas.id = 'vis-canvas';
-        canvas.width = 800;
-        canvas.height = 200;
-        canvas.style.width = '100%';
-        canvas.style.height = 'auto';
-        canvas.style.borderRadius = '4px';
-        canvas.style.backgroundColor = '#1e1e1e';
-        container.appendChild(canvas);
-      } else {
-        console.warn('[Auto Camera] Visualization container not found in DOM');
-      }
-    }
+/**
+ * Persist external speaker audio for the current sequence
+ */
+function saveSpeakers() {
+  if (!state.sequenceKey) {
+    return;
+  }
 
-    if (canvas) {
-      const vis = new VisualizationUI(canvas);
-      vis.render(state.analysisResult);
-      console.log('[Auto Camera] Visualization rendered');
-    }
+  try {
+    localStorage.setItem(`autocamera.speakers.${state.sequenceKey}`, JSON.stringify(state.speakers));
+  } catch (error) {
+    console.warn('[Auto Camera] Could not save speakers:', error);
+  }
+}
 
-    // Complete
-    updateProgress('');
-    state.currentStep = 'refinement';
-    state.isAnalyzing = false;
+/**
+ * Restore external speaker audio saved for the current sequence
+ */
+function restoreSpeakers() {
+  let saved = null;
 
-    updateStatus(
-      `✓ Complete! Created "${editResult.newSequenceName}" with ${editResult.cutsApplied} cuts`,
-      'success'
-    );
+  try {
+    saved = JSON.parse(localStorage.getItem(`autocamera.speakers.${state.sequenceKey}`) || 'null');
+  } catch (error) {
+    console.warn('[Auto Camera] Could not read saved speakers:', error);
+  }
 
-    console.log('[Auto Camera] Full workflow completed successfully');
+  state.speakers = Array.isArray(saved) ?
+    saved.filter(entry => entry && typeof entry === 'object').map(entry => ({
+      name: String(entry.name || ''),
+      mediaPath: typeof entry.mediaPath === 'string' ? entry.mediaPath : null,
+      offset: Number(entry.offset) || 0,
+      camera: Number(entry.camera) || null
+    })) :
+    [];
+
+  console.log('[Auto Camera] Speakers restored:', state.speakers);
+}
+
+/**
+ * Update one speaker entry and refresh the lists
+ * @param {number} index - Index into state.speakers
+ * @param {Object} changes - Fields to overwrite
+ */
+function updateSpeaker(index, changes) {
+  state.speakers[index] = Object.assign({}, state.speakers[index], changes);
+  console.log(`[Auto Camera] Speaker ${index + 1} updated:`, state.speakers[index]);
 
+  saveSpeakers();
+  renderCameraList();
+}
+
+/**
+ * Append a speaker without a file
+ */
+function addSpeaker() {
+  state.speakers.push({
+    name: `Speaker ${state.speakers.length + 1}`,
+    mediaPath: null,
+    offset: 0,
+    camera: null
+  });
+  console.log(`[Auto Camera] Speaker ${state.speakers.length} added`);
+
+  saveSpeakers();
+  renderCameraList();
+}
+
+/**
+ * Remove a speaker
+ * @param {number} index - Index into state.speakers
+ */
+function removeSpeaker(index) {
+  state.speakers.splice(index, 1);
+  console.log(`[Auto Camera] Speaker ${index + 1} removed`);
+
+  saveSpeakers();
+  renderCameraList();
+}
+
+/**
+ * Let the user pick a speaker's audio file
+ * @param {number} index - Index into state.speakers
+ */
+async function chooseSpeakerFile(index) {
+  try {
+    // UXP: localFileSystem permission declared in manifest.json
+    const uxp = require('uxp');
+    const file = await uxp.storage.localFileSystem.getFileForOpening({types: ['wav', 'aif', 'aiff']});
+    if (!file) {
+      return;
+    }
+
+    updateSpeaker(index, {mediaPath: file.nativePath});
+    updateStatus(`${state.speakers[index].name || `Speaker ${index + 1}`} uses ${file.name}`, 'success');
   } catch (error) {
-    console.error('[Auto Camera] Error during analysis:', error);
+    console.error('[Auto Camera] Could not choose speaker file:', error);
     updateStatus(`Error: ${error.message}`, 'error');
-    updateProgress('');
-    state.isAnalyzing = false;
-    state.currentStep = 'setup';
-    analyzeBtn.disabled = false;
   }
 }
 
 /**
- * Update status display
- * @param {string} message - Status message
- * @param {string} type - Message type ('info', 'success', 'error')
+ * Rebuild the external speaker list from state.speakers
  */
-function updateStatus(message, type = 'info') {
-  console.log(`[Auto Camera] Status (${type}): ${message}`);
+function renderSpeakerList() {
+  if (!speakerListDiv) {
+    return;
+  }
 
-  statusDiv.textContent = message;
-  statusDiv.className = `status visible ${type}`;
+  speakerListDiv.innerHTML = '';
+
+  state.speakers.forEach((speaker, index) => {
+    const row = document.createElement('div');
+    row.id = `speaker${index + 1}-row`;
+    row.className = speaker.mediaPath && state.cameras[speaker.camera] !== undefined ? 'camera-row active' : 'camera-row';
+
+    const name = document.createElement('input');
+    name.type = 'text';
+    name.className = 'camera-label speaker-name';
+    name.value = speaker.name;
+    name.addEventListener('change', (e) => updateSpeaker(index, {name: e.target.value}));
+    row.appendChild(name);
+
+    const fileBtn = document.createElement('button');
+    fileBtn.className = 'icon-btn';
+    fileBtn.textContent = 'File…';
+    fileBtn.addEventListener('click', () => chooseSpeakerFile(index));
+    row.appendChild(fileBtn);
+
+    const file = document.createElement('span');
+    file.className = 'speaker-file';
+    file.title = speaker.mediaPath || '';
+    file.textContent = speaker.mediaPath ? speaker.mediaPath.split(/[\\/]/).pop() : 'No file';
+    row.appendChild(file);
+
+    const offset = document.createElement('input');
+    offset.type = 'number';
+    offset.step = '0.01';
+    offset.className = 'speaker-offset';
+    offset.title = 'Sequence time (seconds) at which the file starts';
+    offset.value = String(speaker.offset || 0);
+    offset.addEventListener('change', (e) => updateSpeaker(index, {offset: parseFloat(e.target.value) || 0}));
+    row.appendChild(offset);
+
+    row.appendChild(createSpeakerCameraSelect(index, speaker.camera));
+
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'icon-btn';
+    removeBtn.title = 'Remove speaker';
+    removeBtn.textContent = '×';
+    removeBtn.addEventListener('click', () => removeSpeaker(index));
+    row.appendChild(removeBtn);
+
+    speakerListDiv.appendChild(row);
+  });
+}
 
-  // Auto-hide after 5 seconds for success/info messages
-  if (type !== 'error') {
-    setTimeout(() => {
-      statusDiv.classList.remove('visible');
-    }, 5000);
+/**
+ * Build the camera dropdown for one speaker (several speakers may share a camera)
+ * @param {number} index - Index into state.speakers
+ * @param {number|null} selected - Currently mapped camera number
+ * @returns {HTMLSelectElement}
+ */
+function createSpeakerCameraSelect(index, selected) {
+  const select = document.createElement('select');
+  select.id = `speaker${index + 1}-camera`;
+  select.className = 'track-select speaker-camera';
+
+  const placeholder = document.createElement('option');
+  placeholder.value = '';
+  placeholder.textContent = 'Camera…';
+  select.appendChild(placeholder);
+
+  for (const num of getCameraNumbers()) {
+    const option = document.createElement('option');
+    option.value = String(num);
+    option.textContent = `Camera ${num}`;
+    if (num === selected) {
+      option.selected = true;
+    }
+    select.appendChild(option);
   }
+
+  select.addEventListener('change', (e) => updateSpeaker(index, {camera: e.target.value === '' ? null : Number(e.target.value)}));
+
+  return select;
 }
 
 /**
- * Update progress display
- * @param {string} message - Progress message (empty to hide)
+ * Get configured camera numbers in ascending order
+ * @returns {number[]} Camera numbers (1-N)
  */
-function updateProgress(message) {
-  if (message) {
-    console.log(`[Auto Camera] Progress: ${message}`);
-    progressDiv.textContent = message;
-    progressDiv.classList.add('visible');
-  } else {
-    progressDiv.classList.remove('visible');
-    progressDiv.textContent = '';
+function getCameraNumbers() {
+  return Object.keys(state.cameras).map(Number).sort((a, b) => a - b);
+}
+
+/**
+ * Rebuild the camera picker list from state.cameras
+ */
+function renderCameraList() {
+  cameraListDiv.innerHTML = '';
+
+  for (const num of getCameraNumbers()) {
+    const camera = state.cameras[num];
+
+    const row = document.createElement('div');
+    row.id = `cam${num}-row`;
+    row.className = isCameraAssigned(camera) ? 'camera-row active' : 'camera-row';
+
+    const label = document.createElement('span');
+    label.className = 'camera-label';
+    label.textContent = `Camera ${num}`;
+    row.appendChild(label);
+
+    if (camera && camera.syncOffset) {
+      const offset = document.createElement('span');
+      offset.className = 'sync-offset';
+      offset.title = 'Audio sync offset applied to this camera';
+      offset.textContent = `${camera.syncOffset > 0 ? '+' : ''}${camera.syncOffset.toFixed(2)}s`;
+      row.appendChild(offset);
+    }
+
+    if (camera && camera.calibration) {
+      const calibration = document.createElement('span');
+      calibration.className = 'calibration';
+      calibration.title = 'Measured noise floor / speech level (dBFS)';
+      calibration.textContent = `${Math.round(camera.calibration.noiseFloorDb)}/${Math.round(camera.calibration.speechDb)} dB`;
+      row.appendChild(calibration);
+    }
+
+    row.appendChild(createTrackSelect(num, 'video', camera ? camera.trackIndex : undefined));
+    row.appendChild(createTrackSelect(num, 'audio', camera ? camera.audioTrackIndex : undefined));
+    row.appendChild(createGainInput(num, camera && camera.gainDb ? camera.gainDb : 0));
+    row.appendChild(createWideToggle(num, !!camera && camera.role === 'wide'));
+
+    cameraListDiv.appendChild(row);
+  }
+
+  const count = getCameraNumbers().length;
+  addCameraBtn.disabled = count >= MAX_CAMERAS;
+  removeCameraBtn.disabled = count <= MIN_CAMERAS;
+
+  renderSpeakerList();
+  updateAnalyzeButton();
+}
+
+/**
+ * Build a track dropdown for one camera
+ * @param {number} num - Camera number
+ * @param {'video'|'audio'} kind - Track kind
+ * @param {number|undefined} selectedIndex - Currently assigned track index
+ * @returns {HTMLSelectElement}
+ */
+function createTrackSelect(num, kind, selectedIndex) {
+  const select = document.createElement('select');
+  select.id = `cam${num}-${kind}`;
+  select.className = 'track-select';
+
+  const tracks = state.tracks[kind];
+  const placeholder = document.createElement('option');
+  placeholder.value = '';
+  placeholder.textContent = tracks.length > 0 ?
+    (kind === 'video' ? 'Video track…' : 'Audio track…') :
+    'Load tracks first';
+  select.appendChild(placeholder);
+
+  for (const track of tracks) {
+    const option = document.createElement('option');
+    option.value = String(track.index);
+    option.textContent = track.name;
+    if (track.index === selectedIndex) {
+      option.selected = true;
+    }
+    select.appendChild(option);
+  }
+
+  select.disabled = tracks.length === 0;
+  select.addEventListener('change', (e) => assignTrack(num, kind, e.target.value));
+
+  return select;
+}
+
+/**
+ * Build the gain trim input for one camera
+ * @param {number} num - Camera number
+ * @param {number} gainDb - Current trim in dB
+ * @returns {HTMLInputElement}
+ */
+function createGainInput(num, gainDb) {
+  const input = document.createElement('input');
+  input.type = 'number';
+  input.id = `cam${num}-gain`;
+  input.className = 'gain-trim';
+  input.title = 'Gain trim in dB (positive values favour this camera in close calls)';
+  input.step = '0.5';
+  input.min = '-24';
+  input.max = '24';
+  input.value = String(gainDb);
+  input.addEventListener('change', (e) => setCameraGain(num, e.target.value));
+
+  return input;
+}
+
+/**
+ * Set a camera's manual gain trim
+ * @param {number} num - Camera number (1-N)
+ * @param {string} value - Trim in dB ('' or 0 clears it)
+ */
+function setCameraGain(num, value) {
+  const gainDb = Math.max(-24, Math.min(24, parseFloat(value) || 0));
+  const camera = Object.assign({}, state.cameras[num]);
+
+  if (gainDb !== 0) {
+    camera.gainDb = gainDb;
+  } else {
+    delete camera.gainDb;
+  }
+
+  state.cameras[num] = Object.keys(camera).length > 0 ? camera : null;
+  console.log(`[Auto Camera] Camera ${num} gain trim: ${gainDb} dB`);
+
+  saveCameraAssignments();
+}
+
+/**
+ * Store measured calibration on the cameras and show it in the list
+ * @param {Object.<number, Object|null>} calibration - AnalysisResult.calibration
+ */
+function storeCalibration(calibration) {
+  for (const num of getCameraNumbers()) {
+    if (!state.cameras[num] || !(num in calibration)) {
+      continue;
+    }
+
+    const camera = Object.assign({}, state.cameras[num]);
+    if (calibration[num]) {
+      camera.calibration = calibration[num];
+    } else {
+      delete camera.calibration;
+    }
+    state.cameras[num] = camera;
+  }
+
+  console.log('[Auto Camera] Calibration stored:', calibration);
+
+  saveCameraAssignments();
+  renderCameraList();
+}
+
+/**
+ * Build the wide/master shot checkbox for one camera
+ * @param {number} num - Camera number
+ * @param {boolean} checked - Whether the camera is currently the wide shot
+ * @returns {HTMLLabelElement}
+ */
+function createWideToggle(num, checked) {
+  const label = document.createElement('label');
+  label.className = 'wide-toggle';
+  label.title = 'Use this camera for overlapping speech and long silences';
+
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.id = `cam${num}-wide`;
+  checkbox.checked = checked;
+  checkbox.addEventListener('change', (e) => setWideCamera(num, e.target.checked));
+
+  label.appendChild(checkbox);
+  label.appendChild(document.createTextNode('Wide'));
+
+  return label;
+}
+
+/**
+ * Append an unassigned camera to the list
+ */
+function addCamera() {
+  const count = getCameraNumbers().length;
+  if (count >= MAX_CAMERAS) {
+    updateStatus(`Error: At most ${MAX_CAMERAS} cameras are supported.`, 'error');
+    return;
+  }
+
+  state.cameras[count + 1] = null;
+  console.log(`[Auto Camera] Camera ${count + 1} added`);
+  saveCameraAssignments();
+  renderCameraList();
+}
+
+/**
+ * Remove the last camera from the list
+ */
+function removeCamera() {
+  const count = getCameraNumbers().length;
+  if (count <= MIN_CAMERAS) {
+    updateStatus(`Error: At least ${MIN_CAMERAS} cameras are required.`, 'error');
+    return;
+  }
+
+  delete state.cameras[count];
+  console.log(`[Auto Camera] Camera ${count} removed`);
+  saveCameraAssignments();
+  renderCameraList();
+}
+
+/**
+ * Enable the analyze button once every camera is assigned
+ */
+function updateAnalyzeButton() {
+  analyzeBtn.disabled = state.isAnalyzing || !allCamerasAssigned();
+  if (importOtioBtn) {
+    importOtioBtn.disabled = analyzeBtn.disabled;
+  }
+  if (regenerateBtn) {
+    regenerateBtn.disabled = state.isAnalyzing || !state.analysisResult;
+  }
+  if (applyCutsBtn) {
+    applyCutsBtn.disabled = state.isAnalyzing || !state.cuts || state.cuts.length === 0;
+  }
+}
+
+/**
+ * Enable the cut list export buttons once cuts exist
+ */
+function enableExportButtons() {
+  for (const button of [exportEdlBtn, exportFcpxmlBtn, exportXmemlBtn, exportOtioBtn]) {
+    if (button) {
+      button.disabled = false;
+    }
+  }
+}
+
+/**
+ * Disable the switching inputs the optimal strategy does not use
+ *
+ * Attack, hold and margin drive the greedy strategy's hysteresis; the
+ * optimal strategy weighs switches with its switch penalty instead.
+ */
+function updateStrategyControls() {
+  const optimal = state.settings.strategy === 'optimal';
+  for (const input of [attackTimeInput, holdTimeInput, switchMarginInput]) {
+    if (input) {
+      input.disabled = optimal;
+    }
+  }
+}
+
+/**
+ * Check if all cameras have been assigned
+ * @returns {boolean} True if every camera in the list has video and audio tracks
+ */
+function allCamerasAssigned() {
+  return getCameraNumbers().every(num => isCameraAssigned(state.cameras[num]));
+}
+
+/**
+ * Full audio analysis and editing workflow
+ * Integrates: AudioAnalyzer → CutGenerator → TimelineEditor → VisualizationUI
+ * The audio analysis is reused while nothing it depends on has changed
+ * (see getAnalysisKey), so only cut generation and editing run again.
+ */
+async function analyze() {
+  console.log('[Auto Camera] Starting full analysis workflow...');
+
+  try {
+    // Verify all cameras assigned
+    if (!allCamerasAssigned()) {
+      updateStatus(`Error: Assign all ${getCameraNumbers().length} cameras before analyzing.`, 'error');
+      return;
+    }
+
+    // Set state
+    state.isAnalyzing = true;
+    updateAnalyzeButton();
+    const signal = startCancelableRun();
+
+    // Get sequence
+    const sequence = await getActiveSequence();
+    if (!sequence) {
+      updateStatus('Error: No active sequence found.', 'error');
+      state.isAnalyzing = false;
+      finishCancelableRun();
+      updateAnalyzeButton();
+      return;
+    }
+
+    // Track assignments only make sense for the sequence they were loaded from
+    if (getSequenceKey(sequence) !== state.sequenceKey) {
+      updateStatus('Error: Active sequence changed. Click "Load Tracks" and check camera assignments.', 'error');
+      state.isAnalyzing = false;
+      finishCancelableRun();
+      updateAnalyzeButton();
+      return;
+    }
+
+    console.log('[Auto Camera] Sequence:', sequence.name);
+    state.currentStep = 'processing';
+
+    // Step 1: Audio Analysis
+    const analysisKey = getAnalysisKey();
+    const reused = state.analysisResult !== null && state.analysisKey === analysisKey;
+    if (reused) {
+      console.log('[Auto Camera] Reusing audio analysis');
+      updateProgress('Step 1/4: Reusing audio analysis...');
+    } else {
+      state.analysisResult = await runAudioAnalysis(sequence, signal);
+      state.analysisKey = analysisKey;
+    }
+
+    // Step 2: Cut Generation
+    updateProgress('Step 2/4: Generating camera switches...');
+    state.cuts = generateCutsFromSettings(signal);
+
+    console.log('[Auto Camera] Cut generation complete:', {
+      totalCuts: state.cuts.length
+    });
+
+    // Cut lists can be exported even if timeline editing fails below
+    enableExportButtons();
+
+    // Get statistics
+    const stats = new CutGenerator().getStatistics(state.cuts, getCameraNumbers().length);
+    console.log('[Auto Camera] Cut statistics:', stats);
+
+    // Step 3: Timeline Editing
+    updateProgress('Step 3/4: Creating multicam sequence...');
+    const editor = new TimelineEditor();
+    editor.onProgress((progress, msg) => {
+      updateProgress(`Step 3/4: ${msg}`);
+    });
+
+    const editResult = await editor.applyEdits(sequence, state.cuts, state.cameras, {signal});
+
+    if (!editResult.success) {
+      throw createEditError(editResult);
+    }
+
+    console.log('[Auto Camera] Timeline editing complete:', editResult);
+    finishCancelableRun();
+
+    // Step 4: Visualization
+    updateProgress('Step 4/4: Rendering visualization...');
+    renderVisualization();
+
+    // Complete
+    updateProgress('');
+    state.currentStep = 'refinement';
+    state.isAnalyzing = false;
+    updateAnalyzeButton();
+
+    const fallbackNote = editResult.fallbacks > 0 ?
+      ` (${editResult.fallbacks} footage gaps filled from another camera)` :
+      '';
+    const bleedNote = state.analysisResult.bleed ?
+      ` (bleed removal changed the speaker at ${state.analysisResult.bleed.changed} samples)` :
+      '';
+    let reuseNote = '';
+    if (reused) {
+      reuseNote = ' (reused audio analysis)';
+    } else if (state.analysisResult.fromCache) {
+      reuseNote = ' (audio analysis loaded from cache)';
+    }
+    updateStatus(
+      `✓ Complete! Created "${editResult.newSequenceName}" with ${editResult.cutsApplied} cuts${fallbackNote}${bleedNote}${reuseNote}`,
+      'success'
+    );
+
+    console.log('[Auto Camera] Full workflow completed successfully');
+
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      console.log('[Auto Camera] Workflow cancelled:', error.message);
+      updateStatus(`${error.message}.`, 'info');
+    } else {
+      console.error('[Auto Camera] Error during analysis:', error);
+      updateStatus(`Error: ${error.message}`, 'error');
+    }
+    finishCancelableRun();
+    updateProgress('');
+    state.isAnalyzing = false;
+    state.currentStep = 'setup';
+    updateAnalyzeButton();
+  }
+}
+
+/**
+ * Measure audio levels for the current camera setup
+ * Runs sync detection, level analysis, calibration and bleed compensation
+ * as configured.
+ * @param {Object} sequence - Active sequence
+ * @param {AbortSignal} signal - Cancellation signal
+ * @returns {Promise<Object>} AnalysisResult used for cut generation
+ */
+async function runAudioAnalysis(sequence, signal) {
+  const analyzer = new AudioAnalyzer(analysisCache, audioWorker);
+
+  // Optional: line up camera audio before measuring levels
+  // (speaker files carry their own offsets instead)
+  const speakers = getActiveSpeakers();
+  if (state.settings.autoSync && speakers.length === 0) {
+    updateProgress('Step 1/4: Detecting camera sync offsets...');
+    const detector = new SyncDetector(analyzer);
+    const wideCamera = getWideCamera();
+    const report = await detector.detectOffsets(sequence, state.cameras, {
+      referenceCamera: wideCamera !== null ? wideCamera : undefined,
+      minConfidence: state.settings.syncMinConfidence,
+      signal
+    });
+
+    state.cameras = detector.applyOffsets(state.cameras, report);
+    saveCameraAssignments();
+    renderCameraList();
+    updateStatus(describeSyncReport(report), 'info');
+  }
+
+  updateProgress('Step 1/4: Analyzing audio levels...');
+  analyzer.onProgress((progress, msg) => {
+    updateProgress(`Step 1/4: ${msg}`);
+  });
+
+  // Compact (typed-array) result: a few bytes per sample even for multi-hour recordings
+  let result = await analyzer.analyzeCompact(
+    sequence,
+    state.cameras,
+    { sampleRate: state.settings.sampleRate, speakers, calibrate: state.settings.calibration, signal }
+  );
+
+  if (result.calibration) {
+    storeCalibration(result.calibration);
+  }
+
+  console.log('[Auto Camera] Audio analysis complete:', {
+    duration: result.duration,
+    samples: result.timestamps.length,
+    fromCache: !!result.fromCache
+  });
+  updateCacheSize();
+
+  // Optional: subtract mic crosstalk before cuts are decided
+  if (state.settings.bleedCompensation) {
+    updateProgress('Step 1/4: Removing mic bleed...');
+    const wideCamera = getWideCamera();
+    result = new BleedCompensator(analyzer).compensate(result, {wideCamera});
+  }
+
+  return result;
+}
+
+/**
+ * Describe everything the cached audio analysis depends on
+ * Cut settings are not part of the key, so they can be changed and
+ * previewed without re-analyzing. Sync offsets are left out while sync
+ * detection is on because they are measured again from the same audio.
+ * @returns {string} Key compared against state.analysisKey
+ */
+function getAnalysisKey() {
+  const {autoSync, bleedCompensation} = state.settings;
+
+  return JSON.stringify({
+    sequence: state.sequenceKey,
+    cameras: getCameraNumbers().map(num => {
+      const camera = state.cameras[num] || {};
+      return [camera.trackIndex, camera.audioTrackIndex, autoSync ? null : camera.syncOffset || 0, camera.gainDb || 0];
+    }),
+    speakers: getActiveSpeakers().map(speaker => [speaker.mediaPath, speaker.offset || 0, speaker.camera]),
+    wideCamera: autoSync || bleedCompensation ? getWideCamera() : null,
+    sampleRate: state.settings.sampleRate,
+    autoSync: autoSync ? state.settings.syncMinConfidence : false,
+    calibration: state.settings.calibration,
+    bleedCompensation
+  });
+}
+
+/**
+ * Generate cuts from the cached analysis with the current settings
+ * @param {AbortSignal} [signal] - Cancellation signal
+ * @returns {Object[]} Cuts from CutGenerator
+ */
+function generateCutsFromSettings(signal) {
+  return new CutGenerator().generateCuts(state.analysisResult, {
+    minCutDuration: state.settings.minCutDuration,
+    cutFrequency: state.settings.cutFrequency,
+    transitionDuration: state.settings.transitionDuration,
+    attackTime: state.settings.attackTime,
+    holdTime: state.settings.holdTime,
+    switchMarginDb: state.settings.switchMarginDb,
+    strategy: state.settings.strategy,
+    wideCamera: getWideCamera(),
+    overlapThreshold: state.settings.overlapThreshold,
+    wideMinDuration: state.settings.wideMinDuration,
+    maxCutDuration: state.settings.maxCutDuration,
+    cutawayDuration: state.settings.cutawayDuration,
+    cutawayCamera: state.settings.cutawayCamera,
+    detection: state.settings.detection,
+    signal
+  });
+}
+
+/**
+ * Draw the cached analysis and the current cuts in the results section
+ */
+function renderVisualization() {
+  // Get or create canvas in visualization container
+  let canvas = document.getElementById('vis-canvas');
+  if (!canvas) {
+    console.log('[Auto Camera] Creating visualization canvas');
+    const container = document.getElementById('vis-container') || document.querySelector('.visualization-container');
+    if (container) {
+      // Clear container first (remove hint text)
+      container.innerHTML = '';
+
+      canvas = document.createElement('canvas');
+      canvas.id = 'vis-canvas';
+      canvas.width = 800;
+      canvas.height = 200;
+      canvas.style.width = '100%';
+      canvas.style.height = 'auto';
+      canvas.style.borderRadius = '4px';
+      canvas.style.backgroundColor = '#1e1e1e';
+      container.appendChild(canvas);
+    } else {
+      console.warn('[Auto Camera] Visualization container not found in DOM');
+    }
+  }
+
+  if (canvas) {
+    if (!visualization || visualization.canvas !== canvas) {
+      visualization = new VisualizationUI(canvas);
+      visualization.enableEditing(handleCutEdit);
+    }
+    visualization.render(state.analysisResult, state.cuts);
+    console.log('[Auto Camera] Visualization rendered');
+  }
+}
+
+/**
+ * Keep a cut edit made on the visualization canvas
+ * Edits must pass CutGenerator.validateCuts; rejected edits are redrawn away.
+ * The timeline is left alone until "Apply to Timeline".
+ * @param {Object} edit - CutEdit from VisualizationUI ({action, index, cuts})
+ */
+function handleCutEdit(edit) {
+  if (state.isAnalyzing) {
+    renderVisualization();
+    return;
+  }
+
+  const validation = new CutGenerator().validateCuts(edit.cuts, getCameraNumbers().length);
+  if (!validation.valid) {
+    updateStatus(`Error: Edit rejected: ${validation.errors.join(', ')}`, 'error');
+    renderVisualization();
+    return;
+  }
+
+  // A pending settings preview would replace the edited cuts
+  clearTimeout(state.previewTimer);
+  state.previewTimer = null;
+
+  state.cuts = edit.cuts;
+  enableExportButtons();
+  updateAnalyzeButton();
+
+  let description = 'Moved a cut boundary';
+  if (edit.action === 'camera') {
+    description = `Cut ${edit.index + 1} now shows Camera ${edit.cuts[edit.index].camera}`;
+  } else if (edit.action === 'split') {
+    description = `Split cut ${edit.index + 1}`;
+  } else if (edit.action === 'delete') {
+    description = `Deleted cut ${edit.index + 1}`;
+  }
+
+  console.log(`[Auto Camera] Cut edit (${edit.action}):`, edit.index);
+  updateStatus(
+    `${description}. ${state.cuts.length} cuts. Click "Apply to Timeline" to create the sequence.`,
+    'info'
+  );
+}
+
+/**
+ * Regenerate the cut preview shortly after a setting changes
+ */
+function schedulePreview() {
+  if (!state.analysisResult || state.isAnalyzing) {
+    return;
+  }
+
+  clearTimeout(state.previewTimer);
+  state.previewTimer = setTimeout(() => {
+    state.previewTimer = null;
+    regenerateCuts();
+  }, PREVIEW_DELAY_MS);
+}
+
+/**
+ * Re-run only cut generation on the cached analysis and preview the result
+ * The timeline is left alone until "Apply to Timeline".
+ */
+function regenerateCuts() {
+  if (state.isAnalyzing) {
+    return;
+  }
+
+  if (!state.analysisResult) {
+    updateStatus('Error: No audio analysis yet. Run "Create Multicam Edit" first.', 'error');
+    return;
+  }
+
+  if (state.analysisKey !== getAnalysisKey()) {
+    updateStatus('Cameras or analysis settings changed. Click "Create Multicam Edit" to re-analyze the audio.', 'info');
+    return;
+  }
+
+  try {
+    state.cuts = generateCutsFromSettings();
+    enableExportButtons();
+    updateAnalyzeButton();
+    renderVisualization();
+
+    const stats = new CutGenerator().getStatistics(state.cuts, getCameraNumbers().length);
+    console.log('[Auto Camera] Cut preview:', stats);
+    updateStatus(
+      `Preview: ${stats.totalCuts} cuts, ${stats.averageCutDuration.toFixed(1)}s average. ` +
+      'Click "Apply to Timeline" to create the sequence.',
+      'info'
+    );
+  } catch (error) {
+    console.error('[Auto Camera] Cut preview failed:', error);
+    updateStatus(`Error: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Apply the previewed cuts to a new multicam sequence
+ */
+async function applyPreviewCuts() {
+  if (state.isAnalyzing || !state.cuts || state.cuts.length === 0) {
+    return;
+  }
+
+  try {
+    const sequence = await getActiveSequence();
+    if (!sequence || getSequenceKey(sequence) !== state.sequenceKey) {
+      updateStatus('Error: Active sequence changed. Click "Load Tracks" and check camera assignments.', 'error');
+      return;
+    }
+
+    const validation = new CutGenerator().validateCuts(state.cuts, getCameraNumbers().length);
+    if (!validation.valid) {
+      updateStatus(`Error: Cut list is invalid: ${validation.errors.join(', ')}`, 'error');
+      return;
+    }
+
+    const editResult = await applyCutsToTimeline(sequence, state.cuts);
+
+    const fallbackNote = editResult.fallbacks > 0 ?
+      ` (${editResult.fallbacks} footage gaps filled from another camera)` :
+      '';
+    updateStatus(`✓ Created "${editResult.newSequenceName}" with ${editResult.cutsApplied} cuts${fallbackNote}`, 'success');
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      console.log('[Auto Camera] Applying cuts cancelled:', error.message);
+      updateStatus(`${error.message}.`, 'info');
+    } else {
+      console.error('[Auto Camera] Applying cuts failed:', error);
+      updateStatus(`Error: ${error.message}`, 'error');
+    }
+  }
+}
+
+/**
+ * Create a multicam sequence from a cut list, with progress and Cancel
+ * @param {Object} sequence - Active sequence
+ * @param {Object[]} cuts - Validated cuts
+ * @returns {Promise<Object>} Successful EditResult
+ * @throws {Error} From createEditError when editing fails or is cancelled
+ */
+async function applyCutsToTimeline(sequence, cuts) {
+  state.isAnalyzing = true;
+  updateAnalyzeButton();
+  const signal = startCancelableRun();
+  updateProgress(`Applying ${cuts.length} cuts...`);
+
+  try {
+    const editor = new TimelineEditor();
+    editor.onProgress((progress, msg) => updateProgress(msg));
+    const editResult = await editor.applyEdits(sequence, cuts, state.cameras, {signal});
+
+    if (!editResult.success) {
+      throw createEditError(editResult);
+    }
+
+    return editResult;
+  } finally {
+    finishCancelableRun();
+    updateProgress('');
+    state.isAnalyzing = false;
+    updateAnalyzeButton();
+  }
+}
+
+/**
+ * Create a fresh AbortController for a run and show the Cancel button
+ * @returns {AbortSignal} Signal passed to the modules
+ */
+function startCancelableRun() {
+  state.abortController = createAbortController();
+
+  if (cancelBtn) {
+    cancelBtn.hidden = false;
+    cancelBtn.disabled = false;
+  }
+
+  return state.abortController.signal;
+}
+
+/**
+ * Forget the current run's AbortController and hide the Cancel button
+ */
+function finishCancelableRun() {
+  state.abortController = null;
+
+  if (cancelBtn) {
+    cancelBtn.hidden = true;
+  }
+}
+
+/**
+ * Cancel the running analysis or edit
+ * Modules stop at their next check; applyEdits rolls back the new sequence.
+ */
+function cancelRun() {
+  if (!state.abortController) {
+    return;
+  }
+
+  console.log('[Auto Camera] Cancel requested');
+  state.abortController.abort();
+  // Stop a file the worker is still decoding instead of waiting for it
+  audioWorker.terminate();
+  cancelBtn.disabled = true;
+  updateProgress('Cancelling...');
+}
+
+/**
+ * Create an AbortController, or a minimal stand-in on hosts without one
+ * (the modules only read signal.aborted)
+ * @returns {{signal: {aborted: boolean}, abort: Function}}
+ */
+function createAbortController() {
+  if (typeof AbortController !== 'undefined') {
+    return new AbortController();
+  }
+
+  const signal = {aborted: false};
+  return {signal, abort: () => { signal.aborted = true; }};
+}
+
+/**
+ * Turn a failed EditResult into an error for the status line
+ * Cancelled runs become an AbortError; both mention what happened to the
+ * half-built sequence.
+ * @param {Object} editResult - EditResult from TimelineEditor.applyEdits
+ * @returns {Error}
+ */
+function createEditError(editResult) {
+  const message = editResult.errors ? editResult.errors.join(', ') : 'Timeline editing failed';
+  let rollbackNote = '';
+  if (editResult.rollback === 'deleted') {
+    rollbackNote = ' (the incomplete multicam sequence was deleted)';
+  } else if (editResult.rollback === 'marked') {
+    rollbackNote = ` (the incomplete sequence was kept as "${editResult.newSequenceName}")`;
+  }
+
+  const error = new Error(`${message}${rollbackNote}`);
+  if (editResult.cancelled) {
+    error.name = 'AbortError';
+  }
+
+  return error;
+}
+
+/**
+ * Summarize a sync report for the status line
+ * @param {Object} report - SyncReport from SyncDetector.detectOffsets
+ * @returns {string} e.g. "Sync vs Camera 1: Camera 2 +4f (92%), Camera 3 not applied (31%)"
+ */
+function describeSyncReport(report) {
+  const parts = Object.entries(report.cameras).map(([num, result]) => {
+    const confidence = `${Math.round(result.confidence * 100)}%`;
+    if (!result.applied) {
+      return `Camera ${num} not applied (${confidence})`;
+    }
+    return `Camera ${num} ${result.frames > 0 ? '+' : ''}${result.frames}f (${confidence})`;
+  });
+
+  return `Sync vs Camera ${report.referenceCamera}: ${parts.join(', ')}`;
+}
+
+/**
+ * Export the generated cuts as an interchange file
+ * Timecodes use the active sequence's frame rate; every format references
+ * the camera clips under each cut at their own source times, and XML
+ * formats mark cutaways and low-confidence cuts.
+ * @param {'edl'|'fcpxml'|'xml'|'otio'} format - CMX3600 EDL, FCPXML, Final Cut Pro 7 XML or OpenTimelineIO
+ */
+async function exportCutList(format) {
+  if (!state.cuts || state.cuts.length === 0) {
+    updateStatus('Error: No cuts to export. Run "Create Multicam Edit" first.', 'error');
+    return;
+  }
+
+  try {
+    const sequence = await getActiveSequence();
+    if (!sequence) {
+      updateStatus('Error: No active sequence found. Please open the source sequence.', 'error');
+      return;
+    }
+
+    const edlExporter = new EdlExporter();
+    const frameRate = await edlExporter.getFrameRate(sequence);
+    const title = `${sequence.name}_Multicam`;
+    // XML formats mark low-confidence cuts
+    const xml = format === 'fcpxml' || format === 'xml';
+    const cuts = xml ? new CutGenerator().scoreCuts(state.cuts, state.analysisResult) : state.cuts;
+    const segments = await new TimelineEditor().getExportSegments(sequence, cuts, state.cameras);
+    let content;
+    let exporter;
+
+    if (format === 'edl') {
+      exporter = edlExporter;
+      content = edlExporter.export(segments, state.cameras, {
+        title,
+        frameRate,
+        transitionDuration: state.settings.transitionDuration
+      });
+    } else if (format === 'otio') {
+      exporter = new OtioSerializer();
+      content = exporter.serialize(segments, state.cameras, {title, frameRate});
+    } else {
+      exporter = new XmlExporter();
+      const options = {title, frameRate};
+
+      content = format === 'fcpxml' ?
+        exporter.exportFcpxml(segments, state.cameras, options) :
+        exporter.exportXmeml(segments, state.cameras, options);
+    }
+
+    const savedPath = await exporter.saveToFile(content, `${title}.${format}`);
+    if (savedPath) {
+      updateStatus(`✓ ${format.toUpperCase()} saved to ${savedPath}`, 'success');
+    }
+  } catch (error) {
+    console.error(`[Auto Camera] ${format.toUpperCase()} export failed:`, error);
+    updateStatus(`Error: ${format.toUpperCase()} export failed: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Import an edited cut list from an .otio file and apply it to a new
+ * multicam sequence. Cuts must pass CutGenerator.validateCuts for the
+ * current camera setup.
+ */
+async function importOtio() {
+  if (state.isAnalyzing) {
+    return;
+  }
+
+  try {
+    const sequence = await getActiveSequence();
+    if (!sequence || getSequenceKey(sequence) !== state.sequenceKey) {
+      updateStatus('Error: Active sequence changed. Click "Load Tracks" and check camera assignments.', 'error');
+      return;
+    }
+
+    const serializer = new OtioSerializer();
+    const text = await serializer.openFile();
+    if (!text) {
+      return;
+    }
+
+    // Media paths let clips without plugin metadata map back to cameras
+    let media = {};
+    try {
+      media = await new TimelineEditor().getCameraMedia(sequence, state.cameras);
+    } catch (error) {
+      console.warn('[Auto Camera] Camera media unavailable for OTIO import:', error);
+    }
+
+    const {cuts} = serializer.deserialize(text, media);
+    const validation = new CutGenerator().validateCuts(cuts, getCameraNumbers().length);
+    if (!validation.valid) {
+      updateStatus(`Error: Imported cut list is invalid: ${validation.errors.join(', ')}`, 'error');
+      return;
+    }
+
+    const editResult = await applyCutsToTimeline(sequence, cuts);
+
+    state.cuts = cuts;
+    enableExportButtons();
+    updateAnalyzeButton();
+    updateStatus(`✓ Imported OTIO: created "${editResult.newSequenceName}" with ${editResult.cutsApplied} cuts`, 'success');
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      console.log('[Auto Camera] OTIO import cancelled:', error.message);
+      updateStatus(`${error.message}.`, 'info');
+    } else {
+      console.error('[Auto Camera] OTIO import failed:', error);
+      updateStatus(`Error: OTIO import failed: ${error.message}`, 'error');
+    }
+  }
+}
+
+/**
+ * Update status display
+ * @param {string} message - Status message
+ * @param {string} type - Message type ('info', 'success', 'error')
+ */
+function updateStatus(message, type = 'info') {
+  console.log(`[Auto Camera] Status (${type}): ${message}`);
+
+  statusDiv.textContent = message;
+  statusDiv.className = `status visible ${type}`;
+
+  // Auto-hide after 5 seconds for success/info messages
+  if (type !== 'error') {
+    setTimeout(() => {
+      statusDiv.classList.remove('visible');
+    }, 5000);
+  }
+}
+
+/**
+ * Update progress display
+ * @param {string} message - Progress message (empty to hide)
+ */
+function updateProgress(message) {
+  if (message) {
+    console.log(`[Auto Camera] Progress: ${message}`);
+    (progressTextSpan || progressDiv).textContent = message;
+    progressDiv.classList.add('visible');
+  } else {
+    progressDiv.classList.remove('visible');
+    (progressTextSpan || progressDiv).textContent = '';
+  }
+}
+
+/**
+ * Show the size of the on-disk analysis cache
+ */
+async function updateCacheSize() {
+  if (!cacheSizeSpan) {
+    return;
+  }
+
+  try {
+    const {bytes, entries} = await analysisCache.getSize();
+    cacheSizeSpan.textContent = `Analysis cache: ${formatBytes(bytes)} (${entries} ${entries === 1 ? 'file' : 'files'})`;
+  } catch (error) {
+    console.warn('[Auto Camera] Cache size unavailable:', error);
+    cacheSizeSpan.textContent = 'Analysis cache: unavailable';
+  }
+}
+
+/**
+ * Delete all cached envelopes and analysis results
+ * The analysis held in memory for Regenerate Cuts is kept.
+ */
+async function clearAnalysisCache() {
+  if (state.isAnalyzing) {
+    updateStatus('Error: Wait for the current run to finish before clearing the cache.', 'error');
+    return;
+  }
+
+  try {
+    const deleted = await analysisCache.clear();
+    updateStatus(`Cleared ${deleted} cached ${deleted === 1 ? 'file' : 'files'}.`, 'success');
+  } catch (error) {
+    console.error('[Auto Camera] Clearing cache failed:', error);
+    updateStatus(`Error: Could not clear cache: ${error.message}`, 'error');
+  }
+
+  updateCacheSize();
+}
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} e.g. "850 KB", "12.4 MB"
+ */
+function formatBytes(bytes) {
+  if (bytes < 1024 * 1024) {
+    return `${Math.round(bytes / 1024)} KB`;
+  }
+  if (bytes < 1024 * 1024 * 1024) {
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
   }
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
 }
 
 /**
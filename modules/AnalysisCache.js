@@ -0,0 +1,457 @@
+/**
+ * AnalysisCache Module
+ *
+ * Purpose: Keep decoded envelopes and analysis results on disk between sessions
+ * Algorithm: One file per entry in the plugin data folder, named by a hash of
+ *            its key; the full key is stored in the file and compared on read
+ *
+ * @module AnalysisCache
+ */
+
+/**
+ * @typedef {Object} CacheKey
+ * @property {string} name - File name of the entry
+ * @property {string} text - Full key (JSON), stored in the entry to rule out hash collisions
+ */
+
+/**
+ * @typedef {Object} MediaFileInfo
+ * @property {number} size - File size in bytes
+ * @property {number} modified - Modification time in milliseconds since the epoch
+ */
+
+/**
+ * @typedef {Object} CacheSize
+ * @property {number} bytes - Total size of all entries
+ * @property {number} entries - Number of entries
+ */
+
+/**
+ * File format marker ("ACC2"), checked before an entry is decoded
+ * @type {number}
+ */
+const MAGIC = 0x32434341;
+
+/**
+ * Typed arrays stored as binary data, by constructor name
+ * @type {Object.<string, Function>}
+ */
+const TYPED_ARRAYS = {Float32Array, Float64Array, Uint8Array};
+
+/**
+ * Alignment of the data section and of each array in it (the widest element size)
+ * @type {number}
+ */
+const DATA_ALIGNMENT = 8;
+
+/**
+ * Extension of cache entry files
+ * @type {string}
+ */
+const ENTRY_EXTENSION = '.cache';
+
+/**
+ * Sub folder of the plugin data folder holding the entries
+ * @type {string}
+ */
+const FOLDER_NAME = 'analysis-cache';
+
+class AnalysisCache {
+  /**
+   * @param {string} [directory] - Cache directory outside Premiere Pro
+   *                               (default: auto-camera-cache in the system temp folder)
+   */
+  constructor(directory = null) {
+    /**
+     * @type {string|null}
+     * @private
+     */
+    this.directory = directory;
+
+    /**
+     * @type {Promise<Object>|null}
+     * @private
+     */
+    this.folderPromise = null;
+
+    console.log('[AnalysisCache] Initialized');
+  }
+
+  /**
+   * Build the key of a cache entry
+   *
+   * @param {string} kind - Entry kind, used as file name prefix ('envelope', 'analysis')
+   * @param {Object} material - Everything the cached value depends on (JSON-serializable)
+   * @returns {CacheKey}
+   */
+  createKey(kind, material) {
+    const text = JSON.stringify({kind, material});
+    return {name: `${kind}-${this.hash(text)}${ENTRY_EXTENSION}`, text};
+  }
+
+  /**
+   * Read a cached value
+   *
+   * @param {CacheKey} key - Entry key
+   * @returns {Promise<*|null>} Cached value, or null when missing, unreadable or stored under another key
+   */
+  async read(key) {
+    try {
+      const buffer = await this.readEntry(key.name);
+      if (!buffer) {
+        return null;
+      }
+
+      const entry = this.decode(buffer);
+      if (entry.key !== key.text) {
+        console.warn(`[AnalysisCache] Key mismatch for ${key.name}, ignoring entry`);
+        return null;
+      }
+
+      console.log(`[AnalysisCache] Hit: ${key.name}`);
+      return entry.value;
+    } catch (error) {
+      console.warn(`[AnalysisCache] Could not read ${key.name}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Store a value
+   *
+   * Float32Array, Float64Array and Uint8Array values anywhere in the value
+   * are stored as binary data; the rest must be JSON-serializable.
+   *
+   * @param {CacheKey} key - Entry key
+   * @param {*} value - Value to store
+   * @returns {Promise<number>} Bytes written
+   */
+  async write(key, value) {
+    const buffer = this.encode(key.text, value);
+    await this.writeEntry(key.name, buffer);
+
+    console.log(`[AnalysisCache] Stored ${key.name} (${buffer.byteLength} bytes)`);
+    return buffer.byteLength;
+  }
+
+  /**
+   * Total size of the cache
+   *
+   * @returns {Promise<CacheSize>}
+   */
+  async getSize() {
+    const entries = await this.listEntries();
+    return {
+      bytes: entries.reduce((sum, entry) => sum + entry.size, 0),
+      entries: entries.length
+    };
+  }
+
+  /**
+   * Delete every cache entry
+   *
+   * @returns {Promise<number>} Number of entries deleted
+   */
+  async clear() {
+    const entries = await this.listEntries();
+    for (const entry of entries) {
+      await this.deleteEntry(entry.name);
+    }
+
+    console.log(`[AnalysisCache] Cleared ${entries.length} entries`);
+    return entries.length;
+  }
+
+  /**
+   * Read a media file's size and modification time
+   *
+   * @param {string} filePath - Absolute file path
+   * @returns {Promise<MediaFileInfo|null>} null when the file cannot be inspected
+   */
+  async getFileInfo(filePath) {
+    try {
+      const uxp = this.getUxp();
+
+      // UXP: localFileSystem permission declared in manifest.json
+      if (uxp?.storage?.localFileSystem) {
+        const normalized = filePath.replace(/\\/g, '/');
+        const url = `file:${normalized.startsWith('/') ? '' : '/'}${normalized}`;
+        const entry = await uxp.storage.localFileSystem.getEntryWithUrl(url);
+        const metadata = await entry.getMetadata();
+        return {size: metadata.size, modified: new Date(metadata.dateModified).getTime()};
+      }
+
+      // Fallback for testing/development outside Premiere Pro
+      const stat = require('fs').statSync(filePath);
+      return {size: stat.size, modified: stat.mtimeMs};
+    } catch (error) {
+      console.warn(`[AnalysisCache] Cannot inspect ${filePath}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Serialize a value with its key
+   *
+   * Layout: magic (uint32) | header length (uint32) | header JSON (UTF-8),
+   * padded to 8 bytes | typed array data, each array padded to 8 bytes. In
+   * the header each array is replaced by {$typed: constructor name,
+   * offset: byte offset into the data, length}.
+   *
+   * @param {string} keyText - Full key
+   * @param {*} value - Value to store
+   * @returns {ArrayBuffer}
+   * @private
+   */
+  encode(keyText, value) {
+    const align = length => Math.ceil(length / DATA_ALIGNMENT) * DATA_ALIGNMENT;
+    const arrays = [];
+    let dataLength = 0;
+    const json = JSON.stringify({key: keyText, value}, (name, item) => {
+      const type = ArrayBuffer.isView(item) ? item.constructor.name : null;
+      if (type && TYPED_ARRAYS[type] === item.constructor) {
+        const offset = dataLength;
+        arrays.push({item, offset});
+        dataLength += align(item.byteLength);
+        return {$typed: type, offset, length: item.length};
+      }
+      return item;
+    });
+
+    const header = new TextEncoder().encode(json);
+    const dataOffset = 8 + align(header.byteLength);
+    const byteLength = dataOffset + dataLength;
+
+    const buffer = new ArrayBuffer(byteLength);
+    const view = new DataView(buffer);
+    view.setUint32(0, MAGIC, true);
+    view.setUint32(4, header.byteLength, true);
+    new Uint8Array(buffer, 8, header.byteLength).set(header);
+
+    for (const {item, offset} of arrays) {
+      new item.constructor(buffer, dataOffset + offset, item.length).set(item);
+    }
+
+    return buffer;
+  }
+
+  /**
+   * Deserialize an entry written by encode
+   *
+   * @param {ArrayBuffer} buffer - Entry contents
+   * @returns {{key: string, value: *}}
+   * @throws {Error} If the buffer is not a cache entry
+   * @private
+   */
+  decode(buffer) {
+    const view = new DataView(buffer);
+    if (buffer.byteLength < 8 || view.getUint32(0, true) !== MAGIC) {
+      throw new Error('Not an analysis cache entry');
+    }
+
+    const headerLength = view.getUint32(4, true);
+    const json = new TextDecoder().decode(new Uint8Array(buffer, 8, headerLength));
+
+    const dataOffset = 8 + Math.ceil(headerLength / DATA_ALIGNMENT) * DATA_ALIGNMENT;
+
+    return JSON.parse(json, (name, item) => {
+      if (item && typeof item === 'object' && typeof item.$typed === 'string') {
+        const ArrayType = TYPED_ARRAYS[item.$typed];
+        if (!ArrayType) {
+          throw new Error(`Unknown array type ${item.$typed} in analysis cache entry`);
+        }
+        const start = dataOffset + item.offset;
+        const end = start + item.length * ArrayType.BYTES_PER_ELEMENT;
+        if (end > buffer.byteLength) {
+          throw new Error('Truncated analysis cache entry');
+        }
+        return new ArrayType(buffer.slice(start, end));
+      }
+      return item;
+    });
+  }
+
+  /**
+   * 64-bit FNV-1a style hash of a string, as 16 hex digits
+   *
+   * @param {string} text - Text to hash
+   * @returns {string}
+   * @private
+   */
+  hash(text) {
+    let low = 0x811c9dc5;
+    let high = 0xcbf29ce4;
+
+    for (let i = 0; i < text.length; i++) {
+      const code = text.charCodeAt(i);
+      low = Math.imul(low ^ code, 0x01000193) >>> 0;
+      high = Math.imul(high ^ code ^ (low >>> 16), 0x01000193) >>> 0;
+    }
+
+    return high.toString(16).padStart(8, '0') + low.toString(16).padStart(8, '0');
+  }
+
+  /**
+   * Read an entry file
+   *
+   * @param {string} name - Entry file name
+   * @returns {Promise<ArrayBuffer|null>} null when the entry does not exist
+   * @private
+   */
+  async readEntry(name) {
+    const uxp = this.getUxp();
+
+    if (uxp?.storage?.localFileSystem) {
+      const folder = await this.getFolder();
+      let file = null;
+      try {
+        file = await folder.getEntry(name);
+      } catch (error) {
+        return null;
+      }
+      return await file.read({format: uxp.storage.formats.binary});
+    }
+
+    // Fallback for testing/development outside Premiere Pro
+    const fs = require('fs');
+    const filePath = require('path').join(await this.getFolder(), name);
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+    const data = fs.readFileSync(filePath);
+    return data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+  }
+
+  /**
+   * Write an entry file, replacing an existing one
+   *
+   * @param {string} name - Entry file name
+   * @param {ArrayBuffer} buffer - Contents
+   * @private
+   */
+  async writeEntry(name, buffer) {
+    const uxp = this.getUxp();
+
+    if (uxp?.storage?.localFileSystem) {
+      const folder = await this.getFolder();
+      const file = await folder.createFile(name, {overwrite: true});
+      await file.write(buffer, {format: uxp.storage.formats.binary});
+      return;
+    }
+
+    // Fallback for testing/development outside Premiere Pro
+    const filePath = require('path').join(await this.getFolder(), name);
+    require('fs').writeFileSync(filePath, new Uint8Array(buffer));
+  }
+
+  /**
+   * Delete an entry file
+   *
+   * @param {string} name - Entry file name
+   * @private
+   */
+  async deleteEntry(name) {
+    const uxp = this.getUxp();
+
+    if (uxp?.storage?.localFileSystem) {
+      const folder = await this.getFolder();
+      const file = await folder.getEntry(name);
+      await file.delete();
+      return;
+    }
+
+    // Fallback for testing/development outside Premiere Pro
+    require('fs').unlinkSync(require('path').join(await this.getFolder(), name));
+  }
+
+  /**
+   * List entry files with their sizes
+   *
+   * @returns {Promise<Array<{name: string, size: number}>>}
+   * @private
+   */
+  async listEntries() {
+    const uxp = this.getUxp();
+
+    if (uxp?.storage?.localFileSystem) {
+      const folder = await this.getFolder();
+      const entries = [];
+      for (const entry of await folder.getEntries()) {
+        if (entry.isFile && entry.name.endsWith(ENTRY_EXTENSION)) {
+          const metadata = await entry.getMetadata();
+          entries.push({name: entry.name, size: metadata.size});
+        }
+      }
+      return entries;
+    }
+
+    // Fallback for testing/development outside Premiere Pro
+    const fs = require('fs');
+    const path = require('path');
+    const directory = await this.getFolder();
+    return fs.readdirSync(directory)
+      .filter(name => name.endsWith(ENTRY_EXTENSION))
+      .map(name => ({name, size: fs.statSync(path.join(directory, name)).size}));
+  }
+
+  /**
+   * Get (and create) the cache folder
+   *
+   * @returns {Promise<Object|string>} UXP Folder, or a directory path outside Premiere Pro
+   * @private
+   */
+  async getFolder() {
+    if (!this.folderPromise) {
+      this.folderPromise = this.openFolder().catch(error => {
+        this.folderPromise = null;
+        throw error;
+      });
+    }
+
+    return this.folderPromise;
+  }
+
+  /**
+   * Open the cache folder, creating it on first use
+   *
+   * @returns {Promise<Object|string>}
+   * @private
+   */
+  async openFolder() {
+    const uxp = this.getUxp();
+
+    // UXP: the plugin data folder needs no extra permission
+    if (uxp?.storage?.localFileSystem) {
+      const dataFolder = await uxp.storage.localFileSystem.getDataFolder();
+      try {
+        return await dataFolder.getEntry(FOLDER_NAME);
+      } catch (error) {
+        return await dataFolder.createFolder(FOLDER_NAME);
+      }
+    }
+
+    // Fallback for testing/development outside Premiere Pro
+    const directory = this.directory || require('path').join(require('os').tmpdir(), 'auto-camera-cache');
+    require('fs').mkdirSync(directory, {recursive: true});
+    return directory;
+  }
+
+  /**
+   * Load the UXP module when running inside Premiere Pro
+   *
+   * @returns {Object|null}
+   * @private
+   */
+  getUxp() {
+    try {
+      return require('uxp');
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+// Export for use in main.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AnalysisCache;
+}
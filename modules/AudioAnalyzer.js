@@ -1,111 +1,815 @@
 /**
  * AudioAnalyzer Module
  *
- * Purpose: Extract audio metadata and identify active speaker at each timestamp
- * Algorithm: Volume-based speaker detection using Premiere Pro audio metadata
+ * Purpose: Extract audio levels and identify active speaker at each timestamp
+ * Algorithm: Volume-based speaker detection using PCM decoded from the clips' media files,
+ *            with a voice activity estimate (energy, zero-crossing rate, speech-band share)
  *
  * @module AudioAnalyzer
  */
 
+const AudioDecoder = require('./AudioDecoder.js');
+const AudioWorkerClient = require('./AudioWorkerClient.js');
+const MediaFile = require('./MediaFile.js');
+const TimeBase = require('./TimeBase.js');
+const CompactTimeline = require('./CompactTimeline.js');
+const TrackItems = require('./TrackItems.js');
+
 /**
  * @typedef {Object} AnalysisOptions
- * @property {number} sampleRate - Sampling rate in seconds (default: 1.0)
+ * @property {number} sampleRate - Sampling rate in seconds, rounded to whole frames (default: 1.0)
+ * @property {'rms'|'peak'} levelMetric - Level measured per window (default: 'rms')
+ * @property {number} floorDb - Level in dBFS mapped to 0.0; 0 dBFS maps to 1.0 (default: -60)
+ * @property {SpeakerSource[]} [speakers] - External per-speaker audio; replaces camera audio tracks when set
+ * @property {boolean} [calibrate] - Normalize each camera by its measured noise floor and speech level (default: false)
+ * @property {number} [chunkDuration] - Seconds of audio measured per chunk (default: 60)
+ * @property {AbortSignal} [signal] - Aborting it stops the analysis with an AbortError
+ */
+
+/**
+ * @typedef {Object} CameraCalibration
+ * @property {number} noiseFloorDb - Typical level between words, in dBFS
+ * @property {number} speechDb - Typical speech level, in dBFS
+ */
+
+/**
+ * @typedef {Object} CacheKey
+ * @property {string} name - File name of the cache entry
+ * @property {string} text - Full key (see AnalysisCache.createKey)
+ */
+
+/**
+ * @typedef {Object} SpeakerSource
+ * @property {string} [name] - Speaker label
+ * @property {string} mediaPath - WAV/AIFF file recorded from this speaker's microphone
+ * @property {number} [offset] - Sequence time in seconds at which the file starts (default: 0)
+ * @property {number} camera - Camera that shows this speaker (several speakers may share one)
  */
 
 /**
  * @typedef {Object} TimelineData
  * @property {number} camera1 - Audio level for camera 1 (0.0-1.0)
  * @property {number} camera2 - Audio level for camera 2 (0.0-1.0)
- * @property {number} camera3 - Audio level for camera 3 (0.0-1.0)
- * @property {1|2|3} activeCamera - Camera with highest audio level
+ * @property {number} cameraN - Audio level for camera N (one property per analyzed camera)
+ * @property {number} [speechN] - Speech probability for camera N (0.0-1.0, see speechProbability)
+ * @property {number} activeCamera - Camera number with highest audio level
+ */
+
+/**
+ * @typedef {Object} AudioMeasurement
+ * @property {number} level - Audio level 0.0-1.0
+ * @property {number} speech - Speech probability 0.0-1.0
+ */
+
+/**
+ * Voice activity model: dBFS range over which energy turns from noise into
+ * likely speech, zero-crossing rates (per second) typical of voice, and the
+ * speech-band share at which a sound counts as fully voice-like
+ * @type {Object}
+ */
+const VAD = {
+  quietDb: -45,
+  speechDb: -30,
+  minCrossings: 100,
+  voicedCrossings: 300,
+  unvoicedCrossings: 4000,
+  maxCrossings: 10000,
+  minBandRatio: 0.05,
+  fullBandRatio: 0.3,
+  bandWeight: 0.6
+};
+
+/**
+ * Calibrated speech lands on this level (about -18 dBFS with the default floor)
+ * @type {number}
+ */
+const TARGET_SPEECH_LEVEL = 0.7;
+
+/**
+ * Samples with at least this speech probability count as speech for calibration
+ * @type {number}
+ */
+const CALIBRATION_SPEECH_PROBABILITY = 0.5;
+
+/**
+ * Speech samples needed before the speech level is taken from them
+ * (otherwise the 90th percentile of all levels is used)
+ * @type {number}
+ */
+const MIN_CALIBRATION_SAMPLES = 5;
+
+/**
+ * Smallest speech-over-floor range, in dB, worth normalizing
+ * @type {number}
  */
+const MIN_CALIBRATION_RANGE_DB = 3;
+
+/**
+ * Default seconds of audio measured per chunk; the event loop gets a turn
+ * between chunks when a signal is given, so a Cancel click is handled
+ * @type {number}
+ */
+const CHUNK_DURATION = 60;
+
+/**
+ * Part of every cache key; bump it whenever envelopes or levels would
+ * come out differently for the same media
+ * @type {number}
+ */
+const CACHE_VERSION = 2;
 
 /**
  * @typedef {Object} AnalysisResult
- * @property {Object.<number, TimelineData>} timeline - Timestamp-indexed audio data
+ * @property {Object.<number, TimelineData>} timeline - Timestamp-indexed audio data (timestamps on frame edges)
+ * @property {number} duration - Total analyzed duration in seconds
+ * @property {number} sampleRate - Sample spacing used in analysis (whole frames, in seconds)
+ * @property {number} frameRate - Sequence frame rate in fps
+ * @property {number[]} cameras - Analyzed camera numbers in ascending order
+ * @property {number} floorDb - dBFS level mapped to 0.0 (levels are linear in dB up to 0 dBFS = 1.0)
+ * @property {Object.<number, CameraCalibration|null>} [calibration] - Measured calibration per camera
+ *                                                                  (null when a camera had too little range)
+ * @property {boolean} [fromCache] - Set when the result was read from the analysis cache
+ */
+
+/**
+ * @typedef {Object} CompactAnalysisResult
+ * @property {'compact'} format - Marks the typed-array layout (see CompactTimeline)
+ * @property {Float64Array} timestamps - Sample times in seconds (frame edges)
+ * @property {Object.<number, Float32Array>} levels - Audio level per sample, keyed by camera number
+ * @property {Object.<number, Float32Array>} speech - Speech probability per sample, keyed by camera number
+ * @property {Uint8Array} activeCamera - Camera number with highest audio level, per sample
  * @property {number} duration - Total analyzed duration in seconds
- * @property {number} sampleRate - Sample rate used in analysis
+ * @property {number} sampleRate - Sample spacing used in analysis (whole frames, in seconds)
+ * @property {number} frameRate - Sequence frame rate in fps
+ * @property {number[]} cameras - Analyzed camera numbers in ascending order
+ * @property {number} floorDb - dBFS level mapped to 0.0
+ * @property {Object.<number, CameraCalibration|null>} [calibration] - Measured calibration per camera
+ * @property {boolean} [fromCache] - Set when the result was read from the analysis cache
+ */
+
+/**
+ * @typedef {Object} AnalysisChunk
+ * @property {number} start - Index of the chunk's first sample in the whole analysis
+ * @property {number} totalSamples - Samples in the whole analysis
+ * @property {Float64Array} timestamps - Sample times in seconds
+ * @property {Object.<number, Float32Array>} levels - Audio level per sample, keyed by camera number
+ * @property {Object.<number, Float32Array>} speech - Speech probability per sample, keyed by camera number
+ * @property {Uint8Array} activeCamera - Camera number with highest audio level, per sample
+ */
+
+/**
+ * @typedef {Object} AnalysisPlan
+ * @property {number[]} cameraNumbers - Analyzed cameras
+ * @property {Object} cameras - Camera configuration
+ * @property {TimeBase} timeBase - Sequence frame rate
+ * @property {number} framesPerSample - Frames between samples
+ * @property {number} sampleRate - Seconds between samples
+ * @property {number} duration - Sequence duration in seconds
+ * @property {number} totalSamples - Samples to measure
+ * @property {{windowSize: number, levelMetric: string, floorDb: number}} levelOptions - Measurement settings
+ * @property {SpeakerSource[]} speakers - External speaker audio in use
+ * @property {Object.<number, Object>} audioTracks - Audio track per camera (empty with speaker files)
  */
 
 class AudioAnalyzer {
-  constructor() {
+  /**
+   * @param {AnalysisCache} [cache] - On-disk cache for envelopes and analysis results (default: none)
+   * @param {AudioWorkerClient} [worker] - Decodes media files off the UI thread (default: a new client)
+   */
+  constructor(cache = null, worker = null) {
     /**
      * @type {Function|null}
      * @private
      */
     this.progressCallback = null;
 
+    /**
+     * Progress of the chunk being measured, reported again while a file decodes
+     * @type {number}
+     * @private
+     */
+    this.chunkProgress = 0;
+
+    /**
+     * Cancellation signal of the running analysis, passed on to the audio worker
+     * @type {AbortSignal|null}
+     * @private
+     */
+    this.signal = null;
+
+    /**
+     * @type {AudioDecoder}
+     * @private
+     */
+    this.decoder = new AudioDecoder();
+
+    /**
+     * @type {AudioWorkerClient}
+     * @private
+     */
+    this.worker = worker || new AudioWorkerClient();
+
+    /**
+     * Decoded envelopes keyed by media file path
+     * @type {Map<string, Promise<AudioEnvelope>>}
+     * @private
+     */
+    this.envelopeCache = new Map();
+
+    /**
+     * @type {AnalysisCache|null}
+     * @private
+     */
+    this.cache = cache;
+
     console.log('[AudioAnalyzer] Initialized');
   }
 
   /**
-   * Main analysis function
+   * Analyze a sequence into a timestamp-indexed timeline
+   *
+   * Same analysis as analyzeCompact, converted to one entry per sample
+   * (see CompactTimeline.toTimeline). Prefer analyzeCompact for long
+   * recordings.
    *
    * @param {Object} sequence - Premiere Pro sequence object
-   * @param {Object} cameras - Camera configuration {1: {trackIndex, trackName}, 2: {...}, 3: {...}}
+   * @param {Object} cameras - Camera configuration {1: {trackIndex, trackName, audioTrackIndex, audioTrackName, syncOffset, gainDb}, ..., N: {...}}
    * @param {AnalysisOptions} options - Analysis options
    * @returns {Promise<AnalysisResult>}
    */
   async analyzeSequence(sequence, cameras, options = {}) {
-    const sampleRate = options.sampleRate || 1.0;
-    console.log(`[AudioAnalyzer] Starting analysis with sample rate: ${sampleRate}s`);
+    return CompactTimeline.toTimeline(await this.analyzeCompact(sequence, cameras, options));
+  }
+
+  /**
+   * Main analysis function
+   *
+   * Audio is measured in chunks of chunkDuration (see analyzeChunks) and
+   * collected into one typed array per camera, so memory grows by a few
+   * bytes per sample and camera however long the recording is.
+   *
+   * Cameras with a `syncOffset` (seconds, see SyncDetector) are read that
+   * much later on the timeline so their audio lines up with the reference.
+   *
+   * With `options.speakers`, each camera's level is the loudest of the
+   * speakers mapped to it, read from their own files; cameras without a
+   * speaker (e.g. the wide shot) stay at 0.0 and are only used for wide
+   * shots and cutaways.
+   *
+   * Each sample also carries a speech probability per camera next to the
+   * level; `activeCamera` stays the loudest camera.
+   *
+   * With `options.calibrate`, all samples are measured first, each camera's
+   * noise floor and speech level are taken from them (see calibrateCamera)
+   * and levels are normalized before the active camera is picked. A
+   * camera's manual `gainDb` trim is always applied on top.
+   *
+   * With `options.signal`, the signal is checked before every chunk and
+   * the returned promise rejects with an AbortError once it is aborted.
+   *
+   * With a cache, a result stored for the same media files (path, size,
+   * modification time), clip positions, camera settings and options is
+   * returned without measuring anything.
+   *
+   * @param {Object} sequence - Premiere Pro sequence object
+   * @param {Object} cameras - Camera configuration {1: {trackIndex, trackName, audioTrackIndex, audioTrackName, syncOffset, gainDb}, ..., N: {...}}
+   * @param {AnalysisOptions} options - Analysis options
+   * @returns {Promise<CompactAnalysisResult>}
+   */
+  async analyzeCompact(sequence, cameras, options = {}) {
+    console.log(`[AudioAnalyzer] Starting analysis with sample rate: ${options.sampleRate || 1.0}s`);
+
+    const signal = options.signal;
 
     try {
-      // Get sequence duration
-      const duration = await this.getSequenceDuration(sequence);
-      console.log(`[AudioAnalyzer] Sequence duration: ${duration}s`);
+      this.throwIfAborted(signal);
+
+      const plan = await this.prepareAnalysis(sequence, cameras, options);
+      const {cameraNumbers, levelOptions} = plan;
+
+      // Reuse a stored result when nothing it was measured from has changed
+      const cacheKey = this.cache ? await this.getAnalysisCacheKey(cameraNumbers, cameras, plan.audioTracks, plan.speakers, {
+        frameRate: plan.timeBase.frameRate,
+        framesPerSample: plan.framesPerSample,
+        duration: plan.duration,
+        levelMetric: levelOptions.levelMetric,
+        floorDb: levelOptions.floorDb,
+        calibrate: !!options.calibrate
+      }) : null;
+
+      if (cacheKey) {
+        const cached = await this.cache.read(cacheKey);
+        if (CompactTimeline.isCompact(cached)) {
+          console.log('[AudioAnalyzer] Analysis loaded from cache');
+          if (this.progressCallback) {
+            this.progressCallback(100, 'Analyzing audio: loaded from cache');
+          }
+          return Object.assign(cached, {fromCache: true});
+        }
+      }
 
-      // Get audio tracks for each camera
-      const audioTracks = await this.getAudioTracksForCameras(sequence, cameras);
+      const result = Object.assign(CompactTimeline.create(cameraNumbers, plan.totalSamples), {
+        duration: plan.duration,
+        sampleRate: plan.sampleRate,
+        frameRate: plan.timeBase.frameRate,
+        cameras: cameraNumbers,
+        floorDb: levelOptions.floorDb
+      });
+
+      for await (const chunk of this.measureChunks(plan, options)) {
+        result.timestamps.set(chunk.timestamps, chunk.start);
+        for (const num of cameraNumbers) {
+          result.levels[num].set(chunk.levels[num], chunk.start);
+          result.speech[num].set(chunk.speech[num], chunk.start);
+        }
+      }
+
+      // Calibration pass: normalize mic gains before comparing cameras
+      let calibration = null;
+      if (options.calibrate) {
+        calibration = {};
+        for (const num of cameraNumbers) {
+          calibration[num] = this.calibrateCamera(num, result.levels[num], result.speech[num], levelOptions.floorDb);
+        }
+        result.calibration = calibration;
+      }
+
+      this.resolveLevels(result.levels, result.activeCamera, plan, calibration);
+
+      console.log('[AudioAnalyzer] Analysis complete');
+
+      if (cacheKey) {
+        try {
+          await this.cache.write(cacheKey, result);
+        } catch (error) {
+          console.warn('[AudioAnalyzer] Could not cache analysis:', error);
+        }
+      }
+
+      return result;
+
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        console.log('[AudioAnalyzer] Analysis cancelled');
+      } else {
+        console.error('[AudioAnalyzer] Analysis failed:', error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Analyze a sequence chunk by chunk
+   *
+   * Each chunk covers chunkDuration of the sequence and is final once
+   * yielded, so callers can show partial results or stop early. Levels
+   * carry each camera's gain trim but no calibration, which needs the
+   * whole recording (see analyzeCompact); `options.calibrate` is ignored.
+   * The analysis cache is not used.
+   *
+   * @param {Object} sequence - Premiere Pro sequence object
+   * @param {Object} cameras - Camera configuration (see analyzeCompact)
+   * @param {AnalysisOptions} options - Analysis options
+   * @returns {AsyncGenerator<AnalysisChunk>}
+   */
+  async *analyzeChunks(sequence, cameras, options = {}) {
+    this.throwIfAborted(options.signal);
+
+    const plan = await this.prepareAnalysis(sequence, cameras, options);
+
+    for await (const chunk of this.measureChunks(plan, options)) {
+      const activeCamera = new Uint8Array(chunk.timestamps.length);
+      this.resolveLevels(chunk.levels, activeCamera, plan, null);
+      yield Object.assign(chunk, {activeCamera});
+    }
+  }
+
+  /**
+   * Resolve sampling, duration and audio sources of an analysis
+   *
+   * @param {Object} sequence - Premiere Pro sequence object
+   * @param {Object} cameras - Camera configuration
+   * @param {AnalysisOptions} options - Analysis options
+   * @returns {Promise<AnalysisPlan>}
+   * @private
+   */
+  async prepareAnalysis(sequence, cameras, options) {
+    const cameraNumbers = this.getCameraNumbers(cameras);
+    console.log(`[AudioAnalyzer] Cameras: ${cameraNumbers.join(', ')}`);
+
+    // Sample on frame edges so timestamps and cuts line up with the sequence
+    const timeBase = await TimeBase.fromSequence(sequence);
+    const framesPerSample = Math.max(1, timeBase.secondsToFrames(options.sampleRate || 1.0));
+    const sampleRate = timeBase.framesToSeconds(framesPerSample);
+    console.log(`[AudioAnalyzer] Frame rate: ${timeBase.frameRate.toFixed(3)} fps, ${framesPerSample} frames per sample`);
+
+    // Get sequence duration
+    const duration = await this.getSequenceDuration(sequence);
+    console.log(`[AudioAnalyzer] Sequence duration: ${duration}s`);
+
+    // Speaker files replace the camera audio tracks when configured
+    const speakers = (options.speakers || []).filter(speaker => speaker && speaker.mediaPath && cameras[speaker.camera]);
+    let audioTracks = {};
+    if (speakers.length > 0) {
+      console.log(`[AudioAnalyzer] Using ${speakers.length} external speaker files`);
+    } else {
+      audioTracks = await this.getAudioTracksForCameras(sequence, cameras);
       console.log('[AudioAnalyzer] Audio tracks retrieved');
+    }
 
-      // Sample audio levels at regular intervals
-      const timeline = {};
-      const totalSamples = Math.ceil(duration / sampleRate);
-      console.log(`[AudioAnalyzer] Total samples to process: ${totalSamples}`);
+    const totalSamples = Math.ceil(timeBase.secondsToFrames(duration) / framesPerSample);
+    console.log(`[AudioAnalyzer] Total samples to process: ${totalSamples}`);
 
-      for (let i = 0; i < totalSamples; i++) {
-        const timestamp = i * sampleRate;
+    return {
+      cameraNumbers,
+      cameras,
+      timeBase,
+      framesPerSample,
+      sampleRate,
+      duration,
+      totalSamples,
+      levelOptions: {
+        windowSize: sampleRate,
+        levelMetric: options.levelMetric || 'rms',
+        floorDb: options.floorDb || -60
+      },
+      speakers,
+      audioTracks
+    };
+  }
+
+  /**
+   * Measure raw levels and speech probabilities chunk by chunk
+   *
+   * Clip positions are read once per analysis and envelopes once per
+   * chunk, so samples inside a chunk are measured without host calls
+   * (except on tracks that report levels through the host API). A media
+   * file's envelope is released after the last chunk that measures it,
+   * so only the envelopes of clips under the current chunk stay decoded.
+   *
+   * @param {AnalysisPlan} plan - Result of prepareAnalysis
+   * @param {AnalysisOptions} options - Analysis options (chunkDuration, signal)
+   * @returns {AsyncGenerator<AnalysisChunk>} Chunks without activeCamera; levels before gain and calibration
+   * @private
+   */
+  async *measureChunks(plan, options = {}) {
+    const signal = options.signal;
+    const {cameraNumbers, timeBase, framesPerSample, totalSamples} = plan;
+    const samplesPerChunk = Math.max(1, Math.round((options.chunkDuration || CHUNK_DURATION) / plan.sampleRate));
+    const sources = await this.getMeasurementSources(plan);
+    const lastUse = await this.getEnvelopeLastUse(sources);
+    this.signal = signal || null;
 
-        // Get audio level for each camera at this timestamp
-        const levels = await Promise.all([
-          this.getAudioLevelAtTime(audioTracks[1], timestamp, sequence),
-          this.getAudioLevelAtTime(audioTracks[2], timestamp, sequence),
-          this.getAudioLevelAtTime(audioTracks[3], timestamp, sequence)
-        ]);
+    try {
+      for (let start = 0; start < totalSamples; start += samplesPerChunk) {
+        this.throwIfAborted(signal);
+        if (signal && start > 0) {
+          await new Promise(resolve => setTimeout(resolve, 0));
+          this.throwIfAborted(signal);
+        }
 
-        // Determine active camera (highest level)
-        const activeCamera = this.determineActiveCamera(levels);
+        const count = Math.min(samplesPerChunk, totalSamples - start);
+        this.chunkProgress = (start / totalSamples) * 100;
+        const timestamps = new Float64Array(count);
+        for (let i = 0; i < count; i++) {
+          timestamps[i] = timeBase.framesToSeconds((start + i) * framesPerSample);
+        }
 
-        timeline[timestamp] = {
-          camera1: levels[0],
-          camera2: levels[1],
-          camera3: levels[2],
-          activeCamera: activeCamera
-        };
+        const levels = {};
+        const speech = {};
+        for (const num of cameraNumbers) {
+          const measured = await this.measureSourceChunk(sources[num], timestamps, plan.levelOptions);
+          levels[num] = measured.levels;
+          speech[num] = measured.speech;
+        }
 
         // Report progress
         if (this.progressCallback) {
-          const progress = ((i + 1) / totalSamples) * 100;
+          const done = start + count;
+          const progress = (done / totalSamples) * 100;
           this.progressCallback(
             progress,
-            `Analyzing audio: ${Math.round(progress)}% (${i + 1}/${totalSamples})`
+            `Analyzing audio: ${Math.round(progress)}% (${done}/${totalSamples})`
           );
         }
+
+        // Envelopes no later chunk measures
+        const nextTime = timeBase.framesToSeconds((start + count) * framesPerSample);
+        for (const [mediaPath, time] of lastUse) {
+          if (time <= nextTime) {
+            this.envelopeCache.delete(mediaPath);
+            lastUse.delete(mediaPath);
+          }
+        }
+
+        yield {start, totalSamples, timestamps, levels, speech};
       }
+    } finally {
+      this.signal = null;
 
-      console.log('[AudioAnalyzer] Analysis complete');
+      // Speaker files, and everything after a cancelled or failed analysis
+      for (const mediaPath of lastUse.keys()) {
+        this.envelopeCache.delete(mediaPath);
+      }
+    }
+  }
 
-      return {
-        timeline: timeline,
-        duration: duration,
-        sampleRate: sampleRate
-      };
+  /**
+   * Collect what each camera is measured from
+   *
+   * @param {AnalysisPlan} plan - Result of prepareAnalysis
+   * @returns {Promise<Object.<number, Object>>} Per camera: {speakers} with speaker files,
+   *          otherwise {track, offset, spans} with the track's clips and their timing
+   * @private
+   */
+  async getMeasurementSources(plan) {
+    const sources = {};
 
-    } catch (error) {
-      console.error('[AudioAnalyzer] Analysis failed:', error);
-      throw error;
+    for (const num of plan.cameraNumbers) {
+      if (plan.speakers.length > 0) {
+        sources[num] = {speakers: plan.speakers.filter(speaker => speaker.camera === num)};
+        continue;
+      }
+
+      const track = plan.audioTracks[num];
+      const spans = [];
+      if (track && typeof track.getAudioLevels !== 'function') {
+        for (const clip of await TrackItems.getTrackClips(track)) {
+          spans.push({clip, timing: await TrackItems.getClipTiming(clip)});
+        }
+      }
+
+      sources[num] = {track, offset: plan.cameras[num].syncOffset || 0, spans};
+    }
+
+    return sources;
+  }
+
+  /**
+   * Find the last sequence time each media file is measured at
+   *
+   * @param {Object.<number, Object>} sources - Result of getMeasurementSources
+   * @returns {Promise<Map<string, number>>} Sequence seconds keyed by media path;
+   *          Infinity for speaker files, which are measured to the end
+   * @private
+   */
+  async getEnvelopeLastUse(sources) {
+    const lastUse = new Map();
+    const use = (mediaPath, time) => {
+      if (mediaPath) {
+        lastUse.set(mediaPath, Math.max(lastUse.get(mediaPath) || 0, time));
+      }
+    };
+
+    for (const source of Object.values(sources)) {
+      for (const speaker of source.speakers || []) {
+        use(speaker.mediaPath, Infinity);
+      }
+      for (const {clip, timing} of source.spans || []) {
+        // Samples are taken at sequence times before timing.end - offset
+        use(await TrackItems.getClipMediaPath(clip), timing.end - source.offset);
+      }
     }
+
+    return lastUse;
+  }
+
+  /**
+   * Measure one camera over the samples of a chunk
+   *
+   * @param {Object} source - Entry of getMeasurementSources
+   * @param {Float64Array} timestamps - Sample times in sequence seconds
+   * @param {Object} options - Same as getAudioLevelAtTime
+   * @returns {Promise<{levels: Float32Array, speech: Float32Array}>} Silence where nothing is measured
+   * @private
+   */
+  async measureSourceChunk(source, timestamps, options) {
+    const count = timestamps.length;
+    const levels = new Float32Array(count);
+    const speech = new Float32Array(count);
+    const store = (i, measurement) => {
+      levels[i] = Math.max(levels[i], measurement.level);
+      speech[i] = Math.max(speech[i], measurement.speech);
+    };
+
+    // Speakers sharing a camera: the loudest one counts
+    if (source.speakers) {
+      for (const speaker of source.speakers) {
+        const envelope = await this.loadMediaEnvelope(speaker.mediaPath);
+        for (let i = 0; i < count; i++) {
+          store(i, this.measureSpeakerEnvelope(envelope, speaker, timestamps[i], options));
+        }
+      }
+      return {levels, speech};
+    }
+
+    if (!source.track || count === 0) {
+      return {levels, speech};
+    }
+
+    if (typeof source.track.getAudioLevels === 'function') {
+      for (let i = 0; i < count; i++) {
+        store(i, await this.measureAtTime(source.track, timestamps[i] + source.offset, null, options));
+      }
+      return {levels, speech};
+    }
+
+    // Only clips under this chunk are decoded
+    const first = timestamps[0] + source.offset;
+    const last = timestamps[count - 1] + source.offset;
+    const spans = source.spans.filter(({timing}) => timing.end > first && timing.start <= last);
+    const envelopes = [];
+    for (const span of spans) {
+      envelopes.push(await this.loadClipEnvelope(span.clip));
+    }
+
+    for (let i = 0; i < count; i++) {
+      const time = timestamps[i] + source.offset;
+      const index = spans.findIndex(({timing}) => time >= timing.start && time < timing.end);
+      if (index !== -1) {
+        store(i, this.measureClipEnvelope(envelopes[index], spans[index].timing, time, options));
+      }
+    }
+
+    return {levels, speech};
+  }
+
+  /**
+   * Turn raw levels into final levels and pick the active camera, in place
+   *
+   * @param {Object.<number, Float32Array>} levels - Raw levels per camera; overwritten
+   * @param {Uint8Array} activeCamera - Filled with the loudest camera per sample
+   * @param {AnalysisPlan} plan - Result of prepareAnalysis
+   * @param {Object.<number, CameraCalibration|null>|null} calibration - Calibration per camera (null = none)
+   * @private
+   */
+  resolveLevels(levels, activeCamera, plan, calibration) {
+    const {cameraNumbers, cameras, levelOptions} = plan;
+    const row = new Array(cameraNumbers.length);
+
+    for (let i = 0; i < activeCamera.length; i++) {
+      cameraNumbers.forEach((num, index) => {
+        levels[num][i] = this.normalizeCameraLevel(
+          levels[num][i],
+          calibration ? calibration[num] : null,
+          cameras[num].gainDb || 0,
+          levelOptions.floorDb
+        );
+        row[index] = levels[num][i];
+      });
+
+      // Determine active camera (highest level)
+      activeCamera[i] = cameraNumbers[this.determineActiveCamera(row) - 1];
+    }
+  }
+
+  /**
+   * Build the cache key of an analysis
+   *
+   * The key covers every media file that would be read (path, size,
+   * modification time), where each clip sits on the timeline, the camera
+   * settings that change levels and the analysis settings.
+   *
+   * @param {number[]} cameraNumbers - Analyzed cameras
+   * @param {Object} cameras - Camera configuration
+   * @param {Object.<number, Object>} audioTracks - Audio track per camera (empty with speaker files)
+   * @param {SpeakerSource[]} speakers - External speaker audio in use
+   * @param {Object} settings - Sampling and level settings of this analysis
+   * @returns {Promise<CacheKey|null>} null when a media file cannot be inspected
+   *                                   or a track reports levels through the host API
+   * @private
+   */
+  async getAnalysisCacheKey(cameraNumbers, cameras, audioTracks, speakers, settings) {
+    const describeFile = async (mediaPath) => {
+      const info = mediaPath ? await this.cache.getFileInfo(mediaPath) : null;
+      return info ? [mediaPath, info.size, info.modified] : null;
+    };
+
+    const cameraMaterial = [];
+    for (const num of cameraNumbers) {
+      const track = audioTracks[num];
+      if (track && typeof track.getAudioLevels === 'function') {
+        return null;
+      }
+
+      const clips = [];
+      for (const clip of track ? await TrackItems.getTrackClips(track) : []) {
+        const file = await describeFile(await TrackItems.getClipMediaPath(clip));
+        if (!file) {
+          return null;
+        }
+        const timing = await TrackItems.getClipTiming(clip);
+        clips.push([...file, timing.start, timing.end, timing.inPoint]);
+      }
+
+      cameraMaterial.push([num, cameras[num].syncOffset || 0, cameras[num].gainDb || 0, clips]);
+    }
+
+    const speakerMaterial = [];
+    for (const speaker of speakers) {
+      const file = await describeFile(speaker.mediaPath);
+      if (!file) {
+        return null;
+      }
+      speakerMaterial.push([...file, speaker.offset || 0, speaker.camera]);
+    }
+
+    return this.cache.createKey('analysis', Object.assign({version: CACHE_VERSION}, settings, {
+      cameras: cameraMaterial,
+      speakers: speakerMaterial
+    }));
+  }
+
+  /**
+   * Measure one camera's noise floor and typical speech level
+   *
+   * The noise floor is the 10th percentile of the camera's levels. The
+   * speech level is the median of samples the VAD marks as speech, or the
+   * 90th percentile when the camera has too few of them. Cameras whose
+   * speech is less than MIN_CALIBRATION_RANGE_DB above the floor (silent or
+   * unplugged mics) are left uncalibrated.
+   *
+   * @param {number} num - Camera number (for logging)
+   * @param {ArrayLike<number>} levels - Raw level per sample
+   * @param {ArrayLike<number>} speech - Speech probability per sample
+   * @param {number} floorDb - dBFS level mapped to 0.0
+   * @returns {CameraCalibration|null} null when the camera is left uncalibrated
+   * @private
+   */
+  calibrateCamera(num, levels, speech, floorDb) {
+    const toDb = level => Math.round((floorDb + level * -floorDb) * 10) / 10;
+    const percentile = (values, p) => values[Math.min(values.length - 1, Math.floor(p * values.length))];
+
+    // Typed arrays sort numerically
+    const all = Float64Array.from(levels);
+    const speaking = all.filter((level, i) => speech[i] >= CALIBRATION_SPEECH_PROBABILITY).sort();
+    all.sort();
+
+    if (all.length === 0) {
+      return null;
+    }
+
+    const noiseFloorDb = toDb(percentile(all, 0.1));
+    const speechDb = toDb(speaking.length >= MIN_CALIBRATION_SAMPLES ? percentile(speaking, 0.5) : percentile(all, 0.9));
+
+    if (speechDb - noiseFloorDb < MIN_CALIBRATION_RANGE_DB) {
+      console.log(`[AudioAnalyzer] Camera ${num}: not calibrated (speech ${speechDb} dBFS, floor ${noiseFloorDb} dBFS)`);
+      return null;
+    }
+
+    console.log(`[AudioAnalyzer] Camera ${num}: floor ${noiseFloorDb} dBFS, speech ${speechDb} dBFS`);
+    return {noiseFloorDb, speechDb};
+  }
+
+  /**
+   * Apply calibration and a manual gain trim to a camera level
+   *
+   * Calibration maps the camera's noise floor to 0.0 and its speech level
+   * to TARGET_SPEECH_LEVEL, so a hot mic no longer wins every close call.
+   * The gain trim then shifts the result by gainDb (positive favours the
+   * camera). Silence stays 0.0.
+   *
+   * @param {number} level - Measured level 0.0-1.0
+   * @param {CameraCalibration|null} calibration - Camera calibration (null = none)
+   * @param {number} [gainDb=0] - Manual trim in dB
+   * @param {number} [floorDb=-60] - dBFS level mapped to 0.0
+   * @returns {number} Normalized level 0.0-1.0
+   */
+  normalizeCameraLevel(level, calibration, gainDb = 0, floorDb = -60) {
+    if (!(level > 0)) {
+      return 0.0;
+    }
+
+    let normalized = level;
+    if (calibration) {
+      const floor = (calibration.noiseFloorDb - floorDb) / -floorDb;
+      const speech = (calibration.speechDb - floorDb) / -floorDb;
+      normalized = TARGET_SPEECH_LEVEL * (level - floor) / (speech - floor);
+    }
+
+    normalized += gainDb / -floorDb;
+
+    return Math.min(1.0, Math.max(0.0, normalized));
+  }
+
+  /**
+   * Get configured camera numbers in ascending order
+   *
+   * @param {Object} cameras - Camera configuration keyed by camera number
+   * @returns {number[]} Camera numbers
+   * @private
+   */
+  getCameraNumbers(cameras) {
+    const cameraNumbers = Object.keys(cameras || {})
+      .map(Number)
+      .filter(num => cameras[num])
+      .sort((a, b) => a - b);
+
+    if (cameraNumbers.length === 0) {
+      throw new Error('No cameras configured');
+    }
+
+    return cameraNumbers;
   }
 
   /**
@@ -119,20 +823,16 @@ class AudioAnalyzer {
     try {
       // Try to get duration from sequence end time
       // UXP API: sequence.end returns time in ticks
-      // We need to convert to seconds
-
+      // (sequence.timebase is ticks per frame, not per second)
       if (sequence.end !== undefined) {
-        // Premiere Pro uses ticks (254016000000 ticks = 1 second at 24fps)
-        const ticksPerSecond = sequence.timebase || 254016000000;
-        const durationInSeconds = sequence.end / ticksPerSecond;
-        return durationInSeconds;
+        return TimeBase.ticksToSeconds(sequence.end);
       }
 
       // Fallback: Try to get from sequence properties
       if (sequence.getSettings) {
         const settings = await sequence.getSettings();
         if (settings.videoFrameRate && settings.videoFrameCount) {
-          return settings.videoFrameCount / settings.videoFrameRate.num * settings.videoFrameRate.den;
+          return new TimeBase(settings.videoFrameRate).framesToSeconds(settings.videoFrameCount);
         }
       }
 
@@ -152,7 +852,7 @@ class AudioAnalyzer {
    *
    * @param {Object} sequence - Premiere Pro sequence
    * @param {Object} cameras - Camera configuration
-   * @returns {Promise<Object>} Audio tracks {1: track, 2: track, 3: track}
+   * @returns {Promise<Object>} Audio tracks keyed by camera number {1: track, ..., N: track}
    * @private
    */
   async getAudioTracksForCameras(sequence, cameras) {
@@ -183,13 +883,19 @@ class AudioAnalyzer {
 
       console.log(`[AudioAnalyzer] Found ${audioTracksArray.length} audio tracks`);
 
-      // Map camera track indices to audio tracks
-      // Assumption: audio track index corresponds to video track index
-      const result = {
-        1: audioTracksArray[cameras[1].trackIndex],
-        2: audioTracksArray[cameras[2].trackIndex],
-        3: audioTracksArray[cameras[3].trackIndex]
-      };
+      // Map each camera to its assigned audio track
+      // (falls back to the video track index when no audio track was picked)
+      const result = {};
+      for (const num of this.getCameraNumbers(cameras)) {
+        const camera = cameras[num];
+        const audioIndex = Number.isInteger(camera.audioTrackIndex) ? camera.audioTrackIndex : camera.trackIndex;
+
+        if (audioIndex >= audioTracksArray.length) {
+          throw new Error(`Audio track ${audioIndex + 1} not found for Camera ${num}`);
+        }
+
+        result[num] = audioTracksArray[audioIndex];
+      }
 
       return result;
 
@@ -202,103 +908,316 @@ class AudioAnalyzer {
   /**
    * Get audio level at specific timestamp
    *
-   * PoC: This is the critical function that needs API verification
-   * Multiple strategies attempted in order of preference
+   * Strategies in order of preference:
+   * 1. Host audio level API (if the Premiere build exposes one)
+   * 2. PCM decoded from the media file of the clip under the playhead
+   *
+   * A track with no clip at the timestamp is treated as silence. Media that
+   * cannot be read or decoded raises an error instead of guessing a level.
    *
    * @param {Object} audioTrack - Premiere Pro audio track
    * @param {number} timestamp - Time in seconds
    * @param {Object} sequence - Premiere Pro sequence (for clip access)
+   * @param {Object} [options]
+   * @param {number} [options.windowSize=0.1] - Measurement window in seconds
+   * @param {'rms'|'peak'} [options.levelMetric='rms'] - Level to report
+   * @param {number} [options.floorDb=-60] - dBFS level mapped to 0.0
    * @returns {Promise<number>} Audio level 0.0-1.0
    * @private
    */
-  async getAudioLevelAtTime(audioTrack, timestamp, sequence) {
-    try {
-      // Strategy 1: Direct audio level API (ideal, but may not exist)
-      if (typeof audioTrack.getAudioLevels === 'function') {
-        const levels = await audioTrack.getAudioLevels(timestamp, timestamp + 0.1);
+  async getAudioLevelAtTime(audioTrack, timestamp, sequence, options = {}) {
+    return (await this.measureAtTime(audioTrack, timestamp, sequence, options)).level;
+  }
+
+  /**
+   * Measure audio level and speech probability at a specific timestamp
+   *
+   * Same strategies as getAudioLevelAtTime. The host level API carries no
+   * spectral detail, so its speech probability is based on energy alone.
+   *
+   * @param {Object} audioTrack - Premiere Pro audio track
+   * @param {number} timestamp - Time in seconds
+   * @param {Object} sequence - Premiere Pro sequence (for clip access)
+   * @param {Object} [options] - Same as getAudioLevelAtTime
+   * @returns {Promise<AudioMeasurement>}
+   * @private
+   */
+  async measureAtTime(audioTrack, timestamp, sequence, options = {}) {
+    const windowSize = options.windowSize || 0.1;
+    const floorDb = options.floorDb || -60;
+    const silence = {level: 0.0, speech: 0.0};
+
+    if (!audioTrack) {
+      return silence;
+    }
+
+    // Strategy 1: Direct audio level API (ideal, but may not exist)
+    if (typeof audioTrack.getAudioLevels === 'function') {
+      try {
+        const levels = await audioTrack.getAudioLevels(timestamp, timestamp + windowSize);
         if (levels && levels.length > 0) {
           // Average the levels
           const avg = levels.reduce((sum, level) => sum + level, 0) / levels.length;
-          return Math.min(1.0, Math.max(0.0, avg));
+          const level = Math.min(1.0, Math.max(0.0, avg));
+          return {level, speech: this.speechProbability(level, {}, floorDb)};
         }
+      } catch (error) {
+        console.warn(`[AudioAnalyzer] Host audio level API failed at ${timestamp}s:`, error);
       }
+    }
 
-      // Strategy 2: Get clip at timestamp and use its volume as proxy
-      const clip = await this.getClipAtTime(audioTrack, timestamp);
-      if (clip) {
-        // Try to get volume/gain from clip
-        let volume = 1.0;
-
-        if (clip.audioChannelMapping && clip.audioChannelMapping.volume !== undefined) {
-          volume = clip.audioChannelMapping.volume;
-        } else if (typeof clip.getVolume === 'function') {
-          volume = await clip.getVolume();
-        } else if (clip.volume !== undefined) {
-          volume = clip.volume;
-        }
+    // Strategy 2: Decode PCM from the clip's media file
+    const clip = await this.getClipAtTime(audioTrack, timestamp);
+    if (!clip) {
+      return silence;
+    }
 
-        // Normalize to 0.0-1.0 range
-        // Premiere Pro volume is typically in dB or 0-1 linear scale
-        // For now, assume 0-1 scale
-        return Math.min(1.0, Math.max(0.0, volume));
-      }
+    const timing = await TrackItems.getClipTiming(clip);
+    const envelope = await this.loadClipEnvelope(clip);
 
-      // Strategy 3: Fallback - simulate based on timestamp (for testing only)
-      // This generates a simple sine wave pattern for demo purposes
-      const simulated = Math.abs(Math.sin(timestamp / 5)) * 0.8;
-      console.warn(`[AudioAnalyzer] Using simulated audio level at ${timestamp}s: ${simulated.toFixed(2)}`);
-      return simulated;
+    return this.measureClipEnvelope(envelope, timing, timestamp, options);
+  }
 
-    } catch (error) {
-      console.warn(`[AudioAnalyzer] Failed to get audio level at ${timestamp}s:`, error);
+  /**
+   * Measure a clip's decoded envelope at a sequence time
+   *
+   * @param {AudioEnvelope} envelope - Envelope of the clip's media file
+   * @param {{start: number, end: number, inPoint: number}} timing - Result of getClipTiming
+   * @param {number} timestamp - Time in sequence seconds (inside the clip)
+   * @param {Object} [options] - Same as getAudioLevelAtTime
+   * @returns {AudioMeasurement}
+   * @private
+   */
+  measureClipEnvelope(envelope, timing, timestamp, options = {}) {
+    const windowSize = options.windowSize || 0.1;
+    const levelMetric = options.levelMetric || 'rms';
+    const floorDb = options.floorDb || -60;
+
+    // Map sequence time into the clip's source media time
+    const sourceStart = timestamp - timing.start + timing.inPoint;
+    const sourceEnd = Math.min(sourceStart + windowSize, timing.inPoint + (timing.end - timing.start));
+
+    return this.toMeasurement(this.decoder.measure(envelope, sourceStart, sourceEnd), levelMetric, floorDb);
+  }
+
+  /**
+   * Measure a speaker file's decoded envelope at a sequence time
+   *
+   * @param {AudioEnvelope} envelope - Envelope of the speaker's file
+   * @param {SpeakerSource} speaker - External speaker audio
+   * @param {number} timestamp - Time in sequence seconds
+   * @param {Object} [options] - Same as getAudioLevelAtTime
+   * @returns {AudioMeasurement} Silence outside the recording
+   * @private
+   */
+  measureSpeakerEnvelope(envelope, speaker, timestamp, options = {}) {
+    const windowSize = options.windowSize || 0.1;
+    const levelMetric = options.levelMetric || 'rms';
+    const floorDb = options.floorDb || -60;
+
+    const sourceStart = timestamp - (speaker.offset || 0);
+
+    if (sourceStart < 0 || sourceStart >= envelope.duration) {
+      return {level: 0.0, speech: 0.0};
+    }
+
+    return this.toMeasurement(this.decoder.measure(envelope, sourceStart, sourceStart + windowSize), levelMetric, floorDb);
+  }
+
+  /**
+   * Turn a decoder measurement into a meter level and speech probability
+   *
+   * @param {LevelMeasurement} measurement - Result of AudioDecoder.measure
+   * @param {'rms'|'peak'} levelMetric - Level to report
+   * @param {number} floorDb - dBFS level mapped to 0.0
+   * @returns {AudioMeasurement}
+   * @private
+   */
+  toMeasurement(measurement, levelMetric, floorDb) {
+    const linear = levelMetric === 'peak' ? measurement.peak : measurement.rms;
+    const level = this.normalizeLevel(linear, floorDb);
+
+    // Energy is judged on RMS even when the level reports peaks
+    return {
+      level,
+      speech: this.speechProbability(this.normalizeLevel(measurement.rms, floorDb), measurement, floorDb)
+    };
+  }
+
+  /**
+   * Estimate how likely a window holds speech rather than other sound
+   *
+   * Energy gates the estimate: windows below VAD.quietDb score 0 and
+   * windows above VAD.speechDb score fully. Door slams and hum put little
+   * energy in the 300-3400 Hz speech band, clicks and hiss cross zero far
+   * more often than voice, so both features scale the energy score.
+   * Without spectral features (host level API) energy alone is used.
+   *
+   * @param {number} level - RMS level 0.0-1.0 on the meter scale
+   * @param {{zeroCrossingRate?: number, speechBandRatio?: number}} features - Voice features from AudioDecoder.measure
+   * @param {number} [floorDb=-60] - dBFS level mapped to 0.0
+   * @returns {number} Speech probability 0.0-1.0
+   */
+  speechProbability(level, features, floorDb = -60) {
+    if (!(level > 0)) {
       return 0.0;
     }
+
+    const ramp = (value, from, to) => Math.min(1, Math.max(0, (value - from) / (to - from)));
+    const db = floorDb + level * -floorDb;
+    const energy = ramp(db, VAD.quietDb, VAD.speechDb);
+
+    if (!features || typeof features.zeroCrossingRate !== 'number' || typeof features.speechBandRatio !== 'number') {
+      return energy;
+    }
+
+    const crossings = features.zeroCrossingRate;
+    const crossingScore = crossings < VAD.voicedCrossings ?
+      ramp(crossings, VAD.minCrossings, VAD.voicedCrossings) :
+      1 - ramp(crossings, VAD.unvoicedCrossings, VAD.maxCrossings);
+    const bandScore = ramp(features.speechBandRatio, VAD.minBandRatio, VAD.fullBandRatio);
+
+    return energy * (VAD.bandWeight * bandScore + (1 - VAD.bandWeight) * crossingScore);
   }
 
   /**
-   * Get clip at specific time in audio track
+   * Map a linear amplitude onto the 0.0-1.0 meter scale
    *
-   * @param {Object} audioTrack - Premiere Pro audio track
-   * @param {number} timestamp - Time in seconds
-   * @returns {Promise<Object|null>} Clip or null
+   * The scale is logarithmic: floorDb maps to 0.0 and 0 dBFS maps to 1.0,
+   * so normal speech (around -20 dBFS RMS) lands well above the silence floor.
+   *
+   * @param {number} linear - Linear amplitude (0.0-1.0)
+   * @param {number} floorDb - dBFS level mapped to 0.0
+   * @returns {number} Level 0.0-1.0
+   */
+  normalizeLevel(linear, floorDb = -60) {
+    if (!(linear > 0)) {
+      return 0.0;
+    }
+
+    const db = 20 * Math.log10(linear);
+    return Math.min(1.0, Math.max(0.0, (db - floorDb) / -floorDb));
+  }
+
+  /**
+   * Decode (or reuse) the level envelope of a clip's media file
+   *
+   * @param {Object} clip - Premiere Pro track item
+   * @returns {Promise<AudioEnvelope>}
    * @private
    */
-  async getClipAtTime(audioTrack, timestamp) {
-    try {
-      // Get clips from audio track
-      let clips = null;
+  async loadClipEnvelope(clip) {
+    const mediaPath = await TrackItems.getClipMediaPath(clip);
 
-      if (typeof audioTrack.getClips === 'function') {
-        clips = await audioTrack.getClips();
-      } else if (audioTrack.clips) {
-        clips = audioTrack.clips;
-      }
+    if (!mediaPath) {
+      throw new Error(`Could not resolve media file for audio clip "${clip.name || 'unnamed'}"`);
+    }
 
-      if (!clips) {
-        return null;
+    return this.loadMediaEnvelope(mediaPath);
+  }
+
+  /**
+   * Decode (or reuse) the level envelope of a media file
+   *
+   * @param {string} mediaPath - Absolute media file path
+   * @returns {Promise<AudioEnvelope>}
+   * @private
+   */
+  async loadMediaEnvelope(mediaPath) {
+    // Cache the promise so cameras sharing a file decode it only once
+    if (!this.envelopeCache.has(mediaPath)) {
+      const pending = this.readEnvelope(mediaPath)
+        .catch(error => {
+          this.envelopeCache.delete(mediaPath);
+          if (error.name === 'AbortError') {
+            throw error;
+          }
+          throw new Error(`Failed to decode audio from ${mediaPath}: ${error.message}`);
+        });
+
+      this.envelopeCache.set(mediaPath, pending);
+    }
+
+    return this.envelopeCache.get(mediaPath);
+  }
+
+  /**
+   * Decode a media file's envelope, or read it from the cache
+   *
+   * @param {string} mediaPath - Absolute media file path
+   * @returns {Promise<AudioEnvelope>}
+   * @private
+   */
+  async readEnvelope(mediaPath) {
+    const info = this.cache ? await this.cache.getFileInfo(mediaPath) : null;
+    const key = info ? this.cache.createKey('envelope', {
+      version: CACHE_VERSION,
+      mediaPath,
+      size: info.size,
+      modified: info.modified
+    }) : null;
+
+    if (key) {
+      const cached = await this.cache.read(key);
+      if (cached) {
+        return cached;
       }
+    }
 
-      // Convert to array
-      let clipsArray = [];
-      if (Array.isArray(clips)) {
-        clipsArray = clips;
-      } else if (clips.length !== undefined) {
-        clipsArray = Array.from({length: clips.length}, (_, i) => clips[i]);
-      } else if (clips.numItems !== undefined && typeof clips.getItemAt === 'function') {
-        clipsArray = Array.from({length: clips.numItems}, (_, i) => clips.getItemAt(i));
+    // Decoded in the worker, one byte range at a time; its progress keeps the panel's progress text moving
+    const fileName = mediaPath.split(/[\\/]/).pop();
+    const file = await this.openMediaFile(mediaPath);
+    let envelope;
+    try {
+      envelope = await this.worker.decodeEnvelope(file, {
+        signal: this.signal || undefined,
+        onProgress: progress => {
+          if (this.progressCallback) {
+            this.progressCallback(this.chunkProgress, `Decoding ${fileName}: ${Math.round(progress * 100)}%`);
+          }
+        }
+      });
+    } finally {
+      await file.close();
+    }
+
+    if (key) {
+      try {
+        await this.cache.write(key, envelope);
+      } catch (error) {
+        console.warn(`[AudioAnalyzer] Could not cache envelope of ${mediaPath}:`, error);
       }
+    }
 
-      // Find clip that contains this timestamp
-      for (const clip of clipsArray) {
-        const start = clip.start || 0;
-        const end = clip.end || 0;
+    return envelope;
+  }
 
-        // Convert ticks to seconds if needed
-        const ticksPerSecond = 254016000000; // Default for 24fps
-        const startInSeconds = start / ticksPerSecond;
-        const endInSeconds = end / ticksPerSecond;
+  /**
+   * Open a media file for ranged reads
+   *
+   * @param {string} mediaPath - Absolute file path
+   * @returns {Promise<MediaFile>}
+   * @private
+   */
+  async openMediaFile(mediaPath) {
+    return MediaFile.open(mediaPath);
+  }
+
+  /**
+   * Get clip at specific time in audio track
+   *
+   * @param {Object} audioTrack - Premiere Pro audio track
+   * @param {number} timestamp - Time in seconds
+   * @returns {Promise<Object|null>} Clip or null
+   * @private
+   */
+  async getClipAtTime(audioTrack, timestamp) {
+    try {
+      // Find clip that contains this timestamp
+      for (const clip of await TrackItems.getTrackClips(audioTrack)) {
+        const {start, end} = await TrackItems.getClipTiming(clip);
 
-        if (timestamp >= startInSeconds && timestamp < endInSeconds) {
+        if (timestamp >= start && timestamp < end) {
           return clip;
         }
       }
@@ -311,11 +1230,70 @@ class AudioAnalyzer {
     }
   }
 
+  /**
+   * Read a track's level at a fixed step over a span of sequence time
+   *
+   * Clips and envelopes are resolved once per call, so this is cheap enough
+   * for the fine resolution SyncDetector correlates at.
+   *
+   * @param {Object} audioTrack - Premiere Pro audio track
+   * @param {number} startTime - Span start in sequence seconds
+   * @param {number} duration - Span length in seconds
+   * @param {Object} [options]
+   * @param {number} [options.step=0.01] - Seconds per value
+   * @param {number} [options.floorDb=-60] - dBFS level mapped to 0.0
+   * @param {AbortSignal} [options.signal] - Checked before each clip and passed on to the audio worker
+   * @returns {Promise<Float32Array>} Levels 0.0-1.0; 0.0 where the track has no clip
+   * @throws {Error} AbortError when options.signal is aborted
+   */
+  async getLevelSeries(audioTrack, startTime, duration, options = {}) {
+    const step = options.step || 0.01;
+    const floorDb = options.floorDb || -60;
+    const signal = options.signal;
+    const levels = new Float32Array(Math.max(0, Math.floor(duration / step)));
+
+    this.throwIfAborted(signal);
+    if (!audioTrack) {
+      return levels;
+    }
+
+    const spans = [];
+    this.signal = signal || null;
+    try {
+      for (const clip of await TrackItems.getTrackClips(audioTrack)) {
+        this.throwIfAborted(signal);
+        const timing = await TrackItems.getClipTiming(clip);
+        if (timing.end > startTime && timing.start < startTime + duration) {
+          spans.push({timing, envelope: await this.loadClipEnvelope(clip)});
+        }
+      }
+    } finally {
+      this.signal = null;
+    }
+
+    for (let i = 0; i < levels.length; i++) {
+      const time = startTime + i * step;
+      const span = spans.find(({timing}) => time >= timing.start && time < timing.end);
+      if (!span) {
+        continue;
+      }
+
+      const sourceStart = time - span.timing.start + span.timing.inPoint;
+      const measurement = this.decoder.measure(span.envelope, sourceStart, sourceStart + step);
+      levels[i] = this.normalizeLevel(measurement.rms, floorDb);
+    }
+
+    return levels;
+  }
+
   /**
    * Determine which camera is active based on audio levels
    *
-   * @param {number[]} levels - [camera1Level, camera2Level, camera3Level]
-   * @returns {1|2|3} Active camera number
+   * This is the raw per-sample decision; CutGenerator smooths it with its
+   * attack/hold/margin switching model.
+   *
+   * @param {number[]} levels - [camera1Level, camera2Level, ..., cameraNLevel]
+   * @returns {number} Active camera position (1-indexed into levels)
    * @private
    */
   determineActiveCamera(levels) {
@@ -338,6 +1316,21 @@ class AudioAnalyzer {
   onProgress(callback) {
     this.progressCallback = callback;
   }
+
+  /**
+   * Throw an AbortError if the signal has been aborted
+   *
+   * @param {AbortSignal} [signal] - Cancellation signal (ignored when absent)
+   * @throws {Error} AbortError
+   * @private
+   */
+  throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+      const error = new Error('Analysis cancelled');
+      error.name = 'AbortError';
+      throw error;
+    }
+  }
 }
 
 // Export for use in main.js
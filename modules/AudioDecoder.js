@@ -0,0 +1,692 @@
+/**
+ * AudioDecoder Module
+ *
+ * Purpose: Decode PCM audio from WAV/AIFF media files into level envelopes
+ * Algorithm: Container parsing + per-block mean square / peak accumulation,
+ *            plus zero-crossing rate and speech-band energy share for voice detection;
+ *            files are read in fixed-size byte ranges, so memory stays bounded
+ *            by the range size and the envelope
+ *
+ * @module AudioDecoder
+ */
+
+/**
+ * @typedef {Object} AudioFormat
+ * @property {'wav'|'aiff'} container - Container type
+ * @property {number} sampleRate - Audio sample rate in Hz
+ * @property {number} channels - Number of interleaved channels
+ * @property {number} bitsPerSample - Bits per sample (8, 16, 24, 32 or 64)
+ * @property {'int'|'float'} encoding - Sample encoding
+ * @property {boolean} littleEndian - Byte order of the sample data
+ * @property {number} dataOffset - Byte offset of the first sample frame
+ * @property {number} frameCount - Number of sample frames
+ * @property {number} duration - Duration in seconds
+ */
+
+/**
+ * @typedef {Object} AudioEnvelope
+ * @property {number} sampleRate - Audio sample rate of the source media in Hz
+ * @property {number} blockDuration - Duration of one envelope block in seconds
+ * @property {number} blockCount - Number of envelope blocks
+ * @property {Float32Array} meanSquare - Mean square of all channels per block (linear)
+ * @property {Float32Array} peak - Absolute peak of all channels per block (0.0-1.0)
+ * @property {Float32Array} zeroCrossings - Zero crossings per second of the channel mix per block
+ * @property {Float32Array} speechBand - Share of the channel mix energy in the speech band per block (0.0-1.0)
+ * @property {number} duration - Duration in seconds
+ */
+
+/**
+ * @typedef {Object} LevelMeasurement
+ * @property {number} rms - RMS level over the window (0.0-1.0, linear)
+ * @property {number} peak - Peak level over the window (0.0-1.0, linear)
+ * @property {number} [zeroCrossingRate] - Zero crossings per second, energy-weighted over the window
+ * @property {number} [speechBandRatio] - Share of energy in the speech band, energy-weighted (0.0-1.0)
+ */
+
+/**
+ * @typedef {Object} EnvelopeState
+ * @property {AudioFormat} format - Format of the file being decoded
+ * @property {number} framesPerBlock - Sample frames per envelope block
+ * @property {number} frame - Sample frames decoded so far
+ * @property {Uint8Array|null} carry - Bytes of a sample frame split across ranges
+ * @property {Object} block - Running sums of the block being decoded
+ * @property {Object} filter - Speech band filter state
+ * @property {AudioEnvelope} envelope - Envelope being filled
+ */
+
+/**
+ * Speech band edges in Hz (telephone band, where most speech energy lies)
+ * @type {{low: number, high: number}}
+ */
+const SPEECH_BAND = {low: 300, high: 3400};
+
+/**
+ * Bytes read from the start of a file to find its format (more if the header is longer)
+ * @type {number}
+ */
+const HEADER_BYTES = 64 * 1024;
+
+/**
+ * Bytes of sample data read and decoded at a time
+ * @type {number}
+ */
+const RANGE_BYTES = 4 * 1024 * 1024;
+
+/**
+ * Bytes past a chunk header that the format fields of fmt/COMM/SSND fit in
+ * @type {number}
+ */
+const CHUNK_FIELD_BYTES = 64;
+
+class AudioDecoder {
+  constructor() {
+    console.log('[AudioDecoder] Initialized');
+  }
+
+  /**
+   * Parse the container header of a WAV or AIFF/AIFC file
+   *
+   * The buffer may hold only the start of the file. If the chunks needed
+   * run past it, an error named 'HeaderIncomplete' is thrown whose
+   * `headerBytes` says how much of the file to read instead.
+   *
+   * @param {ArrayBuffer} buffer - Raw file contents, or the start of them
+   * @param {number} [fileSize] - Size of the whole file (default: buffer length)
+   * @returns {AudioFormat}
+   */
+  parseFormat(buffer, fileSize = buffer.byteLength) {
+    const view = new DataView(buffer);
+
+    if (view.byteLength < 12) {
+      throw new Error('File too small to be a WAV or AIFF file');
+    }
+
+    const chunkId = this.readFourCC(view, 0);
+    const formType = this.readFourCC(view, 8);
+
+    if ((chunkId === 'RIFF' || chunkId === 'RF64') && formType === 'WAVE') {
+      return this.parseWav(view, fileSize);
+    }
+
+    if (chunkId === 'FORM' && (formType === 'AIFF' || formType === 'AIFC')) {
+      return this.parseAiff(view, formType === 'AIFC', fileSize);
+    }
+
+    throw new Error(`Unsupported audio container: ${chunkId}/${formType} (WAV or AIFF required)`);
+  }
+
+  /**
+   * Read the format of a file from as few leading bytes as possible
+   *
+   * @param {{size: number, read: function(number, number): Promise<ArrayBuffer>}} file - See MediaFile
+   * @returns {Promise<AudioFormat>}
+   */
+  async readFormat(file) {
+    let length = Math.min(file.size, HEADER_BYTES);
+
+    for (;;) {
+      try {
+        return this.parseFormat(await file.read(0, length), file.size);
+      } catch (error) {
+        if (error.name !== 'HeaderIncomplete' || length >= file.size) {
+          throw error;
+        }
+        length = Math.min(file.size, Math.max(error.headerBytes, length * 2));
+      }
+    }
+  }
+
+  /**
+   * Throw a HeaderIncomplete error when a header field lies past the bytes read
+   *
+   * @param {DataView} view - Start of the file
+   * @param {number} end - Byte offset the field ends at
+   * @param {number} fileSize - Size of the whole file
+   * @private
+   */
+  requireHeaderBytes(view, end, fileSize) {
+    if (end > view.byteLength && view.byteLength < fileSize) {
+      const error = new Error(`Audio header continues past byte ${view.byteLength}`);
+      error.name = 'HeaderIncomplete';
+      error.headerBytes = Math.min(fileSize, end);
+      throw error;
+    }
+  }
+
+  /**
+   * Parse RIFF/WAVE chunks
+   *
+   * @param {DataView} view - Start of the file
+   * @param {number} fileSize - Size of the whole file
+   * @returns {AudioFormat}
+   * @private
+   */
+  parseWav(view, fileSize) {
+    let format = null;
+    let offset = 12;
+
+    for (;;) {
+      this.requireHeaderBytes(view, offset + 8 + CHUNK_FIELD_BYTES, fileSize);
+      if (offset + 8 > view.byteLength) {
+        break;
+      }
+
+      const id = this.readFourCC(view, offset);
+      const size = view.getUint32(offset + 4, true);
+      const body = offset + 8;
+
+      if (id === 'fmt ') {
+        let formatTag = view.getUint16(body, true);
+        const channels = view.getUint16(body + 2, true);
+        const sampleRate = view.getUint32(body + 4, true);
+        const bitsPerSample = view.getUint16(body + 14, true);
+
+        // WAVE_FORMAT_EXTENSIBLE stores the real format tag in the sub-format GUID
+        if (formatTag === 0xFFFE && size >= 40) {
+          formatTag = view.getUint16(body + 24, true);
+        }
+
+        if (formatTag !== 1 && formatTag !== 3) {
+          throw new Error(`Unsupported WAV encoding (format tag ${formatTag}); only PCM and IEEE float are supported`);
+        }
+
+        format = {
+          container: 'wav',
+          sampleRate: sampleRate,
+          channels: channels,
+          bitsPerSample: bitsPerSample,
+          encoding: formatTag === 3 ? 'float' : 'int',
+          littleEndian: true
+        };
+      } else if (id === 'data') {
+        if (!format) {
+          throw new Error('WAV data chunk found before fmt chunk');
+        }
+
+        // Streams written while recording may carry a placeholder size
+        const available = fileSize - body;
+        const dataLength = (size === 0 || size === 0xFFFFFFFF || size > available) ? available : size;
+
+        return this.finalizeFormat(format, body, dataLength);
+      }
+
+      // Chunks are word-aligned
+      offset = body + size + (size % 2);
+    }
+
+    throw new Error('WAV file has no data chunk');
+  }
+
+  /**
+   * Parse FORM/AIFF and FORM/AIFC chunks
+   *
+   * @param {DataView} view - Start of the file
+   * @param {boolean} isAifc - Whether the file is AIFF-C
+   * @param {number} fileSize - Size of the whole file
+   * @returns {AudioFormat}
+   * @private
+   */
+  parseAiff(view, isAifc, fileSize) {
+    let format = null;
+    let offset = 12;
+
+    for (;;) {
+      this.requireHeaderBytes(view, offset + 8 + CHUNK_FIELD_BYTES, fileSize);
+      if (offset + 8 > view.byteLength) {
+        break;
+      }
+
+      const id = this.readFourCC(view, offset);
+      const size = view.getUint32(offset + 4, false);
+      const body = offset + 8;
+
+      if (id === 'COMM') {
+        const channels = view.getUint16(body, false);
+        const bitsPerSample = view.getUint16(body + 6, false);
+        const sampleRate = this.readExtended(view, body + 8);
+
+        let encoding = 'int';
+        let littleEndian = false;
+
+        if (isAifc && size >= 22) {
+          const compression = this.readFourCC(view, body + 18);
+
+          if (compression === 'sowt') {
+            littleEndian = true;
+          } else if (compression === 'fl32' || compression === 'FL32' || compression === 'fl64' || compression === 'FL64') {
+            encoding = 'float';
+          } else if (compression !== 'NONE' && compression !== 'twos') {
+            throw new Error(`Unsupported AIFC compression: ${compression}`);
+          }
+        }
+
+        format = {
+          container: 'aiff',
+          sampleRate: sampleRate,
+          channels: channels,
+          bitsPerSample: bitsPerSample,
+          encoding: encoding,
+          littleEndian: littleEndian
+        };
+      } else if (id === 'SSND') {
+        if (!format) {
+          throw new Error('AIFF SSND chunk found before COMM chunk');
+        }
+
+        const dataOffset = view.getUint32(body, false);
+        const start = body + 8 + dataOffset;
+        const dataLength = Math.min(size - 8 - dataOffset, fileSize - start);
+
+        return this.finalizeFormat(format, start, dataLength);
+      }
+
+      offset = body + size + (size % 2);
+    }
+
+    throw new Error('AIFF file has no SSND chunk');
+  }
+
+  /**
+   * Validate a parsed format and fill in derived fields
+   *
+   * @param {Object} format - Partially parsed format
+   * @param {number} dataOffset - Byte offset of sample data
+   * @param {number} dataLength - Byte length of sample data
+   * @returns {AudioFormat}
+   * @private
+   */
+  finalizeFormat(format, dataOffset, dataLength) {
+    const validInt = format.encoding === 'int' && [8, 16, 24, 32].includes(format.bitsPerSample);
+    const validFloat = format.encoding === 'float' && [32, 64].includes(format.bitsPerSample);
+
+    if (!validInt && !validFloat) {
+      throw new Error(`Unsupported sample format: ${format.bitsPerSample}-bit ${format.encoding}`);
+    }
+    if (!format.channels || !format.sampleRate) {
+      throw new Error('Audio file reports zero channels or zero sample rate');
+    }
+
+    const frameSize = (format.bitsPerSample / 8) * format.channels;
+    const frameCount = Math.floor(Math.max(0, dataLength) / frameSize);
+
+    return {
+      ...format,
+      dataOffset: dataOffset,
+      frameCount: frameCount,
+      duration: frameCount / format.sampleRate
+    };
+  }
+
+  /**
+   * Decode a WAV/AIFF file held in memory into a level envelope
+   *
+   * Same envelope as decodeFile; suited to short files and tests.
+   *
+   * @param {ArrayBuffer} buffer - Raw file contents
+   * @param {Object} [options]
+   * @param {number} [options.blockDuration=0.01] - Envelope resolution in seconds
+   * @param {function(number)} [options.onProgress] - Called with the decoded share (0.0-1.0) about every 1%
+   * @returns {AudioEnvelope}
+   */
+  decodeEnvelope(buffer, options = {}) {
+    const format = this.parseFormat(buffer);
+    const state = this.startEnvelope(format, options);
+    const dataEnd = format.dataOffset + format.frameCount * this.getFrameSize(format);
+
+    for (let offset = format.dataOffset; offset < dataEnd; offset += RANGE_BYTES) {
+      this.decodeRange(state, buffer.slice(offset, Math.min(dataEnd, offset + RANGE_BYTES)), options.onProgress);
+    }
+
+    return this.finishEnvelope(state);
+  }
+
+  /**
+   * Decode a WAV/AIFF file into a level envelope, one byte range at a time
+   *
+   * The header is parsed first, then the sample data is read in ranges of
+   * RANGE_BYTES, so only one range of the file is in memory at a time.
+   *
+   * @param {{size: number, read: function(number, number): Promise<ArrayBuffer>}} file - See MediaFile
+   * @param {Object} [options]
+   * @param {number} [options.blockDuration=0.01] - Envelope resolution in seconds
+   * @param {function(number)} [options.onProgress] - Called with the decoded share (0.0-1.0) about every 1%
+   * @param {AbortSignal} [options.signal] - Checked between ranges; aborting rejects with an AbortError
+   * @returns {Promise<AudioEnvelope>}
+   */
+  async decodeFile(file, options = {}) {
+    const format = await this.readFormat(file);
+    const state = this.startEnvelope(format, options);
+
+    for (const range of this.getDataRanges(format)) {
+      if (options.signal && options.signal.aborted) {
+        const error = new Error('Audio decoding cancelled');
+        error.name = 'AbortError';
+        throw error;
+      }
+      this.decodeRange(state, await file.read(range.offset, range.length), options.onProgress);
+    }
+
+    return this.finishEnvelope(state);
+  }
+
+  /**
+   * Split a file's sample data into byte ranges of whole sample frames
+   *
+   * @param {AudioFormat} format - Parsed format
+   * @returns {Array<{offset: number, length: number}>}
+   */
+  getDataRanges(format) {
+    const frameSize = this.getFrameSize(format);
+    const rangeBytes = Math.max(1, Math.floor(RANGE_BYTES / frameSize)) * frameSize;
+    const dataEnd = format.dataOffset + format.frameCount * frameSize;
+    const ranges = [];
+
+    for (let offset = format.dataOffset; offset < dataEnd; offset += rangeBytes) {
+      ranges.push({offset, length: Math.min(rangeBytes, dataEnd - offset)});
+    }
+
+    return ranges;
+  }
+
+  /**
+   * Allocate an envelope for a file and the state to fill it range by range
+   *
+   * Samples of all channels are folded into one mean square and one peak
+   * value per block, so long recordings stay small in memory. The channel
+   * mix is also band-passed (two one-pole high-pass and two one-pole
+   * low-pass stages) to measure each block's speech-band energy share, and
+   * its zero crossings are counted.
+   *
+   * @param {AudioFormat} format - Parsed format
+   * @param {Object} [options]
+   * @param {number} [options.blockDuration=0.01] - Envelope resolution in seconds
+   * @returns {EnvelopeState}
+   */
+  startEnvelope(format, options = {}) {
+    const blockDuration = options.blockDuration || 0.01;
+    const framesPerBlock = Math.max(1, Math.round(format.sampleRate * blockDuration));
+    const blockCount = Math.ceil(format.frameCount / framesPerBlock);
+
+    return {
+      format,
+      framesPerBlock,
+      frame: 0,
+      carry: null,
+      block: {sumSquares: 0, peak: 0, mixSquares: 0, bandSquares: 0, crossings: 0, frames: 0},
+      filter: {x1: 0, h1: 0, h2: 0, l1: 0, l2: 0, lastSign: 0},
+      envelope: {
+        sampleRate: format.sampleRate,
+        blockDuration: framesPerBlock / format.sampleRate,
+        blockCount: blockCount,
+        meanSquare: new Float32Array(blockCount),
+        peak: new Float32Array(blockCount),
+        zeroCrossings: new Float32Array(blockCount),
+        speechBand: new Float32Array(blockCount),
+        duration: format.duration
+      }
+    };
+  }
+
+  /**
+   * Decode the next range of sample data into the envelope
+   *
+   * Ranges follow each other without gaps; a sample frame split between
+   * two ranges is carried over.
+   *
+   * @param {EnvelopeState} state - Result of startEnvelope
+   * @param {ArrayBuffer} buffer - Next bytes of sample data
+   * @param {function(number)} [onProgress] - Called with the decoded share (0.0-1.0) about every 1%
+   */
+  decodeRange(state, buffer, onProgress = null) {
+    const {format, framesPerBlock, envelope, filter, block} = state;
+    const channels = format.channels;
+    const bytesPerSample = format.bitsPerSample / 8;
+    const frameSize = this.getFrameSize(format);
+    const readSample = this.createSampleReader(format);
+
+    let bytes = new Uint8Array(buffer);
+    if (state.carry) {
+      const joined = new Uint8Array(state.carry.length + bytes.length);
+      joined.set(state.carry);
+      joined.set(bytes, state.carry.length);
+      bytes = joined;
+      state.carry = null;
+    }
+
+    const frames = Math.min(Math.floor(bytes.length / frameSize), format.frameCount - state.frame);
+    if (frames * frameSize < bytes.length && state.frame + frames < format.frameCount) {
+      state.carry = bytes.slice(frames * frameSize);
+    }
+
+    // One-pole filter coefficients for the speech band
+    const dt = 1 / format.sampleRate;
+    const highRc = 1 / (2 * Math.PI * SPEECH_BAND.low);
+    const lowRc = 1 / (2 * Math.PI * Math.min(SPEECH_BAND.high, format.sampleRate * 0.45));
+    const highPass = highRc / (highRc + dt);
+    const lowPass = dt / (lowRc + dt);
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const blocksPerReport = Math.max(1, Math.ceil(envelope.blockCount / 100));
+    let {sumSquares, peak: blockPeak, mixSquares, bandSquares, crossings, frames: blockFrames} = block;
+    let lastSign = filter.lastSign;
+    let position = 0;
+
+    for (let frame = 0; frame < frames; frame++) {
+      let mix = 0;
+
+      for (let channel = 0; channel < channels; channel++) {
+        const sample = readSample(view, position);
+        position += bytesPerSample;
+
+        sumSquares += sample * sample;
+        mix += sample;
+        const magnitude = Math.abs(sample);
+        if (magnitude > blockPeak) {
+          blockPeak = magnitude;
+        }
+      }
+
+      mix /= channels;
+      mixSquares += mix * mix;
+
+      const sign = mix > 0 ? 1 : (mix < 0 ? -1 : 0);
+      if (sign !== 0) {
+        if (lastSign !== 0 && sign !== lastSign) {
+          crossings++;
+        }
+        lastSign = sign;
+      }
+
+      // High-pass twice, then low-pass twice
+      const h1 = highPass * (filter.h1 + mix - filter.x1);
+      const h2 = highPass * (filter.h2 + h1 - filter.h1);
+      filter.x1 = mix;
+      filter.h1 = h1;
+      filter.h2 = h2;
+      filter.l1 += lowPass * (h2 - filter.l1);
+      filter.l2 += lowPass * (filter.l1 - filter.l2);
+      bandSquares += filter.l2 * filter.l2;
+
+      blockFrames++;
+      const done = state.frame + frame + 1;
+      if (blockFrames === framesPerBlock || done === format.frameCount) {
+        const index = Math.floor((done - 1) / framesPerBlock);
+        envelope.meanSquare[index] = sumSquares / (blockFrames * channels);
+        envelope.peak[index] = Math.min(1.0, blockPeak);
+        envelope.zeroCrossings[index] = crossings * format.sampleRate / blockFrames;
+        envelope.speechBand[index] = mixSquares > 0 ? Math.min(1.0, bandSquares / mixSquares) : 0;
+        sumSquares = blockPeak = mixSquares = bandSquares = crossings = blockFrames = 0;
+
+        if (onProgress && index + 1 < envelope.blockCount && (index + 1) % blocksPerReport === 0) {
+          onProgress((index + 1) / envelope.blockCount);
+        }
+      }
+    }
+
+    state.frame += frames;
+    filter.lastSign = lastSign;
+    Object.assign(block, {sumSquares, peak: blockPeak, mixSquares, bandSquares, crossings, frames: blockFrames});
+  }
+
+  /**
+   * Finish an envelope once all sample data was decoded
+   *
+   * @param {EnvelopeState} state - Result of startEnvelope
+   * @returns {AudioEnvelope}
+   */
+  finishEnvelope(state) {
+    const {format, envelope} = state;
+
+    console.log(`[AudioDecoder] Decoded ${format.container.toUpperCase()} ${format.sampleRate}Hz ${format.bitsPerSample}-bit x${format.channels}: ${format.duration.toFixed(2)}s, ${envelope.blockCount} blocks`);
+
+    return envelope;
+  }
+
+  /**
+   * Bytes per sample frame (all channels)
+   *
+   * @param {AudioFormat} format - Parsed format
+   * @returns {number}
+   * @private
+   */
+  getFrameSize(format) {
+    return (format.bitsPerSample / 8) * format.channels;
+  }
+
+  /**
+   * Measure RMS and peak levels of an envelope over a time window
+   *
+   * Voice features (zero-crossing rate, speech-band share) are averaged
+   * weighted by block energy, so quiet blocks barely count. They are left
+   * out for envelopes without feature data.
+   *
+   * @param {AudioEnvelope} envelope - Decoded envelope
+   * @param {number} startTime - Window start in seconds (media time)
+   * @param {number} endTime - Window end in seconds (media time)
+   * @returns {LevelMeasurement}
+   */
+  measure(envelope, startTime, endTime) {
+    const first = Math.max(0, Math.floor(startTime / envelope.blockDuration));
+    const last = Math.min(envelope.blockCount, Math.ceil(endTime / envelope.blockDuration));
+
+    if (last <= first) {
+      return {rms: 0.0, peak: 0.0};
+    }
+
+    let sum = 0;
+    let peak = 0;
+    let crossings = 0;
+    let band = 0;
+
+    const hasFeatures = !!(envelope.zeroCrossings && envelope.speechBand);
+
+    for (let i = first; i < last; i++) {
+      sum += envelope.meanSquare[i];
+      if (envelope.peak[i] > peak) {
+        peak = envelope.peak[i];
+      }
+      if (hasFeatures) {
+        crossings += envelope.zeroCrossings[i] * envelope.meanSquare[i];
+        band += envelope.speechBand[i] * envelope.meanSquare[i];
+      }
+    }
+
+    const measurement = {
+      rms: Math.min(1.0, Math.sqrt(sum / (last - first))),
+      peak: peak
+    };
+
+    if (hasFeatures) {
+      measurement.zeroCrossingRate = sum > 0 ? crossings / sum : 0;
+      measurement.speechBandRatio = sum > 0 ? band / sum : 0;
+    }
+
+    return measurement;
+  }
+
+  /**
+   * Build a function that reads one normalized sample (-1.0 to 1.0)
+   *
+   * @param {AudioFormat} format - Parsed format
+   * @returns {function(DataView, number): number}
+   * @private
+   */
+  createSampleReader(format) {
+    const le = format.littleEndian;
+
+    if (format.encoding === 'float') {
+      return format.bitsPerSample === 64 ?
+        (view, pos) => view.getFloat64(pos, le) :
+        (view, pos) => view.getFloat32(pos, le);
+    }
+
+    switch (format.bitsPerSample) {
+      case 8:
+        // WAV stores 8-bit samples unsigned, AIFF signed
+        return format.container === 'wav' ?
+          (view, pos) => (view.getUint8(pos) - 128) / 128 :
+          (view, pos) => view.getInt8(pos) / 128;
+      case 16:
+        return (view, pos) => view.getInt16(pos, le) / 32768;
+      case 24:
+        return (view, pos) => {
+          const b0 = view.getUint8(pos);
+          const b1 = view.getUint8(pos + 1);
+          const b2 = view.getUint8(pos + 2);
+          let value = le ? (b0 | (b1 << 8) | (b2 << 16)) : ((b0 << 16) | (b1 << 8) | b2);
+          if (value & 0x800000) {
+            value -= 0x1000000;
+          }
+          return value / 8388608;
+        };
+      default:
+        return (view, pos) => view.getInt32(pos, le) / 2147483648;
+    }
+  }
+
+  /**
+   * Read a four character chunk identifier
+   *
+   * @param {DataView} view - File contents
+   * @param {number} offset - Byte offset
+   * @returns {string}
+   * @private
+   */
+  readFourCC(view, offset) {
+    return String.fromCharCode(
+      view.getUint8(offset),
+      view.getUint8(offset + 1),
+      view.getUint8(offset + 2),
+      view.getUint8(offset + 3)
+    );
+  }
+
+  /**
+   * Read an 80-bit IEEE 754 extended float (AIFF sample rate)
+   *
+   * @param {DataView} view - File contents
+   * @param {number} offset - Byte offset
+   * @returns {number}
+   * @private
+   */
+  readExtended(view, offset) {
+    const signAndExponent = view.getUint16(offset, false);
+    const hiMantissa = view.getUint32(offset + 2, false);
+    const loMantissa = view.getUint32(offset + 6, false);
+
+    const sign = signAndExponent & 0x8000 ? -1 : 1;
+    const exponent = signAndExponent & 0x7FFF;
+
+    if (exponent === 0 && hiMantissa === 0 && loMantissa === 0) {
+      return 0;
+    }
+
+    const mantissa = hiMantissa * Math.pow(2, -31) + loMantissa * Math.pow(2, -63);
+    return sign * mantissa * Math.pow(2, exponent - 16383);
+  }
+}
+
+// Export for use in AudioAnalyzer
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AudioDecoder;
+}
@@ -0,0 +1,126 @@
+/**
+ * AudioWorker Module
+ *
+ * Purpose: Decode media files into level envelopes off the panel's UI thread
+ * Algorithm: Runs AudioDecoder's range decoding inside a Web Worker; byte
+ *            ranges of the file are transferred in one at a time and the
+ *            envelope arrays are transferred back, so neither side copies them
+ *
+ * Loaded by AudioWorkerClient as a worker script. Outside a worker it only
+ * exports the message handler (used by tests).
+ *
+ * @module AudioWorker
+ */
+
+/**
+ * One message of a decode; a decode is a start message, range messages in
+ * file order and an end message
+ * @typedef {Object} DecodeRequest
+ * @property {number} id - Request number, echoed in every reply
+ * @property {AudioFormat} [format] - Parsed header of the file (start message)
+ * @property {{blockDuration?: number}} [options] - Options for AudioDecoder.startEnvelope (start message)
+ * @property {ArrayBuffer} [chunk] - Next range of sample data (range message, transferred)
+ * @property {boolean} [done] - All ranges were sent (end message)
+ * @property {boolean} [cancel] - The client gave up on the decode
+ */
+
+/**
+ * @typedef {Object} DecodeReply
+ * @property {number} id - Request number
+ * @property {number} [progress] - Decoded share 0.0-1.0 (progress reply)
+ * @property {boolean} [accepted] - The range was decoded (reply to each range message)
+ * @property {AudioEnvelope} [envelope] - Decoded envelope (final reply, arrays transferred)
+ * @property {string} [error] - Error message (final reply on failure)
+ */
+
+/**
+ * Sent once after the worker script has loaded
+ * @typedef {{ready: true}} ReadyMessage
+ */
+
+// importScripts only exists inside a worker; scripts it loads share the worker's global scope
+const Decoder = typeof importScripts === 'function' ?
+  (importScripts('AudioDecoder.js'), AudioDecoder) :
+  require('./AudioDecoder.js');
+
+class AudioWorker {
+  /**
+   * @param {function(DecodeReply, ArrayBuffer[]): void} post - Sends a reply with its transfer list
+   */
+  constructor(post) {
+    /**
+     * @type {function(DecodeReply, ArrayBuffer[]): void}
+     * @private
+     */
+    this.post = post;
+
+    /**
+     * @type {AudioDecoder}
+     * @private
+     */
+    this.decoder = new Decoder();
+
+    /**
+     * Decodes in progress, keyed by request id
+     * @type {Map<number, EnvelopeState>}
+     * @private
+     */
+    this.decodes = new Map();
+  }
+
+  /**
+   * Handle one message of a decode and post progress and the result
+   *
+   * @param {DecodeRequest} request - Message from AudioWorkerClient
+   */
+  handleMessage(request) {
+    const {id, options = {}} = request;
+
+    if (request.cancel) {
+      this.decodes.delete(id);
+      return;
+    }
+
+    try {
+      if (request.format) {
+        this.decodes.set(id, this.decoder.startEnvelope(request.format, {blockDuration: options.blockDuration}));
+        return;
+      }
+
+      const state = this.decodes.get(id);
+      if (!state) {
+        throw new Error(`Unknown decode request ${id}`);
+      }
+
+      if (request.chunk) {
+        this.decoder.decodeRange(state, request.chunk, progress => this.post({id, progress}, []));
+        this.post({id, accepted: true}, []);
+        return;
+      }
+
+      this.decodes.delete(id);
+      const envelope = this.decoder.finishEnvelope(state);
+      this.post({id, envelope}, [
+        envelope.meanSquare.buffer,
+        envelope.peak.buffer,
+        envelope.zeroCrossings.buffer,
+        envelope.speechBand.buffer
+      ]);
+    } catch (error) {
+      this.decodes.delete(id);
+      this.post({id, error: error.message}, []);
+    }
+  }
+}
+
+// Inside a Web Worker: answer decode requests from AudioWorkerClient
+if (typeof importScripts === 'function' && typeof self !== 'undefined') {
+  const worker = new AudioWorker((reply, transfer) => self.postMessage(reply, transfer));
+  self.onmessage = event => worker.handleMessage(event.data);
+  self.postMessage({ready: true});
+}
+
+// Export for testing outside a worker
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AudioWorker;
+}
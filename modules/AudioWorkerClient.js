@@ -0,0 +1,339 @@
+/**
+ * AudioWorkerClient Module
+ *
+ * Purpose: Keep audio decoding off the panel's UI thread
+ * Algorithm: Parses each media file's header, then reads its sample data in
+ *            byte ranges and transfers them one by one to a Web Worker
+ *            running AudioWorker.js, which folds them into the envelope it
+ *            sends back; decodes on this thread where workers are
+ *            unavailable or do not start in time
+ *
+ * Only decoding runs in the worker; reading the file, measuring levels,
+ * speech detection and cut generation stay on the panel's thread. The next
+ * range is read once the worker has decoded the previous one, so at most
+ * one range is in flight.
+ *
+ * @module AudioWorkerClient
+ */
+
+const AudioDecoder = require('./AudioDecoder.js');
+const MediaFile = require('./MediaFile.js');
+
+/**
+ * Worker script, relative to the panel's index.html
+ * @type {string}
+ */
+const WORKER_SCRIPT = 'modules/AudioWorker.js';
+
+/**
+ * Milliseconds a new worker has to report ready before decoding falls back to this thread
+ * @type {number}
+ */
+const READY_TIMEOUT = 5000;
+
+/**
+ * @typedef {Object} DecodeOptions
+ * @property {number} [blockDuration] - Envelope resolution in seconds (see AudioDecoder.startEnvelope)
+ * @property {function(number)} [onProgress] - Called with the decoded share (0.0-1.0) while decoding
+ * @property {AbortSignal} [signal] - Aborting it stops the worker and rejects with an AbortError
+ */
+
+/**
+ * @typedef {Object} DecodeReply
+ * @property {number} id - Request number
+ * @property {number} [progress] - Decoded share 0.0-1.0 (progress reply)
+ * @property {boolean} [accepted] - The last range was decoded (reply to each range)
+ * @property {AudioEnvelope} [envelope] - Decoded envelope (final reply)
+ * @property {string} [error] - Error message (final reply on failure)
+ */
+
+class AudioWorkerClient {
+  /**
+   * @param {function(): Object|null} [createWorker] - Worker factory; returns null when workers
+   *                                                  are unavailable (default: Web Worker, if any)
+   * @param {number} [readyTimeout] - Milliseconds to wait for a new worker (default: 5000)
+   */
+  constructor(createWorker = AudioWorkerClient.createWebWorker, readyTimeout = READY_TIMEOUT) {
+    /**
+     * @type {function(): Object|null}
+     * @private
+     */
+    this.createWorker = createWorker;
+
+    /**
+     * @type {number}
+     * @private
+     */
+    this.readyTimeout = readyTimeout;
+
+    /**
+     * Resolves with the worker once it reported ready, or null to decode here
+     * @type {Promise<Object|null>|null}
+     * @private
+     */
+    this.workerReady = null;
+
+    /**
+     * @type {Object|null}
+     * @private
+     */
+    this.worker = null;
+
+    /**
+     * Requests sent to the worker, keyed by id
+     * @type {Map<number, {resolve: Function, reject: Function, onProgress: Function|null, onAccepted: Function|null}>}
+     * @private
+     */
+    this.pending = new Map();
+
+    /**
+     * @type {number}
+     * @private
+     */
+    this.nextId = 1;
+
+    /**
+     * Used when no worker is available
+     * @type {AudioDecoder}
+     * @private
+     */
+    this.decoder = new AudioDecoder();
+
+    console.log('[AudioWorkerClient] Initialized');
+  }
+
+  /**
+   * Decode a WAV/AIFF file into a level envelope
+   *
+   * The file is read in byte ranges (see AudioDecoder.getDataRanges); with
+   * a worker each range is transferred to it, without one it is decoded on
+   * the calling thread.
+   *
+   * `options.signal` is checked between ranges. Aborting it during a worker
+   * decode also stops the worker at once (see terminate).
+   *
+   * @param {MediaFile|ArrayBuffer} file - Media file, or raw file contents
+   * @param {DecodeOptions} [options] - Decoding options
+   * @returns {Promise<AudioEnvelope>}
+   */
+  async decodeEnvelope(file, options = {}) {
+    const media = file instanceof ArrayBuffer ? MediaFile.fromBuffer(file) : file;
+    const signal = options.signal;
+    this.throwIfAborted(signal);
+
+    const worker = await this.startWorker();
+    this.throwIfAborted(signal);
+
+    if (!worker) {
+      return this.decoder.decodeFile(media, options);
+    }
+
+    const format = await this.decoder.readFormat(media);
+    this.throwIfAborted(signal);
+
+    // Stand-in signals without events are stopped between ranges
+    const onAbort = () => this.terminate();
+    const listens = !!signal && typeof signal.addEventListener === 'function';
+    if (listens) {
+      signal.addEventListener('abort', onAbort);
+    }
+
+    const id = this.nextId++;
+    const request = {resolve: null, reject: null, onProgress: options.onProgress || null, onAccepted: null};
+    const result = new Promise((resolve, reject) => {
+      request.resolve = resolve;
+      request.reject = reject;
+    });
+    // Rejections while a range is being read surface through the range loop
+    result.catch(() => {});
+    this.pending.set(id, request);
+
+    try {
+      worker.postMessage({id, format, options: {blockDuration: options.blockDuration}});
+
+      for (const range of this.decoder.getDataRanges(format)) {
+        this.throwIfAborted(signal);
+        const chunk = await media.read(range.offset, range.length);
+        const accepted = new Promise(resolve => {
+          request.onAccepted = resolve;
+        });
+        worker.postMessage({id, chunk}, [chunk]);
+        await Promise.race([accepted, result]);
+      }
+
+      worker.postMessage({id, done: true});
+      return await result;
+    } catch (error) {
+      // Let the worker drop a decode this side gave up on
+      if (this.pending.delete(id) && this.worker === worker) {
+        worker.postMessage({id, cancel: true});
+      }
+      throw error;
+    } finally {
+      if (listens) {
+        signal.removeEventListener('abort', onAbort);
+      }
+    }
+  }
+
+  /**
+   * Stop the worker; requests still running are rejected with an AbortError
+   *
+   * The next decodeEnvelope starts a new worker.
+   */
+  terminate() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    this.workerReady = null;
+
+    const error = new Error('Audio worker stopped');
+    error.name = 'AbortError';
+    this.rejectPending(error);
+  }
+
+  /**
+   * Start the worker on first use and wait until it is ready
+   *
+   * A worker that fails or stays silent before reporting ready (e.g. its
+   * script cannot be loaded) costs no request: decoding falls back to
+   * this thread.
+   *
+   * @returns {Promise<Object|null>} Ready worker, or null to decode here
+   * @private
+   */
+  startWorker() {
+    if (this.workerReady) {
+      return this.workerReady;
+    }
+
+    this.workerReady = new Promise(resolve => {
+      let worker = null;
+      try {
+        worker = this.createWorker();
+      } catch (error) {
+        console.warn('[AudioWorkerClient] Could not start audio worker:', error);
+      }
+
+      if (!worker) {
+        console.log('[AudioWorkerClient] Workers unavailable, decoding on the UI thread');
+        resolve(null);
+        return;
+      }
+
+      const timer = setTimeout(() => {
+        console.warn(`[AudioWorkerClient] Audio worker not ready after ${this.readyTimeout} ms, decoding on the UI thread`);
+        worker.onmessage = null;
+        worker.onerror = null;
+        worker.terminate();
+        this.workerReady = Promise.resolve(null);
+        resolve(null);
+      }, this.readyTimeout);
+
+      worker.onmessage = event => {
+        if (event.data && event.data.ready) {
+          console.log('[AudioWorkerClient] Audio worker ready');
+          clearTimeout(timer);
+          this.worker = worker;
+          resolve(worker);
+        } else {
+          this.handleReply(event.data);
+        }
+      };
+
+      worker.onerror = event => {
+        clearTimeout(timer);
+        const message = (event && event.message) || 'unknown error';
+        console.warn(`[AudioWorkerClient] Audio worker failed (${message}), decoding on the UI thread`);
+        worker.terminate();
+        this.worker = null;
+        this.workerReady = Promise.resolve(null);
+        resolve(null);
+        this.rejectPending(new Error(`Audio worker failed: ${message}`));
+      };
+    });
+
+    return this.workerReady;
+  }
+
+  /**
+   * Route a worker reply to its request
+   *
+   * @param {DecodeReply} reply - Message from AudioWorker
+   * @private
+   */
+  handleReply(reply) {
+    const request = reply ? this.pending.get(reply.id) : null;
+    if (!request) {
+      return;
+    }
+
+    if (typeof reply.progress === 'number') {
+      if (request.onProgress) {
+        request.onProgress(reply.progress);
+      }
+      return;
+    }
+
+    if (reply.accepted) {
+      if (request.onAccepted) {
+        request.onAccepted();
+      }
+      return;
+    }
+
+    this.pending.delete(reply.id);
+    if (reply.error) {
+      request.reject(new Error(reply.error));
+    } else {
+      request.resolve(reply.envelope);
+    }
+  }
+
+  /**
+   * Reject every request sent to the worker
+   *
+   * @param {Error} error - Rejection reason
+   * @private
+   */
+  rejectPending(error) {
+    for (const request of this.pending.values()) {
+      request.reject(error);
+    }
+    this.pending.clear();
+  }
+
+  /**
+   * Throw an AbortError if the signal was aborted
+   *
+   * @param {AbortSignal} [signal] - Cancellation signal
+   * @private
+   */
+  throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+      const error = new Error('Audio decoding cancelled');
+      error.name = 'AbortError';
+      throw error;
+    }
+  }
+
+  /**
+   * Default worker factory
+   *
+   * @returns {Worker|null} Web Worker running AudioWorker.js, or null without Worker support
+   * @private
+   */
+  static createWebWorker() {
+    if (typeof Worker !== 'function') {
+      return null;
+    }
+
+    return new Worker(WORKER_SCRIPT);
+  }
+}
+
+// Export for use in AudioAnalyzer
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AudioWorkerClient;
+}
@@ -0,0 +1,274 @@
+/**
+ * BleedCompensator Module
+ *
+ * Purpose: Remove crosstalk between speaker mics before picking the active camera
+ * Algorithm: Leakage of each mic into every other mic is estimated as the median
+ *            amplitude ratio over samples where only that speaker talks, then
+ *            subtracted from the other channels in the linear amplitude domain
+ *
+ * @module BleedCompensator
+ */
+
+const AudioAnalyzer = require('./AudioAnalyzer.js');
+const CompactTimeline = require('./CompactTimeline.js');
+
+/**
+ * @typedef {Object} BleedOptions
+ * @property {number|null} [wideCamera] - Camera left untouched and ignored as a source (its mic hears everyone)
+ * @property {number} [isolationDb] - dB the loudest mic must be above every other for a single-talker sample (default: 6)
+ * @property {number} [activityThreshold] - Minimum level of the talker in a single-talker sample (default: 0.3)
+ * @property {number} [minSamples] - Single-talker samples needed to estimate a leakage (default: 3)
+ */
+
+/**
+ * @typedef {Object} BleedReport
+ * @property {Object.<number, Object.<number, number>>} leakage - leakage[source][target]: amplitude ratio
+ *                                                              of source's voice heard on target's mic
+ * @property {Object.<number, number>} samples - Single-talker samples found per source camera
+ * @property {number} changed - Samples whose active camera changed after compensation
+ */
+
+/**
+ * @typedef {Object} AnalysisResult
+ * @property {Object.<number, TimelineData>} [timeline] - Timestamp-indexed audio data
+ * @property {'compact'} [format] - Set instead of `timeline` for typed-array results (see CompactTimeline)
+ * @property {number} duration - Total analyzed duration in seconds
+ * @property {number} sampleRate - Sample rate used in analysis
+ * @property {number[]} [cameras] - Analyzed camera numbers (always set on compact results)
+ * @property {number} [floorDb] - dBFS level mapped to 0.0 by AudioAnalyzer (default: -60)
+ * @property {Object.<number, TimelineData>} [rawTimeline] - Timeline before bleed compensation
+ * @property {Object.<number, Float32Array>} [rawLevels] - Compact results: levels before bleed compensation
+ * @property {Uint8Array} [rawActiveCamera] - Compact results: active camera before bleed compensation
+ * @property {BleedReport} [bleed] - Leakage estimate used for compensation
+ */
+
+/**
+ * @typedef {Object} TimelineData
+ * @property {number} cameraN - Audio level for camera N (0.0-1.0)
+ * @property {number} activeCamera - Camera number with highest audio level
+ */
+
+class BleedCompensator {
+  /**
+   * @param {AudioAnalyzer} [analyzer] - Analyzer whose level scale and active camera rule are used
+   */
+  constructor(analyzer = new AudioAnalyzer()) {
+    /**
+     * @type {AudioAnalyzer}
+     * @private
+     */
+    this.analyzer = analyzer;
+
+    console.log('[BleedCompensator] Initialized');
+  }
+
+  /**
+   * Subtract estimated mic bleed and re-decide the active camera
+   *
+   * The input is not modified. The returned result keeps the original
+   * levels in `rawTimeline` for before/after comparison (`rawLevels` and
+   * `rawActiveCamera` for compact results, which stay compact).
+   *
+   * @param {AnalysisResult} analysisResult - Result from AudioAnalyzer
+   * @param {BleedOptions} options - Compensation options
+   * @returns {AnalysisResult} Compensated copy with `rawTimeline` and `bleed`
+   */
+  compensate(analysisResult, options = {}) {
+    const floorDb = analysisResult.floorDb || -60;
+    const cameras = CompactTimeline.getCameraNumbers(analysisResult);
+    const speakers = cameras.filter(num => num !== options.wideCamera);
+    const {leakage, samples} = this.estimateLeakage(analysisResult, options);
+
+    const compact = CompactTimeline.isCompact(analysisResult);
+    const timestamps = CompactTimeline.getTimestamps(analysisResult);
+    const series = CompactTimeline.getSeries(analysisResult, timestamps);
+    const levelAt = (num, index) => (series.levels[num] && series.levels[num][index]) || 0;
+    const compactLevels = {};
+    const compactActive = compact ? new Uint8Array(timestamps.length) : null;
+    if (compact) {
+      cameras.forEach(num => {
+        compactLevels[num] = new Float32Array(timestamps.length);
+      });
+    }
+    const timeline = {};
+    let changed = 0;
+
+    const amplitudes = {};
+    const compensated = {};
+
+    for (let index = 0; index < timestamps.length; index++) {
+      for (const num of speakers) {
+        amplitudes[num] = this.toAmplitude(levelAt(num, index), floorDb);
+      }
+
+      for (const target of speakers) {
+        let bleed = 0;
+        for (const source of speakers) {
+          if (source !== target) {
+            bleed += leakage[source][target] * amplitudes[source];
+          }
+        }
+        compensated[target] = this.analyzer.normalizeLevel(amplitudes[target] - bleed, floorDb);
+      }
+
+      const levels = cameras.map(num => (num in compensated ? compensated[num] : levelAt(num, index)));
+      const activeCamera = cameras[this.analyzer.determineActiveCamera(levels) - 1];
+      if (activeCamera !== series.activeCamera[index]) {
+        changed++;
+      }
+
+      if (compact) {
+        cameras.forEach((num, i) => {
+          compactLevels[num][index] = levels[i];
+        });
+        compactActive[index] = activeCamera;
+      } else {
+        const entry = Object.assign({}, analysisResult.timeline[timestamps[index]]);
+        for (const target of speakers) {
+          entry[`camera${target}`] = compensated[target];
+        }
+        entry.activeCamera = activeCamera;
+        timeline[timestamps[index]] = entry;
+      }
+    }
+
+    console.log(`[BleedCompensator] Active camera changed at ${changed} of ${timestamps.length} samples`);
+
+    const bleed = {leakage, samples, changed};
+
+    if (compact) {
+      return Object.assign({}, analysisResult, {
+        levels: compactLevels,
+        activeCamera: compactActive,
+        rawLevels: analysisResult.rawLevels || analysisResult.levels,
+        rawActiveCamera: analysisResult.rawActiveCamera || analysisResult.activeCamera,
+        bleed
+      });
+    }
+
+    return Object.assign({}, analysisResult, {
+      timeline,
+      rawTimeline: analysisResult.rawTimeline || analysisResult.timeline,
+      bleed
+    });
+  }
+
+  /**
+   * Estimate how strongly each speaker leaks into the other mics
+   *
+   * A sample is single-talker for camera S when S is at least
+   * activityThreshold and isolationDb above every other speaker mic. The
+   * leakage S → T is the median of amplitude(T) / amplitude(S) over those
+   * samples, or 0 when fewer than minSamples were found.
+   *
+   * @param {AnalysisResult} analysisResult - Result from AudioAnalyzer
+   * @param {BleedOptions} options - Compensation options
+   * @returns {{leakage: Object.<number, Object.<number, number>>, samples: Object.<number, number>}}
+   */
+  estimateLeakage(analysisResult, options = {}) {
+    const {
+      wideCamera = null,
+      isolationDb = 6,
+      activityThreshold = 0.3,
+      minSamples = 3
+    } = options;
+
+    const floorDb = analysisResult.floorDb || -60;
+    const isolation = isolationDb / -floorDb;  // dB margin on the 0.0-1.0 meter scale
+    const speakers = CompactTimeline.getCameraNumbers(analysisResult).filter(num => num !== wideCamera);
+
+    const ratios = {};
+    const samples = {};
+    for (const source of speakers) {
+      samples[source] = 0;
+      ratios[source] = {};
+      for (const target of speakers) {
+        ratios[source][target] = [];
+      }
+    }
+
+    const timestamps = CompactTimeline.getTimestamps(analysisResult);
+    const {levels} = CompactTimeline.getSeries(analysisResult, timestamps);
+    const levelAt = (num, index) => (levels[num] && levels[num][index]) || 0;
+
+    for (let index = 0; index < timestamps.length; index++) {
+      let source = null;
+      let loudest = -Infinity;
+      let second = -Infinity;
+
+      for (const num of speakers) {
+        const level = levelAt(num, index);
+        if (level > loudest) {
+          second = loudest;
+          loudest = level;
+          source = num;
+        } else if (level > second) {
+          second = level;
+        }
+      }
+
+      if (source === null || loudest < activityThreshold || loudest - second < isolation) {
+        continue;
+      }
+
+      samples[source]++;
+      const sourceAmplitude = this.toAmplitude(loudest, floorDb);
+      for (const target of speakers) {
+        if (target !== source) {
+          ratios[source][target].push(this.toAmplitude(levelAt(target, index), floorDb) / sourceAmplitude);
+        }
+      }
+    }
+
+    const leakage = {};
+    for (const source of speakers) {
+      leakage[source] = {};
+      for (const target of speakers) {
+        const values = ratios[source][target];
+        leakage[source][target] = target !== source && values.length >= minSamples ? this.median(values) : 0;
+      }
+
+      const leaks = speakers
+        .filter(target => leakage[source][target] > 0)
+        .map(target => `${target}: ${(20 * Math.log10(leakage[source][target])).toFixed(1)} dB`);
+      console.log(`[BleedCompensator] Camera ${source}: ${samples[source]} single-talker samples` +
+        (leaks.length > 0 ? `, leaks into ${leaks.join(', ')}` : ''));
+    }
+
+    return {leakage, samples};
+  }
+
+  /**
+   * Convert a meter level back to linear amplitude
+   *
+   * @param {number} level - Level 0.0-1.0 (see AudioAnalyzer.normalizeLevel)
+   * @param {number} floorDb - dBFS level mapped to 0.0
+   * @returns {number} Linear amplitude (0 at or below the floor)
+   * @private
+   */
+  toAmplitude(level, floorDb) {
+    if (!(level > 0)) {
+      return 0;
+    }
+
+    return Math.pow(10, (floorDb + level * -floorDb) / 20);
+  }
+
+  /**
+   * Median of a non-empty list of numbers
+   *
+   * @param {number[]} values
+   * @returns {number}
+   * @private
+   */
+  median(values) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  }
+}
+
+// Export for use in main.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BleedCompensator;
+}
@@ -0,0 +1,330 @@
+/**
+ * CompactTimeline Module
+ *
+ * Purpose: Typed-array layout for analysis results of long recordings
+ * Algorithm: One Float32Array per camera for levels and speech probability,
+ *            indexed by sample, next to a shared Float64Array of timestamps;
+ *            accessors read it and the timestamp-indexed layout alike
+ *
+ * @module CompactTimeline
+ */
+
+/**
+ * @typedef {Object} CompactAnalysisResult
+ * @property {'compact'} format - Marks the typed-array layout
+ * @property {Float64Array} timestamps - Sample times in seconds, ascending (frame edges)
+ * @property {Object.<number, Float32Array>} levels - Audio level per sample (0.0-1.0), keyed by camera number
+ * @property {Object.<number, Float32Array>} [speech] - Speech probability per sample (0.0-1.0), keyed by camera number
+ * @property {Uint8Array} activeCamera - Camera number with highest audio level, per sample
+ * @property {Object.<number, Float32Array>} [rawLevels] - Levels before bleed compensation
+ * @property {Uint8Array} [rawActiveCamera] - Active camera before bleed compensation
+ * @property {number} duration - Total analyzed duration in seconds
+ * @property {number} sampleRate - Sample spacing in seconds
+ * @property {number} [frameRate] - Sequence frame rate in fps
+ * @property {number[]} cameras - Analyzed camera numbers in ascending order
+ * @property {number} [floorDb] - dBFS level mapped to 0.0
+ */
+
+/**
+ * @typedef {Object} TimelineData
+ * @property {number} cameraN - Audio level for camera N (0.0-1.0)
+ * @property {number} [speechN] - Speech probability for camera N (0.0-1.0)
+ * @property {number} activeCamera - Camera number with highest audio level
+ */
+
+/**
+ * Value of the `format` property of compact results
+ * @type {string}
+ */
+const COMPACT_FORMAT = 'compact';
+
+class CompactTimeline {
+  /**
+   * Whether an analysis result uses the typed-array layout
+   *
+   * @param {Object} analysisResult - Analysis result in either layout
+   * @returns {boolean}
+   */
+  static isCompact(analysisResult) {
+    return !!analysisResult && analysisResult.format === COMPACT_FORMAT;
+  }
+
+  /**
+   * Allocate the arrays of a compact result
+   *
+   * @param {number[]} cameras - Camera numbers
+   * @param {number} length - Number of samples
+   * @returns {{format: string, timestamps: Float64Array, levels: Object.<number, Float32Array>,
+   *           speech: Object.<number, Float32Array>, activeCamera: Uint8Array}}
+   */
+  static create(cameras, length) {
+    const levels = {};
+    const speech = {};
+    for (const num of cameras) {
+      levels[num] = new Float32Array(length);
+      speech[num] = new Float32Array(length);
+    }
+
+    return {
+      format: COMPACT_FORMAT,
+      timestamps: new Float64Array(length),
+      levels,
+      speech,
+      activeCamera: new Uint8Array(length)
+    };
+  }
+
+  /**
+   * Sample times of an analysis result in ascending order
+   *
+   * Compact results return their own Float64Array (do not modify it).
+   *
+   * @param {Object} analysisResult - Analysis result in either layout
+   * @returns {number[]|Float64Array} Timestamps in seconds; index i is sample i for getSample
+   */
+  static getTimestamps(analysisResult) {
+    if (CompactTimeline.isCompact(analysisResult)) {
+      return analysisResult.timestamps;
+    }
+
+    return Object.keys(analysisResult.timeline)
+      .map(Number)
+      .sort((a, b) => a - b);
+  }
+
+  /**
+   * Camera numbers present in an analysis result
+   *
+   * Uses AnalysisResult.cameras when present, otherwise the cameras with
+   * levels (compact) or the cameraN properties of the first timeline entry.
+   *
+   * @param {Object} analysisResult - Analysis result in either layout
+   * @returns {number[]} Camera numbers in ascending order
+   */
+  static getCameraNumbers(analysisResult) {
+    if (Array.isArray(analysisResult.cameras) && analysisResult.cameras.length > 0) {
+      return analysisResult.cameras.slice().sort((a, b) => a - b);
+    }
+
+    if (CompactTimeline.isCompact(analysisResult)) {
+      return Object.keys(analysisResult.levels).map(Number).sort((a, b) => a - b);
+    }
+
+    const firstKey = Object.keys(analysisResult.timeline)[0];
+    const firstEntry = firstKey !== undefined ? analysisResult.timeline[firstKey] : {};
+
+    return Object.keys(firstEntry)
+      .map(key => /^camera(\d+)$/.exec(key))
+      .filter(Boolean)
+      .map(match => Number(match[1]))
+      .sort((a, b) => a - b);
+  }
+
+  /**
+   * Index of the first sample at or after a time
+   *
+   * @param {number[]} timestamps - Result of getTimestamps
+   * @param {number} time - Time in seconds
+   * @param {number} [from=0] - First index to consider
+   * @returns {number} Sample index (timestamps.length when every sample is earlier)
+   */
+  static findIndex(timestamps, time, from = 0) {
+    let low = from;
+    let high = timestamps.length;
+
+    while (low < high) {
+      const middle = (low + high) >>> 1;
+      if (timestamps[middle] < time) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+
+    return low;
+  }
+
+  /**
+   * Read one camera's level at a sample without building a timeline entry
+   *
+   * @param {Object} analysisResult - Analysis result in either layout
+   * @param {number[]} timestamps - Result of getTimestamps
+   * @param {number} index - Sample index
+   * @param {number} num - Camera number
+   * @returns {number|undefined} Level 0.0-1.0, or undefined when the camera has no level there
+   */
+  static getLevel(analysisResult, timestamps, index, num) {
+    if (!CompactTimeline.isCompact(analysisResult)) {
+      const entry = analysisResult.timeline[timestamps[index]];
+      return entry ? entry[`camera${num}`] : undefined;
+    }
+
+    const levels = analysisResult.levels[num];
+    return levels ? levels[index] : undefined;
+  }
+
+  /**
+   * Per-camera levels and speech probabilities and the active camera, indexed by sample
+   *
+   * Compact results return their own typed arrays (do not modify them), so
+   * long recordings are read as `levels[num][i]` without building an entry
+   * per sample. Timestamp-indexed results are read into plain arrays once;
+   * values their entries lack are undefined.
+   *
+   * @param {Object} analysisResult - Analysis result in either layout
+   * @param {number[]|Float64Array} timestamps - Result of getTimestamps
+   * @returns {{levels: Object.<number, ArrayLike<number>>, speech: Object.<number, ArrayLike<number>>,
+   *           activeCamera: ArrayLike<number>}} Arrays keyed by camera number (cameras without data are missing)
+   */
+  static getSeries(analysisResult, timestamps) {
+    if (CompactTimeline.isCompact(analysisResult)) {
+      return {
+        levels: analysisResult.levels,
+        speech: analysisResult.speech || {},
+        activeCamera: analysisResult.activeCamera
+      };
+    }
+
+    const cameras = CompactTimeline.getCameraNumbers(analysisResult);
+    const levels = {};
+    const speech = {};
+    for (const num of cameras) {
+      levels[num] = new Array(timestamps.length);
+      speech[num] = new Array(timestamps.length);
+    }
+    const activeCamera = new Array(timestamps.length);
+
+    for (let i = 0; i < timestamps.length; i++) {
+      const entry = analysisResult.timeline[timestamps[i]] || {};
+      for (const num of cameras) {
+        levels[num][i] = entry[`camera${num}`];
+        speech[num][i] = entry[`speech${num}`];
+      }
+      activeCamera[i] = entry.activeCamera;
+    }
+
+    return {levels, speech, activeCamera};
+  }
+
+  /**
+   * Read one sample as a timeline entry
+   *
+   * Timestamp-indexed results return their own entry (do not modify it);
+   * compact results build a new one.
+   *
+   * @param {Object} analysisResult - Analysis result in either layout
+   * @param {number[]} timestamps - Result of getTimestamps
+   * @param {number} index - Sample index
+   * @returns {TimelineData}
+   */
+  static getSample(analysisResult, timestamps, index) {
+    if (!CompactTimeline.isCompact(analysisResult)) {
+      return analysisResult.timeline[timestamps[index]];
+    }
+
+    return CompactTimeline.readEntry(
+      analysisResult.cameras,
+      analysisResult.levels,
+      analysisResult.speech,
+      analysisResult.activeCamera,
+      index
+    );
+  }
+
+  /**
+   * Read one sample as it was before bleed compensation
+   *
+   * @param {Object} analysisResult - Analysis result in either layout
+   * @param {number[]} timestamps - Result of getTimestamps
+   * @param {number} index - Sample index
+   * @returns {TimelineData|null} null when the result was not compensated
+   */
+  static getRawSample(analysisResult, timestamps, index) {
+    if (!CompactTimeline.isCompact(analysisResult)) {
+      const raw = analysisResult.rawTimeline;
+      return raw ? raw[timestamps[index]] || null : null;
+    }
+
+    if (!analysisResult.rawLevels) {
+      return null;
+    }
+
+    return CompactTimeline.readEntry(
+      analysisResult.cameras,
+      analysisResult.rawLevels,
+      null,
+      analysisResult.rawActiveCamera,
+      index
+    );
+  }
+
+  /**
+   * Convert a compact result to the timestamp-indexed layout
+   *
+   * The typed arrays are dropped; everything else is kept. Results already
+   * in the timestamp-indexed layout are returned as they are.
+   *
+   * @param {Object} analysisResult - Analysis result in either layout
+   * @returns {Object} AnalysisResult with `timeline` (and `rawTimeline` after bleed compensation)
+   */
+  static toTimeline(analysisResult) {
+    if (!CompactTimeline.isCompact(analysisResult)) {
+      return analysisResult;
+    }
+
+    const {timestamps, levels, speech, activeCamera, rawLevels, rawActiveCamera} = analysisResult;
+    const result = Object.assign({}, analysisResult);
+    for (const key of ['format', 'timestamps', 'levels', 'speech', 'activeCamera', 'rawLevels', 'rawActiveCamera']) {
+      delete result[key];
+    }
+
+    result.timeline = {};
+    if (rawLevels) {
+      result.rawTimeline = {};
+    }
+
+    for (let i = 0; i < timestamps.length; i++) {
+      result.timeline[timestamps[i]] = CompactTimeline.readEntry(analysisResult.cameras, levels, speech, activeCamera, i);
+      if (rawLevels) {
+        result.rawTimeline[timestamps[i]] = CompactTimeline.readEntry(analysisResult.cameras, rawLevels, null, rawActiveCamera, i);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Build the timeline entry of one sample from per-camera arrays
+   *
+   * @param {number[]} cameras - Camera numbers
+   * @param {Object.<number, Float32Array>} levels - Levels per camera
+   * @param {Object.<number, Float32Array>|null} speech - Speech probabilities per camera
+   * @param {Uint8Array} activeCamera - Active camera per sample
+   * @param {number} index - Sample index
+   * @returns {TimelineData}
+   * @private
+   */
+  static readEntry(cameras, levels, speech, activeCamera, index) {
+    const entry = {};
+    for (const num of cameras) {
+      if (levels[num]) {
+        entry[`camera${num}`] = levels[num][index];
+      }
+    }
+    if (speech) {
+      for (const num of cameras) {
+        if (speech[num]) {
+          entry[`speech${num}`] = speech[num][index];
+        }
+      }
+    }
+    entry.activeCamera = activeCamera[index];
+
+    return entry;
+  }
+}
+
+// Export for use in main.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CompactTimeline;
+}
@@ -0,0 +1,227 @@
+/**
+ * CutEditor Module
+ *
+ * Purpose: Manual corrections to a generated cut list
+ * Algorithm: Each edit returns a new cut list with times snapped to frame
+ *            edges; no cut is left shorter than one frame
+ *
+ * @module CutEditor
+ */
+
+const TimeBase = require('./TimeBase.js');
+
+/**
+ * @typedef {Object} Cut
+ * @property {number} startTime - Cut start time in seconds
+ * @property {number} endTime - Cut end time in seconds
+ * @property {number} camera - Camera number for this cut (1-N)
+ * @property {'overlap'|'silence'} [reason] - Why the cut was routed to the wide camera
+ * @property {boolean} [cutaway] - True for cutaways inserted to break up a long shot
+ * @property {number} [confidence] - How clearly the levels support the camera (see CutGenerator.scoreCuts)
+ */
+
+/**
+ * Tolerance in seconds for treating two cut edges as the same time
+ * @type {number}
+ */
+const EDGE_EPSILON = 1e-6;
+
+class CutEditor {
+  /**
+   * @param {number} [frameRate] - Sequence frame rate in fps that edits snap to (default: 29.97)
+   */
+  constructor(frameRate) {
+    /**
+     * @type {TimeBase}
+     * @private
+     */
+    this.timeBase = new TimeBase(frameRate || undefined);
+  }
+
+  /**
+   * Find the cut under a time
+   *
+   * @param {Cut[]} cuts - Cut list in time order
+   * @param {number} time - Time in seconds
+   * @returns {number} Index of the cut, or -1 when no cut covers the time
+   */
+  findCutAt(cuts, time) {
+    const last = cuts.length - 1;
+
+    return cuts.findIndex((cut, index) =>
+      time >= cut.startTime && (time < cut.endTime || (index === last && time <= cut.endTime))
+    );
+  }
+
+  /**
+   * Find the cut boundary closest to a time
+   *
+   * A boundary is the start of a cut other than the first.
+   *
+   * @param {Cut[]} cuts - Cut list in time order
+   * @param {number} time - Time in seconds
+   * @param {number} tolerance - Largest distance in seconds
+   * @returns {number} Index of the cut starting at the boundary, or -1 when none is within tolerance
+   */
+  findBoundary(cuts, time, tolerance) {
+    let best = -1;
+    let bestDistance = tolerance;
+
+    for (let index = 1; index < cuts.length; index++) {
+      const distance = Math.abs(cuts[index].startTime - time);
+      if (distance <= bestDistance) {
+        best = index;
+        bestDistance = distance;
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Move the start of a cut, and the end of the previous cut when they touch
+   *
+   * The new time is snapped to a frame edge and kept at least one frame
+   * inside both cuts.
+   *
+   * @param {Cut[]} cuts - Cut list in time order
+   * @param {number} index - Cut whose start moves (1 or higher)
+   * @param {number} time - New start time in seconds
+   * @returns {Cut[]} Edited copy of the cut list
+   */
+  moveBoundary(cuts, index, time) {
+    this.checkIndex(cuts, index);
+    if (index === 0) {
+      throw new Error('The first cut has no boundary to move');
+    }
+
+    const previous = cuts[index - 1];
+    const cut = cuts[index];
+    const touching = Math.abs(previous.endTime - cut.startTime) < EDGE_EPSILON;
+
+    const first = touching ?
+      this.timeBase.secondsToFrames(previous.startTime) + 1 :
+      this.timeBase.secondsToFrames(previous.endTime);
+    const last = this.timeBase.secondsToFrames(cut.endTime) - 1;
+    if (first > last) {
+      throw new Error(`Cut ${index} is too short to move its start`);
+    }
+
+    const frame = Math.min(last, Math.max(first, this.timeBase.secondsToFrames(time)));
+    const startTime = this.timeBase.framesToSeconds(frame);
+
+    const edited = cuts.slice();
+    edited[index] = this.editCut(cut, {startTime});
+    if (touching) {
+      edited[index - 1] = this.editCut(previous, {endTime: startTime});
+    }
+
+    return edited;
+  }
+
+  /**
+   * Show another camera during a cut
+   *
+   * @param {Cut[]} cuts - Cut list in time order
+   * @param {number} index - Cut to change
+   * @param {number} camera - New camera number
+   * @returns {Cut[]} Edited copy of the cut list
+   */
+  setCamera(cuts, index, camera) {
+    this.checkIndex(cuts, index);
+
+    const edited = cuts.slice();
+    edited[index] = this.editCut(cuts[index], {camera});
+
+    // The generator's reason no longer explains a manually chosen camera
+    delete edited[index].reason;
+    delete edited[index].cutaway;
+
+    return edited;
+  }
+
+  /**
+   * Split a cut in two at a time; both halves keep the camera
+   *
+   * @param {Cut[]} cuts - Cut list in time order
+   * @param {number} index - Cut to split
+   * @param {number} time - Split time in seconds (snapped to a frame edge)
+   * @returns {Cut[]} Edited copy of the cut list
+   */
+  splitCut(cuts, index, time) {
+    this.checkIndex(cuts, index);
+
+    const cut = cuts[index];
+    const frame = this.timeBase.secondsToFrames(time);
+    if (frame <= this.timeBase.secondsToFrames(cut.startTime) || frame >= this.timeBase.secondsToFrames(cut.endTime)) {
+      throw new Error(`Cut ${index} cannot be split at ${time.toFixed(3)}s`);
+    }
+
+    const splitTime = this.timeBase.framesToSeconds(frame);
+    const edited = cuts.slice();
+    edited.splice(index, 1,
+      this.editCut(cut, {endTime: splitTime}),
+      this.editCut(cut, {startTime: splitTime})
+    );
+
+    return edited;
+  }
+
+  /**
+   * Remove a cut; the previous cut (or the next, for the first) takes over its time
+   *
+   * @param {Cut[]} cuts - Cut list in time order
+   * @param {number} index - Cut to remove
+   * @returns {Cut[]} Edited copy of the cut list
+   */
+  deleteCut(cuts, index) {
+    this.checkIndex(cuts, index);
+    if (cuts.length === 1) {
+      throw new Error('Cannot delete the only cut');
+    }
+
+    const cut = cuts[index];
+    const edited = cuts.slice();
+
+    if (index > 0) {
+      edited[index - 1] = this.editCut(cuts[index - 1], {endTime: cut.endTime});
+    } else {
+      edited[1] = this.editCut(cuts[1], {startTime: cut.startTime});
+    }
+    edited.splice(index, 1);
+
+    return edited;
+  }
+
+  /**
+   * Copy a cut with changes; its confidence no longer applies
+   *
+   * @param {Cut} cut - Cut to copy
+   * @param {Object} changes - Properties to replace
+   * @returns {Cut}
+   * @private
+   */
+  editCut(cut, changes) {
+    const edited = Object.assign({}, cut, changes);
+    delete edited.confidence;
+    return edited;
+  }
+
+  /**
+   * Throw unless index addresses a cut
+   *
+   * @param {Cut[]} cuts - Cut list
+   * @param {number} index - Cut index
+   * @private
+   */
+  checkIndex(cuts, index) {
+    if (!Array.isArray(cuts) || !Number.isInteger(index) || index < 0 || index >= cuts.length) {
+      throw new Error(`No cut at index ${index}`);
+    }
+  }
+}
+
+// Export for use in VisualizationUI
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CutEditor;
+}
@@ -2,31 +2,82 @@
  * CutGenerator Module
  *
  * Purpose: Generate optimal cut points from audio analysis results
- * Algorithm: Minimum cut duration + frequency threshold
+ * Algorithm: Greedy (hysteresis switching + dominance threshold + minimum cut duration)
+ *            or optimal (Viterbi over per-camera level scores with switch penalty),
+ *            on levels weighted by each camera's speech probability when available
  *
  * @module CutGenerator
  */
 
+const TimeBase = require('./TimeBase.js');
+const CompactTimeline = require('./CompactTimeline.js');
+
 /**
  * @typedef {Object} CutOptions
  * @property {number} minCutDuration - Minimum cut duration in seconds (default: 2.0)
  * @property {'low'|'medium'|'high'} cutFrequency - Cut frequency setting (default: 'medium')
  * @property {number} transitionDuration - Transition duration in seconds (default: 0.0)
+ * @property {number} attackTime - Seconds a new speaker must dominate before switching (default: 0.0; greedy only)
+ * @property {number} holdTime - Seconds to stay on a camera after switching to it (default: 0.0; greedy only)
+ * @property {number} switchMarginDb - dB a new speaker must be above the current camera (default: 0.0; greedy only)
+ * @property {'greedy'|'optimal'} strategy - Cut strategy (default: 'greedy')
+ * @property {number} [switchPenalty] - Cost of one switch for the optimal strategy, in level-seconds
+ *                                      (default: derived from cutFrequency)
+ * @property {number|null} [wideCamera] - Wide/master camera for overlap and silence (default: null = disabled)
+ * @property {number} [overlapThreshold] - Level at which two speakers count as talking at once (default: 0.5)
+ * @property {number} [silenceThreshold] - Level below which every speaker counts as silent (default: 0.1)
+ * @property {number} [wideMinDuration] - Minimum length of a wide shot in seconds (default: minCutDuration)
+ * @property {number} [maxCutDuration] - Longest speaker shot before a cutaway is inserted (default: 0 = unlimited)
+ * @property {number} [cutawayDuration] - Length of an inserted cutaway in seconds (default: 2.0)
+ * @property {'wide'|'quietest'|'round-robin'} [cutawayCamera] - How the cutaway camera is chosen (default: 'wide';
+ *                                      falls back to 'quietest' without a wide camera)
+ * @property {number} [frameRate] - Frame rate cut boundaries are snapped to (default: analysisResult.frameRate;
+ *                                  no snapping when neither is known)
+ * @property {'speech'|'level'} [detection] - Decide on speech-weighted levels or raw loudness (default: 'speech';
+ *                                            falls back to 'level' when the timeline has no speechN fields)
+ * @property {AbortSignal} [signal] - Checked between generation passes; aborting it throws an AbortError
  */
 
 /**
  * @typedef {Object} Cut
  * @property {number} startTime - Cut start time in seconds
  * @property {number} endTime - Cut end time in seconds
- * @property {1|2|3} camera - Camera number for this cut
+ * @property {number} camera - Camera number for this cut (1-N)
+ * @property {'overlap'|'silence'} [reason] - Why the cut was routed to the wide camera
+ * @property {boolean} [cutaway] - True for cutaways inserted to break up a long shot
+ * @property {number} [confidence] - How clearly the levels support the camera, 0.0-1.0 (see scoreCuts)
  */
 
 /**
  * @typedef {Object} AnalysisResult
- * @property {Object.<number, TimelineData>} timeline - Timestamp-indexed audio data
+ * @property {Object.<number, TimelineData>} [timeline] - Timestamp-indexed audio data
+ * @property {'compact'} [format] - Set instead of `timeline` for typed-array results (see CompactTimeline):
+ *                                  `timestamps`, `levels`, `speech` and `activeCamera` indexed by sample
  * @property {number} duration - Total analyzed duration in seconds
  * @property {number} sampleRate - Sample rate used in analysis
+ * @property {number} [frameRate] - Sequence frame rate in fps
+ * @property {number[]} [cameras] - Analyzed camera numbers (always set on compact results)
+ * @property {number} [floorDb] - dBFS level mapped to 0.0 by AudioAnalyzer (default: -60)
+ */
+
+/**
+ * @typedef {Object} TimelineData
+ * @property {number} cameraN - Audio level for camera N (0.0-1.0)
+ * @property {number} [speechN] - Speech probability for camera N (0.0-1.0)
+ * @property {number} activeCamera - Camera number with highest audio level
+ */
+
+/**
+ * Highest camera number accepted when no camera count is given
+ * @type {number}
+ */
+const MAX_CAMERAS = 8;
+
+/**
+ * Levels below this are treated as silence and never trigger a switch
+ * @type {number}
  */
+const SILENCE_LEVEL = 0.1;
 
 class CutGenerator {
   constructor() {
@@ -36,62 +87,140 @@ class CutGenerator {
   /**
    * Generate cuts from analysis result
    *
+   * Accepts both the timestamp-indexed and the compact layout of
+   * AudioAnalyzer results; compact results are read in place.
+   *
    * @param {AnalysisResult} analysisResult - Result from AudioAnalyzer
    * @param {CutOptions} options - Cut generation options
    * @returns {Cut[]} Array of cut points
+   * @throws {Error} AbortError when options.signal is aborted
    */
   generateCuts(analysisResult, options = {}) {
+    const signal = options.signal;
+    this.throwIfAborted(signal);
+
     const {
       minCutDuration = 2.0,
       cutFrequency = 'medium',
-      transitionDuration = 0.0
+      transitionDuration = 0.0,
+      attackTime = 0.0,
+      holdTime = 0.0,
+      switchMarginDb = 0.0,
+      strategy = 'greedy',
+      wideCamera = null,
+      overlapThreshold = 0.5,
+      silenceThreshold = SILENCE_LEVEL,
+      wideMinDuration = minCutDuration,
+      maxCutDuration = 0,
+      cutawayDuration = 2.0,
+      cutawayCamera = 'wide',
+      frameRate = analysisResult.frameRate,
+      detection = 'speech'
     } = options;
 
     console.log('[CutGenerator] Generating cuts with options:', {
       minCutDuration,
       cutFrequency,
-      transitionDuration
+      transitionDuration,
+      attackTime,
+      holdTime,
+      switchMarginDb,
+      strategy,
+      wideCamera,
+      overlapThreshold,
+      silenceThreshold,
+      wideMinDuration,
+      maxCutDuration,
+      cutawayDuration,
+      cutawayCamera,
+      frameRate,
+      detection
+    });
+
+    // Laughter, door slams and music beds should not win the shot
+    if (detection === 'speech') {
+      analysisResult = this.weightBySpeech(analysisResult);
+    }
+
+    // Sort timestamps; levels are read straight from the per-camera arrays
+    const timestamps = CompactTimeline.getTimestamps(analysisResult);
+    const {levels} = CompactTimeline.getSeries(analysisResult, timestamps);
+    const levelAt = (num, index) => (levels[num] ? levels[num][index] : undefined);
+
+    console.log(`[CutGenerator] Processing ${timestamps.length} timestamps`);
+
+    const cutawayOptions = {minCutDuration, maxCutDuration, cutawayDuration, cutawayCamera, wideCamera};
+
+    // Overlapping speech and long silences go to the wide camera
+    const wideReasons = this.findWideSegments(analysisResult, timestamps, {
+      wideCamera,
+      overlapThreshold,
+      silenceThreshold,
+      wideMinDuration
     });
 
+    this.throwIfAborted(signal);
+
+    if (strategy === 'optimal') {
+      const switchPenalty = options.switchPenalty !== undefined ?
+        options.switchPenalty :
+        this.frequencyToSwitchPenalty(cutFrequency);
+
+      // The switch penalty and minimum runs take the place of attack/hold/margin here
+      const optimalCuts = this.generateOptimalCuts(analysisResult, timestamps, {
+        minCutDuration,
+        switchPenalty,
+        wideCamera,
+        wideReasons,
+        wideMinDuration
+      });
+
+      return this.snapToFrames(
+        this.insertCutaways(optimalCuts, analysisResult, timestamps, cutawayOptions),
+        frameRate
+      );
+    }
+
     // Convert cutFrequency to threshold
     const threshold = this.frequencyToThreshold(cutFrequency);
 
     const cuts = [];
     let currentCut = null;
 
-    // Sort timestamps
-    const timestamps = Object.keys(analysisResult.timeline)
-      .map(Number)
-      .sort((a, b) => a - b);
+    // Smooth per-sample loudest camera with attack/hold/margin hysteresis
+    const activeCameras = this.resolveActiveCameras(analysisResult, timestamps, {
+      attackTime,
+      holdTime,
+      switchMarginDb
+    });
 
-    console.log(`[CutGenerator] Processing ${timestamps.length} timestamps`);
+    this.throwIfAborted(signal);
 
-    for (const timestamp of timestamps) {
-      const data = analysisResult.timeline[timestamp];
-      const activeCamera = data.activeCamera;
+    for (let index = 0; index < timestamps.length; index++) {
+      const timestamp = timestamps[index];
+      const wideReason = wideReasons[index];
+      const activeCamera = wideReason ? wideCamera : activeCameras[index];
 
       if (!currentCut) {
         // Start first cut
-        currentCut = {
-          startTime: timestamp,
-          endTime: timestamp,
-          camera: activeCamera
-        };
+        currentCut = this.createCut(timestamp, activeCamera, wideReason);
+      } else if (activeCamera !== currentCut.camera &&
+                 !wideReason && !currentCut.reason &&
+                 this.getLevelShare(levelAt(activeCamera, index), levelAt(currentCut.camera, index)) < threshold) {
+        // New speaker does not dominate the current camera clearly enough
+        currentCut.endTime = timestamp;
       } else if (activeCamera !== currentCut.camera) {
         // Camera changed - should we create new cut?
         const currentDuration = timestamp - currentCut.startTime;
+        const requiredDuration = currentCut.reason ? wideMinDuration : minCutDuration;
 
-        if (currentDuration >= minCutDuration) {
+        if (currentDuration >= requiredDuration) {
           // Current cut is long enough, commit it
           currentCut.endTime = timestamp;
           cuts.push(currentCut);
 
           // Start new cut
-          currentCut = {
-            startTime: timestamp,
-            endTime: timestamp,
-            camera: activeCamera
-          };
+          currentCut = this.createCut(timestamp, activeCamera, wideReason);
         } else {
           // Too short, extend current cut (ignore camera change)
           currentCut.endTime = timestamp;
@@ -111,16 +240,611 @@ class CutGenerator {
     console.log(`[CutGenerator] Generated ${cuts.length} raw cuts`);
 
     // Apply frequency threshold (merge adjacent cuts if needed)
-    const optimizedCuts = this.applyFrequencyThreshold(cuts, minCutDuration);
+    const optimizedCuts = this.applyFrequencyThreshold(cuts, minCutDuration, wideMinDuration);
 
     console.log(`[CutGenerator] Final cuts after optimization: ${optimizedCuts.length}`);
 
-    return optimizedCuts;
+    return this.snapToFrames(
+      this.insertCutaways(optimizedCuts, analysisResult, timestamps, cutawayOptions),
+      frameRate
+    );
+  }
+
+  /**
+   * Generate cuts by solving for the globally best camera sequence
+   *
+   * Viterbi over states (camera, samples since last switch). Each sample costs
+   * how much quieter the chosen camera is than the loudest one; each switch
+   * costs switchPenalty. A camera may only be left once it has been on air
+   * for minCutDuration (wideMinDuration for the wide camera), so every cut
+   * (including the last one, when the timeline is long enough) honors its
+   * minimum without post-merging.
+   *
+   * Samples routed to the wide camera (see findWideSegments) cost nothing on
+   * the wide camera and the full step on every other camera.
+   *
+   * @param {AnalysisResult} analysisResult - Result from AudioAnalyzer
+   * @param {number[]} timestamps - Sorted timeline timestamps
+   * @param {{minCutDuration: number, switchPenalty: number, wideCamera?: number|null, wideReasons?: Array<string|null>, wideMinDuration?: number}} options - Optimization parameters
+   * @returns {Cut[]} Array of cut points
+   */
+  generateOptimalCuts(analysisResult, timestamps, options) {
+    const {minCutDuration, switchPenalty, wideCamera = null, wideReasons = []} = options;
+    const wideMinDuration = options.wideMinDuration !== undefined ? options.wideMinDuration : minCutDuration;
+    const T = timestamps.length;
+
+    if (T === 0) {
+      return [];
+    }
+
+    const series = CompactTimeline.getSeries(analysisResult, timestamps);
+    let cameras = CompactTimeline.getCameraNumbers(analysisResult);
+    if (cameras.length === 0) {
+      cameras = [...new Set(Array.from(series.activeCamera))].sort((a, b) => a - b);
+    }
+    if (wideCamera && !cameras.includes(wideCamera)) {
+      cameras = cameras.concat(wideCamera).sort((a, b) => a - b);
+    }
+
+    const N = cameras.length;
+    const step = analysisResult.sampleRate || 1.0;
+    const K = Math.max(1, Math.ceil(minCutDuration / step - 1e-9));
+    const wideK = Math.max(1, Math.ceil(wideMinDuration / step - 1e-9));
+
+    console.log(`[CutGenerator] Optimal strategy: ${N} cameras, ${T} samples, min run ${K} samples ` +
+      `(wide ${wideK}), switch penalty ${switchPenalty}`);
+
+    // Per-sample cost of each camera: level gap to the loudest camera, in level-seconds
+    const columns = cameras.map(num => series.levels[num] || null);
+    const costRow = new Float64Array(N);
+    const sampleCosts = t => {
+      if (wideReasons[t]) {
+        for (let c = 0; c < N; c++) {
+          costRow[c] = cameras[c] === wideCamera ? 0 : step;
+        }
+        return costRow;
+      }
+
+      let loudest = -Infinity;
+      let complete = true;
+      for (let c = 0; c < N; c++) {
+        const level = columns[c] ? columns[c][t] : undefined;
+        if (typeof level !== 'number') {
+          complete = false;
+          break;
+        }
+        costRow[c] = level;
+        loudest = Math.max(loudest, level);
+      }
+
+      for (let c = 0; c < N; c++) {
+        costRow[c] = complete ? (loudest - costRow[c]) * step : (cameras[c] === series.activeCamera[t] ? 0 : step);
+      }
+      return costRow;
+    };
+
+    // States: one per camera and run length, run length capped at the camera's minimum run
+    const runs = cameras.map(num => (num === wideCamera ? wideK : K));
+    const base = new Int32Array(N);
+    for (let c = 1; c < N; c++) {
+      base[c] = base[c - 1] + runs[c - 1];
+    }
+    const S = base[N - 1] + runs[N - 1];
+    const full = c => base[c] + runs[c] - 1;
+    const stateCamera = new Uint8Array(S);
+    for (let c = 0; c < N; c++) {
+      stateCamera.fill(c, base[c], base[c] + runs[c]);
+    }
+
+    let prev = new Float64Array(S).fill(Infinity);
+    let cur = new Float64Array(S);
+    const enteredFrom = new Uint8Array(T * N);  // camera switched from, for run length 1
+    const stayedFull = new Uint8Array(T * N);   // 1 if full run continued from a full run
+
+    const firstCosts = sampleCosts(0);
+    for (let c = 0; c < N; c++) {
+      prev[base[c]] = firstCosts[c];
+      enteredFrom[c] = c;
+    }
+
+    for (let t = 1; t < T; t++) {
+      cur.fill(Infinity);
+      const costs = sampleCosts(t);
+
+      // Best and second best full runs, to find the cheapest camera to switch from
+      let best = -1;
+      let second = -1;
+      for (let c = 0; c < N; c++) {
+        const score = prev[full(c)];
+        if (best === -1 || score < prev[full(best)]) {
+          second = best;
+          best = c;
+        } else if (second === -1 || score < prev[full(second)]) {
+          second = c;
+        }
+      }
+
+      for (let c = 0; c < N; c++) {
+        const cost = costs[c];
+        const from = best !== c ? best : second;
+        const enter = from === -1 ? Infinity : prev[full(from)] + switchPenalty;
+        const first = base[c];
+        const last = full(c);
+
+        if (first === last) {
+          const stay = prev[first];
+          cur[first] = Math.min(stay, enter) + cost;
+          enteredFrom[t * N + c] = stay <= enter ? c : from;
+          continue;
+        }
+
+        cur[first] = enter + cost;
+        enteredFrom[t * N + c] = from === -1 ? c : from;
+
+        for (let s = first + 1; s < last; s++) {
+          cur[s] = prev[s - 1] + cost;
+        }
+
+        const fromGrowing = prev[last - 1];
+        const fromFull = prev[last];
+        cur[last] = Math.min(fromGrowing, fromFull) + cost;
+        stayedFull[t * N + c] = fromFull < fromGrowing ? 1 : 0;
+      }
+
+      [prev, cur] = [cur, prev];
+    }
+
+    // Prefer ending on a full-length run; fall back to any state for short timelines
+    let state = -1;
+    for (let c = 0; c < N; c++) {
+      const s = full(c);
+      if (prev[s] < Infinity && (state === -1 || prev[s] < prev[state])) {
+        state = s;
+      }
+    }
+    if (state === -1) {
+      for (let s = 0; s < S; s++) {
+        if (state === -1 || prev[s] < prev[state]) {
+          state = s;
+        }
+      }
+    }
+
+    // Backtrack camera per sample
+    const path = new Array(T);
+    for (let t = T - 1; t >= 0; t--) {
+      const c = stateCamera[state];
+      path[t] = cameras[c];
+
+      if (t === 0) {
+        break;
+      }
+
+      if (state === base[c]) {
+        // Run length 1: entered from another camera's full run (or stayed, for one-sample runs)
+        state = full(enteredFrom[t * N + c]);
+      } else if (state === full(c)) {
+        state = stayedFull[t * N + c] ? state : state - 1;
+      } else {
+        state = state - 1;
+      }
+    }
+
+    // Collapse runs into cuts
+    const cuts = [];
+    for (let t = 0; t < T; t++) {
+      if (t === 0 || path[t] !== path[t - 1]) {
+        if (cuts.length > 0) {
+          cuts[cuts.length - 1].endTime = timestamps[t];
+        }
+        cuts.push(this.createCut(timestamps[t], path[t], path[t] === wideCamera ? wideReasons[t] : null));
+      }
+    }
+    cuts[cuts.length - 1].endTime = analysisResult.duration;
+
+    console.log(`[CutGenerator] Optimal strategy generated ${cuts.length} cuts`);
+
+    return cuts;
+  }
+
+  /**
+   * Resolve the on-air camera per timestamp with a hysteresis switching model
+   *
+   * A camera takes over only when it is louder than the current camera by
+   * switchMarginDb for at least attackTime, and no earlier than holdTime after
+   * the previous switch. Accepted switches are back-dated to the moment the
+   * new speaker started dominating, so cuts land on the start of speech.
+   * With all parameters at 0 the analyzer's activeCamera is used unchanged.
+   *
+   * @param {AnalysisResult} analysisResult - Result from AudioAnalyzer
+   * @param {number[]} timestamps - Sorted timeline timestamps
+   * @param {{attackTime: number, holdTime: number, switchMarginDb: number}} options - Switching parameters
+   * @returns {number[]} Camera number per timestamp
+   */
+  resolveActiveCameras(analysisResult, timestamps, options = {}) {
+    const {attackTime = 0, holdTime = 0, switchMarginDb = 0} = options;
+    const series = CompactTimeline.getSeries(analysisResult, timestamps);
+    const raw = Array.from(series.activeCamera);
+    const cameras = CompactTimeline.getCameraNumbers(analysisResult).filter(num => series.levels[num]);
+
+    if ((attackTime <= 0 && holdTime <= 0 && switchMarginDb <= 0) || cameras.length === 0 || raw.length === 0) {
+      return raw;
+    }
+
+    // Levels are on AudioAnalyzer's meter scale: 0.0 = floorDb, 1.0 = 0 dBFS
+    const floorDb = analysisResult.floorDb || -60;
+    const toDb = level => floorDb + level * -floorDb;
+    const step = analysisResult.sampleRate || 1.0;
+
+    const resolved = [];
+    let current = raw[0];
+    let lastSwitchIndex = 0;
+    let candidate = null;
+    let candidateStart = 0;
+
+    for (let i = 0; i < timestamps.length; i++) {
+      const timestamp = timestamps[i];
+      const currentLevel = (series.levels[current] && series.levels[current][i]) || 0;
+
+      // Loudest camera at this sample
+      let loudest = current;
+      let loudestLevel = currentLevel;
+      for (const num of cameras) {
+        const level = series.levels[num][i] || 0;
+        if (level > loudestLevel) {
+          loudest = num;
+          loudestLevel = level;
+        }
+      }
+
+      const dominates = loudest !== current &&
+        loudestLevel >= SILENCE_LEVEL &&
+        toDb(loudestLevel) - toDb(currentLevel) >= switchMarginDb;
+
+      if (!dominates) {
+        candidate = null;
+        resolved.push(current);
+        continue;
+      }
+
+      if (candidate !== loudest) {
+        candidate = loudest;
+        candidateStart = i;
+      }
+
+      const dominatedFor = timestamp - timestamps[candidateStart] + step;
+      const sinceSwitch = timestamp - timestamps[lastSwitchIndex];
+
+      if (dominatedFor < attackTime || sinceSwitch < holdTime) {
+        resolved.push(current);
+        continue;
+      }
+
+      // Back-date the switch, but never into the previous camera's hold period
+      let switchIndex = candidateStart;
+      while (switchIndex < i && timestamps[switchIndex] - timestamps[lastSwitchIndex] < holdTime) {
+        switchIndex++;
+      }
+      for (let j = switchIndex; j < i; j++) {
+        resolved[j] = candidate;
+      }
+      resolved.push(candidate);
+
+      current = candidate;
+      lastSwitchIndex = switchIndex;
+      candidate = null;
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Find the samples that belong on the wide camera
+   *
+   * A sample is an overlap when at least two speaker cameras (every camera
+   * except the wide one) are at or above overlapThreshold, and silence when
+   * all of them are below silenceThreshold. Only stretches of such samples
+   * lasting at least wideMinDuration are routed, so a breath between two
+   * sentences stays on the speaker.
+   *
+   * @param {AnalysisResult} analysisResult - Result from AudioAnalyzer
+   * @param {number[]} timestamps - Sorted timeline timestamps
+   * @param {{wideCamera: number|null, overlapThreshold: number, silenceThreshold: number, wideMinDuration: number}} options - Routing parameters
+   * @returns {Array<'overlap'|'silence'|null>} Routing reason per timestamp (null = speaker camera)
+   */
+  findWideSegments(analysisResult, timestamps, options) {
+    const {wideCamera, overlapThreshold, silenceThreshold, wideMinDuration} = options;
+    const reasons = new Array(timestamps.length).fill(null);
+
+    if (!wideCamera) {
+      return reasons;
+    }
+
+    const speakers = CompactTimeline.getCameraNumbers(analysisResult).filter(num => num !== wideCamera);
+    if (speakers.length === 0) {
+      return reasons;
+    }
+
+    const step = analysisResult.sampleRate || 1.0;
+    const {levels} = CompactTimeline.getSeries(analysisResult, timestamps);
+    const columns = speakers.map(num => levels[num] || null);
+
+    const raw = new Array(timestamps.length).fill(null);
+    for (let i = 0; i < timestamps.length; i++) {
+      let loud = 0;
+      let loudest = -Infinity;
+      let complete = true;
+      for (const column of columns) {
+        const level = column ? column[i] : undefined;
+        if (typeof level !== 'number') {
+          complete = false;
+          break;
+        }
+        if (level >= overlapThreshold) {
+          loud++;
+        }
+        loudest = Math.max(loudest, level);
+      }
+
+      if (!complete) {
+        continue;
+      }
+      if (loud >= 2) {
+        raw[i] = 'overlap';
+      } else if (loudest < silenceThreshold) {
+        raw[i] = 'silence';
+      }
+    }
+
+    // Keep only stretches long enough for a wide shot
+    let runStart = -1;
+    for (let i = 0; i <= raw.length; i++) {
+      if (i < raw.length && raw[i]) {
+        if (runStart === -1) {
+          runStart = i;
+        }
+        continue;
+      }
+
+      if (runStart !== -1) {
+        const runDuration = timestamps[i - 1] - timestamps[runStart] + step;
+        if (runDuration >= wideMinDuration - 1e-9) {
+          for (let j = runStart; j < i; j++) {
+            reasons[j] = raw[j];
+          }
+        }
+        runStart = -1;
+      }
+    }
+
+    const routed = reasons.filter(Boolean).length;
+    if (routed > 0) {
+      console.log(`[CutGenerator] Routing ${routed} samples to wide camera ${wideCamera}`);
+    }
+
+    return reasons;
+  }
+
+  /**
+   * Break up speaker shots longer than maxCutDuration with cutaways
+   *
+   * Every maxCutDuration of a speaker shot, a cutaway of cutawayDuration is
+   * inserted before returning to the speaker. A cutaway is skipped when it
+   * would leave less than minCutDuration of the speaker at the end of the
+   * shot. Wide-routed cuts are never split.
+   *
+   * @param {Cut[]} cuts - Cuts in time order
+   * @param {AnalysisResult} analysisResult - Result from AudioAnalyzer
+   * @param {number[]} timestamps - Sorted timeline timestamps
+   * @param {{minCutDuration: number, maxCutDuration: number, cutawayDuration: number, cutawayCamera: string, wideCamera: number|null}} options - Cutaway parameters
+   * @returns {Cut[]} Cuts with cutaways marked `cutaway: true`
+   */
+  insertCutaways(cuts, analysisResult, timestamps, options) {
+    const {minCutDuration, maxCutDuration, cutawayDuration, cutawayCamera, wideCamera} = options;
+
+    if (!(maxCutDuration > 0) || !(cutawayDuration > 0)) {
+      return cuts;
+    }
+
+    const cameras = CompactTimeline.getCameraNumbers(analysisResult);
+    const result = [];
+    let roundRobin = 0;
+
+    for (const cut of cuts) {
+      if (cut.reason || cut.cutaway || cut.endTime - cut.startTime <= maxCutDuration) {
+        result.push(cut);
+        continue;
+      }
+
+      const listeners = cameras.filter(num => num !== cut.camera && num !== wideCamera);
+      let position = cut.startTime;
+
+      while (cut.endTime - position > maxCutDuration) {
+        const cutawayStart = position + maxCutDuration;
+        const cutawayEnd = cutawayStart + cutawayDuration;
+        if (cut.endTime - cutawayEnd < minCutDuration) {
+          break;
+        }
+
+        let camera = null;
+        if (cutawayCamera === 'round-robin' && listeners.length > 0) {
+          camera = listeners[roundRobin % listeners.length];
+          roundRobin++;
+        } else if (cutawayCamera === 'wide' && wideCamera && wideCamera !== cut.camera) {
+          camera = wideCamera;
+        } else {
+          camera = this.findQuietestCamera(analysisResult, timestamps, listeners, position, cutawayStart);
+        }
+
+        if (camera === null) {
+          break;
+        }
+
+        result.push({...cut, startTime: position, endTime: cutawayStart});
+        result.push({startTime: cutawayStart, endTime: cutawayEnd, camera, cutaway: true});
+        position = cutawayEnd;
+      }
+
+      result.push({...cut, startTime: position});
+    }
+
+    const inserted = result.filter(cut => cut.cutaway).length - cuts.filter(cut => cut.cutaway).length;
+    if (inserted > 0) {
+      console.log(`[CutGenerator] Inserted ${inserted} cutaways (max shot ${maxCutDuration}s)`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Find the listener camera with the lowest mean level in a time range
+   *
+   * The quietest listener is the one most likely to be reacting rather than
+   * about to speak.
+   *
+   * @param {AnalysisResult} analysisResult - Result from AudioAnalyzer
+   * @param {number[]} timestamps - Sorted timeline timestamps
+   * @param {number[]} candidates - Camera numbers to choose from
+   * @param {number} start - Range start in seconds
+   * @param {number} end - Range end in seconds (exclusive)
+   * @returns {number|null} Camera number, or null if there are no candidates
+   * @private
+   */
+  findQuietestCamera(analysisResult, timestamps, candidates, start, end) {
+    const first = CompactTimeline.findIndex(timestamps, start);
+    let quietest = null;
+    let quietestLevel = Infinity;
+
+    for (const num of candidates) {
+      let sum = 0;
+      let count = 0;
+      for (let i = first; i < timestamps.length && timestamps[i] < end; i++) {
+        const level = CompactTimeline.getLevel(analysisResult, timestamps, i, num);
+        if (typeof level === 'number') {
+          sum += level;
+          count++;
+        }
+      }
+
+      const mean = count > 0 ? sum / count : 0;
+      if (mean < quietestLevel) {
+        quietest = num;
+        quietestLevel = mean;
+      }
+    }
+
+    return quietest;
+  }
+
+  /**
+   * Create a cut starting at a timestamp
+   *
+   * @param {number} timestamp - Cut start time in seconds
+   * @param {number} camera - Camera number
+   * @param {'overlap'|'silence'|null} reason - Wide routing reason, if any
+   * @returns {Cut} New cut (endTime = startTime)
+   * @private
+   */
+  createCut(timestamp, camera, reason) {
+    const cut = {
+      startTime: timestamp,
+      endTime: timestamp,
+      camera
+    };
+
+    if (reason) {
+      cut.reason = reason;
+    }
+
+    return cut;
+  }
+
+  /**
+   * Weight each camera's level by its speech probability
+   *
+   * Returns a copy whose cameraN levels are level × speechN and whose
+   * activeCamera is the loudest weighted camera (the first camera when all
+   * are below the silence level, as in AudioAnalyzer). Timelines without
+   * speechN fields are returned unchanged. The copy keeps the layout of
+   * the input.
+   *
+   * @param {AnalysisResult} analysisResult - Result from AudioAnalyzer
+   * @returns {AnalysisResult} Speech-weighted copy
+   */
+  weightBySpeech(analysisResult) {
+    const cameras = CompactTimeline.getCameraNumbers(analysisResult);
+    if (CompactTimeline.isCompact(analysisResult)) {
+      return this.weightCompactBySpeech(analysisResult, cameras);
+    }
+
+    const entries = Object.values(analysisResult.timeline);
+    const hasSpeech = cameras.length > 0 && entries.length > 0 &&
+      entries.every(data => cameras.every(num => typeof data[`speech${num}`] === 'number'));
+
+    if (!hasSpeech) {
+      return analysisResult;
+    }
+
+    const timeline = {};
+    for (const [timestamp, data] of Object.entries(analysisResult.timeline)) {
+      const entry = Object.assign({}, data);
+      const levels = cameras.map(num => (data[`camera${num}`] || 0) * data[`speech${num}`]);
+      cameras.forEach((num, index) => {
+        entry[`camera${num}`] = levels[index];
+      });
+
+      const maxLevel = Math.max(...levels);
+      entry.activeCamera = maxLevel < SILENCE_LEVEL ? cameras[0] : cameras[levels.indexOf(maxLevel)];
+      timeline[timestamp] = entry;
+    }
+
+    return Object.assign({}, analysisResult, {timeline});
+  }
+
+  /**
+   * weightBySpeech for compact results
+   *
+   * @param {AnalysisResult} analysisResult - Compact result from AudioAnalyzer
+   * @param {number[]} cameras - Camera numbers
+   * @returns {AnalysisResult} Speech-weighted copy with new level and activeCamera arrays
+   * @private
+   */
+  weightCompactBySpeech(analysisResult, cameras) {
+    const speech = analysisResult.speech;
+    const length = analysisResult.activeCamera.length;
+    const hasSpeech = cameras.length > 0 && length > 0 && !!speech &&
+      cameras.every(num => speech[num] && analysisResult.levels[num]);
+
+    if (!hasSpeech) {
+      return analysisResult;
+    }
+
+    const levels = {};
+    for (const num of cameras) {
+      levels[num] = new Float32Array(length);
+    }
+    const activeCamera = new Uint8Array(length);
+    const row = new Array(cameras.length);
+
+    for (let i = 0; i < length; i++) {
+      cameras.forEach((num, index) => {
+        levels[num][i] = analysisResult.levels[num][i] * speech[num][i];
+        row[index] = levels[num][i];
+      });
+
+      const maxLevel = Math.max(...row);
+      activeCamera[i] = maxLevel < SILENCE_LEVEL ? cameras[0] : cameras[row.indexOf(maxLevel)];
+    }
+
+    return Object.assign({}, analysisResult, {levels, activeCamera});
   }
 
   /**
    * Convert cutFrequency setting to threshold value
    *
+   * The threshold is the share of the combined level (see getDominance)
+   * a new speaker must reach over the current camera before a switch.
+   *
    * Higher threshold = fewer cuts (more conservative)
    * Lower threshold = more cuts (more aggressive)
    *
@@ -140,17 +864,75 @@ class CutGenerator {
     return threshold;
   }
 
+  /**
+   * Convert cutFrequency setting to a switch penalty for the optimal strategy
+   *
+   * The penalty is in level-seconds: a switch pays off once the new camera is
+   * that much louder than staying, summed over the samples it covers.
+   *
+   * @param {'low'|'medium'|'high'} frequency - Cut frequency setting
+   * @returns {number} Switch penalty
+   */
+  frequencyToSwitchPenalty(frequency) {
+    const penalties = {
+      'high': 0.5,   // Frequent cuts
+      'medium': 1.0, // Balanced (default)
+      'low': 2.0     // Fewer cuts
+    };
+
+    return penalties[frequency] || penalties['medium'];
+  }
+
+  /**
+   * Measure how strongly a candidate camera dominates the current camera
+   *
+   * Dominance is the candidate's share of the two cameras' combined level:
+   * 0.5 = equally loud, 1.0 = only the candidate is audible. Timeline entries
+   * without level data always count as fully dominant.
+   *
+   * @param {TimelineData} data - Timeline entry at the switch point
+   * @param {number} candidate - Camera that wants to take over
+   * @param {number} current - Camera currently on air
+   * @returns {number} Dominance 0.0-1.0
+   */
+  getDominance(data, candidate, current) {
+    return this.getLevelShare(data[`camera${candidate}`], data[`camera${current}`]);
+  }
+
+  /**
+   * A level's share of two levels combined (see getDominance)
+   *
+   * @param {number|undefined} candidateLevel - Level of the camera that wants to take over
+   * @param {number|undefined} currentLevel - Level of the camera currently on air
+   * @returns {number} Share 0.0-1.0; 1.0 when either level is missing
+   * @private
+   */
+  getLevelShare(candidateLevel, currentLevel) {
+    if (typeof candidateLevel !== 'number' || typeof currentLevel !== 'number') {
+      return 1.0;
+    }
+
+    const combined = candidateLevel + currentLevel;
+    if (combined <= 0) {
+      return 0.0;
+    }
+
+    return candidateLevel / combined;
+  }
+
   /**
    * Apply frequency threshold to reduce cut count
    *
    * Strategy: Merge adjacent cuts of the same camera if they're separated
-   * by a very short cut (below minCutDuration) of another camera
+   * by a very short cut (below minCutDuration) of another camera. Wide
+   * shots are measured against wideMinDuration instead.
    *
    * @param {Cut[]} cuts - Array of cuts
    * @param {number} minCutDuration - Minimum cut duration
+   * @param {number} [wideMinDuration=minCutDuration] - Minimum duration of wide-camera cuts
    * @returns {Cut[]} Optimized cuts
    */
-  applyFrequencyThreshold(cuts, minCutDuration) {
+  applyFrequencyThreshold(cuts, minCutDuration, wideMinDuration = minCutDuration) {
     if (cuts.length === 0) {
       return cuts;
     }
@@ -169,17 +951,17 @@ class CutGenerator {
         const afterNext = cuts[i + 2];
 
         const nextDuration = next.endTime - next.startTime;
+        const nextMinDuration = next.reason ? wideMinDuration : minCutDuration;
 
-        // Only merge if next cut is below minCutDuration AND cameras before/after are the same
+        // Only merge if next cut is below its minimum duration AND cameras before/after are the same
         // This preserves all cuts that meet the minimum duration requirement
-        if (nextDuration < minCutDuration && current.camera === afterNext.camera) {
+        if (nextDuration < nextMinDuration && current.camera === afterNext.camera) {
           // Merge current + afterNext (skip next)
           console.log(`[CutGenerator] Merging cuts at ${current.startTime}s and ${afterNext.startTime}s (skipping ${nextDuration}s cut, camera ${current.camera})`);
 
           optimized.push({
-            startTime: current.startTime,
-            endTime: afterNext.endTime,
-            camera: current.camera
+            ...current,
+            endTime: afterNext.endTime
           });
 
           i += 3; // Skip current, next, and afterNext
@@ -195,13 +977,101 @@ class CutGenerator {
     return optimized;
   }
 
+  /**
+   * Move cut boundaries onto frame edges
+   *
+   * Cuts that collapse to zero frames are dropped, and the neighbours they
+   * separated are merged when they show the same camera.
+   *
+   * @param {Cut[]} cuts - Array of cuts
+   * @param {number} [frameRate] - Frame rate in fps (cuts are returned unchanged if unknown)
+   * @returns {Cut[]} Frame-aligned cuts
+   */
+  snapToFrames(cuts, frameRate) {
+    if (!frameRate) {
+      return cuts;
+    }
+
+    const timeBase = new TimeBase(frameRate);
+    const snapped = [];
+
+    for (const cut of cuts) {
+      const startTime = timeBase.snap(cut.startTime);
+      const endTime = timeBase.snap(cut.endTime);
+
+      if (endTime <= startTime) {
+        continue;
+      }
+
+      const previous = snapped[snapped.length - 1];
+      if (previous && previous.camera === cut.camera && previous.endTime === startTime) {
+        previous.endTime = endTime;
+        continue;
+      }
+
+      snapped.push({...cut, startTime, endTime});
+    }
+
+    return snapped;
+  }
+
+  /**
+   * Attach a confidence score to each cut
+   *
+   * Confidence is the mean dominance (see getDominance) of the cut's camera
+   * over the loudest other camera across the samples the cut covers. Wide
+   * shots and cutaways are deliberate choices and always score 1.0.
+   *
+   * @param {Cut[]} cuts - Array of cuts
+   * @param {AnalysisResult} analysisResult - Result the cuts were generated from
+   * @returns {Cut[]} Copies of the cuts with `confidence` set
+   */
+  scoreCuts(cuts, analysisResult) {
+    const timestamps = CompactTimeline.getTimestamps(analysisResult);
+    const cameras = CompactTimeline.getCameraNumbers(analysisResult);
+    let cursor = 0;
+    let previousEnd = -Infinity;
+
+    return cuts.map(cut => {
+      // Cuts are in time order, so each range lookup starts where the last one ended
+      const first = CompactTimeline.findIndex(timestamps, cut.startTime, cut.startTime >= previousEnd ? cursor : 0);
+      const end = CompactTimeline.findIndex(timestamps, cut.endTime, first);
+      cursor = end;
+      previousEnd = cut.endTime;
+
+      if (cut.reason || cut.cutaway) {
+        return {...cut, confidence: 1.0};
+      }
+
+      const others = cameras.filter(num => num !== cut.camera);
+      let sum = 0;
+
+      for (let i = first; i < end; i++) {
+        const level = CompactTimeline.getLevel(analysisResult, timestamps, i, cut.camera);
+        let loudestLevel = null;
+        for (const num of others) {
+          const otherLevel = CompactTimeline.getLevel(analysisResult, timestamps, i, num);
+          if (loudestLevel === null || (otherLevel || 0) > (loudestLevel || 0)) {
+            loudestLevel = otherLevel;
+          }
+        }
+
+        sum += others.length === 0 ? 1.0 : this.getLevelShare(level, loudestLevel);
+      }
+
+      const count = end - first;
+      return {...cut, confidence: count > 0 ? sum / count : 1.0};
+    });
+  }
+
   /**
    * Validate cuts array
    *
    * @param {Cut[]} cuts - Array of cuts to validate
+   * @param {number} [cameraCount=8] - Number of configured cameras (valid cameras are 1-cameraCount)
    * @returns {{valid: boolean, errors: string[]}}
    */
-  validateCuts(cuts) {
+  validateCuts(cuts, cameraCount = MAX_CAMERAS) {
     const errors = [];
 
     if (!Array.isArray(cuts)) {
@@ -230,8 +1100,8 @@ class CutGenerator {
       if (cut.endTime < cut.startTime) {
         errors.push(`Cut ${i}: endTime must be >= startTime`);
       }
-      if (![1, 2, 3].includes(cut.camera)) {
-        errors.push(`Cut ${i}: camera must be 1, 2, or 3`);
+      if (!Number.isInteger(cut.camera) || cut.camera < 1 || cut.camera > cameraCount) {
+        errors.push(`Cut ${i}: camera must be between 1 and ${cameraCount}`);
       }
 
       // Check continuity
@@ -253,22 +1123,27 @@ class CutGenerator {
    * Get statistics about generated cuts
    *
    * @param {Cut[]} cuts - Array of cuts
+   * @param {number} [cameraCount] - Number of configured cameras (unused cameras report 0)
    * @returns {Object} Statistics
    */
-  getStatistics(cuts) {
+  getStatistics(cuts, cameraCount = 0) {
+    const cameraUsage = {};
+    for (let num = 1; num <= cameraCount; num++) {
+      cameraUsage[num] = 0;
+    }
+
     if (cuts.length === 0) {
       return {
         totalCuts: 0,
         totalDuration: 0,
         averageCutDuration: 0,
-        cameraUsage: {1: 0, 2: 0, 3: 0},
+        cameraUsage: cameraUsage,
         shortestCut: null,
         longestCut: null
       };
     }
 
     let totalDuration = 0;
-    const cameraUsage = {1: 0, 2: 0, 3: 0};
     let shortestCut = cuts[0];
     let longestCut = cuts[0];
 
@@ -276,7 +1151,7 @@ class CutGenerator {
       const duration = cut.endTime - cut.startTime;
       totalDuration += duration;
 
-      cameraUsage[cut.camera] += duration;
+      cameraUsage[cut.camera] = (cameraUsage[cut.camera] || 0) + duration;
 
       const shortestDuration = shortestCut.endTime - shortestCut.startTime;
       const longestDuration = longestCut.endTime - longestCut.startTime;
@@ -304,6 +1179,21 @@ class CutGenerator {
       }
     };
   }
+
+  /**
+   * Throw an AbortError if the signal has been aborted
+   *
+   * @param {AbortSignal} [signal] - Cancellation signal (ignored when absent)
+   * @throws {Error} AbortError
+   * @private
+   */
+  throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+      const error = new Error('Cut generation cancelled');
+      error.name = 'AbortError';
+      throw error;
+    }
+  }
 }
 
 // Export for use in main.js
@@ -0,0 +1,287 @@
+/**
+ * EdlExporter Module
+ *
+ * Purpose: Export generated cuts as a CMX3600 EDL for finishing in other NLEs
+ * Algorithm: One video event per source segment, one reel per media file,
+ *            optional dissolve events when transitionDuration is set
+ *
+ * @module EdlExporter
+ */
+
+const TimeBase = require('./TimeBase.js');
+const UserFile = require('./UserFile.js');
+
+/**
+ * @typedef {Object} EdlOptions
+ * @property {string} [title] - EDL title (default: 'AUTO CAMERA')
+ * @property {number} [frameRate] - Sequence frame rate in fps (default: 29.97)
+ * @property {boolean} [dropFrame] - Drop-frame timecode (default: true for 29.97/59.94)
+ * @property {string} [recordStart] - Record timecode of sequence time 0 (default: '00:00:00:00')
+ * @property {number} [transitionDuration] - Dissolve length in seconds, 0 = cuts only (default: 0)
+ */
+
+/**
+ * @typedef {Object} Cut
+ * @property {number} startTime - Cut start time in seconds
+ * @property {number} endTime - Cut end time in seconds
+ * @property {number} camera - Camera number for this cut (1-N)
+ * @property {'overlap'|'silence'} [reason] - Why the cut was routed to the wide camera
+ * @property {boolean} [cutaway] - True for inserted cutaways
+ */
+
+/**
+ * @typedef {Object} ExportSegment
+ * @property {Cut} cut - Cut the segment belongs to
+ * @property {number} camera - Camera shown during the segment
+ * @property {number} startTime - Record start in sequence seconds
+ * @property {number} endTime - Record end in sequence seconds
+ * @property {number} sourceIn - Source media in-point in seconds
+ * @property {number} sourceOut - Source media out-point in seconds
+ * @property {{path: string, name: string, start?: number}} media - Media file behind the segment
+ *   (start: embedded start timecode of the file in seconds)
+ */
+
+/**
+ * @typedef {Object} CameraInfo
+ * @property {number} trackIndex - Video track index
+ * @property {string} trackName - Track name (reel name for segments without media)
+ */
+
+/**
+ * Maximum reel name length in CMX3600
+ * @type {number}
+ */
+const REEL_NAME_LENGTH = 8;
+
+class EdlExporter {
+  constructor() {
+    console.log('[EdlExporter] Initialized');
+  }
+
+  /**
+   * Build a CMX3600 EDL from source segments
+   *
+   * Source timecodes are the segments' media times plus the file's embedded
+   * start timecode, so they match the timecode burnt into the footage;
+   * record timecodes are offset by recordStart. Each media file gets its own
+   * reel and each event names its file so another NLE can relink it.
+   *
+   * @param {ExportSegment[]} segments - Segments from TimelineEditor.getExportSegments
+   * @param {Object.<number, CameraInfo>} cameras - Camera track info {1: {...}, ..., N: {...}}
+   * @param {EdlOptions} options - Export options
+   * @returns {string} EDL text
+   */
+  export(segments, cameras, options = {}) {
+    const {
+      title = 'AUTO CAMERA',
+      frameRate = 30000 / 1001,
+      transitionDuration = 0,
+      recordStart = '00:00:00:00'
+    } = options;
+    const timeBase = new TimeBase(frameRate);
+    const dropFrame = options.dropFrame !== undefined ? options.dropFrame : timeBase.dropFrame;
+
+    if (dropFrame && !timeBase.dropFrame) {
+      throw new Error(`Drop-frame timecode requires 29.97 or 59.94 fps, got ${frameRate}`);
+    }
+
+    console.log(`[EdlExporter] Exporting ${segments.length} segments at ${frameRate.toFixed(3)} fps (${dropFrame ? 'DF' : 'NDF'})`);
+
+    const reels = this.getReelNames(segments, cameras);
+    const recordOffset = timeBase.timecodeToFrames(recordStart, dropFrame);
+    const toFrames = seconds => timeBase.secondsToFrames(seconds);
+    const tc = frames => timeBase.framesToTimecode(frames, dropFrame);
+    const dissolveFrames = Math.min(999, toFrames(transitionDuration));
+
+    const lines = [
+      `TITLE: ${title.toUpperCase().slice(0, 70)}`,
+      `FCM: ${dropFrame ? 'DROP FRAME' : 'NON-DROP FRAME'}`,
+      ''
+    ];
+
+    let eventNumber = 0;
+    let previous = null;
+
+    for (const segment of segments) {
+      const reel = reels.get(this.getReelKey(segment));
+      const startFrame = toFrames(segment.startTime);
+      const endFrame = toFrames(segment.endTime);
+
+      if (endFrame <= startFrame) {
+        continue;
+      }
+
+      // Source and record ranges stay the same length
+      const sourceIn = toFrames(segment.sourceIn + ((segment.media && segment.media.start) || 0));
+      const sourceOut = sourceIn + endFrame - startFrame;
+
+      eventNumber++;
+      const event = String(eventNumber).padStart(3, '0');
+      const recIn = tc(recordOffset + startFrame);
+      const recOut = tc(recordOffset + endFrame);
+
+      if (dissolveFrames > 0 && previous && previous.camera !== segment.camera && previous.endFrame === startFrame) {
+        // Dissolve: outgoing reel held at its out point, then the incoming reel
+        lines.push(this.formatEvent(event, previous.reel, 'C', '', tc(previous.sourceOut), tc(previous.sourceOut), recIn, recIn));
+        lines.push(this.formatEvent(event, reel, 'D', String(dissolveFrames).padStart(3, '0'),
+          tc(sourceIn), tc(sourceOut), recIn, recOut));
+      } else {
+        lines.push(this.formatEvent(event, reel, 'C', '', tc(sourceIn), tc(sourceOut), recIn, recOut));
+      }
+
+      if (segment.media && segment.media.name) {
+        lines.push(`* FROM CLIP NAME: ${segment.media.name}`);
+      }
+      if (segment.cut.cutaway) {
+        lines.push('* COMMENT: CUTAWAY');
+      } else if (segment.cut.reason) {
+        lines.push(`* COMMENT: WIDE (${segment.cut.reason.toUpperCase()})`);
+      }
+      lines.push('');
+
+      previous = {camera: segment.camera, reel, endFrame, sourceOut};
+    }
+
+    console.log(`[EdlExporter] Wrote ${eventNumber} events`);
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Format one EDL event line
+   *
+   * @param {string} event - Event number (3 digits)
+   * @param {string} reel - Reel name (max 8 characters)
+   * @param {'C'|'D'} transition - Cut or dissolve
+   * @param {string} duration - Transition duration in frames ('' for cuts)
+   * @param {string} srcIn - Source in timecode
+   * @param {string} srcOut - Source out timecode
+   * @param {string} recIn - Record in timecode
+   * @param {string} recOut - Record out timecode
+   * @returns {string} Event line
+   * @private
+   */
+  formatEvent(event, reel, transition, duration, srcIn, srcOut, recIn, recOut) {
+    return `${event}  ${reel.padEnd(REEL_NAME_LENGTH)} V     ${transition.padEnd(4)} ${duration.padStart(3)} ` +
+      `${srcIn} ${srcOut} ${recIn} ${recOut}`;
+  }
+
+  /**
+   * Derive unique CMX3600 reel names, one per media file
+   *
+   * Reels are named after the file name without its extension, upper-cased,
+   * stripped to A-Z, 0-9 and _, and cut to 8 characters. Segments without
+   * media fall back to their camera's track name, then CAM<N>.
+   *
+   * @param {ExportSegment[]} segments - Segments being exported
+   * @param {Object.<number, CameraInfo>} cameras - Camera track info
+   * @returns {Map<string, string>} Reel name per reel key (see getReelKey)
+   */
+  getReelNames(segments, cameras) {
+    const reels = new Map();
+    const used = new Set();
+
+    for (const segment of segments) {
+      const key = this.getReelKey(segment);
+      if (reels.has(key)) {
+        continue;
+      }
+
+      const camera = cameras[segment.camera];
+      const source = segment.media && segment.media.name
+        ? segment.media.name.replace(/\.[^.]*$/, '')
+        : (camera && camera.trackName) || '';
+      let reel = String(source)
+        .toUpperCase()
+        .replace(/[^A-Z0-9_]/g, '')
+        .slice(0, REEL_NAME_LENGTH);
+
+      if (!reel) {
+        reel = `CAM${segment.camera}`;
+      }
+
+      // Keep reels distinct so each file relinks to itself
+      let unique = reel;
+      for (let n = 2; used.has(unique); n++) {
+        const suffix = String(n);
+        unique = reel.slice(0, REEL_NAME_LENGTH - suffix.length) + suffix;
+      }
+
+      used.add(unique);
+      reels.set(key, unique);
+    }
+
+    return reels;
+  }
+
+  /**
+   * Key a segment's reel by its media file, or by camera when it has none
+   *
+   * @param {ExportSegment} segment - Export segment
+   * @returns {string}
+   * @private
+   */
+  getReelKey(segment) {
+    return segment.media && segment.media.path ? `file:${segment.media.path}` : `camera:${segment.camera}`;
+  }
+
+  /**
+   * Check whether a frame rate uses drop-frame timecode (29.97 or 59.94)
+   *
+   * @param {number} frameRate - Frame rate in fps
+   * @returns {boolean}
+   */
+  isDropFrameRate(frameRate) {
+    return TimeBase.isDropFrameRate(frameRate);
+  }
+
+  /**
+   * Convert a frame count to SMPTE timecode (see TimeBase.framesToTimecode)
+   *
+   * @param {number} frames - Frame count from 00:00:00:00
+   * @param {number} frameRate - Frame rate in fps
+   * @param {boolean} dropFrame - Use drop-frame numbering
+   * @returns {string} Timecode HH:MM:SS:FF
+   */
+  framesToTimecode(frames, frameRate, dropFrame) {
+    return new TimeBase(frameRate).framesToTimecode(frames, dropFrame);
+  }
+
+  /**
+   * Convert SMPTE timecode to a frame count (see TimeBase.timecodeToFrames)
+   *
+   * @param {string} timecode - Timecode HH:MM:SS:FF (';' separators accepted)
+   * @param {number} frameRate - Frame rate in fps
+   * @param {boolean} dropFrame - Timecode uses drop-frame numbering
+   * @returns {number} Frame count from 00:00:00:00
+   */
+  timecodeToFrames(timecode, frameRate, dropFrame) {
+    return new TimeBase(frameRate).timecodeToFrames(timecode, dropFrame);
+  }
+
+  /**
+   * Read a sequence's frame rate
+   *
+   * @param {Object} sequence - Premiere Pro sequence
+   * @returns {Promise<number>} Frame rate in fps (29.97 if unknown)
+   */
+  async getFrameRate(sequence) {
+    return (await TimeBase.fromSequence(sequence)).frameRate;
+  }
+
+  /**
+   * Save EDL text to a user-chosen file
+   *
+   * @param {string} content - EDL text
+   * @param {string} suggestedName - Suggested file name
+   * @returns {Promise<string|null>} Saved file path, or null if the user cancelled
+   */
+  async saveToFile(content, suggestedName) {
+    return UserFile.save(content, suggestedName);
+  }
+}
+
+// Export for use in main.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EdlExporter;
+}
@@ -0,0 +1,133 @@
+/**
+ * MediaFile Module
+ *
+ * Purpose: Read media files in byte ranges instead of loading them whole
+ * Algorithm: Keeps a file handle open and reads the requested range into a
+ *            fresh ArrayBuffer, so decoding a multi-hour recording only ever
+ *            holds one range in memory
+ *
+ * @module MediaFile
+ */
+
+class MediaFile {
+  /**
+   * @param {number} size - File size in bytes
+   * @param {function(number, number): Promise<ArrayBuffer>} read - Reads length bytes at offset
+   * @param {function(): Promise<void>} [close] - Releases the file handle
+   */
+  constructor(size, read, close = async () => {}) {
+    /**
+     * File size in bytes
+     * @type {number}
+     */
+    this.size = size;
+
+    /**
+     * @type {function(number, number): Promise<ArrayBuffer>}
+     * @private
+     */
+    this.readRange = read;
+
+    /**
+     * @type {function(): Promise<void>}
+     * @private
+     */
+    this.closeFile = close;
+  }
+
+  /**
+   * Read a byte range
+   *
+   * Ranges past the end of the file are cut short.
+   *
+   * @param {number} offset - First byte
+   * @param {number} length - Number of bytes
+   * @returns {Promise<ArrayBuffer>}
+   */
+  async read(offset, length) {
+    const start = Math.max(0, Math.min(offset, this.size));
+    const end = Math.max(start, Math.min(offset + length, this.size));
+    return this.readRange(start, end - start);
+  }
+
+  /**
+   * Release the file handle
+   *
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await this.closeFile();
+  }
+
+  /**
+   * Open a media file for ranged reads
+   *
+   * @param {string} mediaPath - Absolute file path
+   * @returns {Promise<MediaFile>}
+   */
+  static async open(mediaPath) {
+    const uxp = MediaFile.getUxp();
+
+    // UXP: its fs module takes file: URLs and returns promises
+    if (uxp?.storage?.localFileSystem) {
+      const fs = require('fs');
+      const normalized = mediaPath.replace(/\\/g, '/');
+      const url = `file:${normalized.startsWith('/') ? '' : '/'}${normalized}`;
+      const stats = await fs.lstat(url);
+      const fd = await fs.open(url, 'r');
+
+      return new MediaFile(
+        stats.size,
+        async (offset, length) => {
+          const buffer = new ArrayBuffer(length);
+          const {bytesRead} = await fs.read(fd, buffer, 0, length, offset);
+          return bytesRead < length ? buffer.slice(0, bytesRead) : buffer;
+        },
+        () => fs.close(fd)
+      );
+    }
+
+    // Fallback for testing/development outside Premiere Pro
+    const fs = require('fs');
+    const fd = fs.openSync(mediaPath, 'r');
+
+    return new MediaFile(
+      fs.fstatSync(fd).size,
+      async (offset, length) => {
+        const data = new Uint8Array(length);
+        const bytesRead = fs.readSync(fd, data, 0, length, offset);
+        return data.buffer.slice(0, bytesRead);
+      },
+      async () => fs.closeSync(fd)
+    );
+  }
+
+  /**
+   * Wrap file contents already in memory
+   *
+   * @param {ArrayBuffer} buffer - File contents
+   * @returns {MediaFile}
+   */
+  static fromBuffer(buffer) {
+    return new MediaFile(buffer.byteLength, async (offset, length) => buffer.slice(offset, offset + length));
+  }
+
+  /**
+   * Load the UXP module when running inside Premiere Pro
+   *
+   * @returns {Object|null}
+   * @private
+   */
+  static getUxp() {
+    try {
+      return require('uxp');
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+// Export for use in AudioDecoder and AudioAnalyzer
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MediaFile;
+}
@@ -0,0 +1,412 @@
+/**
+ * OtioSerializer Module
+ *
+ * Purpose: Move cut lists in and out of pipeline tools as OpenTimelineIO (.otio) JSON
+ * Algorithm: One video track with one clip per source segment, each clip
+ *            referencing its media at its source time; import walks the track
+ *            back into Cut[] by record time
+ *
+ * @module OtioSerializer
+ */
+
+const TimeBase = require('./TimeBase.js');
+const UserFile = require('./UserFile.js');
+
+/**
+ * @typedef {Object} OtioOptions
+ * @property {string} [title] - Timeline name (default: 'Auto Camera')
+ * @property {number} [frameRate] - Rate of OTIO RationalTimes in fps (default: 29.97)
+ */
+
+/**
+ * @typedef {Object} OtioImport
+ * @property {Cut[]} cuts - Cuts in record order
+ * @property {Object.<number, CameraInfo>|null} cameras - Camera map stored by the exporter, if present
+ * @property {number} frameRate - Rate of the imported timeline
+ */
+
+/**
+ * @typedef {Object} Cut
+ * @property {number} startTime - Cut start time in seconds
+ * @property {number} endTime - Cut end time in seconds
+ * @property {number} camera - Camera number for this cut (1-N)
+ * @property {'overlap'|'silence'} [reason] - Why the cut was routed to the wide camera
+ * @property {boolean} [cutaway] - True for inserted cutaways
+ */
+
+/**
+ * @typedef {Object} ExportSegment
+ * @property {Cut} cut - Cut the segment belongs to
+ * @property {number} camera - Camera shown during the segment
+ * @property {number} startTime - Record start in sequence seconds
+ * @property {number} endTime - Record end in sequence seconds
+ * @property {number} sourceIn - Source media in-point in seconds
+ * @property {number} sourceOut - Source media out-point in seconds
+ * @property {{path: string, name: string}} [media] - Media file behind the segment
+ */
+
+/**
+ * @typedef {Object} CameraInfo
+ * @property {number} trackIndex - Video track index
+ * @property {string} trackName - Track name
+ */
+
+/**
+ * Metadata namespace for plugin-specific fields
+ * @type {string}
+ */
+const METADATA_KEY = 'autocamera';
+
+class OtioSerializer {
+  constructor() {
+    console.log('[OtioSerializer] Initialized');
+  }
+
+  /**
+   * Serialize source segments to an OTIO timeline
+   *
+   * Clip source ranges are the segments' media times. Ranges are whole
+   * frames at frameRate; segments shorter than a frame are left out. Each
+   * clip's metadata keeps the exact times and flags of its cut, so an
+   * unedited file re-imports to identical cuts even where a cut was split
+   * across clips.
+   *
+   * @param {ExportSegment[]} segments - Segments from TimelineEditor.getExportSegments
+   * @param {Object.<number, CameraInfo>} cameras - Camera track info {1: {...}, ..., N: {...}}
+   * @param {OtioOptions} options - Export options
+   * @returns {string} OTIO JSON text
+   */
+  serialize(segments, cameras, options = {}) {
+    const {title = 'Auto Camera'} = options;
+    const timeBase = new TimeBase(options.frameRate);
+    const frameRate = timeBase.frameRate;
+
+    console.log(`[OtioSerializer] Serializing ${segments.length} segments at ${frameRate.toFixed(3)} fps`);
+
+    const children = [];
+    let position = 0;
+    let previousCut = null;
+
+    for (const segment of segments) {
+      const {cut, media} = segment;
+      const startFrame = timeBase.secondsToFrames(segment.startTime);
+      const endFrame = timeBase.secondsToFrames(segment.endTime);
+      if (endFrame <= startFrame) {
+        continue;
+      }
+
+      if (startFrame > position) {
+        children.push(this.createGap(startFrame - position, frameRate));
+      }
+
+      const sourceFrame = timeBase.secondsToFrames(segment.sourceIn);
+      const camera = cameras[segment.camera];
+      const clipMetadata = {camera: cut.camera, startTime: cut.startTime, endTime: cut.endTime};
+      if (cut.reason) {
+        clipMetadata.reason = cut.reason;
+      }
+      if (cut.cutaway) {
+        clipMetadata.cutaway = true;
+      }
+
+      children.push({
+        OTIO_SCHEMA: 'Clip.1',
+        name: camera && camera.trackName ? `Camera ${segment.camera} (${camera.trackName})` : `Camera ${segment.camera}`,
+        source_range: this.createTimeRange(sourceFrame, endFrame - startFrame, frameRate),
+        media_reference: media && media.path ? {
+          OTIO_SCHEMA: 'ExternalReference.1',
+          name: media.name || '',
+          target_url: UserFile.toFileUrl(media.path),
+          available_range: null,
+          metadata: {}
+        } : {
+          OTIO_SCHEMA: 'MissingReference.1',
+          name: '',
+          available_range: null,
+          metadata: {}
+        },
+        metadata: {[METADATA_KEY]: clipMetadata},
+        effects: [],
+        markers: cut.cutaway && cut !== previousCut ?
+          [this.createMarker('Cutaway', endFrame - startFrame, frameRate, sourceFrame)] :
+          []
+      });
+
+      position = endFrame;
+      previousCut = cut;
+    }
+
+    const timeline = {
+      OTIO_SCHEMA: 'Timeline.1',
+      name: title,
+      global_start_time: null,
+      metadata: {[METADATA_KEY]: {version: 1, cameras}},
+      tracks: {
+        OTIO_SCHEMA: 'Stack.1',
+        name: 'tracks',
+        source_range: null,
+        metadata: {},
+        effects: [],
+        markers: [],
+        children: [{
+          OTIO_SCHEMA: 'Track.1',
+          name: 'Auto Camera',
+          kind: 'Video',
+          source_range: null,
+          metadata: {},
+          effects: [],
+          markers: [],
+          children
+        }]
+      }
+    };
+
+    return JSON.stringify(timeline, null, 2);
+  }
+
+  /**
+   * Parse an OTIO timeline back into cuts
+   *
+   * Cut times come from each clip's record position on the first video
+   * track; gaps advance the record position and transitions are ignored.
+   * Clip edges still on the frame the exporter wrote keep its exact times,
+   * and neighbouring clips written for the same cut become one cut again.
+   * Clips are mapped to cameras by metadata, then media path, then a
+   * "Camera N" clip name.
+   *
+   * @param {string} text - OTIO JSON text
+   * @param {Object.<number, Array<{path: string}>>} [media] - Media files per camera, for clips
+   *   without metadata (see TimelineEditor.getCameraMedia)
+   * @returns {OtioImport}
+   */
+  deserialize(text, media = {}) {
+    let timeline;
+    try {
+      timeline = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Invalid OTIO file: ${error.message}`);
+    }
+
+    if (!timeline || !String(timeline.OTIO_SCHEMA).startsWith('Timeline.')) {
+      throw new Error('Invalid OTIO file: root is not a Timeline');
+    }
+
+    const tracks = (timeline.tracks && timeline.tracks.children) || [];
+    const track = tracks.find(t => String(t.OTIO_SCHEMA).startsWith('Track.') && t.kind === 'Video');
+    if (!track) {
+      throw new Error('Invalid OTIO file: no video track found');
+    }
+
+    const cuts = [];
+    let position = 0;
+    let frameRate = null;
+    let previousMetadata = null;
+
+    for (const item of track.children || []) {
+      const schema = String(item.OTIO_SCHEMA);
+
+      if (schema.startsWith('Transition.')) {
+        continue;
+      }
+
+      const duration = item.source_range && item.source_range.duration;
+      if (!duration || !(duration.rate > 0)) {
+        throw new Error(`Invalid OTIO file: "${item.name}" has no source range`);
+      }
+
+      frameRate = frameRate || duration.rate;
+      const length = this.toSeconds(duration);
+
+      if (schema.startsWith('Clip.')) {
+        const clipMetadata = (item.metadata && item.metadata[METADATA_KEY]) || {};
+        const timeBase = new TimeBase(duration.rate);
+
+        const cut = {
+          startTime: this.matchEdge(clipMetadata.startTime, position, timeBase),
+          endTime: this.matchEdge(clipMetadata.endTime, position + length, timeBase),
+          camera: this.resolveCamera(item, media)
+        };
+        if (clipMetadata.reason) {
+          cut.reason = clipMetadata.reason;
+        }
+        if (clipMetadata.cutaway) {
+          cut.cutaway = true;
+        }
+
+        if (this.isSameCut(previousMetadata, clipMetadata)) {
+          cuts[cuts.length - 1].endTime = cut.endTime;
+        } else {
+          cuts.push(cut);
+        }
+        previousMetadata = clipMetadata;
+      }
+
+      // Gaps (and any other item) occupy record time without a cut
+      position += length;
+    }
+
+    const timelineMetadata = (timeline.metadata && timeline.metadata[METADATA_KEY]) || {};
+    const cameras = timelineMetadata.cameras || null;
+
+    console.log(`[OtioSerializer] Imported ${cuts.length} cuts from "${timeline.name}"`);
+
+    return {
+      cuts,
+      cameras,
+      frameRate: frameRate || 30000 / 1001
+    };
+  }
+
+  /**
+   * Work out which camera a clip shows
+   *
+   * @param {Object} clip - OTIO clip
+   * @param {Object.<number, Array<{path: string}>>} media - Media files per camera
+   * @returns {number} Camera number
+   * @private
+   */
+  resolveCamera(clip, media) {
+    const clipMetadata = (clip.metadata && clip.metadata[METADATA_KEY]) || {};
+    if (Number.isInteger(clipMetadata.camera)) {
+      return clipMetadata.camera;
+    }
+
+    const reference = clip.media_reference;
+    if (reference && reference.target_url) {
+      for (const [num, files] of Object.entries(media)) {
+        if ((files || []).some(file => file && file.path && UserFile.toFileUrl(file.path) === reference.target_url)) {
+          return Number(num);
+        }
+      }
+    }
+
+    const match = /^Camera (\d+)\b/.exec(clip.name || '');
+    if (match) {
+      return Number(match[1]);
+    }
+
+    throw new Error(`Cannot map OTIO clip "${clip.name}" to a camera`);
+  }
+
+  /**
+   * Whether two clips were written for the same cut
+   *
+   * @param {Object|null} a - Plugin metadata of the previous clip
+   * @param {Object} b - Plugin metadata of this clip
+   * @returns {boolean}
+   * @private
+   */
+  isSameCut(a, b) {
+    return !!a && typeof b.startTime === 'number' &&
+      a.camera === b.camera && a.startTime === b.startTime && a.endTime === b.endTime;
+  }
+
+  /**
+   * Pick the exported time of a clip edge unless the edge was moved
+   *
+   * @param {number|undefined} exact - Exact time from the clip's metadata
+   * @param {number} recordTime - Edge position on the track in seconds
+   * @param {TimeBase} timeBase - Rate of the clip's ranges
+   * @returns {number} Edge time in seconds
+   * @private
+   */
+  matchEdge(exact, recordTime, timeBase) {
+    if (typeof exact === 'number' && timeBase.secondsToFrames(exact) === timeBase.secondsToFrames(recordTime)) {
+      return exact;
+    }
+    return recordTime;
+  }
+
+  /**
+   * Create an OTIO gap
+   *
+   * @param {number} duration - Gap length in frames
+   * @param {number} frameRate - Time rate
+   * @returns {Object}
+   * @private
+   */
+  createGap(duration, frameRate) {
+    return {
+      OTIO_SCHEMA: 'Gap.1',
+      name: '',
+      source_range: this.createTimeRange(0, duration, frameRate),
+      metadata: {},
+      effects: [],
+      markers: []
+    };
+  }
+
+  /**
+   * Create an OTIO marker covering a clip
+   *
+   * @param {string} name - Marker name
+   * @param {number} duration - Marked range length in frames
+   * @param {number} frameRate - Time rate
+   * @param {number} start - Marked range start in the clip's source time, in frames
+   * @returns {Object}
+   * @private
+   */
+  createMarker(name, duration, frameRate, start) {
+    return {
+      OTIO_SCHEMA: 'Marker.2',
+      name,
+      color: 'ORANGE',
+      marked_range: this.createTimeRange(start, duration, frameRate),
+      metadata: {}
+    };
+  }
+
+  /**
+   * Create an OTIO TimeRange
+   *
+   * @param {number} start - Start in whole frames
+   * @param {number} duration - Duration in whole frames
+   * @param {number} frameRate - Time rate
+   * @returns {Object}
+   * @private
+   */
+  createTimeRange(start, duration, frameRate) {
+    return {
+      OTIO_SCHEMA: 'TimeRange.1',
+      start_time: {OTIO_SCHEMA: 'RationalTime.1', rate: frameRate, value: start},
+      duration: {OTIO_SCHEMA: 'RationalTime.1', rate: frameRate, value: duration}
+    };
+  }
+
+  /**
+   * Convert an OTIO RationalTime to seconds
+   *
+   * @param {{value: number, rate: number}} time - RationalTime
+   * @returns {number} Seconds
+   * @private
+   */
+  toSeconds(time) {
+    return time.value / time.rate;
+  }
+
+  /**
+   * Save OTIO text to a user-chosen file
+   *
+   * @param {string} content - OTIO JSON text
+   * @param {string} suggestedName - Suggested file name
+   * @returns {Promise<string|null>} Saved file path, or null if the user cancelled
+   */
+  async saveToFile(content, suggestedName) {
+    return UserFile.save(content, suggestedName);
+  }
+
+  /**
+   * Read an OTIO file chosen by the user
+   *
+   * @param {string} [filePath] - File to read outside Premiere Pro (UXP shows a file picker)
+   * @returns {Promise<string|null>} OTIO JSON text, or null if the user cancelled
+   */
+  async openFile(filePath) {
+    return UserFile.open(['otio'], filePath);
+  }
+}
+
+// Export for use in main.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = OtioSerializer;
+}
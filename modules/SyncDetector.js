@@ -0,0 +1,261 @@
+/**
+ * SyncDetector Module
+ *
+ * Purpose: Detect audio sync offsets between cameras before analysis
+ * Algorithm: Normalized cross-correlation of each camera's level envelope
+ *            against a reference camera over a window of the sequence
+ *
+ * @module SyncDetector
+ */
+
+const AudioAnalyzer = require('./AudioAnalyzer.js');
+const TimeBase = require('./TimeBase.js');
+
+/**
+ * @typedef {Object} SyncOptions
+ * @property {number} [referenceCamera] - Camera the others are aligned to (default: wide camera, else the lowest number)
+ * @property {number} [maxOffset] - Largest offset searched, in seconds either way (default: 2.0)
+ * @property {number} [windowStart] - Start of the correlated span in sequence seconds (default: 0)
+ * @property {number} [windowDuration] - Length of the correlated span in seconds (default: 120)
+ * @property {number} [resolution] - Envelope step in seconds (default: 0.01)
+ * @property {number} [minConfidence] - Offsets below this confidence are not applied (default: 0.5)
+ * @property {AbortSignal} [signal] - Checked between cameras; aborting it stops detection with an AbortError
+ */
+
+/**
+ * @typedef {Object} SyncResult
+ * @property {number} offset - Seconds this camera's audio runs late against the reference, on frame edges
+ *                             (negative = early)
+ * @property {number} frames - Offset in sequence frames
+ * @property {number} confidence - Correlation at the detected offset (0.0-1.0)
+ * @property {boolean} applied - Whether the confidence reached minConfidence
+ */
+
+/**
+ * @typedef {Object} SyncReport
+ * @property {number} referenceCamera - Camera the offsets are measured against
+ * @property {number} minConfidence - Threshold used to accept offsets
+ * @property {Object.<number, SyncResult>} cameras - Result per non-reference camera
+ */
+
+class SyncDetector {
+  /**
+   * @param {AudioAnalyzer} [analyzer] - Analyzer used to read audio (shares its decode cache)
+   */
+  constructor(analyzer = new AudioAnalyzer()) {
+    /**
+     * @type {AudioAnalyzer}
+     * @private
+     */
+    this.analyzer = analyzer;
+
+    console.log('[SyncDetector] Initialized');
+  }
+
+  /**
+   * Measure each camera's sync offset against the reference camera
+   *
+   * Only audio on the timeline is read; existing syncOffset values are ignored
+   * so a report always describes the timeline as it is.
+   *
+   * @param {Object} sequence - Premiere Pro sequence
+   * @param {Object} cameras - Camera configuration {1: {trackIndex, audioTrackIndex, role}, ..., N: {...}}
+   * @param {SyncOptions} options - Detection options
+   * @returns {Promise<SyncReport>}
+   * @throws {Error} AbortError when options.signal is aborted
+   */
+  async detectOffsets(sequence, cameras, options = {}) {
+    const {
+      maxOffset = 2.0,
+      windowStart = 0,
+      windowDuration = 120,
+      resolution = 0.01,
+      minConfidence = 0.5,
+      signal
+    } = options;
+
+    const cameraNumbers = this.analyzer.getCameraNumbers(cameras);
+    const referenceCamera = options.referenceCamera ||
+      cameraNumbers.find(num => cameras[num].role === 'wide') ||
+      cameraNumbers[0];
+
+    if (!cameras[referenceCamera]) {
+      throw new Error(`Reference camera ${referenceCamera} is not configured`);
+    }
+
+    const timeBase = await TimeBase.fromSequence(sequence);
+    const duration = await this.analyzer.getSequenceDuration(sequence);
+    const span = Math.max(0, Math.min(windowDuration, duration - windowStart));
+
+    console.log(`[SyncDetector] Correlating ${span.toFixed(1)}s from ${windowStart}s against Camera ${referenceCamera}`);
+
+    const audioTracks = await this.analyzer.getAudioTracksForCameras(sequence, cameras);
+    const series = {};
+    for (const num of cameraNumbers) {
+      this.throwIfAborted(signal);
+      series[num] = await this.analyzer.getLevelSeries(audioTracks[num], windowStart, span, {step: resolution, signal});
+    }
+
+    const maxLag = Math.round(maxOffset / resolution);
+    const report = {referenceCamera, minConfidence, cameras: {}};
+
+    for (const num of cameraNumbers) {
+      if (num === referenceCamera) {
+        continue;
+      }
+
+      this.throwIfAborted(signal);
+      const {lag, confidence} = this.correlate(series[referenceCamera], series[num], maxLag);
+      const frames = timeBase.secondsToFrames(lag * resolution);
+      const result = {
+        offset: timeBase.framesToSeconds(frames),
+        frames,
+        confidence,
+        applied: confidence >= minConfidence
+      };
+
+      console.log(`[SyncDetector] Camera ${num}: ${frames} frames (${result.offset.toFixed(3)}s), ` +
+        `confidence ${(confidence * 100).toFixed(0)}%${result.applied ? '' : ' - not applied'}`);
+
+      report.cameras[num] = result;
+    }
+
+    return report;
+  }
+
+  /**
+   * Find the lag at which a target envelope best matches the reference
+   *
+   * For each lag, target[i + lag] is compared with reference[i] using the
+   * Pearson correlation over the overlapping samples. Lags are limited so
+   * at least half of the window overlaps.
+   *
+   * @param {ArrayLike<number>} reference - Reference envelope
+   * @param {ArrayLike<number>} target - Target envelope (same step as reference)
+   * @param {number} maxLag - Largest lag searched, in samples either way
+   * @returns {{lag: number, confidence: number}} Best lag in samples (positive = target late)
+   *          and its correlation clamped to 0.0-1.0
+   */
+  correlate(reference, target, maxLag) {
+    const length = Math.min(reference.length, target.length);
+    const limit = Math.min(maxLag, Math.floor(length / 2));
+
+    let bestLag = 0;
+    let best = -Infinity;
+
+    for (let lag = -limit; lag <= limit; lag++) {
+      const first = Math.max(0, -lag);
+      const last = Math.min(length, length - lag);
+      const r = this.pearson(reference, target, first, last, lag);
+
+      // Prefer the smallest shift when correlations tie
+      if (r > best + 1e-9 || (Math.abs(r - best) <= 1e-9 && Math.abs(lag) < Math.abs(bestLag))) {
+        best = r;
+        bestLag = lag;
+      }
+    }
+
+    return {
+      lag: bestLag,
+      confidence: Math.max(0, Math.min(1, best))
+    };
+  }
+
+  /**
+   * Pearson correlation of reference[i] and target[i + lag] for i in [first, last)
+   *
+   * @param {ArrayLike<number>} reference - Reference envelope
+   * @param {ArrayLike<number>} target - Target envelope
+   * @param {number} first - First reference index
+   * @param {number} last - End reference index (exclusive)
+   * @param {number} lag - Target shift in samples
+   * @returns {number} Correlation -1.0 to 1.0 (0 when either side is flat)
+   * @private
+   */
+  pearson(reference, target, first, last, lag) {
+    const n = last - first;
+    if (n <= 1) {
+      return 0;
+    }
+
+    let sumA = 0;
+    let sumB = 0;
+    for (let i = first; i < last; i++) {
+      sumA += reference[i];
+      sumB += target[i + lag];
+    }
+
+    const meanA = sumA / n;
+    const meanB = sumB / n;
+    let covariance = 0;
+    let varianceA = 0;
+    let varianceB = 0;
+
+    for (let i = first; i < last; i++) {
+      const a = reference[i] - meanA;
+      const b = target[i + lag] - meanB;
+      covariance += a * b;
+      varianceA += a * a;
+      varianceB += b * b;
+    }
+
+    if (varianceA === 0 || varianceB === 0) {
+      return 0;
+    }
+
+    return covariance / Math.sqrt(varianceA * varianceB);
+  }
+
+  /**
+   * Store accepted offsets on the camera configuration
+   *
+   * Accepted offsets become `syncOffset`; cameras whose offset was refused,
+   * and the reference itself, are reset to their timeline position.
+   *
+   * @param {Object} cameras - Camera configuration
+   * @param {SyncReport} report - Result of detectOffsets
+   * @returns {Object} Updated copy of the camera configuration
+   */
+  applyOffsets(cameras, report) {
+    const updated = {};
+
+    for (const [num, camera] of Object.entries(cameras)) {
+      if (!camera) {
+        updated[num] = camera;
+        continue;
+      }
+
+      const result = report.cameras[num];
+      const entry = Object.assign({}, camera);
+      delete entry.syncOffset;
+
+      if (result && result.applied && result.frames !== 0) {
+        entry.syncOffset = result.offset;
+      }
+
+      updated[num] = entry;
+    }
+
+    return updated;
+  }
+
+  /**
+   * Throw an AbortError if the signal has been aborted
+   *
+   * @param {AbortSignal} [signal] - Cancellation signal (ignored when absent)
+   * @throws {Error} AbortError
+   * @private
+   */
+  throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+      const error = new Error('Sync detection cancelled');
+      error.name = 'AbortError';
+      throw error;
+    }
+  }
+}
+
+// Export for use in main.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SyncDetector;
+}
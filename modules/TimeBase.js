@@ -0,0 +1,318 @@
+/**
+ * TimeBase Module
+ *
+ * Purpose: Frame-accurate conversion between ticks, frames, seconds and timecode
+ * Algorithm: Frame rates are held as exact rationals (30000/1001 for 29.97),
+ *            so frame positions do not drift over long sequences
+ *
+ * @module TimeBase
+ */
+
+/**
+ * @typedef {Object} FrameRate
+ * @property {number} numerator - Frames
+ * @property {number} denominator - Per this many seconds
+ */
+
+/**
+ * Premiere Pro time unit (ticks per second, independent of frame rate)
+ * @type {number}
+ */
+const TICKS_PER_SECOND = 254016000000;
+
+/**
+ * Frame rate assumed when a sequence does not report one
+ * @type {number}
+ */
+const DEFAULT_FRAME_RATE = 30000 / 1001;
+
+class TimeBase {
+  /**
+   * @param {number|FrameRate|{num: number, den: number}} [frameRate=29.97] - Frame rate in fps or as a rational
+   */
+  constructor(frameRate = DEFAULT_FRAME_RATE) {
+    const {numerator, denominator} = TimeBase.toRational(frameRate);
+
+    /** @type {number} */
+    this.numerator = numerator;
+
+    /** @type {number} */
+    this.denominator = denominator;
+
+    /**
+     * Frame rate in fps
+     * @type {number}
+     */
+    this.frameRate = numerator / denominator;
+
+    /**
+     * Timecode frames per second (30 for 29.97)
+     * @type {number}
+     */
+    this.nominal = Math.round(this.frameRate);
+
+    /**
+     * Default timecode numbering for this rate
+     * @type {boolean}
+     */
+    this.dropFrame = TimeBase.isDropFrameRate(this.frameRate);
+  }
+
+  /**
+   * Read a sequence's frame rate
+   *
+   * @param {Object} sequence - Premiere Pro sequence
+   * @returns {Promise<TimeBase>} Time base of the sequence (29.97 if unknown)
+   */
+  static async fromSequence(sequence) {
+    try {
+      // UXP: getTimebase() returns ticks per frame as a string
+      const timebase = typeof sequence.getTimebase === 'function' ?
+        await sequence.getTimebase() :
+        sequence.timebase;
+      const ticksPerFrame = Number(timebase);
+
+      if (ticksPerFrame > 0) {
+        return new TimeBase(TICKS_PER_SECOND / ticksPerFrame);
+      }
+
+      // Sequence settings: {numerator, denominator} or {num, den}
+      if (typeof sequence.getSettings === 'function') {
+        const rate = (await sequence.getSettings()).videoFrameRate;
+        const numerator = rate && (rate.numerator || rate.num);
+        const denominator = rate && (rate.denominator || rate.den);
+        if (numerator > 0 && denominator > 0) {
+          return new TimeBase({numerator, denominator});
+        }
+      }
+    } catch (error) {
+      console.warn('[TimeBase] Could not read sequence timebase:', error);
+    }
+
+    console.warn('[TimeBase] Unknown frame rate, assuming 29.97 fps');
+    return new TimeBase(DEFAULT_FRAME_RATE);
+  }
+
+  /**
+   * Normalize a frame rate to an exact rational
+   *
+   * Rates within 0.01 fps of an NTSC rate (23.976, 29.97, 59.94) become
+   * N*1000/1001, so 29.97, 2997/100 and 30000/1001 all describe the same frames.
+   *
+   * @param {number|FrameRate|{num: number, den: number}} frameRate - Frame rate
+   * @returns {FrameRate}
+   */
+  static toRational(frameRate) {
+    let fps = frameRate;
+    if (frameRate && typeof frameRate === 'object') {
+      fps = (frameRate.numerator || frameRate.num) / (frameRate.denominator || frameRate.den);
+    }
+
+    if (!(fps > 0) || !Number.isFinite(fps)) {
+      throw new Error(`Invalid frame rate: ${JSON.stringify(frameRate)}`);
+    }
+
+    const nominal = Math.round(fps);
+    if (Math.abs(fps - nominal) < 1e-6) {
+      return {numerator: nominal, denominator: 1};
+    }
+    if (nominal >= 24 && Math.abs(fps - nominal * 1000 / 1001) < 0.01) {
+      return {numerator: nominal * 1000, denominator: 1001};
+    }
+
+    // Other fractional rates (e.g. 12.5) to the nearest 1/1000 fps
+    const numerator = Math.round(fps * 1000);
+    const divisor = gcd(numerator, 1000);
+    return {numerator: numerator / divisor, denominator: 1000 / divisor};
+  }
+
+  /**
+   * Check whether a frame rate uses drop-frame timecode (29.97 or 59.94)
+   *
+   * @param {number} frameRate - Frame rate in fps
+   * @returns {boolean}
+   */
+  static isDropFrameRate(frameRate) {
+    const nominal = Math.round(frameRate);
+    return (nominal === 30 || nominal === 60) && Math.abs(frameRate - nominal * 1000 / 1001) < 0.01;
+  }
+
+  /**
+   * Convert Premiere Pro ticks to seconds
+   *
+   * @param {number|string} ticks - Ticks (TickTime.ticks is a string in UXP)
+   * @returns {number} Seconds
+   */
+  static ticksToSeconds(ticks) {
+    return Number(ticks) / TICKS_PER_SECOND;
+  }
+
+  /**
+   * Convert seconds to Premiere Pro ticks
+   *
+   * @param {number} seconds - Seconds
+   * @returns {number} Ticks
+   */
+  static secondsToTicks(seconds) {
+    return Math.round(seconds * TICKS_PER_SECOND);
+  }
+
+  /**
+   * Ticks per frame (8475667200 at 29.97)
+   *
+   * @returns {number}
+   */
+  get ticksPerFrame() {
+    return TICKS_PER_SECOND * this.denominator / this.numerator;
+  }
+
+  /**
+   * Seconds per frame as a rational (1001/30000 at 29.97)
+   *
+   * @returns {FrameRate}
+   */
+  get frameDuration() {
+    return {numerator: this.denominator, denominator: this.numerator};
+  }
+
+  /**
+   * Convert seconds to the nearest frame number
+   *
+   * @param {number} seconds - Seconds
+   * @returns {number} Frame number
+   */
+  secondsToFrames(seconds) {
+    return Math.round(seconds * this.numerator / this.denominator);
+  }
+
+  /**
+   * Convert a frame number to seconds
+   *
+   * @param {number} frames - Frame number
+   * @returns {number} Seconds at the start of that frame
+   */
+  framesToSeconds(frames) {
+    return frames * this.denominator / this.numerator;
+  }
+
+  /**
+   * Convert ticks to the nearest frame number
+   *
+   * @param {number|string} ticks - Ticks
+   * @returns {number} Frame number
+   */
+  ticksToFrames(ticks) {
+    return Math.round(Number(ticks) / this.ticksPerFrame);
+  }
+
+  /**
+   * Convert a frame number to ticks
+   *
+   * @param {number} frames - Frame number
+   * @returns {number} Ticks
+   */
+  framesToTicks(frames) {
+    return Math.round(frames * this.ticksPerFrame);
+  }
+
+  /**
+   * Snap a time to the nearest frame edge
+   *
+   * @param {number} seconds - Seconds
+   * @returns {number} Seconds on a frame edge
+   */
+  snap(seconds) {
+    return this.framesToSeconds(this.secondsToFrames(seconds));
+  }
+
+  /**
+   * Convert a frame count to SMPTE timecode
+   *
+   * Drop-frame skips frame numbers 0-1 (0-3 at 59.94) at the start of every
+   * minute except each tenth minute.
+   *
+   * @param {number} frames - Frame count from 00:00:00:00
+   * @param {boolean} [dropFrame] - Use drop-frame numbering (default: this.dropFrame)
+   * @returns {string} Timecode HH:MM:SS:FF
+   */
+  framesToTimecode(frames, dropFrame = this.dropFrame) {
+    const nominal = this.nominal;
+    let count = Math.max(0, Math.round(frames));
+
+    if (dropFrame) {
+      const dropped = nominal / 15;
+      const framesPerMinute = nominal * 60 - dropped;
+      const framesPer10Minutes = framesPerMinute * 10 + dropped;
+
+      const tens = Math.floor(count / framesPer10Minutes);
+      const remainder = count % framesPer10Minutes;
+
+      count += dropped * 9 * tens;
+      if (remainder > dropped) {
+        count += dropped * Math.floor((remainder - dropped) / framesPerMinute);
+      }
+    }
+
+    const pad = value => String(value).padStart(2, '0');
+    const ff = count % nominal;
+    const ss = Math.floor(count / nominal) % 60;
+    const mm = Math.floor(count / (nominal * 60)) % 60;
+    const hh = Math.floor(count / (nominal * 3600)) % 24;
+
+    return `${pad(hh)}:${pad(mm)}:${pad(ss)}:${pad(ff)}`;
+  }
+
+  /**
+   * Convert SMPTE timecode to a frame count
+   *
+   * @param {string} timecode - Timecode HH:MM:SS:FF (';' separators accepted)
+   * @param {boolean} [dropFrame] - Timecode uses drop-frame numbering (default: this.dropFrame)
+   * @returns {number} Frame count from 00:00:00:00
+   */
+  timecodeToFrames(timecode, dropFrame = this.dropFrame) {
+    const match = /^(\d{1,2})[:;.](\d{2})[:;.](\d{2})[:;.](\d{2,3})$/.exec(String(timecode).trim());
+    if (!match) {
+      throw new Error(`Invalid timecode: ${timecode}`);
+    }
+
+    const [hh, mm, ss, ff] = match.slice(1).map(Number);
+    const nominal = this.nominal;
+    let frames = ((hh * 60 + mm) * 60 + ss) * nominal + ff;
+
+    if (dropFrame) {
+      const totalMinutes = hh * 60 + mm;
+      frames -= (nominal / 15) * (totalMinutes - Math.floor(totalMinutes / 10));
+    }
+
+    return frames;
+  }
+
+  /**
+   * Convert seconds to SMPTE timecode of the nearest frame
+   *
+   * @param {number} seconds - Seconds
+   * @param {boolean} [dropFrame] - Use drop-frame numbering (default: this.dropFrame)
+   * @returns {string} Timecode HH:MM:SS:FF
+   */
+  secondsToTimecode(seconds, dropFrame = this.dropFrame) {
+    return this.framesToTimecode(this.secondsToFrames(seconds), dropFrame);
+  }
+}
+
+/**
+ * Greatest common divisor of two positive integers
+ *
+ * @param {number} a
+ * @param {number} b
+ * @returns {number}
+ */
+function gcd(a, b) {
+  return b === 0 ? a : gcd(b, a % b);
+}
+
+TimeBase.TICKS_PER_SECOND = TICKS_PER_SECOND;
+
+// Export for use in main.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TimeBase;
+}
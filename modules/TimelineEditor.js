@@ -7,11 +7,43 @@
  * @module TimelineEditor
  */
 
+const TimeBase = require('./TimeBase.js');
+const TrackItems = require('./TrackItems.js');
+
 /**
  * @typedef {Object} Cut
  * @property {number} startTime - Cut start time in seconds
  * @property {number} endTime - Cut end time in seconds
- * @property {1|2|3} camera - Camera number for this cut
+ * @property {number} camera - Camera number for this cut (1-N)
+ * @property {number} [fallbackFrom] - Set on gap fill-ins: the camera that had no footage there
+ */
+
+/**
+ * @typedef {Object} SourceSegment
+ * @property {Object} clip - Source track item
+ * @property {number} sequenceStart - Segment start in sequence seconds
+ * @property {number} sequenceEnd - Segment end in sequence seconds
+ * @property {number} inPoint - Source media in-point in seconds
+ * @property {number} outPoint - Source media out-point in seconds
+ */
+
+/**
+ * @typedef {Object} ExportSegment
+ * @property {Cut} cut - Cut the segment belongs to
+ * @property {number} camera - Camera shown during the segment (differs from cut.camera on gap fill-ins)
+ * @property {number} startTime - Record start in sequence seconds
+ * @property {number} endTime - Record end in sequence seconds
+ * @property {number} sourceIn - Source media in-point in seconds
+ * @property {number} sourceOut - Source media out-point in seconds
+ * @property {MediaRef} media - Media file behind the segment's clip
+ */
+
+/**
+ * @typedef {Object} MediaRef
+ * @property {string} path - Absolute media file path
+ * @property {string} name - File name
+ * @property {number} [start] - Embedded start timecode of the file in seconds, when Premiere reports it
+ * @property {number} [duration] - Length of the file in seconds, when Premiere reports it
  */
 
 /**
@@ -19,13 +51,26 @@
  * @property {boolean} success - Whether operation succeeded
  * @property {string|null} newSequenceName - Name of created sequence
  * @property {number} cutsApplied - Number of cuts successfully applied
+ * @property {number} [fallbacks] - Gaps in a camera's footage filled from another camera
  * @property {string[]} [errors] - Error messages if failed
+ * @property {boolean} [cancelled] - Set when the run was stopped through options.signal
+ * @property {'deleted'|'marked'|null} [rollback] - What happened to a half-built sequence after a
+ *                                                  failed or cancelled run (null = left as is)
+ */
+
+/**
+ * @typedef {Object} EditOptions
+ * @property {AbortSignal} [signal] - Checked before each cut; aborting it stops editing and rolls back
  */
 
 /**
  * @typedef {Object} CameraInfo
  * @property {number} trackIndex - Video track index
  * @property {string} trackName - Track name
+ * @property {number} [audioTrackIndex] - Audio track index used for speaker detection
+ * @property {string} [audioTrackName] - Audio track name
+ * @property {'wide'} [role] - Set on the wide/master camera
+ * @property {number} [syncOffset] - Seconds this camera runs late against the reference (see SyncDetector)
  */
 
 class TimelineEditor {
@@ -45,24 +90,37 @@ class TimelineEditor {
    * Main workflow:
    * 1. Create new sequence (copy of original)
    * 2. Get source clips for each camera
-   * 3. Apply each cut to new sequence
+   * 3. Fill gaps in each cut's footage from another camera
+   * 4. Apply each cut to new sequence
+   *
+   * If editing fails or is cancelled after the new sequence was created,
+   * the half-built sequence is deleted, or renamed with an "(incomplete)"
+   * suffix when the host cannot delete sequences.
    *
    * @param {Object} sequence - Original Premiere Pro sequence
    * @param {Cut[]} cuts - Array of cut points from CutGenerator
-   * @param {Object.<number, CameraInfo>} cameras - Camera track info {1: {...}, 2: {...}, 3: {...}}
+   * @param {Object.<number, CameraInfo>} cameras - Camera track info {1: {...}, 2: {...}, ..., N: {...}}
+   * @param {EditOptions} [options] - Edit options
    * @returns {Promise<EditResult>}
    */
-  async applyEdits(sequence, cuts, cameras) {
+  async applyEdits(sequence, cuts, cameras, options = {}) {
     console.log(`[TimelineEditor] Starting edit application: ${cuts.length} cuts`);
 
+    const signal = options.signal;
+    let newSequence = null;
+    let cutsApplied = 0;
+
     try {
+      this.throwIfAborted(signal);
+
       // Create new sequence
       const newSequenceName = `${sequence.name}_Multicam`;
       console.log(`[TimelineEditor] Creating new sequence: ${newSequenceName}`);
 
-      const newSequence = await this.createNewSequence(sequence, newSequenceName);
+      newSequence = await this.createNewSequence(sequence, newSequenceName);
+      const timeBase = await TimeBase.fromSequence(sequence);
 
-      let cutsApplied = 0;
+      let fallbacks = 0;
       const totalCuts = cuts.length;
 
       // Get source clips for each camera
@@ -71,9 +129,14 @@ class TimelineEditor {
 
       // Apply each cut
       for (const cut of cuts) {
+        this.throwIfAborted(signal);
         console.log(`[TimelineEditor] Applying cut ${cutsApplied + 1}/${totalCuts}: Camera ${cut.camera} (${cut.startTime}s - ${cut.endTime}s)`);
 
-        await this.applyCut(newSequence, cameraClips, cut);
+        const pieces = await this.resolveCoverage(cut, cameraClips, cameras, timeBase);
+        for (const piece of pieces) {
+          await this.applyCut(newSequence, cameraClips, piece, timeBase, this.getSyncOffset(cameras, piece.camera));
+        }
+        fallbacks += pieces.filter(piece => piece.fallbackFrom !== undefined).length;
         cutsApplied++;
 
         // Report progress
@@ -86,26 +149,75 @@ class TimelineEditor {
         }
       }
 
-      console.log(`[TimelineEditor] Edit complete: ${cutsApplied} cuts applied`);
+      console.log(`[TimelineEditor] Edit complete: ${cutsApplied} cuts applied, ${fallbacks} gaps filled`);
 
       return {
         success: true,
         newSequenceName: newSequenceName,
-        cutsApplied: cutsApplied
+        cutsApplied: cutsApplied,
+        fallbacks: fallbacks
       };
 
     } catch (error) {
-      console.error('[TimelineEditor] Edit failed:', error);
+      const cancelled = error.name === 'AbortError';
+      if (cancelled) {
+        console.log(`[TimelineEditor] Edit cancelled after ${cutsApplied} cuts`);
+      } else {
+        console.error('[TimelineEditor] Edit failed:', error);
+      }
+
+      const rollback = newSequence ? await this.rollbackSequence(newSequence) : null;
 
       return {
         success: false,
-        newSequenceName: null,
+        newSequenceName: rollback === 'marked' ? newSequence.name : null,
         cutsApplied: 0,
-        errors: [error.message]
+        errors: [error.message],
+        cancelled,
+        rollback
       };
     }
   }
 
+  /**
+   * Remove a half-built sequence, or mark it incomplete
+   *
+   * UXP API Strategy:
+   * - Delete it with app.project.deleteSequence()
+   * - Fallback (no deleteSequence, or deleting failed): rename it with an
+   *   "(incomplete)" suffix via sequence.setName()
+   *
+   * @param {Object} newSequence - Sequence created by applyEdits
+   * @returns {Promise<'deleted'|'marked'|null>} What was done (null if neither is supported or both failed)
+   * @private
+   */
+  async rollbackSequence(newSequence) {
+    if (typeof app !== 'undefined' && app.project && typeof app.project.deleteSequence === 'function') {
+      try {
+        await app.project.deleteSequence(newSequence);
+        console.log(`[TimelineEditor] Deleted incomplete sequence: ${newSequence.name}`);
+        return 'deleted';
+      } catch (error) {
+        console.error('[TimelineEditor] Could not delete incomplete sequence:', error);
+      }
+    }
+
+    if (typeof newSequence.setName === 'function') {
+      try {
+        const name = `${newSequence.name} (incomplete)`;
+        await newSequence.setName(name);
+        newSequence.name = name;
+        console.log(`[TimelineEditor] Marked sequence incomplete: ${name}`);
+        return 'marked';
+      } catch (error) {
+        console.error('[TimelineEditor] Could not rename incomplete sequence:', error);
+      }
+    }
+
+    console.warn(`[TimelineEditor] Cannot delete or rename incomplete sequence: ${newSequence.name}`);
+    return null;
+  }
+
   /**
    * Create new sequence based on template
    *
@@ -183,7 +295,7 @@ class TimelineEditor {
    *
    * @param {Object} sequence - Original sequence
    * @param {Object.<number, CameraInfo>} cameras - Camera track info
-   * @returns {Promise<Object.<number, Object>>} Camera clips {1: clip, 2: clip, 3: clip}
+   * @returns {Promise<Object.<number, Object[]>>} All clips on each camera's track, keyed by camera number {1: [clip, ...], ..., N: [...]}
    * @private
    */
   async getCameraClips(sequence, cameras) {
@@ -197,11 +309,11 @@ class TimelineEditor {
         throw new Error('No video tracks found in sequence');
       }
 
-      // Get first clip from each camera's track
+      // Get every clip from each camera's track
       for (const [cameraNum, cameraInfo] of Object.entries(cameras)) {
         const trackIndex = cameraInfo.trackIndex;
 
-        console.log(`[TimelineEditor] Getting clip for Camera ${cameraNum} (track ${trackIndex})`);
+        console.log(`[TimelineEditor] Getting clips for Camera ${cameraNum} (track ${trackIndex})`);
 
         // Get track
         let track;
@@ -217,24 +329,16 @@ class TimelineEditor {
           throw new Error(`Track ${trackIndex} not found for Camera ${cameraNum}`);
         }
 
-        // Get first clip from track
-        let clip;
-        if (track.clips && typeof track.clips.getItemAt === 'function') {
-          clip = track.clips.getItemAt(0);
-        } else if (track.clips && Array.isArray(track.clips)) {
-          clip = track.clips[0];
-        } else if (track.clips && track.clips[0]) {
-          clip = track.clips[0];
-        }
+        const clips = await TrackItems.getTrackClips(track);
 
-        if (!clip) {
+        if (clips.length === 0) {
           throw new Error(`No clips found in track ${trackIndex} for Camera ${cameraNum}`);
         }
 
-        cameraClips[cameraNum] = clip;
+        cameraClips[cameraNum] = clips;
       }
 
-      console.log(`[TimelineEditor] Retrieved ${Object.keys(cameraClips).length} camera clips`);
+      console.log(`[TimelineEditor] Retrieved clips for ${Object.keys(cameraClips).length} cameras`);
 
       return cameraClips;
 
@@ -244,24 +348,285 @@ class TimelineEditor {
     }
   }
 
+  /**
+   * Map a cut onto the source clips that cover it
+   *
+   * Each clip contributes the part of the cut it overlaps in the sequence.
+   * Its source in-point is the clip's media in-point plus the distance from
+   * the clip's sequence start, so trimmed heads and offset clips stay in sync.
+   * A sync offset reads the camera's track that much later than the cut.
+   *
+   * @param {Object[]} clips - Clips on the camera's track
+   * @param {number} startTime - Cut start in sequence seconds
+   * @param {number} endTime - Cut end in sequence seconds
+   * @param {number} [syncOffset=0] - Camera sync offset in seconds
+   * @returns {Promise<SourceSegment[]>} Covered segments in sequence order
+   */
+  async getSourceSegments(clips, startTime, endTime, syncOffset = 0) {
+    const segments = [];
+
+    for (const clip of clips) {
+      const timing = await TrackItems.getClipTiming(clip);
+      const trackStart = Math.max(startTime + syncOffset, timing.start);
+      const trackEnd = Math.min(endTime + syncOffset, timing.end);
+
+      if (trackEnd <= trackStart) {
+        continue;
+      }
+
+      const inPoint = timing.inPoint + (trackStart - timing.start);
+      segments.push({
+        clip,
+        sequenceStart: trackStart - syncOffset,
+        sequenceEnd: trackEnd - syncOffset,
+        inPoint,
+        outPoint: inPoint + (trackEnd - trackStart)
+      });
+    }
+
+    return segments.sort((a, b) => a.sequenceStart - b.sequenceStart);
+  }
+
+  /**
+   * Split a cut where its camera has no footage
+   *
+   * Each gap (the camera was stopped, or its clips do not reach the cut)
+   * goes to the wide camera if it covers the whole gap, otherwise to the
+   * first camera that does, otherwise to the camera covering most of it.
+   * Gaps no camera covers stay on the cut's camera and are left empty.
+   *
+   * @param {Cut} cut - Cut to resolve
+   * @param {Object.<number, Object[]>} cameraClips - Source clips by camera number
+   * @param {Object.<number, CameraInfo>} cameras - Camera track info
+   * @param {TimeBase} timeBase - Frame rate of the original sequence
+   * @returns {Promise<Cut[]>} Pieces in sequence order; fill-ins carry `fallbackFrom`
+   */
+  async resolveCoverage(cut, cameraClips, cameras, timeBase) {
+    const startTime = timeBase.snap(cut.startTime);
+    const endTime = timeBase.snap(cut.endTime);
+    const tolerance = timeBase.framesToSeconds(0.5);
+    const segments = await this.getSourceSegments(
+      cameraClips[cut.camera] || [], startTime, endTime, this.getSyncOffset(cameras, cut.camera)
+    );
+
+    const pieces = [];
+    const addPiece = piece => {
+      const previous = pieces[pieces.length - 1];
+      if (previous && previous.camera === piece.camera && previous.fallbackFrom === piece.fallbackFrom) {
+        previous.endTime = piece.endTime;
+      } else {
+        pieces.push(piece);
+      }
+    };
+
+    let position = startTime;
+    for (const segment of [...segments, {sequenceStart: endTime, sequenceEnd: endTime}]) {
+      if (segment.sequenceStart - position > tolerance) {
+        const fallback = await this.findFallbackCamera(cut.camera, cameraClips, cameras, position, segment.sequenceStart);
+
+        if (fallback === null) {
+          addPiece({...cut, startTime: position, endTime: segment.sequenceStart});
+        } else {
+          console.log(`[TimelineEditor]   Camera ${cut.camera} has a gap at ${timeBase.secondsToTimecode(position)}, ` +
+            `using Camera ${fallback}`);
+          addPiece({startTime: position, endTime: segment.sequenceStart, camera: fallback, fallbackFrom: cut.camera});
+        }
+        position = segment.sequenceStart;
+      }
+
+      if (segment.sequenceEnd > position) {
+        addPiece({...cut, startTime: position, endTime: segment.sequenceEnd});
+        position = segment.sequenceEnd;
+      }
+    }
+
+    return pieces;
+  }
+
+  /**
+   * Pick the camera to show where another camera has no footage
+   *
+   * @param {number} camera - Camera with the gap
+   * @param {Object.<number, Object[]>} cameraClips - Source clips by camera number
+   * @param {Object.<number, CameraInfo>} cameras - Camera track info
+   * @param {number} startTime - Gap start in sequence seconds
+   * @param {number} endTime - Gap end in sequence seconds
+   * @returns {Promise<number|null>} Camera number, or null if no camera has footage there
+   * @private
+   */
+  async findFallbackCamera(camera, cameraClips, cameras, startTime, endTime) {
+    // Wide camera first, then the others in camera order
+    const candidates = Object.keys(cameraClips)
+      .map(Number)
+      .filter(num => num !== camera)
+      .sort((a, b) => {
+        const wideA = cameras[a] && cameras[a].role === 'wide' ? 0 : 1;
+        const wideB = cameras[b] && cameras[b].role === 'wide' ? 0 : 1;
+        return wideA - wideB || a - b;
+      });
+
+    let best = null;
+    let bestCoverage = 0;
+
+    for (const num of candidates) {
+      const segments = await this.getSourceSegments(cameraClips[num], startTime, endTime, this.getSyncOffset(cameras, num));
+      const coverage = segments.reduce((sum, segment) => sum + segment.sequenceEnd - segment.sequenceStart, 0);
+
+      if (coverage >= endTime - startTime) {
+        return num;
+      }
+      if (coverage > bestCoverage) {
+        best = num;
+        bestCoverage = coverage;
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Get a camera's sync offset
+   *
+   * @param {Object.<number, CameraInfo>} cameras - Camera track info
+   * @param {number} num - Camera number
+   * @returns {number} Offset in seconds (0 if not synced)
+   * @private
+   */
+  getSyncOffset(cameras, num) {
+    return (cameras && cameras[num] && cameras[num].syncOffset) || 0;
+  }
+
+  /**
+   * Map cuts onto the media files and source times they show
+   *
+   * Used by interchange exporters, which reference media by path and source
+   * time instead of by Premiere project item. Cuts are snapped to frame
+   * edges, gaps in a camera's footage are filled as in applyEdits (see
+   * resolveCoverage) and every piece is split at clip boundaries, so each
+   * segment names the media file it actually shows. Parts no camera covers
+   * are left out.
+   *
+   * @param {Object} sequence - Original sequence
+   * @param {Cut[]} cuts - Cuts to export
+   * @param {Object.<number, CameraInfo>} cameras - Camera track info
+   * @returns {Promise<ExportSegment[]>} Segments in sequence order
+   */
+  async getExportSegments(sequence, cuts, cameras) {
+    const timeBase = await TimeBase.fromSequence(sequence);
+    const cameraClips = await this.getCameraClips(sequence, cameras);
+    const clipMedia = new Map();
+    const segments = [];
+
+    for (const cut of cuts) {
+      for (const piece of await this.resolveCoverage(cut, cameraClips, cameras, timeBase)) {
+        const sourceSegments = await this.getSourceSegments(
+          cameraClips[piece.camera] || [], piece.startTime, piece.endTime, this.getSyncOffset(cameras, piece.camera)
+        );
+
+        for (const segment of sourceSegments) {
+          segments.push({
+            cut,
+            camera: piece.camera,
+            startTime: segment.sequenceStart,
+            endTime: segment.sequenceEnd,
+            sourceIn: segment.inPoint,
+            sourceOut: segment.outPoint,
+            media: await this.getClipMedia(segment.clip, piece.camera, clipMedia)
+          });
+        }
+      }
+    }
+
+    console.log(`[TimelineEditor] Mapped ${cuts.length} cuts onto ${segments.length} source segments`);
+
+    return segments;
+  }
+
+  /**
+   * Resolve the media file behind a clip, once per clip
+   *
+   * @param {Object} clip - Premiere Pro track item
+   * @param {number} cameraNum - Camera the clip belongs to (for the error message)
+   * @param {Map<Object, MediaRef>} clipMedia - Media already resolved, by clip
+   * @returns {Promise<MediaRef>}
+   * @private
+   */
+  async getClipMedia(clip, cameraNum, clipMedia) {
+    if (!clipMedia.has(clip)) {
+      const mediaPath = await TrackItems.getClipMediaPath(clip);
+
+      if (!mediaPath) {
+        throw new Error(`Media file not found for Camera ${cameraNum}`);
+      }
+
+      const media = {path: mediaPath, name: mediaPath.split(/[\\/]/).pop()};
+      const {start, duration} = await TrackItems.getClipMediaTiming(clip);
+      if (typeof start === 'number') {
+        media.start = start;
+      }
+      if (typeof duration === 'number') {
+        media.duration = duration;
+      }
+
+      clipMedia.set(clip, media);
+    }
+
+    return clipMedia.get(clip);
+  }
+
+  /**
+   * Resolve every media file on each camera's track
+   *
+   * Used by interchange importers, which map clips back to cameras by
+   * media path. A camera that was restarted has one file per take.
+   *
+   * @param {Object} sequence - Original sequence
+   * @param {Object.<number, CameraInfo>} cameras - Camera track info
+   * @returns {Promise<Object.<number, Array<{path: string, name: string}>>>} Distinct media in
+   *   track order, keyed by camera number
+   */
+  async getCameraMedia(sequence, cameras) {
+    const cameraClips = await this.getCameraClips(sequence, cameras);
+    const clipMedia = new Map();
+    const media = {};
+
+    for (const [cameraNum, clips] of Object.entries(cameraClips)) {
+      media[cameraNum] = [];
+
+      for (const clip of clips) {
+        const item = await this.getClipMedia(clip, Number(cameraNum), clipMedia);
+        if (!media[cameraNum].some(known => known.path === item.path)) {
+          media[cameraNum].push(item);
+        }
+      }
+    }
+
+    return media;
+  }
+
   /**
    * Apply single cut to sequence
    *
    * Strategy:
    * 1. Get destination video track
-   * 2. Insert clip segment at timeline position
-   * 3. Set in/out points for trimming
+   * 2. Map the cut onto the camera clips that cover it (one segment per clip)
+   * 3. Insert each segment with its own source in/out points
+   *
+   * All sequence times are snapped to frame edges of the original sequence.
+   * Parts of the cut with no clip on the camera track are left empty.
    *
    * @param {Object} sequence - Destination sequence
-   * @param {Object.<number, Object>} cameraClips - Source clips by camera number
+   * @param {Object.<number, Object[]>} cameraClips - Source clips by camera number
    * @param {Cut} cut - Cut to apply
+   * @param {TimeBase} [timeBase] - Frame rate of the original sequence (default: 29.97)
+   * @param {number} [syncOffset=0] - Sync offset of the cut's camera in seconds
    * @private
    */
-  async applyCut(sequence, cameraClips, cut) {
+  async applyCut(sequence, cameraClips, cut, timeBase = new TimeBase(), syncOffset = 0) {
     try {
-      const sourceClip = cameraClips[cut.camera];
+      const sourceClips = cameraClips[cut.camera];
 
-      if (!sourceClip) {
+      if (!sourceClips || sourceClips.length === 0) {
         throw new Error(`No clip found for camera ${cut.camera}`);
       }
 
@@ -272,25 +637,34 @@ class TimelineEditor {
         throw new Error('Destination video track not found');
       }
 
-      // Calculate clip trimming
-      const inPoint = cut.startTime;   // Start time in source clip
-      const outPoint = cut.endTime;    // End time in source clip
-      const timelinePosition = cut.startTime;  // Position in timeline
-
-      console.log(`[TimelineEditor]   Insert: ${inPoint}s-${outPoint}s at timeline ${timelinePosition}s`);
-
-      // Insert clip segment
-      // UXP API: track.insertClip(clip, inPoint, outPoint, timelinePosition)
-      if (typeof videoTrack.insertClip === 'function') {
-        await videoTrack.insertClip(
-          sourceClip,
-          inPoint,
-          outPoint,
-          timelinePosition
-        );
-      } else {
-        // Mock for testing
-        console.log('[TimelineEditor]   Mock: Clip inserted (testing mode)');
+      const startTime = timeBase.snap(cut.startTime);
+      const endTime = timeBase.snap(cut.endTime);
+      const segments = await this.getSourceSegments(sourceClips, startTime, endTime, syncOffset);
+
+      const covered = segments.reduce((sum, segment) => sum + segment.sequenceEnd - segment.sequenceStart, 0);
+      if (covered < endTime - startTime - timeBase.framesToSeconds(0.5)) {
+        console.warn(`[TimelineEditor]   Camera ${cut.camera} has no footage for part of ` +
+          `${timeBase.secondsToTimecode(startTime)}-${timeBase.secondsToTimecode(endTime)}`);
+      }
+
+      for (const segment of segments) {
+        const timelinePosition = segment.sequenceStart;  // Position in timeline
+
+        console.log(`[TimelineEditor]   Insert: source ${segment.inPoint.toFixed(3)}s-${segment.outPoint.toFixed(3)}s ` +
+          `at timeline ${timeBase.secondsToTimecode(timelinePosition)}`);
+
+        // UXP API: track.insertClip(clip, inPoint, outPoint, timelinePosition)
+        if (typeof videoTrack.insertClip === 'function') {
+          await videoTrack.insertClip(
+            segment.clip,
+            segment.inPoint,
+            segment.outPoint,
+            timelinePosition
+          );
+        } else {
+          // Mock for testing
+          console.log('[TimelineEditor]   Mock: Clip inserted (testing mode)');
+        }
       }
 
     } catch (error) {
@@ -307,6 +681,21 @@ class TimelineEditor {
   onProgress(callback) {
     this.progressCallback = callback;
   }
+
+  /**
+   * Throw an AbortError if the signal has been aborted
+   *
+   * @param {AbortSignal} [signal] - Cancellation signal (ignored when absent)
+   * @throws {Error} AbortError
+   * @private
+   */
+  throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+      const error = new Error('Editing cancelled');
+      error.name = 'AbortError';
+      throw error;
+    }
+  }
 }
 
 // Export for use in main.js
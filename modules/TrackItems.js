@@ -0,0 +1,184 @@
+/**
+ * TrackItems Module
+ *
+ * Purpose: Read clips, their timing and their media through either Premiere Pro API
+ * Algorithm: Tries the UXP calls (getClips, getStartTime, getProjectItem, ...)
+ *            first and falls back to the legacy properties
+ *
+ * @module TrackItems
+ */
+
+const TimeBase = require('./TimeBase.js');
+
+/**
+ * @typedef {Object} ClipTiming
+ * @property {number} start - Clip start in sequence seconds
+ * @property {number} end - Clip end in sequence seconds
+ * @property {number} inPoint - Source media in-point in seconds
+ */
+
+/**
+ * @typedef {Object} MediaTiming
+ * @property {number|null} start - Embedded start timecode of the media file in seconds (null if unknown)
+ * @property {number|null} duration - Length of the media file in seconds (null if unknown)
+ */
+
+class TrackItems {
+  /**
+   * Get all clips on a track as an array
+   *
+   * @param {Object} track - Premiere Pro audio or video track
+   * @returns {Promise<Object[]>} Track items
+   */
+  static async getTrackClips(track) {
+    let clips = null;
+
+    if (typeof track.getClips === 'function') {
+      clips = await track.getClips();
+    } else if (track.clips) {
+      clips = track.clips;
+    }
+
+    if (!clips) {
+      return [];
+    }
+
+    if (Array.isArray(clips)) {
+      return clips.filter(Boolean);
+    }
+    if (clips.numItems !== undefined && typeof clips.getItemAt === 'function') {
+      return Array.from({length: clips.numItems}, (_, i) => clips.getItemAt(i)).filter(Boolean);
+    }
+    if (clips.length !== undefined) {
+      return Array.from({length: clips.length}, (_, i) => clips[i]).filter(Boolean);
+    }
+
+    return [];
+  }
+
+  /**
+   * Read a clip's sequence position and media in-point in seconds
+   *
+   * @param {Object} clip - Premiere Pro track item
+   * @returns {Promise<ClipTiming>}
+   */
+  static async getClipTiming(clip) {
+    const read = async (getter, property) => {
+      if (typeof clip[getter] === 'function') {
+        return TrackItems.toSeconds(await clip[getter]());
+      }
+      return TrackItems.toSeconds(clip[property]);
+    };
+
+    return {
+      start: await read('getStartTime', 'start'),
+      end: await read('getEndTime', 'end'),
+      inPoint: await read('getInPoint', 'inPoint')
+    };
+  }
+
+  /**
+   * Resolve the media file path behind a track item
+   *
+   * @param {Object} clip - Premiere Pro track item
+   * @returns {Promise<string|null>} Absolute media path or null
+   */
+  static async getClipMediaPath(clip) {
+    // UXP API: trackItem.getProjectItem() → ClipProjectItem.getMediaFilePath()
+    const projectItem = await TrackItems.getClipProjectItem(clip);
+    if (projectItem && typeof projectItem.getMediaFilePath === 'function') {
+      return await projectItem.getMediaFilePath();
+    }
+
+    // Legacy API: trackItem.projectItem.getMediaPath()
+    if (clip.projectItem && typeof clip.projectItem.getMediaPath === 'function') {
+      return clip.projectItem.getMediaPath();
+    }
+
+    return null;
+  }
+
+  /**
+   * Read the start timecode and length of the media file behind a track item
+   *
+   * @param {Object} clip - Premiere Pro track item
+   * @returns {Promise<MediaTiming>}
+   */
+  static async getClipMediaTiming(clip) {
+    const optional = time => (time === undefined || time === null ? null : TrackItems.toSeconds(time));
+
+    try {
+      // UXP API: ClipProjectItem.getMedia() → Media.start / Media.duration
+      const projectItem = await TrackItems.getClipProjectItem(clip);
+      if (projectItem && typeof projectItem.getMedia === 'function') {
+        const media = await projectItem.getMedia();
+        if (media) {
+          return {start: optional(media.start), duration: optional(media.duration)};
+        }
+      }
+
+      // Legacy API: projectItem.startTime() (the media length is not exposed)
+      if (clip.projectItem && typeof clip.projectItem.startTime === 'function') {
+        return {start: optional(clip.projectItem.startTime()), duration: null};
+      }
+    } catch (error) {
+      console.warn('[TrackItems] Could not read media timing:', error);
+    }
+
+    return {start: null, duration: null};
+  }
+
+  /**
+   * Get a UXP track item's project item as a ClipProjectItem
+   *
+   * @param {Object} clip - Premiere Pro track item
+   * @returns {Promise<Object|null>} Project item, or null with the legacy API
+   * @private
+   */
+  static async getClipProjectItem(clip) {
+    if (typeof clip.getProjectItem !== 'function') {
+      return null;
+    }
+
+    const projectItem = await clip.getProjectItem();
+    if (projectItem && typeof projectItem.getMediaFilePath !== 'function') {
+      try {
+        const ppro = require('premierepro');
+        if (ppro?.ClipProjectItem?.cast) {
+          return ppro.ClipProjectItem.cast(projectItem);
+        }
+      } catch (error) {
+        console.warn('[TrackItems] ClipProjectItem cast unavailable:', error);
+      }
+    }
+
+    return projectItem || null;
+  }
+
+  /**
+   * Convert a Premiere Pro time value to seconds
+   *
+   * @param {number|Object|undefined} time - Ticks, TickTime ({seconds}/{ticks}) or legacy Time
+   * @returns {number} Seconds
+   */
+  static toSeconds(time) {
+    if (time === undefined || time === null) {
+      return 0;
+    }
+    if (typeof time === 'number') {
+      return TimeBase.ticksToSeconds(time);
+    }
+    if (typeof time.seconds === 'number') {
+      return time.seconds;
+    }
+    if (time.ticks !== undefined) {
+      return TimeBase.ticksToSeconds(time.ticks);
+    }
+    return 0;
+  }
+}
+
+// Export for use in AudioAnalyzer and TimelineEditor
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TrackItems;
+}
@@ -0,0 +1,95 @@
+/**
+ * UserFile Module
+ *
+ * Purpose: Save and open the files the user picks for export and import
+ * Algorithm: UXP file pickers inside Premiere Pro, plain fs paths outside it;
+ *            also builds the file:// URLs exported documents use for media
+ *
+ * @module UserFile
+ */
+
+class UserFile {
+  /**
+   * Save text to a user-chosen file
+   *
+   * @param {string} content - File text (UTF-8)
+   * @param {string} suggestedName - Suggested file name; its extension selects the file type
+   * @returns {Promise<string|null>} Saved file path, or null if the user cancelled
+   */
+  static async save(content, suggestedName) {
+    const uxp = UserFile.getUxp();
+
+    // UXP: localFileSystem permission declared in manifest.json
+    if (uxp?.storage?.localFileSystem) {
+      const extension = suggestedName.split('.').pop();
+      const file = await uxp.storage.localFileSystem.getFileForSaving(suggestedName, {types: [extension]});
+      if (!file) {
+        return null;
+      }
+      await file.write(content, {format: uxp.storage.formats.utf8});
+      console.log(`[UserFile] Saved ${file.nativePath}`);
+      return file.nativePath;
+    }
+
+    // Fallback for testing/development outside Premiere Pro
+    require('fs').writeFileSync(suggestedName, content, 'utf8');
+    return suggestedName;
+  }
+
+  /**
+   * Read a text file chosen by the user
+   *
+   * @param {string[]} types - Accepted file extensions
+   * @param {string} [filePath] - File to read outside Premiere Pro (UXP shows a file picker)
+   * @returns {Promise<string|null>} File text, or null if the user cancelled
+   */
+  static async open(types, filePath) {
+    const uxp = UserFile.getUxp();
+
+    // UXP: localFileSystem permission declared in manifest.json
+    if (uxp?.storage?.localFileSystem) {
+      const file = await uxp.storage.localFileSystem.getFileForOpening({types});
+      if (!file) {
+        return null;
+      }
+      return await file.read({format: uxp.storage.formats.utf8});
+    }
+
+    // Fallback for testing/development outside Premiere Pro
+    return require('fs').readFileSync(filePath, 'utf8');
+  }
+
+  /**
+   * Convert an absolute path to a file URL
+   *
+   * @param {string} filePath - Absolute path (POSIX or Windows)
+   * @param {string} [host=''] - URL host ('localhost' for xmeml)
+   * @returns {string} file:// URL
+   */
+  static toFileUrl(filePath, host = '') {
+    const urlPath = filePath.replace(/\\/g, '/').split('/')
+      .map(segment => encodeURIComponent(segment).replace(/^([A-Za-z])%3A$/, '$1:'))
+      .join('/');
+
+    return `file://${host}${urlPath.startsWith('/') ? '' : '/'}${urlPath}`;
+  }
+
+  /**
+   * Load the UXP module when running inside Premiere Pro
+   *
+   * @returns {Object|null}
+   * @private
+   */
+  static getUxp() {
+    try {
+      return require('uxp');
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+// Export for use in the exporters
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = UserFile;
+}
@@ -1,26 +1,102 @@
 /**
  * VisualizationUI Module
  *
- * Purpose: Render audio level visualization on Canvas
- * Algorithm: Bar chart showing camera audio levels over time
+ * Purpose: Render audio level visualization on Canvas, with mouse editing of the cuts
+ * Algorithm: Bar chart showing camera audio levels over time; cuts are tinted
+ *            segments whose boundaries, cameras and count can be changed (see CutEditor)
  *
  * @module VisualizationUI
  */
 
+const TimeBase = require('./TimeBase.js');
+const CompactTimeline = require('./CompactTimeline.js');
+const CutEditor = require('./CutEditor.js');
+
 /**
  * @typedef {Object} AnalysisResult
- * @property {Object.<number, TimelineData>} timeline - Timestamp-indexed audio data
+ * @property {Object.<number, TimelineData>} [timeline] - Timestamp-indexed audio data
+ * @property {'compact'} [format] - Set instead of `timeline` for typed-array results (see CompactTimeline)
  * @property {number} duration - Total analyzed duration in seconds
  * @property {number} sampleRate - Sample rate used in analysis
+ * @property {number} [frameRate] - Sequence frame rate in fps
+ * @property {number[]} [cameras] - Analyzed camera numbers (always set on compact results)
+ * @property {Object.<number, TimelineData>} [rawTimeline] - Timeline before bleed compensation
+ *                                                         (`rawLevels`/`rawActiveCamera` on compact results)
+ * @property {{changed: number}} [bleed] - Bleed compensation summary (see BleedCompensator)
  */
 
 /**
  * @typedef {Object} TimelineData
  * @property {number} camera1 - Audio level for camera 1 (0.0-1.0)
- * @property {number} camera2 - Audio level for camera 2 (0.0-1.0)
- * @property {number} camera3 - Audio level for camera 3 (0.0-1.0)
- * @property {1|2|3} activeCamera - Camera with highest audio level
+ * @property {number} cameraN - Audio level for camera N (one property per analyzed camera)
+ * @property {number} activeCamera - Camera number with highest audio level
+ */
+
+/**
+ * @typedef {Object} Cut
+ * @property {number} startTime - Cut start time in seconds
+ * @property {number} endTime - Cut end time in seconds
+ * @property {number} camera - Camera number for this cut (1-N)
+ */
+
+/**
+ * @typedef {Object} LevelColumns
+ * @property {AnalysisResult} result - Result the columns were reduced from
+ * @property {number} width - Canvas width the columns were reduced for
+ * @property {number} samples - Number of samples in the result
+ * @property {number} count - Number of columns (at most one per pixel)
+ * @property {number[]} cameras - Camera numbers, one section each
+ * @property {Object.<number, Float32Array>} levels - Loudest level per column, by camera number
+ * @property {Uint8Array} activeCamera - Camera active in most samples of each column
+ * @property {Object.<number, Float32Array>|null} rawLevels - Same before bleed compensation (null without)
+ * @property {Uint8Array|null} rawActiveCamera - Same before bleed compensation (null without)
+ */
+
+/**
+ * @typedef {Object} CutEdit
+ * @property {'move'|'camera'|'split'|'delete'} action - What was changed
+ * @property {number} index - Index of the edited cut in the previous cut list
+ * @property {Cut[]} cuts - Complete edited cut list
+ */
+
+/**
+ * Camera colors, indexed by camera number - 1
+ * @type {string[]}
+ */
+const CAMERA_COLORS = [
+  '#3498db',  // blue
+  '#2ecc71',  // green
+  '#e67e22',  // orange
+  '#9b59b6',  // purple
+  '#e74c3c',  // red
+  '#1abc9c',  // teal
+  '#f1c40f',  // yellow
+  '#ecf0f1'   // light gray
+];
+
+/**
+ * Color of the uncompensated levels drawn behind bleed-compensated bars
+ * @type {string}
+ */
+const RAW_LEVEL_COLOR = '#4a4a4a';
+
+/**
+ * Color of the cut boundary lines drawn over the level sections
+ * @type {string}
+ */
+const CUT_LINE_COLOR = 'rgba(255, 255, 255, 0.35)';
+
+/**
+ * Opacity of the camera tint behind each cut's levels
+ * @type {number}
+ */
+const CUT_TINT_ALPHA = 0.12;
+
+/**
+ * Pixels on either side of a cut boundary that start a drag
+ * @type {number}
  */
+const BOUNDARY_HANDLE_PX = 4;
 
 class VisualizationUI {
   /**
@@ -34,6 +110,35 @@ class VisualizationUI {
     this.canvas = canvasElement;
     this.ctx = canvasElement.getContext('2d');
     this.analysisResult = null;
+    this.cuts = null;
+
+    /**
+     * Seconds covered by the full canvas width in the last render
+     * @type {number}
+     * @private
+     */
+    this.span = 0;
+
+    /**
+     * Called with a CutEdit after each mouse edit (null = editing off)
+     * @type {Function|null}
+     * @private
+     */
+    this.editCallback = null;
+
+    /**
+     * Gesture in progress: a boundary drag or a press on a cut
+     * @type {{index: number, boundary: boolean, x: number, moved: boolean, cuts: Cut[]}|null}
+     * @private
+     */
+    this.gesture = null;
+
+    /**
+     * Levels of the last rendered result, reduced to the canvas width
+     * @type {LevelColumns|null}
+     * @private
+     */
+    this.columns = null;
 
     console.log('[VisualizationUI] Initialized');
   }
@@ -46,70 +151,162 @@ class VisualizationUI {
    * - Active camera indicator at bottom
    * - Color-coded legend
    *
+   * Both the timestamp-indexed and the compact result layout are drawn.
+   *
+   * When the result carries a `rawTimeline` (bleed compensation), the
+   * uncompensated levels are drawn in gray behind each bar and the
+   * uncompensated active camera gets its own strip above the active one.
+   *
+   * When cuts are given, each one tints the level sections in its camera's
+   * color, their boundaries are drawn across the level sections and the
+   * chosen camera fills a strip along the bottom edge.
+   *
+   * Levels are drawn at most one bar per pixel column (see getColumns),
+   * so redrawing while a boundary is dragged does not depend on the
+   * length of the recording.
+   *
    * @param {AnalysisResult} analysisResult - Result from AudioAnalyzer
+   * @param {Cut[]} [cuts] - Cuts from CutGenerator to overlay
    */
-  render(analysisResult) {
-    if (!analysisResult || !analysisResult.timeline) {
+  render(analysisResult, cuts = null) {
+    if (!analysisResult || (!analysisResult.timeline && !CompactTimeline.isCompact(analysisResult))) {
       console.error('[VisualizationUI] Invalid analysis result');
       return;
     }
 
     this.analysisResult = analysisResult;
+    this.cuts = Array.isArray(cuts) ? cuts : null;
 
     const width = this.canvas.width;
     const height = this.canvas.height;
 
-    console.log(`[VisualizationUI] Rendering graph (${width}x${height})`);
-
     // Clear canvas
     this.ctx.fillStyle = '#1e1e1e';
     this.ctx.fillRect(0, 0, width, height);
 
-    // Get timestamps
-    const timestamps = Object.keys(analysisResult.timeline)
-      .map(Number)
-      .sort((a, b) => a - b);
+    const columns = this.getColumns(analysisResult, width);
 
-    if (timestamps.length === 0) {
+    if (columns.samples === 0) {
       console.warn('[VisualizationUI] No timeline data to render');
       this.drawEmptyState(width, height);
       return;
     }
 
-    const barWidth = width / timestamps.length;
+    const cameras = columns.cameras;
+    const barWidth = width / columns.count;
     const maxHeight = height - 40;  // Leave room for labels
+    const sectionHeight = maxHeight / Math.max(1, cameras.length);
+    const comparison = columns.rawLevels !== null;
 
-    console.log(`[VisualizationUI] Drawing ${timestamps.length} bars (width: ${barWidth.toFixed(2)}px each)`);
-
-    // Draw bars for each timestamp
-    timestamps.forEach((timestamp, index) => {
-      const data = analysisResult.timeline[timestamp];
-      const x = index * barWidth;
+    // Columns are whole samples wide, so the drawn span is a whole number of samples
+    this.span = columns.samples * (analysisResult.sampleRate || analysisResult.duration / columns.samples);
 
-      // Draw camera 1 (blue) - top third
-      this.drawBar(x, barWidth, data.camera1, maxHeight, '#3498db', 0);
-
-      // Draw camera 2 (green) - middle third
-      this.drawBar(x, barWidth, data.camera2, maxHeight, '#2ecc71', maxHeight / 3);
+    if (this.cuts) {
+      this.drawCutSegments(this.cuts, width, maxHeight, this.span);
+    }
 
-      // Draw camera 3 (orange) - bottom third
-      this.drawBar(x, barWidth, data.camera3, maxHeight, '#e67e22', (maxHeight / 3) * 2);
+    // Draw bars for each column
+    for (let column = 0; column < columns.count; column++) {
+      const x = column * barWidth;
+
+      // One horizontal section per camera, top to bottom
+      cameras.forEach((num, section) => {
+        if (comparison) {
+          this.drawBar(x, barWidth, columns.rawLevels[num][column], sectionHeight, RAW_LEVEL_COLOR, section * sectionHeight);
+        }
+        this.drawBar(x, barWidth, columns.levels[num][column], sectionHeight, this.getCameraColor(num), section * sectionHeight);
+      });
+
+      // Active camera before compensation
+      if (comparison) {
+        this.ctx.fillStyle = this.getCameraColor(columns.rawActiveCamera[column]);
+        this.ctx.fillRect(x, height - 17, barWidth, 5);
+      }
 
       // Highlight active camera at bottom
-      if (data.activeCamera === 1) {
-        this.ctx.fillStyle = '#3498db';
-      } else if (data.activeCamera === 2) {
-        this.ctx.fillStyle = '#2ecc71';
-      } else {
-        this.ctx.fillStyle = '#e67e22';
-      }
+      this.ctx.fillStyle = this.getCameraColor(columns.activeCamera[column]);
       this.ctx.fillRect(x, height - 10, barWidth, 5);
-    });
+    }
+
+    if (this.cuts) {
+      this.drawCuts(this.cuts, width, height, maxHeight, this.span);
+    }
 
     // Draw legend
-    this.drawLegend(width, height);
+    this.drawLegend(width, height, cameras, sectionHeight, comparison, this.cuts ? this.cuts.length : null);
+  }
+
+  /**
+   * Reduce a result's levels to at most one column per pixel
+   *
+   * Each column keeps the loudest level of its samples and the camera
+   * active in most of them. The columns are kept until the result or the
+   * canvas width changes, so re-rendering with new cuts reads no samples.
+   *
+   * @param {AnalysisResult} analysisResult - Result from AudioAnalyzer
+   * @param {number} width - Canvas width in pixels
+   * @returns {LevelColumns}
+   * @private
+   */
+  getColumns(analysisResult, width) {
+    if (this.columns && this.columns.result === analysisResult && this.columns.width === width) {
+      return this.columns;
+    }
+
+    const timestamps = CompactTimeline.getTimestamps(analysisResult);
+    const cameras = CompactTimeline.getCameraNumbers(analysisResult);
+    const samples = timestamps.length;
+    const count = Math.min(samples, Math.max(1, Math.floor(width)));
+    const comparison = !!(analysisResult.rawTimeline || analysisResult.rawLevels);
+
+    const createLevels = () => {
+      const levels = {};
+      cameras.forEach(num => {
+        levels[num] = new Float32Array(count);
+      });
+      return levels;
+    };
+    const columns = {
+      result: analysisResult,
+      width,
+      samples,
+      count,
+      cameras,
+      levels: createLevels(),
+      activeCamera: new Uint8Array(count),
+      rawLevels: comparison ? createLevels() : null,
+      rawActiveCamera: comparison ? new Uint8Array(count) : null
+    };
+
+    // Fold one sample into a column: loudest level, most frequent active camera
+    const fold = (sample, levels, activeCamera, votes, column) => {
+      cameras.forEach(num => {
+        levels[num][column] = Math.max(levels[num][column], sample[`camera${num}`] || 0);
+      });
+      const active = sample.activeCamera;
+      votes.set(active, (votes.get(active) || 0) + 1);
+      if (votes.get(active) > (votes.get(activeCamera[column]) || 0)) {
+        activeCamera[column] = active;
+      }
+    };
+
+    for (let column = 0; column < count; column++) {
+      const votes = new Map();
+      const rawVotes = new Map();
+      const end = Math.floor((column + 1) * samples / count);
+
+      for (let index = Math.floor(column * samples / count); index < end; index++) {
+        fold(CompactTimeline.getSample(analysisResult, timestamps, index), columns.levels, columns.activeCamera, votes, column);
 
-    console.log('[VisualizationUI] Rendering complete');
+        const raw = comparison ? CompactTimeline.getRawSample(analysisResult, timestamps, index) : null;
+        if (raw) {
+          fold(raw, columns.rawLevels, columns.rawActiveCamera, rawVotes, column);
+        }
+      }
+    }
+
+    this.columns = columns;
+    return columns;
   }
 
   /**
@@ -118,21 +315,64 @@ class VisualizationUI {
    * @param {number} x - X position (left edge of bar)
    * @param {number} barWidth - Width of the bar
    * @param {number} level - Audio level (0.0-1.0)
-   * @param {number} maxHeight - Maximum available height
+   * @param {number} sectionHeight - Height of this camera's section
    * @param {string} color - Bar color (hex)
    * @param {number} yOffset - Vertical offset for this camera's section
    * @private
    */
-  drawBar(x, barWidth, level, maxHeight, color, yOffset) {
-    // Each camera gets 1/3 of the height
-    const sectionHeight = maxHeight / 3;
+  drawBar(x, barWidth, level, sectionHeight, color, yOffset) {
     const barHeight = level * sectionHeight;
 
     // Calculate Y position (bars grow upward from bottom of section)
     const y = yOffset + sectionHeight - barHeight;
 
     this.ctx.fillStyle = color;
-    this.ctx.fillRect(x, y, barWidth - 1, barHeight);  // -1 for spacing between bars
+    this.ctx.fillRect(x, y, Math.max(1, barWidth - 1), barHeight);  // -1 for spacing between wide bars
+  }
+
+  /**
+   * Tint the level sections behind each cut in its camera's color
+   *
+   * @param {Cut[]} cuts - Cuts to draw
+   * @param {number} width - Canvas width
+   * @param {number} levelHeight - Height of the level sections
+   * @param {number} span - Seconds covered by the full canvas width
+   * @private
+   */
+  drawCutSegments(cuts, width, levelHeight, span) {
+    const toX = seconds => Math.max(0, Math.min(width, seconds / span * width));
+
+    for (const cut of cuts) {
+      const x = toX(cut.startTime);
+      this.ctx.fillStyle = this.toRgba(this.getCameraColor(cut.camera), CUT_TINT_ALPHA);
+      this.ctx.fillRect(x, 0, toX(cut.endTime) - x, levelHeight);
+    }
+  }
+
+  /**
+   * Draw cut boundaries and the camera strip for a cut list
+   *
+   * @param {Cut[]} cuts - Cuts to draw
+   * @param {number} width - Canvas width
+   * @param {number} height - Canvas height
+   * @param {number} levelHeight - Height of the level sections
+   * @param {number} span - Seconds covered by the full canvas width
+   * @private
+   */
+  drawCuts(cuts, width, height, levelHeight, span) {
+    const toX = seconds => Math.max(0, Math.min(width, seconds / span * width));
+
+    for (const cut of cuts) {
+      const x = toX(cut.startTime);
+
+      this.ctx.fillStyle = this.getCameraColor(cut.camera);
+      this.ctx.fillRect(x, height - 4, Math.max(1, toX(cut.endTime) - x), 4);
+
+      if (cut.startTime > 0) {
+        this.ctx.fillStyle = CUT_LINE_COLOR;
+        this.ctx.fillRect(Math.round(x), 0, 1, levelHeight);
+      }
+    }
   }
 
   /**
@@ -140,19 +380,244 @@ class VisualizationUI {
    *
    * @param {number} width - Canvas width
    * @param {number} height - Canvas height
+   * @param {number[]} cameras - Camera numbers, one section each
+   * @param {number} sectionHeight - Height of each camera section
+   * @param {boolean} [comparison=false] - Label the before/after active strips
+   * @param {number|null} [cutCount=null] - Number of overlaid cuts (null = no cuts drawn)
    * @private
    */
-  drawLegend(width, height) {
+  drawLegend(width, height, cameras, sectionHeight, comparison = false, cutCount = null) {
     this.ctx.font = '10px -apple-system, BlinkMacSystemFont, sans-serif';
     this.ctx.fillStyle = '#d4d4d4';
 
     // Camera labels on left
-    this.ctx.fillText('Camera 1', 10, 20);
-    this.ctx.fillText('Camera 2', 10, height / 3 + 20);
-    this.ctx.fillText('Camera 3', 10, (height / 3) * 2 + 20);
+    cameras.forEach((num, section) => {
+      this.ctx.fillText(`Camera ${num}`, 10, section * sectionHeight + 12);
+    });
 
     // Active camera indicator label
-    this.ctx.fillText('Active', width - 60, height - 20);
+    if (comparison) {
+      this.ctx.fillText('Active: before / after bleed removal', width - 190, height - 20);
+    } else {
+      this.ctx.fillText('Active', width - 60, height - 20);
+    }
+
+    // Cut strip label
+    if (cutCount !== null) {
+      this.ctx.fillText(`Cuts: ${cutCount}`, 10, height - 20);
+    }
+  }
+
+  /**
+   * Get display color for a camera
+   *
+   * @param {number} num - Camera number
+   * @returns {string} Color (hex)
+   */
+  getCameraColor(num) {
+    return CAMERA_COLORS[(num - 1) % CAMERA_COLORS.length] || CAMERA_COLORS[0];
+  }
+
+  /**
+   * Turn a hex color into an rgba() color
+   *
+   * @param {string} hex - Color as #rrggbb
+   * @param {number} alpha - Opacity 0.0-1.0
+   * @returns {string}
+   * @private
+   */
+  toRgba(hex, alpha) {
+    const value = parseInt(hex.slice(1), 16);
+    return `rgba(${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}, ${alpha})`;
+  }
+
+  /**
+   * Let the user edit the drawn cuts with the mouse
+   *
+   * - Drag a boundary to move it (snapped to frames of the analysis frame rate)
+   * - Click a cut to switch it to the next analyzed camera
+   * - Alt+click a cut to split it at that point
+   * - Shift+click a cut to delete it (its neighbor takes over the time)
+   *
+   * The canvas shows each edit right away; the callback decides whether
+   * to keep it (call render with the cuts to keep otherwise). Edits that
+   * CutEditor refuses, like deleting the only cut, are ignored.
+   *
+   * @param {function(CutEdit): void} callback - Called after each edit
+   */
+  enableEditing(callback) {
+    if (!this.editCallback && typeof this.canvas.addEventListener === 'function') {
+      this.canvas.addEventListener('mousedown', event => this.handleMouseDown(event));
+      this.canvas.addEventListener('mousemove', event => this.handleMouseMove(event));
+      this.canvas.addEventListener('mouseup', event => this.handleMouseUp(event));
+      this.canvas.addEventListener('mouseleave', event => this.handleMouseUp(event));
+    }
+
+    this.editCallback = callback;
+  }
+
+  /**
+   * Start a boundary drag or a press on a cut
+   *
+   * @param {MouseEvent} event - Mouse event on the canvas
+   * @private
+   */
+  handleMouseDown(event) {
+    if (!this.editCallback || !this.cuts || this.span <= 0) {
+      return;
+    }
+
+    const x = this.getCanvasX(event);
+    const time = this.toTime(x);
+    const editor = this.createCutEditor();
+
+    const boundary = editor.findBoundary(this.cuts, time, this.toTime(BOUNDARY_HANDLE_PX));
+    const index = boundary !== -1 ? boundary : editor.findCutAt(this.cuts, time);
+    if (index === -1) {
+      return;
+    }
+
+    this.gesture = {index, boundary: boundary !== -1, x, moved: false, cuts: this.cuts};
+  }
+
+  /**
+   * Drag a boundary, or show what a press would do
+   *
+   * @param {MouseEvent} event - Mouse event on the canvas
+   * @private
+   */
+  handleMouseMove(event) {
+    if (!this.editCallback || !this.cuts || this.span <= 0) {
+      return;
+    }
+
+    const x = this.getCanvasX(event);
+    const gesture = this.gesture;
+
+    if (!gesture) {
+      const near = this.createCutEditor().findBoundary(this.cuts, this.toTime(x), this.toTime(BOUNDARY_HANDLE_PX));
+      if (this.canvas.style) {
+        this.canvas.style.cursor = near !== -1 ? 'col-resize' : 'pointer';
+      }
+      return;
+    }
+
+    if (!gesture.boundary || Math.abs(x - gesture.x) < 1) {
+      return;
+    }
+
+    gesture.moved = true;
+    const cuts = this.tryEdit(editor => editor.moveBoundary(gesture.cuts, gesture.index, this.toTime(x)));
+
+    // Redraw only when the boundary lands on another frame
+    if (cuts && cuts[gesture.index].startTime !== this.cuts[gesture.index].startTime) {
+      this.render(this.analysisResult, cuts);
+    }
+  }
+
+  /**
+   * Finish a boundary drag, or apply a click to the pressed cut
+   *
+   * @param {MouseEvent} event - Mouse event on the canvas
+   * @private
+   */
+  handleMouseUp(event) {
+    const gesture = this.gesture;
+    this.gesture = null;
+
+    if (!gesture || !this.editCallback) {
+      return;
+    }
+
+    if (gesture.boundary) {
+      if (gesture.moved && this.cuts !== gesture.cuts) {
+        this.editCallback({action: 'move', index: gesture.index, cuts: this.cuts});
+      }
+      return;
+    }
+
+    // A press that wandered off is not a click
+    if (event.type !== 'mouseup' || Math.abs(this.getCanvasX(event) - gesture.x) > BOUNDARY_HANDLE_PX) {
+      return;
+    }
+
+    let action = 'camera';
+    let cuts = null;
+    if (event.altKey) {
+      action = 'split';
+      cuts = this.tryEdit(editor => editor.splitCut(gesture.cuts, gesture.index, this.toTime(gesture.x)));
+    } else if (event.shiftKey) {
+      action = 'delete';
+      cuts = this.tryEdit(editor => editor.deleteCut(gesture.cuts, gesture.index));
+    } else {
+      const cameras = CompactTimeline.getCameraNumbers(this.analysisResult);
+      const current = cameras.indexOf(gesture.cuts[gesture.index].camera);
+      const camera = cameras[(current + 1) % cameras.length];
+      cuts = this.tryEdit(editor => editor.setCamera(gesture.cuts, gesture.index, camera));
+    }
+
+    if (cuts) {
+      this.render(this.analysisResult, cuts);
+      this.editCallback({action, index: gesture.index, cuts});
+    }
+  }
+
+  /**
+   * Run a CutEditor edit, treating a refused edit as no edit
+   *
+   * @param {function(CutEditor): Cut[]} edit - Edit to run
+   * @returns {Cut[]|null} Edited cuts, or null when the edit was refused
+   * @private
+   */
+  tryEdit(edit) {
+    try {
+      return edit(this.createCutEditor());
+    } catch (error) {
+      console.warn(`[VisualizationUI] Edit ignored: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * CutEditor snapping to the analysis frame rate
+   *
+   * @returns {CutEditor}
+   * @private
+   */
+  createCutEditor() {
+    return new CutEditor(this.analysisResult && this.analysisResult.frameRate);
+  }
+
+  /**
+   * Horizontal mouse position in canvas pixels
+   *
+   * The canvas is scaled to the panel width by CSS, so client coordinates
+   * are mapped through its on-screen size.
+   *
+   * @param {MouseEvent} event - Mouse event on the canvas
+   * @returns {number}
+   * @private
+   */
+  getCanvasX(event) {
+    if (typeof this.canvas.getBoundingClientRect === 'function') {
+      const rect = this.canvas.getBoundingClientRect();
+      if (rect && rect.width > 0) {
+        return (event.clientX - rect.left) * this.canvas.width / rect.width;
+      }
+    }
+
+    return event.offsetX || 0;
+  }
+
+  /**
+   * Convert canvas pixels to seconds of the last render
+   *
+   * @param {number} x - Canvas pixels
+   * @returns {number} Seconds
+   * @private
+   */
+  toTime(x) {
+    return x / this.canvas.width * this.span;
   }
 
   /**
@@ -193,24 +658,51 @@ class VisualizationUI {
       return null;
     }
 
-    const timestamps = Object.keys(this.analysisResult.timeline);
-    const cameraActivity = {1: 0, 2: 0, 3: 0};
+    const timestamps = CompactTimeline.getTimestamps(this.analysisResult);
+    const cameras = CompactTimeline.getCameraNumbers(this.analysisResult);
+    const cameraActivity = {};
+    cameras.forEach(num => {
+      cameraActivity[num] = 0;
+    });
 
     // Count how many timestamps each camera was active
-    timestamps.forEach(timestamp => {
-      const data = this.analysisResult.timeline[timestamp];
-      cameraActivity[data.activeCamera]++;
+    timestamps.forEach((timestamp, index) => {
+      const data = CompactTimeline.getSample(this.analysisResult, timestamps, index);
+      cameraActivity[data.activeCamera] = (cameraActivity[data.activeCamera] || 0) + 1;
     });
 
-    return {
+    const statistics = {
       duration: this.analysisResult.duration,
       sampleRate: this.analysisResult.sampleRate,
       totalSamples: timestamps.length,
-      cameraActivity: cameraActivity,
-      camera1Percentage: (cameraActivity[1] / timestamps.length * 100).toFixed(1),
-      camera2Percentage: (cameraActivity[2] / timestamps.length * 100).toFixed(1),
-      camera3Percentage: (cameraActivity[3] / timestamps.length * 100).toFixed(1)
+      cameraActivity: cameraActivity
     };
+
+    if (this.cuts) {
+      statistics.totalCuts = this.cuts.length;
+    }
+
+    // Frame-accurate duration when the analysis knows the sequence frame rate
+    if (this.analysisResult.frameRate) {
+      const timeBase = new TimeBase(this.analysisResult.frameRate);
+      statistics.frameRate = timeBase.frameRate;
+      statistics.durationTimecode = timeBase.secondsToTimecode(this.analysisResult.duration);
+    }
+
+    // How many samples bleed compensation moved to another camera
+    if (this.analysisResult.rawTimeline || this.analysisResult.rawLevels) {
+      statistics.bleedChangedSamples = timestamps.filter((timestamp, index) => {
+        const raw = CompactTimeline.getRawSample(this.analysisResult, timestamps, index);
+        return raw && raw.activeCamera !== CompactTimeline.getSample(this.analysisResult, timestamps, index).activeCamera;
+      }).length;
+    }
+
+    // cameraNPercentage for each camera
+    Object.keys(cameraActivity).forEach(num => {
+      statistics[`camera${num}Percentage`] = (cameraActivity[num] / timestamps.length * 100).toFixed(1);
+    });
+
+    return statistics;
   }
 }
 
@@ -0,0 +1,479 @@
+/**
+ * XmlExporter Module
+ *
+ * Purpose: Export generated cuts as FCPXML 1.9 and Final Cut Pro 7 XML (xmeml)
+ * Algorithm: One clip per source segment on a single video track, referencing
+ *            the segment's media file at its source time, with markers on
+ *            cutaways and low-confidence cuts
+ *
+ * @module XmlExporter
+ */
+
+const TimeBase = require('./TimeBase.js');
+const UserFile = require('./UserFile.js');
+
+/**
+ * @typedef {Object} XmlOptions
+ * @property {string} [title] - Sequence/project name (default: 'Auto Camera')
+ * @property {number} [frameRate] - Sequence frame rate in fps (default: 29.97)
+ * @property {boolean} [dropFrame] - Drop-frame timecode display (default: true for 29.97/59.94)
+ * @property {number} [width] - Frame width in pixels (default: 1920)
+ * @property {number} [height] - Frame height in pixels (default: 1080)
+ * @property {number} [lowConfidenceThreshold] - Cuts below this confidence get a marker (default: 0.6)
+ */
+
+/**
+ * @typedef {Object} Cut
+ * @property {number} startTime - Cut start time in seconds
+ * @property {number} endTime - Cut end time in seconds
+ * @property {number} camera - Camera number for this cut (1-N)
+ * @property {'overlap'|'silence'} [reason] - Why the cut was routed to the wide camera
+ * @property {boolean} [cutaway] - True for inserted cutaways
+ * @property {number} [confidence] - Confidence 0.0-1.0 from CutGenerator.scoreCuts
+ */
+
+/**
+ * @typedef {Object} CameraInfo
+ * @property {number} trackIndex - Video track index
+ * @property {string} trackName - Track name (used in clip names)
+ */
+
+/**
+ * @typedef {Object} CameraMedia
+ * @property {string} path - Absolute media file path
+ * @property {string} name - Media file name
+ * @property {number} [start] - Embedded start timecode of the file in seconds, when known
+ * @property {number} [duration] - Length of the file in seconds, when known
+ */
+
+/**
+ * @typedef {Object} ExportSegment
+ * @property {Cut} cut - Cut the segment belongs to
+ * @property {number} camera - Camera shown during the segment
+ * @property {number} startTime - Record start in sequence seconds
+ * @property {number} endTime - Record end in sequence seconds
+ * @property {number} sourceIn - Source media in-point in seconds
+ * @property {number} sourceOut - Source media out-point in seconds
+ * @property {CameraMedia} media - Media file behind the segment
+ */
+
+/**
+ * @typedef {Object} FrameClip
+ * @property {ExportSegment} segment - Segment the clip shows
+ * @property {number} startFrame - Record start frame
+ * @property {number} endFrame - Record end frame
+ * @property {number} sourceFrame - Source in-point frame
+ * @property {boolean} first - First clip of its cut (markers go here)
+ */
+
+/**
+ * @typedef {Object} UsedMedia
+ * @property {string} name - Media file name
+ * @property {number|null} startFrame - Embedded start timecode of the file in frames (null if unknown)
+ * @property {number|null} frames - Length of the file in frames (null if unknown)
+ */
+
+class XmlExporter {
+  constructor() {
+    console.log('[XmlExporter] Initialized');
+  }
+
+  /**
+   * Build an FCPXML 1.9 document from source segments
+   *
+   * Each asset spans its media file's available range (its start timecode
+   * and length, when Premiere reports them) and each asset-clip starts at
+   * its segment's source time within it; holes between segments become
+   * gaps so the spine keeps record time.
+   *
+   * @param {ExportSegment[]} segments - Segments from TimelineEditor.getExportSegments
+   * @param {Object.<number, CameraInfo>} cameras - Camera track info {1: {...}, ..., N: {...}}
+   * @param {XmlOptions} options - Export options
+   * @returns {string} FCPXML text
+   */
+  exportFcpxml(segments, cameras, options = {}) {
+    const {
+      title = 'Auto Camera',
+      frameRate = 30000 / 1001,
+      width = 1920,
+      height = 1080,
+      lowConfidenceThreshold = 0.6
+    } = options;
+    const dropFrame = options.dropFrame !== undefined ? options.dropFrame : TimeBase.isDropFrameRate(frameRate);
+    const tcFormat = dropFrame ? 'DF' : 'NDF';
+
+    const frameDuration = this.getFrameDuration(frameRate);
+    const time = frames => this.formatRationalTime(frames, frameDuration);
+    const clips = this.toFrameClips(segments, frameRate);
+    const totalFrames = clips.length > 0 ? clips[clips.length - 1].endFrame : 0;
+
+    console.log(`[XmlExporter] Exporting FCPXML: ${clips.length} clips at ${frameRate.toFixed(3)} fps`);
+
+    // Resources: r1 = format, one asset per media file in use
+    const assetIds = {};
+    const resources = [
+      `    <format id="r1" frameDuration="${time(1)}" width="${width}" height="${height}"/>`
+    ];
+
+    const files = this.getUsedMedia(clips, frameRate);
+    for (const [mediaPath, file] of files) {
+      assetIds[mediaPath] = `r${Object.keys(assetIds).length + 2}`;
+      const duration = file.frames !== null ? ` duration="${time(file.frames)}"` : '';
+      resources.push(
+        `    <asset id="${assetIds[mediaPath]}" name="${this.escapeXml(file.name)}" start="${time(file.startFrame || 0)}"${duration} ` +
+          `hasVideo="1" hasAudio="1" format="r1">`,
+        `      <media-rep kind="original-media" src="${this.escapeXml(UserFile.toFileUrl(mediaPath))}"/>`,
+        '    </asset>'
+      );
+    }
+
+    const spine = [];
+    let position = 0;
+    for (const clip of clips) {
+      const {segment} = clip;
+      if (clip.startFrame > position) {
+        spine.push(`          <gap offset="${time(position)}" start="0s" duration="${time(clip.startFrame - position)}"/>`);
+      }
+      position = clip.endFrame;
+
+      // Asset-clip times count from the asset's start timecode
+      const sourceStart = time((files.get(segment.media.path).startFrame || 0) + clip.sourceFrame);
+      const name = this.getClipName(cameras, segment.camera);
+      const markers = clip.first ? this.getMarkers(segment.cut, lowConfidenceThreshold) : [];
+      const open = `          <asset-clip ref="${assetIds[segment.media.path]}" offset="${time(clip.startFrame)}" ` +
+        `name="${this.escapeXml(name)}" start="${sourceStart}" ` +
+        `duration="${time(clip.endFrame - clip.startFrame)}" tcFormat="${tcFormat}"`;
+
+      if (markers.length === 0) {
+        spine.push(`${open}/>`);
+        continue;
+      }
+
+      spine.push(`${open}>`);
+      for (const marker of markers) {
+        spine.push(
+          `            <marker start="${sourceStart}" duration="${time(1)}" ` +
+            `value="${this.escapeXml(marker.name)}" note="${this.escapeXml(marker.comment)}"/>`
+        );
+      }
+      spine.push('          </asset-clip>');
+    }
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<!DOCTYPE fcpxml>',
+      '<fcpxml version="1.9">',
+      '  <resources>',
+      ...resources,
+      '  </resources>',
+      '  <library>',
+      `    <event name="${this.escapeXml(title)}">`,
+      `      <project name="${this.escapeXml(title)}">`,
+      `        <sequence format="r1" duration="${time(totalFrames)}" tcStart="0s" tcFormat="${tcFormat}">`,
+      '          <spine>',
+      ...spine.map(line => `  ${line}`),
+      '          </spine>',
+      '        </sequence>',
+      '      </project>',
+      '    </event>',
+      '  </library>',
+      '</fcpxml>',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * Build a Final Cut Pro 7 XML (xmeml version 4) document from source segments
+   *
+   * Premiere Pro imports this format directly (File > Import). Files carry
+   * their length and start timecode when Premiere reports them; clip in and
+   * out points count frames from the start of the file.
+   *
+   * @param {ExportSegment[]} segments - Segments from TimelineEditor.getExportSegments
+   * @param {Object.<number, CameraInfo>} cameras - Camera track info {1: {...}, ..., N: {...}}
+   * @param {XmlOptions} options - Export options
+   * @returns {string} xmeml text
+   */
+  exportXmeml(segments, cameras, options = {}) {
+    const {
+      title = 'Auto Camera',
+      frameRate = 30000 / 1001,
+      width = 1920,
+      height = 1080,
+      lowConfidenceThreshold = 0.6
+    } = options;
+    const dropFrame = options.dropFrame !== undefined ? options.dropFrame : TimeBase.isDropFrameRate(frameRate);
+
+    const timeBase = new TimeBase(frameRate);
+    const clips = this.toFrameClips(segments, frameRate);
+    const totalFrames = clips.length > 0 ? clips[clips.length - 1].endFrame : 0;
+    const files = this.getUsedMedia(clips, frameRate);
+    const ntsc = timeBase.denominator === 1001;
+    const rate = `<rate><timebase>${timeBase.nominal}</timebase><ntsc>${ntsc ? 'TRUE' : 'FALSE'}</ntsc></rate>`;
+
+    console.log(`[XmlExporter] Exporting xmeml: ${clips.length} clips at ${frameRate.toFixed(3)} fps`);
+
+    const fileIds = {};
+    const clipItems = [];
+
+    clips.forEach((clip, index) => {
+      const {segment} = clip;
+      const mediaPath = segment.media.path;
+      const file = files.get(mediaPath);
+      const sourceOut = clip.sourceFrame + clip.endFrame - clip.startFrame;
+      const duration = file.frames !== null ? [`<duration>${file.frames}</duration>`] : [];
+
+      clipItems.push(
+        `          <clipitem id="clipitem-${index + 1}">`,
+        `            <name>${this.escapeXml(this.getClipName(cameras, segment.camera))}</name>`,
+        '            <enabled>TRUE</enabled>',
+        ...duration.map(line => `            ${line}`),
+        `            ${rate}`,
+        `            <start>${clip.startFrame}</start>`,
+        `            <end>${clip.endFrame}</end>`,
+        `            <in>${clip.sourceFrame}</in>`,
+        `            <out>${sourceOut}</out>`
+      );
+
+      // Describe each file once; later clips reference it by id
+      if (fileIds[mediaPath]) {
+        clipItems.push(`            <file id="${fileIds[mediaPath]}"/>`);
+      } else {
+        fileIds[mediaPath] = `file-${Object.keys(fileIds).length + 1}`;
+        clipItems.push(
+          `            <file id="${fileIds[mediaPath]}">`,
+          `              <name>${this.escapeXml(file.name)}</name>`,
+          `              <pathurl>${this.escapeXml(UserFile.toFileUrl(mediaPath, 'localhost'))}</pathurl>`,
+          `              ${rate}`,
+          ...duration.map(line => `              ${line}`),
+          ...(file.startFrame !== null ? this.formatFileTimecode(file.startFrame, timeBase, rate, dropFrame) : []),
+          '              <media><video></video><audio></audio></media>',
+          '            </file>'
+        );
+      }
+
+      const markers = clip.first ? this.getMarkers(segment.cut, lowConfidenceThreshold) : [];
+      for (const marker of markers) {
+        clipItems.push(
+          '            <marker>',
+          `              <name>${this.escapeXml(marker.name)}</name>`,
+          `              <comment>${this.escapeXml(marker.comment)}</comment>`,
+          `              <in>${clip.sourceFrame}</in>`,
+          '              <out>-1</out>',
+          '            </marker>'
+        );
+      }
+
+      clipItems.push('          </clipitem>');
+    });
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<!DOCTYPE xmeml>',
+      '<xmeml version="4">',
+      '  <sequence id="sequence-1">',
+      `    <name>${this.escapeXml(title)}</name>`,
+      `    <duration>${totalFrames}</duration>`,
+      `    ${rate}`,
+      '    <timecode>',
+      `      ${rate}`,
+      `      <string>${dropFrame ? '00:00:00;00' : '00:00:00:00'}</string>`,
+      '      <frame>0</frame>',
+      `      <displayformat>${dropFrame ? 'DF' : 'NDF'}</displayformat>`,
+      '    </timecode>',
+      '    <media>',
+      '      <video>',
+      '        <format>',
+      '          <samplecharacteristics>',
+      `            ${rate}`,
+      `            <width>${width}</width>`,
+      `            <height>${height}</height>`,
+      '          </samplecharacteristics>',
+      '        </format>',
+      '        <track>',
+      ...clipItems,
+      '        </track>',
+      '      </video>',
+      '    </media>',
+      '  </sequence>',
+      '</xmeml>',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * Convert segments to frame ranges, dropping segments shorter than one frame
+   *
+   * @param {ExportSegment[]} segments - Segments in sequence order
+   * @param {number} frameRate - Frame rate in fps
+   * @returns {FrameClip[]}
+   * @private
+   */
+  toFrameClips(segments, frameRate) {
+    const timeBase = new TimeBase(frameRate);
+    const clips = [];
+    let previousCut = null;
+
+    for (const segment of segments) {
+      if (!segment.media || !segment.media.path) {
+        throw new Error(`No media file for Camera ${segment.camera}`);
+      }
+
+      const startFrame = timeBase.secondsToFrames(segment.startTime);
+      const endFrame = timeBase.secondsToFrames(segment.endTime);
+      if (endFrame <= startFrame) {
+        continue;
+      }
+
+      clips.push({
+        segment,
+        startFrame,
+        endFrame,
+        sourceFrame: timeBase.secondsToFrames(segment.sourceIn),
+        first: segment.cut !== previousCut
+      });
+      previousCut = segment.cut;
+    }
+
+    return clips;
+  }
+
+  /**
+   * Collect the media files clips use, in order of first use
+   *
+   * @param {FrameClip[]} clips - Frame clips
+   * @param {number} frameRate - Frame rate in fps
+   * @returns {Map<string, UsedMedia>} Name, start timecode and length of each file, by path
+   * @private
+   */
+  getUsedMedia(clips, frameRate) {
+    const timeBase = new TimeBase(frameRate);
+    const toFrames = seconds => (typeof seconds === 'number' ? timeBase.secondsToFrames(seconds) : null);
+    const files = new Map();
+
+    for (const {segment} of clips) {
+      const {path: mediaPath, name, start, duration} = segment.media;
+      if (!files.has(mediaPath)) {
+        files.set(mediaPath, {name, startFrame: toFrames(start), frames: toFrames(duration)});
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * xmeml timecode block for a file's start timecode
+   *
+   * @param {number} startFrame - Start timecode in frames
+   * @param {TimeBase} timeBase - Sequence time base
+   * @param {string} rate - xmeml rate element
+   * @param {boolean} dropFrame - Drop-frame display
+   * @returns {string[]} Lines indented for a file element
+   * @private
+   */
+  formatFileTimecode(startFrame, timeBase, rate, dropFrame) {
+    const timecode = timeBase.framesToTimecode(startFrame, dropFrame);
+
+    return [
+      '              <timecode>',
+      `                ${rate}`,
+      `                <string>${dropFrame ? timecode.replace(/:(\d{2})$/, ';$1') : timecode}</string>`,
+      `                <frame>${startFrame}</frame>`,
+      `                <displayformat>${dropFrame ? 'DF' : 'NDF'}</displayformat>`,
+      '              </timecode>'
+    ];
+  }
+
+  /**
+   * Clip display name for a camera
+   *
+   * @param {Object.<number, CameraInfo>} cameras - Camera track info
+   * @param {number} num - Camera number
+   * @returns {string}
+   * @private
+   */
+  getClipName(cameras, num) {
+    const camera = cameras[num];
+    return camera && camera.trackName ? `Camera ${num} (${camera.trackName})` : `Camera ${num}`;
+  }
+
+  /**
+   * Markers to attach to a cut
+   *
+   * @param {Cut} cut - Cut to inspect
+   * @param {number} lowConfidenceThreshold - Confidence below which a cut is flagged
+   * @returns {Array<{name: string, comment: string}>}
+   */
+  getMarkers(cut, lowConfidenceThreshold) {
+    const markers = [];
+
+    if (cut.cutaway) {
+      markers.push({name: 'Cutaway', comment: `Cutaway to Camera ${cut.camera}`});
+    }
+    if (typeof cut.confidence === 'number' && cut.confidence < lowConfidenceThreshold) {
+      markers.push({
+        name: 'Low confidence',
+        comment: `Camera ${cut.camera} confidence ${Math.round(cut.confidence * 100)}%`
+      });
+    }
+
+    return markers;
+  }
+
+  /**
+   * Frame duration as a rational number of seconds
+   *
+   * @param {number} frameRate - Frame rate in fps
+   * @returns {{numerator: number, denominator: number}} Seconds per frame
+   */
+  getFrameDuration(frameRate) {
+    return new TimeBase(frameRate).frameDuration;
+  }
+
+  /**
+   * Format a frame count as an FCPXML rational time ("1001/30000s", "5s")
+   *
+   * @param {number} frames - Frame count
+   * @param {{numerator: number, denominator: number}} frameDuration - Seconds per frame
+   * @returns {string}
+   */
+  formatRationalTime(frames, frameDuration) {
+    const value = frames * frameDuration.numerator;
+    if (value % frameDuration.denominator === 0) {
+      return `${value / frameDuration.denominator}s`;
+    }
+    return `${value}/${frameDuration.denominator}s`;
+  }
+
+  /**
+   * Escape text for XML attributes and content
+   *
+   * @param {string} text - Raw text
+   * @returns {string}
+   * @private
+   */
+  escapeXml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+
+  /**
+   * Save XML text to a user-chosen file
+   *
+   * @param {string} content - XML text
+   * @param {string} suggestedName - Suggested file name (extension selects the file type)
+   * @returns {Promise<string|null>} Saved file path, or null if the user cancelled
+   */
+  async saveToFile(content, suggestedName) {
+    return UserFile.save(content, suggestedName);
+  }
+}
+
+// Export for use in main.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = XmlExporter;
+}
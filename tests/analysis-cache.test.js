@@ -0,0 +1,188 @@
+/**
+ * AnalysisCache Unit Tests
+ *
+ * @test AnalysisCache
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AnalysisCache = require('../modules/AnalysisCache.js');
+
+// Simple test framework
+const tests = [];
+let passCount = 0;
+let failCount = 0;
+
+function test(name, fn) {
+  tests.push({name, fn});
+}
+
+function expect(actual) {
+  return {
+    toBe(expected) {
+      if (actual !== expected) {
+        throw new Error(`Expected ${expected}, got ${actual}`);
+      }
+    },
+    toBeGreaterThan(expected) {
+      if (actual <= expected) {
+        throw new Error(`Expected ${actual} > ${expected}`);
+      }
+    },
+    toEqual(expected) {
+      if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+      }
+    },
+    toBeInstanceOf(expectedClass) {
+      if (!(actual instanceof expectedClass)) {
+        throw new Error(`Expected instance of ${expectedClass.name}`);
+      }
+    }
+  };
+}
+
+async function runTests() {
+  console.log('\n=== AnalysisCache Unit Tests ===\n');
+
+  for (const {name, fn} of tests) {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passCount++;
+    } catch (error) {
+      console.error(`✗ ${name}`);
+      console.error(`  Error: ${error.message}`);
+      failCount++;
+    }
+  }
+
+  console.log(`\n=== Test Results ===`);
+  console.log(`Passed: ${passCount}`);
+  console.log(`Failed: ${failCount}`);
+  console.log(`Total: ${tests.length}`);
+
+  if (failCount > 0) {
+    process.exit(1);
+  }
+}
+
+// Helper: run a test body against a fresh cache directory, removed afterwards
+async function withCache(fn) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'analysis-cache-test-'));
+  try {
+    await fn(new AnalysisCache(directory), directory);
+  } finally {
+    fs.rmSync(directory, {recursive: true, force: true});
+  }
+}
+
+test('createKey() names entries by kind and a stable hash', () => {
+  const cache = new AnalysisCache();
+  const a = cache.createKey('analysis', {mediaPath: '/media/a.wav', size: 10});
+  const b = cache.createKey('analysis', {mediaPath: '/media/a.wav', size: 10});
+  const c = cache.createKey('analysis', {mediaPath: '/media/a.wav', size: 11});
+
+  expect(a.name).toBe(b.name);
+  expect(a.name === c.name).toBe(false);
+  expect(/^analysis-[0-9a-f]{16}\.cache$/.test(a.name)).toBe(true);
+});
+
+test('write() and read() round-trip JSON values with Float32Arrays', async () => {
+  await withCache(async (cache) => {
+    const key = cache.createKey('envelope', {mediaPath: '/media/a.wav'});
+    const value = {
+      sampleRate: 48000,
+      label: 'Cam 1',
+      meanSquare: new Float32Array([0.25, 0.5, 0.125]),
+      nested: {peak: new Float32Array([1, 0.5])},
+      timeline: {0: {camera1: 0.8, activeCamera: 1}}
+    };
+
+    await cache.write(key, value);
+    const restored = await cache.read(key);
+
+    expect(restored.sampleRate).toBe(48000);
+    expect(restored.label).toBe('Cam 1');
+    expect(restored.meanSquare).toBeInstanceOf(Float32Array);
+    expect(Array.from(restored.meanSquare)).toEqual([0.25, 0.5, 0.125]);
+    expect(Array.from(restored.nested.peak)).toEqual([1, 0.5]);
+    expect(restored.timeline[0].camera1).toBe(0.8);
+  });
+});
+
+test('write() and read() keep Float64Array and Uint8Array values', async () => {
+  await withCache(async (cache) => {
+    const key = cache.createKey('analysis', {n: 1});
+    await cache.write(key, {
+      format: 'compact',
+      timestamps: new Float64Array([0, 0.1001, 10800.2002]),
+      activeCamera: new Uint8Array([1, 2, 3]),
+      levels: {1: new Float32Array([0.5, 0.25, 0])}
+    });
+
+    const restored = await cache.read(key);
+
+    expect(restored.timestamps).toBeInstanceOf(Float64Array);
+    expect(Array.from(restored.timestamps)).toEqual([0, 0.1001, 10800.2002]);
+    expect(restored.activeCamera).toBeInstanceOf(Uint8Array);
+    expect(Array.from(restored.activeCamera)).toEqual([1, 2, 3]);
+    expect(Array.from(restored.levels[1])).toEqual([0.5, 0.25, 0]);
+  });
+});
+
+test('read() returns null for missing, foreign and corrupt entries', async () => {
+  await withCache(async (cache, directory) => {
+    const key = cache.createKey('analysis', {n: 1});
+    expect(await cache.read(key)).toBe(null);
+
+    // Same file name, different key text (hash collision)
+    await cache.write(key, {level: 1});
+    expect(await cache.read({name: key.name, text: 'something else'})).toBe(null);
+
+    fs.writeFileSync(path.join(directory, key.name), 'not a cache entry');
+    expect(await cache.read(key)).toBe(null);
+  });
+});
+
+test('getSize() and clear() cover all entries', async () => {
+  await withCache(async (cache, directory) => {
+    expect(await cache.getSize()).toEqual({bytes: 0, entries: 0});
+
+    await cache.write(cache.createKey('analysis', {n: 1}), {levels: new Float32Array(100)});
+    await cache.write(cache.createKey('envelope', {n: 2}), {peak: new Float32Array(50)});
+    fs.writeFileSync(path.join(directory, 'unrelated.txt'), 'keep');
+
+    const size = await cache.getSize();
+    expect(size.entries).toBe(2);
+    expect(size.bytes).toBeGreaterThan(600);
+
+    expect(await cache.clear()).toBe(2);
+    expect(await cache.getSize()).toEqual({bytes: 0, entries: 0});
+    expect(fs.existsSync(path.join(directory, 'unrelated.txt'))).toBe(true);
+  });
+});
+
+test('getFileInfo() reports size and modification time', async () => {
+  await withCache(async (cache, directory) => {
+    const file = path.join(directory, 'media.wav');
+    fs.writeFileSync(file, Buffer.alloc(1234));
+
+    const info = await cache.getFileInfo(file);
+    expect(info.size).toBe(1234);
+    expect(info.modified).toBe(fs.statSync(file).mtimeMs);
+
+    expect(await cache.getFileInfo(path.join(directory, 'missing.wav'))).toBe(null);
+  });
+});
+
+// ============================================================================
+// Run tests
+// ============================================================================
+
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = {tests, runTests};
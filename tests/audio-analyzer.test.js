@@ -7,7 +7,14 @@
  * @test AudioAnalyzer
  */
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const AudioAnalyzer = require('../modules/AudioAnalyzer.js');
+const AnalysisCache = require('../modules/AnalysisCache.js');
+const AudioWorkerClient = require('../modules/AudioWorkerClient.js');
+const MediaFile = require('../modules/MediaFile.js');
+const {createWav} = require('./audio-decoder.test.js');
 
 // Simple test framework (no external dependencies)
 const tests = [];
@@ -123,10 +130,628 @@ test('determineActiveCamera() handles equal levels (first wins)', () => {
   expect(analyzer.determineActiveCamera([0.7, 0.7, 0.3])).toBe(1);
 });
 
+// Helper to create a mock audio track whose single clip points at a media file
+function createMockAudioTrack(mediaPath, {startSeconds = 0, endSeconds = 10, inPointSeconds = 0} = {}) {
+  const ticks = 254016000000;
+  return {
+    clips: [{
+      name: mediaPath,
+      start: startSeconds * ticks,
+      end: endSeconds * ticks,
+      inPoint: inPointSeconds * ticks,
+      getProjectItem: async () => ({
+        getMediaFilePath: async () => mediaPath
+      })
+    }]
+  };
+}
+
+// Helper to build samples: loud square wave for `loud` seconds, then silence
+function loudThenSilent(loudSeconds, totalSeconds, sampleRate = 8000) {
+  return Array.from({length: totalSeconds * sampleRate}, (_, i) =>
+    i < loudSeconds * sampleRate ? (i % 2 === 0 ? 0.5 : -0.5) : 0
+  );
+}
+
+test('normalizeLevel() maps dBFS onto 0.0-1.0', () => {
+  const analyzer = new AudioAnalyzer();
+
+  expect(analyzer.normalizeLevel(1.0)).toBe(1);
+  expect(analyzer.normalizeLevel(0)).toBe(0);
+  expect(analyzer.normalizeLevel(0.001)).toBe(0);  // -60 dBFS
+  expect(Math.abs(analyzer.normalizeLevel(0.1) - 2 / 3) < 1e-9).toBe(true);  // -20 dBFS
+});
+
+test('getAudioLevelAtTime() decodes PCM from the clip media file', async () => {
+  const analyzer = new AudioAnalyzer();
+  const wav = createWav(loudThenSilent(2, 4));
+  analyzer.openMediaFile = async () => MediaFile.fromBuffer(wav);
+
+  const track = createMockAudioTrack('/media/cam1.wav', {endSeconds: 4});
+
+  const loud = await analyzer.getAudioLevelAtTime(track, 0, null, {windowSize: 1.0});
+  const silent = await analyzer.getAudioLevelAtTime(track, 3, null, {windowSize: 1.0});
+
+  expect(loud).toBeGreaterThan(0.8);
+  expect(silent).toBe(0);
+});
+
+test('getAudioLevelAtTime() maps sequence time through clip offset and in-point', async () => {
+  const analyzer = new AudioAnalyzer();
+  const wav = createWav(loudThenSilent(2, 4));
+  analyzer.openMediaFile = async () => MediaFile.fromBuffer(wav);
+
+  // Clip placed at 10s in the sequence, trimmed to start 1s into the media
+  const track = createMockAudioTrack('/media/cam1.wav', {startSeconds: 10, endSeconds: 13, inPointSeconds: 1});
+
+  expect(await analyzer.getAudioLevelAtTime(track, 10, null, {windowSize: 0.5})).toBeGreaterThan(0.8);
+  expect(await analyzer.getAudioLevelAtTime(track, 11.5, null, {windowSize: 0.5})).toBe(0);
+  expect(await analyzer.getAudioLevelAtTime(track, 5, null, {windowSize: 0.5})).toBe(0);
+});
+
+test('getAudioLevelAtTime() decodes each media file once', async () => {
+  const analyzer = new AudioAnalyzer();
+  const wav = createWav(loudThenSilent(1, 2));
+  let reads = 0;
+  analyzer.openMediaFile = async () => {
+    reads++;
+    return MediaFile.fromBuffer(wav);
+  };
+
+  const track = createMockAudioTrack('/media/cam1.wav', {endSeconds: 2});
+  await Promise.all([0, 0.5, 1, 1.5].map(t => analyzer.getAudioLevelAtTime(track, t, null)));
+
+  expect(reads).toBe(1);
+});
+
+test('getAudioLevelAtTime() decodes through the audio worker and reports its progress', async () => {
+  const worker = new AudioWorkerClient(() => null);
+  const decode = worker.decodeEnvelope.bind(worker);
+  let decodes = 0;
+  worker.decodeEnvelope = (buffer, options) => {
+    decodes++;
+    return decode(buffer, options);
+  };
+
+  const analyzer = new AudioAnalyzer(null, worker);
+  const wav = createWav(loudThenSilent(2, 4));
+  analyzer.openMediaFile = async () => MediaFile.fromBuffer(wav);
+  const messages = [];
+  analyzer.onProgress((progress, message) => messages.push(message));
+
+  const track = createMockAudioTrack('/media/cam1.wav', {endSeconds: 4});
+  expect(await analyzer.getAudioLevelAtTime(track, 0, null, {windowSize: 1.0})).toBeGreaterThan(0.8);
+
+  expect(decodes).toBe(1);
+  expect(messages[0]).toBe('Decoding cam1.wav: 1%');
+});
+
+test('getAudioLevelAtTime() rejects undecodable media', async () => {
+  const analyzer = new AudioAnalyzer();
+  analyzer.openMediaFile = async () => MediaFile.fromBuffer(new ArrayBuffer(64));
+
+  const track = createMockAudioTrack('/media/cam1.mp4');
+
+  let errorThrown = false;
+  try {
+    await analyzer.getAudioLevelAtTime(track, 0, null);
+  } catch (error) {
+    errorThrown = true;
+    expect(error.message.includes('/media/cam1.mp4')).toBe(true);
+  }
+  expect(errorThrown).toBe(true);
+});
+
 // ============================================================================
 // [MANUAL] Tests - Require Premiere Pro environment
 // ============================================================================
 
+test('determineActiveCamera() handles more than 3 cameras', () => {
+  const analyzer = new AudioAnalyzer();
+
+  expect(analyzer.determineActiveCamera([0.2, 0.3, 0.1, 0.2, 0.9, 0.4])).toBe(5);
+  expect(analyzer.determineActiveCamera([0.2, 0.6])).toBe(2);
+});
+
+test('analyzeSequence() produces one level per configured camera', async () => {
+  const analyzer = new AudioAnalyzer();
+
+  const mockSequence = {
+    end: 254016000000 * 4,
+    timebase: 254016000000,
+    audioTracks: Array.from({length: 5}, () => ({clips: []}))
+  };
+
+  const mockCameras = {};
+  for (let num = 1; num <= 5; num++) {
+    mockCameras[num] = {trackIndex: num - 1, trackName: `Camera ${num}`};
+  }
+
+  const result = await analyzer.analyzeSequence(mockSequence, mockCameras, {sampleRate: 1.0});
+
+  expect(result.cameras).toEqual([1, 2, 3, 4, 5]);
+  expect(Object.keys(result.timeline).length).toBe(4);
+  expect(result.timeline[0].camera5).toBe(0);
+  expect(result.timeline[0].camera6).toBe(undefined);
+});
+
+test('analyzeSequence() samples on frame edges of the sequence frame rate', async () => {
+  const analyzer = new AudioAnalyzer();
+
+  const mockSequence = {
+    end: 254016000000 * 2,
+    getTimebase: async () => '8475667200', // 29.97 fps
+    audioTracks: [{clips: []}]
+  };
+
+  const result = await analyzer.analyzeSequence(mockSequence, {1: {trackIndex: 0}}, {sampleRate: 0.1});
+
+  // 0.1s rounds to 3 frames (0.1001s); 2s = 60 frames = 20 samples
+  expect(result.frameRate).toBe(30000 / 1001);
+  expect(result.sampleRate).toBe(3003 / 30000);
+  expect(Object.keys(result.timeline).length).toBe(20);
+  expect(result.timeline[30 * 1001 / 30000] !== undefined).toBe(true);
+});
+
+test('analyzeSequence() reads synced cameras at their offset', async () => {
+  const analyzer = new AudioAnalyzer();
+  const wav = createWav(loudThenSilent(2, 4));
+  analyzer.openMediaFile = async () => MediaFile.fromBuffer(wav);
+
+  const mockSequence = {
+    end: 254016000000 * 4,
+    getTimebase: async () => '10160640000', // 25 fps
+    audioTracks: [
+      createMockAudioTrack('/media/cam1.wav', {endSeconds: 4}),
+      createMockAudioTrack('/media/cam2.wav', {endSeconds: 4})
+    ]
+  };
+  const cameras = {
+    1: {trackIndex: 0, audioTrackIndex: 0},
+    2: {trackIndex: 1, audioTrackIndex: 1, syncOffset: 2}
+  };
+
+  const result = await analyzer.analyzeSequence(mockSequence, cameras, {sampleRate: 1.0});
+
+  // Camera 2 is read 2s later, where its media is already silent
+  expect(result.timeline[0].camera1).toBeGreaterThan(0.8);
+  expect(result.timeline[0].camera2).toBe(0);
+});
+
+test('analyzeCompact() reads speaker files at their offset', async () => {
+  const analyzer = new AudioAnalyzer();
+  const wav = createWav(loudThenSilent(1, 2));
+  analyzer.openMediaFile = async () => MediaFile.fromBuffer(wav);
+
+  const mockSequence = {
+    end: 254016000000 * 12,
+    getTimebase: async () => '10160640000', // 25 fps
+    audioTracks: []
+  };
+  const speakers = [{name: 'Guest', mediaPath: '/media/lav1.wav', offset: 3, camera: 2}];
+
+  const result = await analyzer.analyzeCompact(mockSequence, {2: {trackIndex: 1}}, {sampleRate: 0.5, speakers});
+  const levelAt = time => result.levels[2][Math.round(time / 0.5)];
+
+  // File time 0 plays at sequence 3s
+  expect(levelAt(1)).toBe(0);
+  expect(levelAt(3)).toBeGreaterThan(0.8);
+  expect(levelAt(4.5)).toBe(0);
+  expect(levelAt(10)).toBe(0);
+});
+
+test('analyzeSequence() uses speaker files instead of camera tracks', async () => {
+  const analyzer = new AudioAnalyzer();
+  const files = {
+    '/media/host.wav': createWav(loudThenSilent(1, 4)),
+    '/media/guest1.wav': createWav(loudThenSilent(0, 4)),
+    '/media/guest2.wav': createWav(loudThenSilent(3, 4))
+  };
+  analyzer.openMediaFile = async path => MediaFile.fromBuffer(files[path]);
+
+  const mockSequence = {
+    end: 254016000000 * 4,
+    getTimebase: async () => '10160640000', // 25 fps
+    audioTracks: []
+  };
+  const cameras = {
+    1: {trackIndex: 0, role: 'wide'},
+    2: {trackIndex: 1},
+    3: {trackIndex: 2}
+  };
+  const speakers = [
+    {name: 'Host', mediaPath: '/media/host.wav', camera: 2},
+    {name: 'Guest 1', mediaPath: '/media/guest1.wav', camera: 3},
+    {name: 'Guest 2', mediaPath: '/media/guest2.wav', offset: 1, camera: 3}
+  ];
+
+  const result = await analyzer.analyzeSequence(mockSequence, cameras, {sampleRate: 1.0, speakers});
+
+  // No audio tracks are read; the wide camera has no speaker
+  expect(result.timeline[0].camera1).toBe(0);
+  expect(result.timeline[0].camera2).toBeGreaterThan(0.8);
+  expect(result.timeline[0].camera3).toBe(0);
+  // Both guests share camera 3: the louder one wins
+  expect(result.timeline[2].camera2).toBe(0);
+  expect(result.timeline[2].camera3).toBeGreaterThan(0.8);
+});
+
+// Helper: sine or white noise samples at 16 kHz (noise from a fixed-seed LCG)
+function toneSamples(frequency, seconds, amplitude = 0.2) {
+  let seed = 1;
+  return Array.from({length: seconds * 16000}, (_, i) => {
+    if (frequency !== 'noise') {
+      return amplitude * Math.sin(2 * Math.PI * frequency * i / 16000);
+    }
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return amplitude * (seed / 1073741824 - 1);
+  });
+}
+
+test('speechProbability() favours voice-band sound over hum and hiss', async () => {
+  const analyzer = new AudioAnalyzer();
+  const files = {
+    '/media/voice.wav': createWav(toneSamples(800, 1), {sampleRate: 16000}),
+    '/media/hum.wav': createWav(toneSamples(50, 1), {sampleRate: 16000}),
+    '/media/hiss.wav': createWav(toneSamples('noise', 1), {sampleRate: 16000}),
+    '/media/quiet.wav': createWav(toneSamples(800, 1, 0.002), {sampleRate: 16000})
+  };
+  analyzer.openMediaFile = async path => MediaFile.fromBuffer(files[path]);
+
+  const speech = async name => {
+    const speaker = {mediaPath: `/media/${name}.wav`, camera: 1};
+    return analyzer.measureSpeakerEnvelope(await analyzer.loadMediaEnvelope(speaker.mediaPath), speaker, 0.3).speech;
+  };
+
+  expect(await speech('voice')).toBeGreaterThan(0.8);
+  expect(await speech('hum')).toBeLessThan(0.2);
+  expect(await speech('hiss')).toBeLessThan(0.5);
+  expect(await speech('quiet')).toBe(0);
+});
+
+test('speechProbability() uses energy alone without spectral features', () => {
+  const analyzer = new AudioAnalyzer();
+
+  expect(analyzer.speechProbability(0.9, {})).toBe(1);
+  expect(analyzer.speechProbability(0.2, {})).toBe(0);
+  expect(analyzer.speechProbability(0, {zeroCrossingRate: 1000, speechBandRatio: 1})).toBe(0);
+});
+
+test('analyzeSequence() adds a speech probability per camera', async () => {
+  const analyzer = new AudioAnalyzer();
+  const files = {
+    '/media/cam1.wav': createWav(toneSamples(800, 2), {sampleRate: 16000}),
+    '/media/cam2.wav': createWav(toneSamples(50, 2, 0.5), {sampleRate: 16000})
+  };
+  analyzer.openMediaFile = async path => MediaFile.fromBuffer(files[path]);
+
+  const mockSequence = {
+    end: 254016000000 * 2,
+    getTimebase: async () => '10160640000', // 25 fps
+    audioTracks: [
+      createMockAudioTrack('/media/cam1.wav', {endSeconds: 2}),
+      createMockAudioTrack('/media/cam2.wav', {endSeconds: 2})
+    ]
+  };
+  const cameras = {1: {trackIndex: 0, audioTrackIndex: 0}, 2: {trackIndex: 1, audioTrackIndex: 1}};
+
+  const result = await analyzer.analyzeSequence(mockSequence, cameras, {sampleRate: 1.0});
+  const entry = result.timeline[0];
+
+  // The hum is louder, but only camera 1 sounds like speech
+  expect(entry.activeCamera).toBe(2);
+  expect(entry.speech1).toBeGreaterThan(0.8);
+  expect(entry.speech2).toBeLessThan(0.2);
+});
+
+test('normalizeCameraLevel() maps noise floor and speech level, then applies gain', () => {
+  const analyzer = new AudioAnalyzer();
+  const calibration = {noiseFloorDb: -48, speechDb: -24};
+
+  expect(analyzer.normalizeCameraLevel(0.2, calibration)).toBe(0);
+  expect(Math.abs(analyzer.normalizeCameraLevel(0.6, calibration) - 0.7) < 1e-9).toBe(true);
+  expect(Math.abs(analyzer.normalizeCameraLevel(0.6, null, 6) - 0.7) < 1e-9).toBe(true);
+  expect(analyzer.normalizeCameraLevel(0, calibration, 6)).toBe(0);
+  expect(analyzer.normalizeCameraLevel(0.9, null, 12)).toBe(1);
+});
+
+test('calibrateCamera() uses speech samples for the speech level', () => {
+  const analyzer = new AudioAnalyzer();
+  const levels = Float32Array.from({length: 20}, (_, i) => i < 10 ? 0.8 : 0.3);
+  const speech = Float32Array.from({length: 20}, (_, i) => i < 10 ? 0.9 : 0.1);
+
+  const calibration = analyzer.calibrateCamera(1, levels, speech, -60);
+
+  expect(calibration.noiseFloorDb).toBe(-42);
+  expect(calibration.speechDb).toBe(-12);
+  // A mic that only hears its noise floor stays uncalibrated
+  expect(analyzer.calibrateCamera(3, new Float32Array(20).fill(0.25), new Float32Array(20), -60)).toBe(null);
+});
+
+test('analyzeSequence() calibrates a hot mic against a quiet one', async () => {
+  const analyzer = new AudioAnalyzer();
+  const concat = (...parts) => [].concat(...parts);
+
+  // Speaker 1 talks 0-2s, speaker 2 talks 2-4s; mic 1 is hot and picks up speaker 2
+  const files = {
+    '/media/cam1.wav': createWav(concat(toneSamples(800, 2, 0.5), toneSamples(800, 2, 0.12)), {sampleRate: 16000}),
+    '/media/cam2.wav': createWav(concat(toneSamples(800, 2, 0.02), toneSamples(800, 2, 0.1)), {sampleRate: 16000})
+  };
+  analyzer.openMediaFile = async path => MediaFile.fromBuffer(files[path]);
+
+  const mockSequence = {
+    end: 254016000000 * 4,
+    getTimebase: async () => '10160640000', // 25 fps
+    audioTracks: [
+      createMockAudioTrack('/media/cam1.wav', {endSeconds: 4}),
+      createMockAudioTrack('/media/cam2.wav', {endSeconds: 4})
+    ]
+  };
+  const cameras = {1: {trackIndex: 0, audioTrackIndex: 0}, 2: {trackIndex: 1, audioTrackIndex: 1}};
+
+  const raw = await analyzer.analyzeSequence(mockSequence, cameras, {sampleRate: 0.2});
+  expect(raw.timeline[3].activeCamera).toBe(1);
+  expect(raw.calibration).toBe(undefined);
+
+  const calibrated = await analyzer.analyzeSequence(mockSequence, cameras, {sampleRate: 0.2, calibrate: true});
+  expect(calibrated.timeline[0.4].activeCamera).toBe(1);
+  expect(calibrated.timeline[3].activeCamera).toBe(2);
+  expect(calibrated.calibration[1].speechDb).toBeGreaterThan(calibrated.calibration[2].speechDb);
+
+  // Without calibration, a manual trim on the hot mic does the same
+  const trimmed = await analyzer.analyzeSequence(mockSequence, {
+    1: {trackIndex: 0, audioTrackIndex: 0, gainDb: -6},
+    2: cameras[2]
+  }, {sampleRate: 0.2});
+  expect(trimmed.timeline[0.4].activeCamera).toBe(1);
+  expect(trimmed.timeline[3].activeCamera).toBe(2);
+});
+
+test('analyzeSequence() stops with an AbortError when the signal is aborted', async () => {
+  const analyzer = new AudioAnalyzer();
+
+  const mockSequence = {
+    end: 254016000000 * 120,
+    timebase: 254016000000,
+    audioTracks: [{clips: []}, {clips: []}]
+  };
+  const cameras = {1: {trackIndex: 0}, 2: {trackIndex: 1}};
+
+  // Aborted before starting
+  const aborted = new AbortController();
+  aborted.abort();
+  let error = null;
+  try {
+    await analyzer.analyzeSequence(mockSequence, cameras, {sampleRate: 1.0, signal: aborted.signal});
+  } catch (e) {
+    error = e;
+  }
+  expect(error !== null && error.name).toBe('AbortError');
+
+  // Aborted part-way through: no further chunks are measured
+  const controller = new AbortController();
+  let measured = 0;
+  analyzer.onProgress(() => {
+    measured++;
+    if (measured === 3) {
+      controller.abort();
+    }
+  });
+
+  error = null;
+  try {
+    await analyzer.analyzeSequence(mockSequence, cameras, {sampleRate: 1.0, chunkDuration: 10, signal: controller.signal});
+  } catch (e) {
+    error = e;
+  }
+  expect(error !== null && error.name).toBe('AbortError');
+  expect(measured).toBe(3);
+});
+
+test('analyzeCompact() stores levels in one typed array per camera', async () => {
+  const analyzer = new AudioAnalyzer();
+  const wav = createWav(loudThenSilent(2, 4));
+  analyzer.openMediaFile = async () => MediaFile.fromBuffer(wav);
+
+  const mockSequence = {
+    end: 254016000000 * 4,
+    getTimebase: async () => '10160640000', // 25 fps
+    audioTracks: [
+      createMockAudioTrack('/media/cam1.wav', {endSeconds: 4}),
+      createMockAudioTrack('/media/cam2.wav', {startSeconds: 2, endSeconds: 4})
+    ]
+  };
+  const cameras = {1: {trackIndex: 0, audioTrackIndex: 0}, 2: {trackIndex: 1, audioTrackIndex: 1}};
+
+  const result = await analyzer.analyzeCompact(mockSequence, cameras, {sampleRate: 1.0, chunkDuration: 2});
+
+  expect(result.format).toBe('compact');
+  expect(result.timestamps).toBeInstanceOf(Float64Array);
+  expect(result.levels[1]).toBeInstanceOf(Float32Array);
+  expect(Array.from(result.timestamps)).toEqual([0, 1, 2, 3]);
+  expect(result.levels[1][0]).toBeGreaterThan(0.8);
+  expect(result.levels[1][2]).toBe(0);
+  expect(result.levels[2][1]).toBe(0);
+  expect(result.levels[2][2]).toBeGreaterThan(0.8);
+  expect(Array.from(result.activeCamera)).toEqual([1, 1, 2, 2]);
+
+  // The timestamp-indexed result holds the same values
+  const timeline = await analyzer.analyzeSequence(mockSequence, cameras, {sampleRate: 1.0});
+  expect(timeline.timeline[2].camera2).toBe(result.levels[2][2]);
+  expect(timeline.timeline[2].activeCamera).toBe(2);
+});
+
+test('analyzeChunks() yields fixed windows as they are measured', async () => {
+  const analyzer = new AudioAnalyzer();
+  const wav = createWav(loudThenSilent(2, 10));
+  analyzer.openMediaFile = async () => MediaFile.fromBuffer(wav);
+
+  const mockSequence = {
+    end: 254016000000 * 10,
+    getTimebase: async () => '10160640000', // 25 fps
+    audioTracks: [createMockAudioTrack('/media/cam1.wav', {endSeconds: 10})]
+  };
+
+  const chunks = [];
+  for await (const chunk of analyzer.analyzeChunks(mockSequence, {1: {trackIndex: 0}}, {sampleRate: 1.0, chunkDuration: 4})) {
+    chunks.push(chunk);
+  }
+
+  expect(chunks.map(chunk => chunk.start)).toEqual([0, 4, 8]);
+  expect(chunks.map(chunk => chunk.timestamps.length)).toEqual([4, 4, 2]);
+  expect(chunks[2].totalSamples).toBe(10);
+  expect(chunks[1].timestamps[0]).toBe(4);
+  expect(chunks[0].levels[1][1]).toBeGreaterThan(0.8);
+  expect(chunks[0].levels[1][2]).toBe(0);
+  expect(chunks[0].activeCamera).toBeInstanceOf(Uint8Array);
+
+  // Stopping early leaves the rest of the sequence unmeasured
+  let reads = 0;
+  const fresh = new AudioAnalyzer();
+  fresh.openMediaFile = async () => {
+    reads++;
+    return MediaFile.fromBuffer(wav);
+  };
+  for await (const chunk of fresh.analyzeChunks(mockSequence, {1: {trackIndex: 0}}, {sampleRate: 1.0, chunkDuration: 4})) {
+    expect(chunk.start).toBe(0);
+    break;
+  }
+  expect(reads).toBe(1);
+});
+
+test('analyzeChunks() releases envelopes after the last chunk that measures them', async () => {
+  const analyzer = new AudioAnalyzer();
+  const wav = createWav(loudThenSilent(2, 4));
+  analyzer.openMediaFile = async () => MediaFile.fromBuffer(wav);
+
+  // Camera 1's clip ends at 4s; camera 2 is synced 1s late, so its clip is read until 5s
+  const mockSequence = {
+    end: 254016000000 * 12,
+    getTimebase: async () => '10160640000', // 25 fps
+    audioTracks: [
+      createMockAudioTrack('/media/cam1.wav', {endSeconds: 4}),
+      createMockAudioTrack('/media/cam2.wav', {startSeconds: 1, endSeconds: 6})
+    ]
+  };
+  const cameras = {1: {trackIndex: 0}, 2: {trackIndex: 1, syncOffset: 1}};
+
+  const decoded = [];
+  for await (const chunk of analyzer.analyzeChunks(mockSequence, cameras, {sampleRate: 1.0, chunkDuration: 4})) {
+    decoded.push([chunk.start, Array.from(analyzer.envelopeCache.keys())]);
+  }
+
+  expect(decoded).toEqual([
+    [0, ['/media/cam2.wav']],
+    [4, []],
+    [8, []]
+  ]);
+  expect(analyzer.envelopeCache.size).toBe(0);
+});
+
+test('analyzeCompact() passes its signal to the audio worker and reports a stopped decode as cancelled', async () => {
+  let seen = null;
+  const worker = {
+    decodeEnvelope: async (file, options) => {
+      seen = options.signal;
+      const error = new Error('Audio worker stopped');
+      error.name = 'AbortError';
+      throw error;
+    }
+  };
+  const analyzer = new AudioAnalyzer(null, worker);
+  analyzer.openMediaFile = async () => MediaFile.fromBuffer(createWav(loudThenSilent(1, 2)));
+
+  const mockSequence = {
+    end: 254016000000 * 2,
+    getTimebase: async () => '10160640000', // 25 fps
+    audioTracks: [createMockAudioTrack('/media/cam1.wav', {endSeconds: 2})]
+  };
+  const signal = {aborted: false};
+
+  let stopped = null;
+  try {
+    await analyzer.analyzeCompact(mockSequence, {1: {trackIndex: 0}}, {signal});
+  } catch (error) {
+    stopped = error;
+  }
+
+  expect(seen).toBe(signal);
+  expect(stopped.name).toBe('AbortError');
+  expect(stopped.message).toBe('Audio worker stopped');
+});
+
+test('analyzeSequence() reuses cached results until the media changes', async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'audio-analyzer-cache-test-'));
+  const media = [path.join(directory, 'cam1.wav'), path.join(directory, 'cam2.wav')];
+
+  try {
+    fs.writeFileSync(media[0], Buffer.from(createWav(loudThenSilent(2, 4))));
+    fs.writeFileSync(media[1], Buffer.from(createWav(loudThenSilent(1, 4))));
+
+    const mockSequence = {
+      end: 254016000000 * 4,
+      getTimebase: async () => '10160640000', // 25 fps
+      audioTracks: media.map(file => createMockAudioTrack(file, {endSeconds: 4}))
+    };
+    const cameras = {
+      1: {trackIndex: 0, audioTrackIndex: 0},
+      2: {trackIndex: 1, audioTrackIndex: 1}
+    };
+
+    // Fresh analyzers, as in a new session, share only the cache folder
+    const analyze = async () => {
+      const analyzer = new AudioAnalyzer(new AnalysisCache(directory));
+      let reads = 0;
+      const open = analyzer.openMediaFile.bind(analyzer);
+      analyzer.openMediaFile = async (file) => {
+        reads++;
+        return open(file);
+      };
+      const result = await analyzer.analyzeSequence(mockSequence, cameras, {sampleRate: 1.0});
+      return {result, reads};
+    };
+
+    const first = await analyze();
+    expect(first.reads).toBe(2);
+    expect(first.result.fromCache).toBe(undefined);
+
+    const second = await analyze();
+    expect(second.reads).toBe(0);
+    expect(second.result.fromCache).toBe(true);
+    expect(second.result.timeline).toEqual(first.result.timeline);
+
+    // A different sample rate is a different analysis, but decoded envelopes are reused
+    const analyzer = new AudioAnalyzer(new AnalysisCache(directory));
+    analyzer.openMediaFile = async () => {
+      throw new Error('media should come from the envelope cache');
+    };
+    const resampled = await analyzer.analyzeSequence(mockSequence, cameras, {sampleRate: 0.5});
+    expect(Object.keys(resampled.timeline).length).toBe(8);
+
+    // Re-recorded media invalidates both
+    fs.writeFileSync(media[1], Buffer.from(createWav(loudThenSilent(3, 5))));
+    const third = await analyze();
+    expect(third.reads).toBe(1);
+    expect(third.result.timeline[2].camera2).toBeGreaterThan(0.8);
+  } finally {
+    fs.rmSync(directory, {recursive: true, force: true});
+  }
+});
+
+test('getLevelSeries() reads levels at a fixed step', async () => {
+  const analyzer = new AudioAnalyzer();
+  const wav = createWav(loudThenSilent(1, 2));
+  analyzer.openMediaFile = async () => MediaFile.fromBuffer(wav);
+
+  const track = createMockAudioTrack('/media/cam1.wav', {startSeconds: 1, endSeconds: 3});
+  const series = await analyzer.getLevelSeries(track, 0, 4, {step: 0.5});
+
+  expect(series.length).toBe(8);
+  expect(series[0]).toBe(0);
+  expect(series[2]).toBeGreaterThan(0.8);
+  expect(series[4]).toBe(0);
+});
+
 test('[MANUAL] getSequenceDuration() returns duration in seconds', async () => {
   console.log('  → Manual test: Open sequence in Premiere Pro and verify duration');
   // Mock sequence for now
@@ -152,7 +777,7 @@ test('[MANUAL] analyzeSequence() returns valid AnalysisResult structure', async
   const mockSequence = {
     end: 254016000000 * 10, // 10 seconds
     timebase: 254016000000,
-    audioTracks: []
+    audioTracks: [{clips: []}, {clips: []}, {clips: []}]
   };
 
   const mockCameras = {
@@ -198,16 +823,63 @@ test('[MANUAL] analyzeSequence() respects sampleRate option', async () => {
 
 test('[MANUAL] getAudioLevelAtTime() returns 0.0-1.0 range', async () => {
   console.log('  → Manual test: Verify audio levels are normalized to 0.0-1.0');
-  console.log('  → Test with actual audio clips with varying volumes');
+  console.log('  → Test with WAV/AIFF clips with varying volumes (speech ≈ 0.6-0.8)');
 
   // This will be verified when testing in Premiere Pro
 });
 
-test('[MANUAL] getAudioTracksForCameras() maps tracks correctly', async () => {
-  console.log('  → Manual test: Verify audio tracks match video track indices');
-  console.log('  → Expected: audioTracks[0] corresponds to camera 1 (trackIndex 0)');
+test('getAudioTracksForCameras() uses assigned audio track independently of video track', async () => {
+  const analyzer = new AudioAnalyzer();
 
-  // This will be verified when testing in Premiere Pro
+  const audioTracks = Array.from({length: 6}, (_, i) => ({name: `A${i + 1}`, clips: []}));
+  const mockSequence = {audioTracks: audioTracks};
+
+  // Wide shot on V1 with lav on A4, close-ups on V2/V3 with lavs on A5/A6
+  const cameras = {
+    1: {trackIndex: 0, trackName: 'V1', audioTrackIndex: 3, audioTrackName: 'A4'},
+    2: {trackIndex: 1, trackName: 'V2', audioTrackIndex: 4, audioTrackName: 'A5'},
+    3: {trackIndex: 2, trackName: 'V3', audioTrackIndex: 5, audioTrackName: 'A6'}
+  };
+
+  const result = await analyzer.getAudioTracksForCameras(mockSequence, cameras);
+
+  expect(result[1].name).toBe('A4');
+  expect(result[2].name).toBe('A5');
+  expect(result[3].name).toBe('A6');
+});
+
+test('getAudioTracksForCameras() falls back to video track index', async () => {
+  const analyzer = new AudioAnalyzer();
+
+  const mockSequence = {audioTracks: [{name: 'A1'}, {name: 'A2'}]};
+  const cameras = {
+    1: {trackIndex: 0, trackName: 'V1'},
+    2: {trackIndex: 1, trackName: 'V2'}
+  };
+
+  const result = await analyzer.getAudioTracksForCameras(mockSequence, cameras);
+
+  expect(result[1].name).toBe('A1');
+  expect(result[2].name).toBe('A2');
+});
+
+test('getAudioTracksForCameras() rejects missing audio track', async () => {
+  const analyzer = new AudioAnalyzer();
+
+  const mockSequence = {audioTracks: [{name: 'A1'}]};
+  const cameras = {
+    1: {trackIndex: 0, trackName: 'V1', audioTrackIndex: 0},
+    2: {trackIndex: 1, trackName: 'V2', audioTrackIndex: 4}
+  };
+
+  let errorThrown = false;
+  try {
+    await analyzer.getAudioTracksForCameras(mockSequence, cameras);
+  } catch (error) {
+    errorThrown = true;
+    expect(error.message).toBe('Audio track 5 not found for Camera 2');
+  }
+  expect(errorThrown).toBe(true);
 });
 
 // ============================================================================
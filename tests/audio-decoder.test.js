@@ -0,0 +1,362 @@
+/**
+ * AudioDecoder Unit Tests
+ *
+ * WAV/AIFF fixtures are synthesized in memory so no media files are needed.
+ *
+ * @test AudioDecoder
+ */
+
+const AudioDecoder = require('../modules/AudioDecoder.js');
+
+// Simple test framework
+const tests = [];
+let passCount = 0;
+let failCount = 0;
+
+function test(name, fn) {
+  tests.push({name, fn});
+}
+
+function expect(actual) {
+  return {
+    toBe(expected) {
+      if (actual !== expected) {
+        throw new Error(`Expected ${expected}, got ${actual}`);
+      }
+    },
+    toBeGreaterThan(expected) {
+      if (actual <= expected) {
+        throw new Error(`Expected ${actual} > ${expected}`);
+      }
+    },
+    toBeLessThan(expected) {
+      if (actual >= expected) {
+        throw new Error(`Expected ${actual} < ${expected}`);
+      }
+    },
+    toBeCloseTo(expected, tolerance = 0.01) {
+      if (Math.abs(actual - expected) > tolerance) {
+        throw new Error(`Expected ${actual} to be within ${tolerance} of ${expected}`);
+      }
+    },
+    toContain(substring) {
+      if (!actual.includes(substring)) {
+        throw new Error(`Expected "${actual}" to contain "${substring}"`);
+      }
+    }
+  };
+}
+
+async function runTests() {
+  console.log('\n=== AudioDecoder Unit Tests ===\n');
+
+  for (const {name, fn} of tests) {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passCount++;
+    } catch (error) {
+      console.error(`✗ ${name}`);
+      console.error(`  Error: ${error.message}`);
+      failCount++;
+    }
+  }
+
+  console.log(`\n=== Test Results ===`);
+  console.log(`Passed: ${passCount}`);
+  console.log(`Failed: ${failCount}`);
+  console.log(`Total: ${tests.length}`);
+
+  if (failCount > 0) {
+    process.exit(1);
+  }
+}
+
+// Helper to build a PCM WAV file from per-frame sample values (-1.0 to 1.0)
+function createWav(samples, {sampleRate = 8000, channels = 1, bitsPerSample = 16, float = false} = {}) {
+  const bytesPerSample = bitsPerSample / 8;
+  const dataLength = samples.length * channels * bytesPerSample;
+  const buffer = new ArrayBuffer(44 + dataLength);
+  const view = new DataView(buffer);
+
+  const writeString = (offset, text) => {
+    for (let i = 0; i < text.length; i++) {
+      view.setUint8(offset + i, text.charCodeAt(i));
+    }
+  };
+
+  writeString(0, 'RIFF');
+  view.setUint32(4, 36 + dataLength, true);
+  writeString(8, 'WAVE');
+  writeString(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, float ? 3 : 1, true);
+  view.setUint16(22, channels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * channels * bytesPerSample, true);
+  view.setUint16(32, channels * bytesPerSample, true);
+  view.setUint16(34, bitsPerSample, true);
+  writeString(36, 'data');
+  view.setUint32(40, dataLength, true);
+
+  let offset = 44;
+  for (const sample of samples) {
+    for (let channel = 0; channel < channels; channel++) {
+      if (float) {
+        view.setFloat32(offset, sample, true);
+      } else if (bitsPerSample === 24) {
+        const value = Math.round(sample * 8388607);
+        view.setUint8(offset, value & 0xFF);
+        view.setUint8(offset + 1, (value >> 8) & 0xFF);
+        view.setUint8(offset + 2, (value >> 16) & 0xFF);
+      } else {
+        view.setInt16(offset, Math.round(sample * 32767), true);
+      }
+      offset += bytesPerSample;
+    }
+  }
+
+  return buffer;
+}
+
+// Helper to build a 16-bit big-endian AIFF file (44.1kHz sample rate in COMM)
+function createAiff(samples) {
+  const dataLength = samples.length * 2;
+  const buffer = new ArrayBuffer(54 + dataLength);
+  const view = new DataView(buffer);
+
+  const writeString = (offset, text) => {
+    for (let i = 0; i < text.length; i++) {
+      view.setUint8(offset + i, text.charCodeAt(i));
+    }
+  };
+
+  writeString(0, 'FORM');
+  view.setUint32(4, 46 + dataLength, false);
+  writeString(8, 'AIFF');
+  writeString(12, 'COMM');
+  view.setUint32(16, 18, false);
+  view.setUint16(20, 1, false);
+  view.setUint32(22, samples.length, false);
+  view.setUint16(26, 16, false);
+  // 44100 as 80-bit extended: exponent 16398, mantissa 0xAC44 << 48
+  view.setUint16(28, 0x400E, false);
+  view.setUint32(30, 0xAC440000, false);
+  view.setUint32(34, 0, false);
+  writeString(38, 'SSND');
+  view.setUint32(42, 8 + dataLength, false);
+  view.setUint32(46, 0, false);
+  view.setUint32(50, 0, false);
+
+  samples.forEach((sample, i) => {
+    view.setInt16(54 + i * 2, Math.round(sample * 32767), false);
+  });
+
+  return buffer;
+}
+
+// Helper to generate a constant-amplitude square wave
+function squareWave(amplitude, length) {
+  return Array.from({length}, (_, i) => (i % 2 === 0 ? amplitude : -amplitude));
+}
+
+// ============================================================================
+// parseFormat() Tests
+// ============================================================================
+
+test('parseFormat() reads 16-bit PCM WAV header', () => {
+  const decoder = new AudioDecoder();
+  const format = decoder.parseFormat(createWav(squareWave(0.5, 800), {channels: 2}));
+
+  expect(format.container).toBe('wav');
+  expect(format.sampleRate).toBe(8000);
+  expect(format.channels).toBe(2);
+  expect(format.bitsPerSample).toBe(16);
+  expect(format.encoding).toBe('int');
+  expect(format.frameCount).toBe(800);
+  expect(format.duration).toBe(0.1);
+});
+
+test('parseFormat() reads AIFF header with extended sample rate', () => {
+  const decoder = new AudioDecoder();
+  const format = decoder.parseFormat(createAiff(squareWave(0.5, 441)));
+
+  expect(format.container).toBe('aiff');
+  expect(format.sampleRate).toBe(44100);
+  expect(format.littleEndian).toBe(false);
+  expect(format.frameCount).toBe(441);
+});
+
+test('parseFormat() rejects unsupported containers', () => {
+  const decoder = new AudioDecoder();
+  const bytes = new Uint8Array(64);
+  bytes.set([0x49, 0x44, 0x33]); // "ID3" (MP3)
+
+  let errorThrown = false;
+  try {
+    decoder.parseFormat(bytes.buffer);
+  } catch (error) {
+    errorThrown = true;
+    expect(error.message).toContain('Unsupported audio container');
+  }
+  expect(errorThrown).toBe(true);
+});
+
+// ============================================================================
+// decodeEnvelope() / measure() Tests
+// ============================================================================
+
+test('decodeEnvelope() measures RMS and peak of 16-bit WAV', () => {
+  const decoder = new AudioDecoder();
+  const envelope = decoder.decodeEnvelope(createWav(squareWave(0.5, 8000)));
+
+  expect(envelope.duration).toBe(1);
+  expect(envelope.blockCount).toBe(100);
+
+  const level = decoder.measure(envelope, 0, 1);
+  expect(level.rms).toBeCloseTo(0.5, 0.001);
+  expect(level.peak).toBeCloseTo(0.5, 0.001);
+});
+
+test('decodeEnvelope() decodes 24-bit and float WAV', () => {
+  const decoder = new AudioDecoder();
+
+  const int24 = decoder.decodeEnvelope(createWav(squareWave(0.25, 800), {bitsPerSample: 24}));
+  expect(decoder.measure(int24, 0, 0.1).rms).toBeCloseTo(0.25, 0.001);
+
+  const float32 = decoder.decodeEnvelope(createWav(squareWave(0.75, 800), {bitsPerSample: 32, float: true}));
+  expect(decoder.measure(float32, 0, 0.1).rms).toBeCloseTo(0.75, 0.001);
+});
+
+test('decodeEnvelope() decodes big-endian AIFF', () => {
+  const decoder = new AudioDecoder();
+  const envelope = decoder.decodeEnvelope(createAiff(squareWave(0.5, 4410)));
+
+  expect(decoder.measure(envelope, 0, 0.1).rms).toBeCloseTo(0.5, 0.001);
+});
+
+test('decodeEnvelope() reports progress while decoding', () => {
+  const decoder = new AudioDecoder();
+  const reports = [];
+  decoder.decodeEnvelope(createWav(squareWave(0.5, 8000)), {onProgress: progress => reports.push(progress)});
+
+  expect(reports.length).toBe(99);
+  expect(reports[0]).toBeCloseTo(0.01, 0.001);
+  expect(reports[reports.length - 1]).toBeLessThan(1);
+});
+
+test('measure() isolates loud and quiet windows', () => {
+  const decoder = new AudioDecoder();
+  const samples = squareWave(0.8, 4000).concat(new Array(4000).fill(0));
+  const envelope = decoder.decodeEnvelope(createWav(samples));
+
+  expect(decoder.measure(envelope, 0, 0.5).rms).toBeCloseTo(0.8, 0.001);
+  expect(decoder.measure(envelope, 0.5, 1.0).rms).toBe(0);
+  expect(decoder.measure(envelope, 0, 1.0).rms).toBeCloseTo(0.8 / Math.SQRT2, 0.001);
+});
+
+test('measure() returns silence outside the media', () => {
+  const decoder = new AudioDecoder();
+  const envelope = decoder.decodeEnvelope(createWav(squareWave(0.5, 800)));
+
+  const level = decoder.measure(envelope, 5, 6);
+  expect(level.rms).toBe(0);
+  expect(level.peak).toBe(0);
+});
+
+// Helper: sine wave samples at a given frequency
+function sineWave(frequency, seconds, sampleRate = 16000, amplitude = 0.3) {
+  return Array.from({length: Math.round(seconds * sampleRate)}, (_, i) =>
+    amplitude * Math.sin(2 * Math.PI * frequency * i / sampleRate)
+  );
+}
+
+test('decodeEnvelope() measures zero crossings and speech-band share', () => {
+  const decoder = new AudioDecoder();
+  const voiceBand = decoder.decodeEnvelope(createWav(sineWave(1000, 1), {sampleRate: 16000}));
+  const hum = decoder.decodeEnvelope(createWav(sineWave(60, 1), {sampleRate: 16000}));
+
+  const tone = decoder.measure(voiceBand, 0.2, 0.4);
+  expect(tone.zeroCrossingRate).toBeCloseTo(2000, 50);
+  expect(tone.speechBandRatio).toBeGreaterThan(0.3);
+
+  const low = decoder.measure(hum, 0.2, 0.4);
+  expect(low.zeroCrossingRate).toBeLessThan(200);
+  expect(low.speechBandRatio).toBeLessThan(0.05);
+});
+
+test('decodeRange() carries sample frames split between ranges', () => {
+  const decoder = new AudioDecoder();
+  const wav = createWav(sineWave(440, 0.5, 8000), {sampleRate: 8000, channels: 2, bitsPerSample: 24});
+  const expected = decoder.decodeEnvelope(wav);
+
+  const format = decoder.parseFormat(wav);
+  const state = decoder.startEnvelope(format);
+  for (let offset = format.dataOffset; offset < wav.byteLength; offset += 1001) {
+    decoder.decodeRange(state, wav.slice(offset, Math.min(wav.byteLength, offset + 1001)));
+  }
+  const envelope = decoder.finishEnvelope(state);
+
+  expect(envelope.blockCount).toBe(expected.blockCount);
+  expect(Array.from(envelope.meanSquare).join()).toBe(Array.from(expected.meanSquare).join());
+  expect(Array.from(envelope.speechBand).join()).toBe(Array.from(expected.speechBand).join());
+});
+
+// Helper: insert a chunk of padding between the fmt and data chunks of a WAV
+function padWav(wav, padBytes) {
+  const bytes = new Uint8Array(wav.byteLength + 8 + padBytes);
+  bytes.set(new Uint8Array(wav, 0, 36));
+  bytes.set([0x4A, 0x55, 0x4E, 0x4B], 36); // "JUNK"
+  new DataView(bytes.buffer).setUint32(40, padBytes, true);
+  bytes.set(new Uint8Array(wav, 36), 44 + padBytes);
+  return bytes.buffer;
+}
+
+test('decodeFile() reads the header first, then the data in ranges', async () => {
+  const decoder = new AudioDecoder();
+  const wav = padWav(createWav(squareWave(0.5, 8000)), 100000);
+  const reads = [];
+  const file = {
+    size: wav.byteLength,
+    read: async (offset, length) => {
+      reads.push({offset, length});
+      return wav.slice(offset, offset + length);
+    }
+  };
+
+  const envelope = await decoder.decodeFile(file);
+
+  // The padding pushes the data chunk past the first header read
+  expect(reads[0].offset).toBe(0);
+  expect(reads[0].length).toBe(64 * 1024);
+  expect(reads[1].offset).toBe(0);
+  expect(reads[1].length).toBeGreaterThan(100044);
+  expect(reads[2].offset).toBe(100052);
+  expect(reads[2].length).toBe(16000);
+  expect(decoder.measure(envelope, 0, 1).rms).toBeCloseTo(0.5, 0.001);
+});
+
+test('decodeFile() stops between ranges once its signal is aborted', async () => {
+  const decoder = new AudioDecoder();
+  const wav = createWav(squareWave(0.5, 800));
+  const file = {size: wav.byteLength, read: async (offset, length) => wav.slice(offset, offset + length)};
+
+  let name = null;
+  try {
+    await decoder.decodeFile(file, {signal: {aborted: true}});
+  } catch (error) {
+    name = error.name;
+  }
+
+  expect(name).toBe('AbortError');
+});
+
+// ============================================================================
+// Run tests
+// ============================================================================
+
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = {tests, runTests, createWav};
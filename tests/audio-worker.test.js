@@ -0,0 +1,312 @@
+/**
+ * AudioWorker Unit Tests
+ *
+ * Note: Premiere Pro's Web Worker is simulated in-process; the worker
+ * script itself can only be verified manually in the panel.
+ *
+ * @test AudioWorker, AudioWorkerClient
+ */
+
+const AudioWorker = require('../modules/AudioWorker.js');
+const AudioWorkerClient = require('../modules/AudioWorkerClient.js');
+const AudioDecoder = require('../modules/AudioDecoder.js');
+const MediaFile = require('../modules/MediaFile.js');
+const {createWav} = require('./audio-decoder.test.js');
+
+// Simple test framework (no external dependencies)
+const tests = [];
+let passCount = 0;
+let failCount = 0;
+
+function test(name, fn) {
+  tests.push({name, fn});
+}
+
+function expect(actual) {
+  return {
+    toBe(expected) {
+      if (actual !== expected) {
+        throw new Error(`Expected ${expected}, got ${actual}`);
+      }
+    },
+    toBeGreaterThan(expected) {
+      if (actual <= expected) {
+        throw new Error(`Expected ${actual} > ${expected}`);
+      }
+    },
+    toBeLessThan(expected) {
+      if (actual >= expected) {
+        throw new Error(`Expected ${actual} < ${expected}`);
+      }
+    },
+    toEqual(expected) {
+      if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+      }
+    },
+    toBeInstanceOf(expectedClass) {
+      if (!(actual instanceof expectedClass)) {
+        throw new Error(`Expected instance of ${expectedClass.name}`);
+      }
+    }
+  };
+}
+
+async function runTests() {
+  console.log('\n=== AudioWorker Unit Tests ===\n');
+
+  for (const {name, fn} of tests) {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passCount++;
+    } catch (error) {
+      console.error(`✗ ${name}`);
+      console.error(`  Error: ${error.message}`);
+      failCount++;
+    }
+  }
+
+  console.log(`\n=== Test Results ===`);
+  console.log(`Passed: ${passCount}`);
+  console.log(`Failed: ${failCount}`);
+  console.log(`Total: ${tests.length}`);
+
+  if (failCount > 0) {
+    process.exit(1);
+  }
+}
+
+// ============================================================================
+// Tests
+// ============================================================================
+
+// Helper: square wave samples
+function squareWave(amplitude, count) {
+  return Array.from({length: count}, (_, i) => (i % 2 === 0 ? amplitude : -amplitude));
+}
+
+// Helper: in-process stand-in for a Web Worker running AudioWorker.js;
+// messages are cloned with their transfer lists like postMessage does
+class MockWorker {
+  constructor() {
+    this.onmessage = null;
+    this.onerror = null;
+    this.terminated = false;
+    this.received = [];
+    this.handler = new AudioWorker((reply, transfer) => this.deliver(structuredClone(reply, {transfer})));
+    setTimeout(() => this.deliver({ready: true}), 0);
+  }
+
+  postMessage(message, transfer) {
+    const data = structuredClone(message, {transfer});
+    this.received.push(data);
+    setTimeout(() => this.handler.handleMessage(data), 0);
+  }
+
+  deliver(data) {
+    setTimeout(() => this.onmessage({data}), 0);
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+}
+
+test('handleMessage() decodes ranges and transfers the envelope arrays back', () => {
+  const replies = [];
+  const worker = new AudioWorker((reply, transfer) => replies.push({reply, transfer}));
+  const wav = createWav(squareWave(0.5, 8000));
+  const format = new AudioDecoder().parseFormat(wav);
+
+  worker.handleMessage({id: 7, format});
+  worker.handleMessage({id: 7, chunk: wav.slice(44, 8044)});
+  worker.handleMessage({id: 7, chunk: wav.slice(8044)});
+  worker.handleMessage({id: 7, done: true});
+
+  const accepted = replies.filter(({reply}) => reply.accepted);
+  const last = replies[replies.length - 1];
+  expect(accepted.length).toBe(2);
+  expect(last.reply.id).toBe(7);
+  expect(last.reply.envelope.blockCount).toBe(100);
+  expect(new AudioDecoder().measure(last.reply.envelope, 0, 1).rms).toBeGreaterThan(0.49);
+  expect(last.transfer.length).toBe(4);
+  expect(last.transfer[0]).toBe(last.reply.envelope.meanSquare.buffer);
+  expect(replies[0].reply.progress).toBeGreaterThan(0);
+});
+
+test('handleMessage() replies with an error for unknown or cancelled decodes', () => {
+  const replies = [];
+  const worker = new AudioWorker(reply => replies.push(reply));
+  const format = new AudioDecoder().parseFormat(createWav(squareWave(0.5, 800)));
+
+  worker.handleMessage({id: 1, format});
+  worker.handleMessage({id: 1, cancel: true});
+  worker.handleMessage({id: 1, chunk: new ArrayBuffer(16)});
+
+  expect(replies.length).toBe(1);
+  expect(replies[0].error).toBe('Unknown decode request 1');
+});
+
+test('decodeEnvelope() decodes on the calling thread without workers', async () => {
+  const client = new AudioWorkerClient(() => null);
+  const wav = createWav(squareWave(0.5, 8000));
+  const reports = [];
+
+  const envelope = await client.decodeEnvelope(wav, {onProgress: progress => reports.push(progress)});
+
+  expect(envelope.meanSquare).toBeInstanceOf(Float32Array);
+  expect(envelope.blockCount).toBe(100);
+  expect(reports.length).toBeGreaterThan(0);
+  expect(wav.byteLength).toBeGreaterThan(0);
+});
+
+test('decodeEnvelope() transfers the file to the worker in ranges', async () => {
+  const workers = [];
+  const client = new AudioWorkerClient(() => {
+    const worker = new MockWorker();
+    workers.push(worker);
+    return worker;
+  });
+  const wav = createWav(squareWave(0.5, 8000));
+  const expected = new AudioDecoder().decodeEnvelope(wav);
+  const reports = [];
+
+  const envelope = await client.decodeEnvelope(MediaFile.fromBuffer(wav), {onProgress: progress => reports.push(progress)});
+  await client.decodeEnvelope(createWav(squareWave(0.25, 800)));
+
+  const messages = workers[0].received;
+  expect(messages[0].format.frameCount).toBe(8000);
+  expect(messages[1].chunk.byteLength).toBe(16000);
+  expect(messages[2].done).toBe(true);
+  expect(wav.byteLength).toBeGreaterThan(0);
+  expect(envelope.meanSquare).toBeInstanceOf(Float32Array);
+  expect(Array.from(envelope.meanSquare)).toEqual(Array.from(expected.meanSquare));
+  expect(Array.from(envelope.speechBand)).toEqual(Array.from(expected.speechBand));
+  expect(reports.length).toBe(99);
+  expect(workers.length).toBe(1);
+});
+
+test('decodeEnvelope() rejects with the worker\'s error', async () => {
+  const client = new AudioWorkerClient(() => new MockWorker());
+
+  let message = null;
+  try {
+    await client.decodeEnvelope(new ArrayBuffer(64));
+  } catch (error) {
+    message = error.message;
+  }
+
+  expect(message.startsWith('Unsupported audio container')).toBe(true);
+});
+
+test('decodeEnvelope() falls back when the worker fails to load', async () => {
+  const failing = {
+    postMessage() {
+      throw new Error('Not ready');
+    },
+    terminate() {
+      this.terminated = true;
+    }
+  };
+  setTimeout(() => failing.onerror({message: 'Script not found'}), 0);
+
+  const client = new AudioWorkerClient(() => failing);
+  const envelope = await client.decodeEnvelope(createWav(squareWave(0.5, 800)));
+
+  expect(envelope.blockCount).toBe(10);
+  expect(failing.terminated).toBe(true);
+});
+
+test('terminate() rejects running requests and restarts on next use', async () => {
+  const workers = [];
+  const client = new AudioWorkerClient(() => {
+    const worker = new MockWorker();
+    workers.push(worker);
+    return worker;
+  });
+  await client.decodeEnvelope(createWav(squareWave(0.5, 800)));
+
+  const running = client.decodeEnvelope(createWav(squareWave(0.5, 800)));
+  await new Promise(resolve => setTimeout(resolve, 0));
+  client.terminate();
+
+  let stopped = null;
+  try {
+    await running;
+  } catch (error) {
+    stopped = error;
+  }
+
+  expect(stopped.message).toBe('Audio worker stopped');
+  expect(stopped.name).toBe('AbortError');
+  expect(workers[0].terminated).toBe(true);
+
+  const envelope = await client.decodeEnvelope(createWav(squareWave(0.5, 800)));
+  expect(envelope.blockCount).toBe(10);
+  expect(workers.length).toBe(2);
+});
+
+test('decodeEnvelope() falls back when the worker never reports ready', async () => {
+  const silent = {
+    postMessage() {
+      throw new Error('Not ready');
+    },
+    terminate() {
+      this.terminated = true;
+    }
+  };
+
+  const client = new AudioWorkerClient(() => silent, 10);
+  const envelope = await client.decodeEnvelope(createWav(squareWave(0.5, 800)));
+  await client.decodeEnvelope(createWav(squareWave(0.5, 800)));
+
+  expect(envelope.blockCount).toBe(10);
+  expect(silent.terminated).toBe(true);
+});
+
+test('decodeEnvelope() stops the worker when its signal is aborted', async () => {
+  const workers = [];
+  const client = new AudioWorkerClient(() => {
+    const worker = new MockWorker();
+    workers.push(worker);
+    return worker;
+  });
+  const controller = new AbortController();
+
+  // Abort as soon as the worker reports progress
+  const running = client.decodeEnvelope(createWav(squareWave(0.5, 8000)), {
+    signal: controller.signal,
+    onProgress: () => controller.abort()
+  });
+
+  let name = null;
+  try {
+    await running;
+  } catch (error) {
+    name = error.name;
+  }
+
+  expect(name).toBe('AbortError');
+  expect(workers[0].terminated).toBe(true);
+
+  // An aborted signal decodes nothing
+  let refused = null;
+  try {
+    await client.decodeEnvelope(createWav(squareWave(0.5, 800)), {signal: controller.signal});
+  } catch (error) {
+    refused = error;
+  }
+  expect(refused.name).toBe('AbortError');
+  expect(workers.length).toBe(1);
+});
+
+// ============================================================================
+// Run tests
+// ============================================================================
+
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = {tests, runTests};
@@ -0,0 +1,242 @@
+/**
+ * BleedCompensator Unit Tests
+ *
+ * @test BleedCompensator
+ */
+
+const BleedCompensator = require('../modules/BleedCompensator.js');
+const AudioAnalyzer = require('../modules/AudioAnalyzer.js');
+
+// Simple test framework
+const tests = [];
+let passCount = 0;
+let failCount = 0;
+
+function test(name, fn) {
+  tests.push({name, fn});
+}
+
+function expect(actual) {
+  return {
+    toBe(expected) {
+      if (actual !== expected) {
+        throw new Error(`Expected ${expected}, got ${actual}`);
+      }
+    },
+    toBeGreaterThan(expected) {
+      if (actual <= expected) {
+        throw new Error(`Expected ${actual} > ${expected}`);
+      }
+    },
+    toBeLessThan(expected) {
+      if (actual >= expected) {
+        throw new Error(`Expected ${actual} < ${expected}`);
+      }
+    },
+    toBeCloseTo(expected, tolerance = 0.01) {
+      if (Math.abs(actual - expected) > tolerance) {
+        throw new Error(`Expected ${actual} to be within ${tolerance} of ${expected}`);
+      }
+    },
+    toEqual(expected) {
+      if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+      }
+    },
+    toContain(substring) {
+      if (!actual.includes(substring)) {
+        throw new Error(`Expected "${actual}" to contain "${substring}"`);
+      }
+    }
+  };
+}
+
+async function runTests() {
+  console.log('\n=== BleedCompensator Unit Tests ===\n');
+
+  for (const {name, fn} of tests) {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passCount++;
+    } catch (error) {
+      console.error(`✗ ${name}`);
+      console.error(`  Error: ${error.message}`);
+      failCount++;
+    }
+  }
+
+  console.log(`\n=== Test Results ===`);
+  console.log(`Passed: ${passCount}`);
+  console.log(`Failed: ${failCount}`);
+  console.log(`Total: ${tests.length}`);
+
+  if (failCount > 0) {
+    process.exit(1);
+  }
+}
+
+const analyzer = new AudioAnalyzer();
+
+// Helper to build a timeline sample from speaker amplitudes and a mixing matrix
+// mix[source][target] = amplitude of source's voice on target's mic
+function mixSample(voices, mix) {
+  const cameras = Object.keys(voices).map(Number);
+  const entry = {};
+  const levels = cameras.map(target => {
+    let amplitude = 0;
+    for (const source of cameras) {
+      amplitude += voices[source] * (source === target ? 1 : ((mix[source] || {})[target] || 0));
+    }
+    return analyzer.normalizeLevel(amplitude);
+  });
+  cameras.forEach((num, index) => {
+    entry[`camera${num}`] = levels[index];
+  });
+  entry.activeCamera = cameras[analyzer.determineActiveCamera(levels) - 1];
+  return entry;
+}
+
+// Helper: four single-talker samples per speaker, then extra samples
+function createResult(mix, extra = []) {
+  const samples = [];
+  for (let i = 0; i < 4; i++) {
+    samples.push(mixSample({1: 0.5, 2: 0}, mix));
+  }
+  for (let i = 0; i < 4; i++) {
+    samples.push(mixSample({1: 0, 2: 0.3}, mix));
+  }
+  samples.push(...extra.map(voices => mixSample(voices, mix)));
+
+  const timeline = {};
+  samples.forEach((entry, index) => {
+    timeline[index] = entry;
+  });
+
+  return {timeline, duration: samples.length, sampleRate: 1.0, cameras: [1, 2], floorDb: -60};
+}
+
+const MIX = {1: {2: 0.2}, 2: {1: 0.4}};
+
+// ============================================================================
+// Leakage Estimation
+// ============================================================================
+
+test('estimateLeakage() measures each mic\'s bleed from single-talker samples', () => {
+  const compensator = new BleedCompensator(analyzer);
+  const {leakage, samples} = compensator.estimateLeakage(createResult(MIX));
+
+  expect(samples[1]).toBe(4);
+  expect(samples[2]).toBe(4);
+  expect(leakage[1][2]).toBeCloseTo(0.2, 0.001);
+  expect(leakage[2][1]).toBeCloseTo(0.4, 0.001);
+  expect(leakage[1][1]).toBe(0);
+});
+
+test('estimateLeakage() needs minSamples single-talker samples', () => {
+  const compensator = new BleedCompensator(analyzer);
+  const {leakage} = compensator.estimateLeakage(createResult(MIX), {minSamples: 5});
+
+  expect(leakage[1][2]).toBe(0);
+  expect(leakage[2][1]).toBe(0);
+});
+
+test('estimateLeakage() ignores samples where two people talk', () => {
+  const compensator = new BleedCompensator(analyzer);
+  const overlap = Array.from({length: 6}, () => ({1: 0.5, 2: 0.45}));
+  const {leakage, samples} = compensator.estimateLeakage(createResult(MIX, overlap));
+
+  expect(samples[1]).toBe(4);
+  expect(leakage[1][2]).toBeCloseTo(0.2, 0.001);
+});
+
+// ============================================================================
+// Compensation
+// ============================================================================
+
+test('compensate() removes bleed from single-talker samples', () => {
+  const compensator = new BleedCompensator(analyzer);
+  const result = compensator.compensate(createResult(MIX));
+
+  expect(result.timeline[0].camera1).toBeGreaterThan(0.8);
+  expect(result.timeline[0].camera2).toBe(0);
+  expect(result.timeline[4].camera1).toBe(0);
+  expect(result.timeline[4].camera2).toBeGreaterThan(0.8);
+});
+
+test('compensate() picks the real talker when bleed makes another mic loudest', () => {
+  const compensator = new BleedCompensator(analyzer);
+
+  // Speaker 2 talks over a quieter speaker 1, whose mic picks up speaker 2 strongly
+  const input = createResult(MIX, [{1: 0.25, 2: 0.3}]);
+  expect(input.timeline[8].activeCamera).toBe(1);
+
+  const result = compensator.compensate(input);
+
+  expect(result.timeline[8].activeCamera).toBe(2);
+  expect(result.bleed.changed).toBe(1);
+});
+
+test('compensate() keeps the original timeline for comparison', () => {
+  const compensator = new BleedCompensator(analyzer);
+  const input = createResult(MIX);
+  const before = JSON.stringify(input.timeline);
+
+  const result = compensator.compensate(input);
+
+  expect(JSON.stringify(input.timeline)).toBe(before);
+  expect(result.rawTimeline).toBe(input.timeline);
+  expect(result.duration).toBe(input.duration);
+  expect(result.bleed.samples[1]).toBe(4);
+});
+
+test('compensate() leaves the wide camera untouched', () => {
+  const compensator = new BleedCompensator(analyzer);
+  const input = createResult(MIX);
+  input.cameras = [1, 2, 3];
+  for (const entry of Object.values(input.timeline)) {
+    entry.camera3 = 0.7;
+  }
+
+  const result = compensator.compensate(input, {wideCamera: 3});
+
+  expect(result.bleed.leakage[3]).toBe(undefined);
+  expect(result.timeline[0].camera3).toBe(0.7);
+  expect(result.timeline[0].camera2).toBe(0);
+});
+
+test('compensate() keeps compact results compact', () => {
+  const compensator = new BleedCompensator(analyzer);
+  const input = createResult(MIX, [{1: 0.25, 2: 0.3}]);
+  const timestamps = Object.keys(input.timeline).map(Number);
+  const compact = Object.assign({}, input, {
+    format: 'compact',
+    timestamps: Float64Array.from(timestamps),
+    levels: {
+      1: Float32Array.from(timestamps.map(t => input.timeline[t].camera1)),
+      2: Float32Array.from(timestamps.map(t => input.timeline[t].camera2))
+    },
+    activeCamera: Uint8Array.from(timestamps.map(t => input.timeline[t].activeCamera))
+  });
+  delete compact.timeline;
+
+  const result = compensator.compensate(compact);
+
+  expect(result.timeline).toBe(undefined);
+  expect(result.levels[2] instanceof Float32Array).toBe(true);
+  expect(result.levels[2][0]).toBe(0);
+  expect(result.activeCamera[8]).toBe(2);
+  expect(result.rawLevels).toBe(compact.levels);
+  expect(result.rawActiveCamera[8]).toBe(1);
+  expect(result.bleed.changed).toBe(1);
+});
+
+// ============================================================================
+// Run tests
+// ============================================================================
+
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = {tests, runTests};
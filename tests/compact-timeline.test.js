@@ -0,0 +1,205 @@
+/**
+ * CompactTimeline Unit Tests
+ *
+ * @test CompactTimeline
+ */
+
+const CompactTimeline = require('../modules/CompactTimeline.js');
+
+// Simple test framework
+const tests = [];
+let passCount = 0;
+let failCount = 0;
+
+function test(name, fn) {
+  tests.push({name, fn});
+}
+
+function expect(actual) {
+  return {
+    toBe(expected) {
+      if (actual !== expected) {
+        throw new Error(`Expected ${expected}, got ${actual}`);
+      }
+    },
+    toBeGreaterThan(expected) {
+      if (actual <= expected) {
+        throw new Error(`Expected ${actual} > ${expected}`);
+      }
+    },
+    toEqual(expected) {
+      if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+      }
+    },
+    toBeInstanceOf(expectedClass) {
+      if (!(actual instanceof expectedClass)) {
+        throw new Error(`Expected instance of ${expectedClass.name}`);
+      }
+    }
+  };
+}
+
+async function runTests() {
+  console.log('\n=== CompactTimeline Unit Tests ===\n');
+
+  for (const {name, fn} of tests) {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passCount++;
+    } catch (error) {
+      console.error(`✗ ${name}`);
+      console.error(`  Error: ${error.message}`);
+      failCount++;
+    }
+  }
+
+  console.log(`\n=== Test Results ===`);
+  console.log(`Passed: ${passCount}`);
+  console.log(`Failed: ${failCount}`);
+  console.log(`Total: ${tests.length}`);
+
+  if (failCount > 0) {
+    process.exit(1);
+  }
+}
+
+// Helper: compact result for two cameras over three samples
+function createCompactResult() {
+  const result = CompactTimeline.create([1, 2], 3);
+  result.timestamps.set([0, 0.5, 1]);
+  result.levels[1].set([0.5, 0.25, 0]);
+  result.levels[2].set([0, 0.75, 0.5]);
+  result.speech[1].set([1, 0.5, 0]);
+  result.speech[2].set([0, 1, 0.5]);
+  result.activeCamera.set([1, 2, 2]);
+  return Object.assign(result, {duration: 1.5, sampleRate: 0.5, cameras: [1, 2], floorDb: -60});
+}
+
+test('create() allocates typed arrays per camera', () => {
+  const result = CompactTimeline.create([1, 3], 4);
+
+  expect(CompactTimeline.isCompact(result)).toBe(true);
+  expect(result.timestamps).toBeInstanceOf(Float64Array);
+  expect(result.levels[3]).toBeInstanceOf(Float32Array);
+  expect(result.speech[1].length).toBe(4);
+  expect(result.activeCamera).toBeInstanceOf(Uint8Array);
+  expect(result.levels[2]).toBe(undefined);
+  expect(CompactTimeline.isCompact({timeline: {}})).toBe(false);
+  expect(CompactTimeline.isCompact(null)).toBe(false);
+});
+
+test('getTimestamps() and getSample() read both layouts', () => {
+  const compact = createCompactResult();
+  const timeline = {
+    timeline: {
+      1: {camera1: 0, camera2: 0.5, activeCamera: 2},
+      0: {camera1: 0.5, camera2: 0, activeCamera: 1}
+    }
+  };
+
+  const timestamps = CompactTimeline.getTimestamps(compact);
+  expect(timestamps).toBe(compact.timestamps);
+  expect(CompactTimeline.getSample(compact, timestamps, 1)).toEqual({
+    camera1: 0.25, camera2: 0.75, speech1: 0.5, speech2: 1, activeCamera: 2
+  });
+
+  const sorted = CompactTimeline.getTimestamps(timeline);
+  expect(sorted).toEqual([0, 1]);
+  expect(CompactTimeline.getSample(timeline, sorted, 1)).toBe(timeline.timeline[1]);
+});
+
+test('getCameraNumbers() reads the camera list or the stored levels', () => {
+  const compact = createCompactResult();
+  compact.cameras = [2, 1];
+  expect(CompactTimeline.getCameraNumbers(compact)).toEqual([1, 2]);
+
+  delete compact.cameras;
+  expect(CompactTimeline.getCameraNumbers(compact)).toEqual([1, 2]);
+
+  const timeline = {timeline: {0: {camera3: 0.5, camera1: 0, speech1: 1, activeCamera: 3}}};
+  expect(CompactTimeline.getCameraNumbers(timeline)).toEqual([1, 3]);
+  expect(CompactTimeline.getCameraNumbers({timeline: {}})).toEqual([]);
+});
+
+test('findIndex() finds the first sample at or after a time', () => {
+  const timestamps = [0, 0.5, 1, 1.5];
+
+  expect(CompactTimeline.findIndex(timestamps, 0)).toBe(0);
+  expect(CompactTimeline.findIndex(timestamps, 0.75)).toBe(2);
+  expect(CompactTimeline.findIndex(timestamps, 1)).toBe(2);
+  expect(CompactTimeline.findIndex(timestamps, 2)).toBe(4);
+  expect(CompactTimeline.findIndex(timestamps, 0, 3)).toBe(3);
+  expect(CompactTimeline.findIndex([], 1)).toBe(0);
+});
+
+test('getLevel() reads one camera level from both layouts', () => {
+  const compact = createCompactResult();
+  const timestamps = CompactTimeline.getTimestamps(compact);
+
+  expect(CompactTimeline.getLevel(compact, timestamps, 1, 2)).toBe(0.75);
+  expect(CompactTimeline.getLevel(compact, timestamps, 1, 3)).toBe(undefined);
+
+  const timeline = {timeline: {0: {camera1: 0.5, activeCamera: 1}}};
+  expect(CompactTimeline.getLevel(timeline, [0], 0, 1)).toBe(0.5);
+  expect(CompactTimeline.getLevel(timeline, [0], 0, 2)).toBe(undefined);
+});
+
+test('getSeries() indexes compact arrays without copying them', () => {
+  const compact = createCompactResult();
+  const series = CompactTimeline.getSeries(compact, CompactTimeline.getTimestamps(compact));
+
+  expect(series.levels[2]).toBe(compact.levels[2]);
+  expect(series.speech[1]).toBe(compact.speech[1]);
+  expect(series.activeCamera).toBe(compact.activeCamera);
+
+  const timeline = {timeline: {0: {camera1: 0.5, camera2: 0, speech1: 1, activeCamera: 1}, 1: {camera1: 0.25, activeCamera: 1}}};
+  const read = CompactTimeline.getSeries(timeline, [0, 1]);
+  expect(read.levels[1]).toEqual([0.5, 0.25]);
+  expect(read.levels[2][1]).toBe(undefined);
+  expect(read.speech[1][0]).toBe(1);
+  expect(read.activeCamera).toEqual([1, 1]);
+});
+
+test('getRawSample() returns levels before bleed compensation', () => {
+  const compact = createCompactResult();
+  const timestamps = CompactTimeline.getTimestamps(compact);
+  expect(CompactTimeline.getRawSample(compact, timestamps, 0)).toBe(null);
+
+  compact.rawLevels = {1: Float32Array.from([0.5, 0.5, 0.5]), 2: Float32Array.from([0.25, 0.25, 0.25])};
+  compact.rawActiveCamera = Uint8Array.from([1, 1, 1]);
+  expect(CompactTimeline.getRawSample(compact, timestamps, 2)).toEqual({camera1: 0.5, camera2: 0.25, activeCamera: 1});
+
+  const timeline = {timeline: {0: {camera1: 0.1, activeCamera: 1}}, rawTimeline: {0: {camera1: 0.2, activeCamera: 1}}};
+  expect(CompactTimeline.getRawSample(timeline, [0], 0).camera1).toBe(0.2);
+});
+
+test('toTimeline() expands a compact result into timeline entries', () => {
+  const compact = createCompactResult();
+  compact.rawLevels = compact.levels;
+  compact.rawActiveCamera = Uint8Array.from([1, 1, 1]);
+
+  const result = CompactTimeline.toTimeline(compact);
+
+  expect(Object.keys(result.timeline)).toEqual(['0', '1', '0.5']);
+  expect(result.timeline[0.5]).toEqual({camera1: 0.25, camera2: 0.75, speech1: 0.5, speech2: 1, activeCamera: 2});
+  expect(result.rawTimeline[0.5].activeCamera).toBe(1);
+  expect(result.duration).toBe(1.5);
+  expect(result.cameras).toEqual([1, 2]);
+  expect(result.format).toBe(undefined);
+  expect(result.levels).toBe(undefined);
+
+  // Already timestamp-indexed
+  expect(CompactTimeline.toTimeline(result)).toBe(result);
+});
+
+// ============================================================================
+// Run tests
+// ============================================================================
+
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = {tests, runTests};
@@ -0,0 +1,203 @@
+/**
+ * CutEditor Unit Tests
+ *
+ * @test CutEditor
+ */
+
+const CutEditor = require('../modules/CutEditor.js');
+
+// Simple test framework
+const tests = [];
+let passCount = 0;
+let failCount = 0;
+
+function test(name, fn) {
+  tests.push({name, fn});
+}
+
+function expect(actual) {
+  return {
+    toBe(expected) {
+      if (actual !== expected) {
+        throw new Error(`Expected ${expected}, got ${actual}`);
+      }
+    },
+    toBeGreaterThan(expected) {
+      if (actual <= expected) {
+        throw new Error(`Expected ${actual} > ${expected}`);
+      }
+    },
+    toBeLessThan(expected) {
+      if (actual >= expected) {
+        throw new Error(`Expected ${actual} < ${expected}`);
+      }
+    },
+    toBeCloseTo(expected, tolerance = 0.01) {
+      if (Math.abs(actual - expected) > tolerance) {
+        throw new Error(`Expected ${actual} to be within ${tolerance} of ${expected}`);
+      }
+    },
+    toEqual(expected) {
+      if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+      }
+    },
+    toContain(substring) {
+      if (!actual.includes(substring)) {
+        throw new Error(`Expected "${actual}" to contain "${substring}"`);
+      }
+    }
+  };
+}
+
+async function runTests() {
+  console.log('\n=== CutEditor Unit Tests ===\n');
+
+  for (const {name, fn} of tests) {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passCount++;
+    } catch (error) {
+      console.error(`✗ ${name}`);
+      console.error(`  Error: ${error.message}`);
+      failCount++;
+    }
+  }
+
+  console.log(`\n=== Test Results ===`);
+  console.log(`Passed: ${passCount}`);
+  console.log(`Failed: ${failCount}`);
+  console.log(`Total: ${tests.length}`);
+
+  if (failCount > 0) {
+    process.exit(1);
+  }
+}
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+// Three contiguous cuts on 25 fps frame edges
+function createCuts() {
+  return [
+    {startTime: 0, endTime: 4, camera: 1, confidence: 0.9},
+    {startTime: 4, endTime: 10, camera: 2, confidence: 0.8},
+    {startTime: 10, endTime: 12, camera: 3, reason: 'overlap', confidence: 0.5}
+  ];
+}
+
+// Helper: times and cameras only
+function summarize(cuts) {
+  return cuts.map(cut => [cut.startTime, cut.endTime, cut.camera]);
+}
+
+// Helper: message of the error thrown by fn, or null
+function errorOf(fn) {
+  try {
+    fn();
+  } catch (error) {
+    return error.message;
+  }
+  return null;
+}
+
+// ============================================================================
+// Lookup Tests
+// ============================================================================
+
+test('findCutAt() returns the cut covering a time', () => {
+  const editor = new CutEditor(25);
+  const cuts = createCuts();
+
+  expect(editor.findCutAt(cuts, 0)).toBe(0);
+  expect(editor.findCutAt(cuts, 4)).toBe(1);
+  expect(editor.findCutAt(cuts, 11.99)).toBe(2);
+  expect(editor.findCutAt(cuts, 12)).toBe(2);
+  expect(editor.findCutAt(cuts, 12.5)).toBe(-1);
+});
+
+test('findBoundary() picks the closest boundary within tolerance', () => {
+  const editor = new CutEditor(25);
+  const cuts = createCuts();
+
+  expect(editor.findBoundary(cuts, 4.1, 0.2)).toBe(1);
+  expect(editor.findBoundary(cuts, 9.9, 0.2)).toBe(2);
+  expect(editor.findBoundary(cuts, 7, 0.2)).toBe(-1);
+  expect(editor.findBoundary(cuts, 0, 0.2)).toBe(-1);
+});
+
+// ============================================================================
+// Edit Tests
+// ============================================================================
+
+test('moveBoundary() moves both touching edges to a frame edge', () => {
+  const editor = new CutEditor(25);
+  const cuts = createCuts();
+
+  const edited = editor.moveBoundary(cuts, 1, 5.03);
+
+  expect(summarize(edited)).toEqual([[0, 5.04, 1], [5.04, 10, 2], [10, 12, 3]]);
+  expect(edited[0].confidence).toBe(undefined);
+  expect(edited[2]).toBe(cuts[2]);
+  expect(cuts[0].endTime).toBe(4);
+});
+
+test('moveBoundary() keeps both cuts at least one frame long', () => {
+  const editor = new CutEditor(25);
+  const cuts = createCuts();
+
+  expect(editor.moveBoundary(cuts, 1, -3)[1].startTime).toBe(0.04);
+  expect(editor.moveBoundary(cuts, 1, 50)[1].startTime).toBe(9.96);
+  expect(errorOf(() => editor.moveBoundary(cuts, 0, 1))).toContain('first cut');
+});
+
+test('moveBoundary() leaves a gap before the cut in place', () => {
+  const editor = new CutEditor(25);
+  const cuts = [{startTime: 0, endTime: 2, camera: 1}, {startTime: 3, endTime: 6, camera: 2}];
+
+  expect(summarize(editor.moveBoundary(cuts, 1, 1))).toEqual([[0, 2, 1], [2, 6, 2]]);
+  expect(summarize(editor.moveBoundary(cuts, 1, 4))).toEqual([[0, 2, 1], [4, 6, 2]]);
+});
+
+test('setCamera() changes the camera and drops the generator\'s reason', () => {
+  const editor = new CutEditor(25);
+  const cuts = createCuts();
+
+  const edited = editor.setCamera(cuts, 2, 1);
+
+  expect(summarize(edited)).toEqual([[0, 4, 1], [4, 10, 2], [10, 12, 1]]);
+  expect(edited[2].reason).toBe(undefined);
+  expect(cuts[2].camera).toBe(3);
+  expect(errorOf(() => editor.setCamera(cuts, 3, 1))).toBe('No cut at index 3');
+});
+
+test('splitCut() splits a cut on a frame edge', () => {
+  const editor = new CutEditor(25);
+  const cuts = createCuts();
+
+  const edited = editor.splitCut(cuts, 1, 7.01);
+
+  expect(summarize(edited)).toEqual([[0, 4, 1], [4, 7, 2], [7, 10, 2], [10, 12, 3]]);
+  expect(errorOf(() => editor.splitCut(cuts, 1, 4.01))).toContain('cannot be split');
+});
+
+test('deleteCut() gives the time to the previous cut, or the next for the first', () => {
+  const editor = new CutEditor(25);
+  const cuts = createCuts();
+
+  expect(summarize(editor.deleteCut(cuts, 1))).toEqual([[0, 10, 1], [10, 12, 3]]);
+  expect(summarize(editor.deleteCut(cuts, 0))).toEqual([[0, 10, 2], [10, 12, 3]]);
+  expect(errorOf(() => editor.deleteCut([cuts[0]], 0))).toBe('Cannot delete the only cut');
+});
+
+// ============================================================================
+// Run tests
+// ============================================================================
+
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = {tests, runTests};
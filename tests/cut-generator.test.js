@@ -7,6 +7,7 @@
  */
 
 const CutGenerator = require('../modules/CutGenerator.js');
+const CompactTimeline = require('../modules/CompactTimeline.js');
 
 // Simple test framework
 const tests = [];
@@ -191,30 +192,73 @@ test('generateCuts() handles alternating cameras', () => {
 test('generateCuts() with cutFrequency=high generates more cuts', () => {
   const generator = new CutGenerator();
 
+  // Switch dominance: t=2 0.9 (clear), t=4 0.67 (moderate), t=6 0.75 (strong)
   const timeline = {
     0: {camera1: 0.8, camera2: 0.2, camera3: 0.1, activeCamera: 1},
     1: {camera1: 0.9, camera2: 0.1, camera3: 0.1, activeCamera: 1},
-    2: {camera1: 0.2, camera2: 0.9, camera3: 0.1, activeCamera: 2},
-    3: {camera1: 0.9, camera2: 0.1, camera3: 0.1, activeCamera: 1},
-    4: {camera1: 0.8, camera2: 0.2, camera3: 0.1, activeCamera: 1},
-    5: {camera1: 0.2, camera2: 0.9, camera3: 0.1, activeCamera: 2},
-    6: {camera1: 0.9, camera2: 0.1, camera3: 0.1, activeCamera: 1}
+    2: {camera1: 0.1, camera2: 0.9, camera3: 0.1, activeCamera: 2},
+    3: {camera1: 0.2, camera2: 0.8, camera3: 0.1, activeCamera: 2},
+    4: {camera1: 0.6, camera2: 0.3, camera3: 0.1, activeCamera: 1},
+    5: {camera1: 0.6, camera2: 0.3, camera3: 0.1, activeCamera: 1},
+    6: {camera1: 0.2, camera2: 0.2, camera3: 0.6, activeCamera: 3},
+    7: {camera1: 0.2, camera2: 0.2, camera3: 0.6, activeCamera: 3}
   };
 
-  const analysisResult = createMockAnalysisResult(timeline, 7);
+  const analysisResult = createMockAnalysisResult(timeline, 8);
 
   const cutsHigh = generator.generateCuts(analysisResult, {
     minCutDuration: 1.0,
     cutFrequency: 'high'
   });
 
+  const cutsMedium = generator.generateCuts(analysisResult, {
+    minCutDuration: 1.0,
+    cutFrequency: 'medium'
+  });
+
   const cutsLow = generator.generateCuts(analysisResult, {
     minCutDuration: 1.0,
     cutFrequency: 'low'
   });
 
-  // High frequency should have more or equal cuts than low frequency
-  expect(cutsHigh.length).toBeGreaterThan(cutsLow.length - 1);
+  // High frequency should produce strictly more cuts than low frequency
+  expect(cutsHigh.length).toBeGreaterThan(cutsLow.length);
+  expect(cutsHigh.length).toBe(4);
+  expect(cutsMedium.length).toBe(3);
+  expect(cutsLow.length).toBe(2);
+});
+
+test('getDominance() returns candidate share of combined level', () => {
+  const generator = new CutGenerator();
+  const data = {camera1: 0.3, camera2: 0.9, camera3: 0, activeCamera: 2};
+
+  expect(generator.getDominance(data, 2, 1)).toBe(0.75);
+  expect(generator.getDominance(data, 1, 2)).toBe(0.25);
+  expect(generator.getDominance({camera1: 0, camera2: 0}, 2, 1)).toBe(0);
+
+  // No level data: switch decisions fall back to activeCamera alone
+  expect(generator.getDominance({activeCamera: 2}, 2, 1)).toBe(1);
+});
+
+test('generateCuts() ignores switches below the dominance threshold', () => {
+  const generator = new CutGenerator();
+
+  // Camera 2 is barely louder than camera 1 (dominance 0.55)
+  const timeline = {
+    0: {camera1: 0.8, camera2: 0.2, activeCamera: 1},
+    1: {camera1: 0.8, camera2: 0.2, activeCamera: 1},
+    2: {camera1: 0.45, camera2: 0.55, activeCamera: 2},
+    3: {camera1: 0.45, camera2: 0.55, activeCamera: 2},
+    4: {camera1: 0.45, camera2: 0.55, activeCamera: 2}
+  };
+
+  const cuts = generator.generateCuts(createMockAnalysisResult(timeline, 5), {
+    minCutDuration: 1.0,
+    cutFrequency: 'high'
+  });
+
+  expect(cuts.length).toBe(1);
+  expect(cuts[0].camera).toBe(1);
 });
 
 // ============================================================================
@@ -300,13 +344,22 @@ test('validateCuts() detects invalid camera numbers', () => {
   const generator = new CutGenerator();
 
   const cuts = [
-    {startTime: 0, endTime: 2, camera: 4},  // Invalid camera
+    {startTime: 0, endTime: 2, camera: 4},  // Invalid camera for a 3-camera setup
   ];
 
-  const result = generator.validateCuts(cuts);
+  const result = generator.validateCuts(cuts, 3);
 
   expect(result.valid).toBe(false);
   expect(result.errors.length).toBeGreaterThan(0);
+  expect(result.errors[0]).toContain('between 1 and 3');
+});
+
+test('validateCuts() accepts up to 8 cameras by default', () => {
+  const generator = new CutGenerator();
+
+  expect(generator.validateCuts([{startTime: 0, endTime: 2, camera: 8}]).valid).toBe(true);
+  expect(generator.validateCuts([{startTime: 0, endTime: 2, camera: 9}]).valid).toBe(false);
+  expect(generator.validateCuts([{startTime: 0, endTime: 2, camera: 0}]).valid).toBe(false);
 });
 
 test('validateCuts() detects overlapping cuts', () => {
@@ -364,6 +417,22 @@ test('getStatistics() returns correct statistics', () => {
   expect(stats.longestCut.duration).toBe(3);
 });
 
+test('getStatistics() reports usage for every configured camera', () => {
+  const generator = new CutGenerator();
+
+  const cuts = [
+    {startTime: 0, endTime: 4, camera: 1},
+    {startTime: 4, endTime: 6, camera: 5}
+  ];
+
+  const stats = generator.getStatistics(cuts, 6);
+
+  expect(Object.keys(stats.cameraUsage).length).toBe(6);
+  expect(stats.cameraUsage[1]).toBe(4);
+  expect(stats.cameraUsage[5]).toBe(2);
+  expect(stats.cameraUsage[6]).toBe(0);
+});
+
 test('getStatistics() handles empty array', () => {
   const generator = new CutGenerator();
 
@@ -375,6 +444,676 @@ test('getStatistics() handles empty array', () => {
   expect(stats.averageCutDuration).toBe(0);
 });
 
+test('scoreCuts() scores cuts by dominance over the loudest other camera', () => {
+  const generator = new CutGenerator();
+  const analysisResult = createMockAnalysisResult({
+    0: {camera1: 0.8, camera2: 0.2, camera3: 0.0, activeCamera: 1},
+    1: {camera1: 0.6, camera2: 0.4, camera3: 0.2, activeCamera: 1},
+    2: {camera1: 0.5, camera2: 0.5, camera3: 0.1, activeCamera: 2}
+  }, 3);
+  const cuts = [
+    {startTime: 0, endTime: 2, camera: 1},
+    {startTime: 2, endTime: 3, camera: 3, cutaway: true}
+  ];
+
+  const scored = generator.scoreCuts(cuts, analysisResult);
+
+  expect(Math.round(scored[0].confidence * 1000) / 1000).toBe(0.7);
+  expect(scored[1].confidence).toBe(1.0);
+  expect(cuts[0].confidence).toBe(undefined);
+});
+
+test('scoreCuts() scores each cut over its own samples in any order', () => {
+  const generator = new CutGenerator();
+  const analysisResult = createMockAnalysisResult({
+    0: {camera1: 0.8, camera2: 0.2, activeCamera: 1},
+    1: {camera1: 0.6, camera2: 0.4, activeCamera: 1},
+    2: {camera1: 0.1, camera2: 0.9, activeCamera: 2},
+    3: {camera1: 0.3, camera2: 0.7, activeCamera: 2}
+  }, 4);
+  const cuts = [
+    {startTime: 0, endTime: 2, camera: 1},
+    {startTime: 2, endTime: 4, camera: 2}
+  ];
+  const confidences = list => generator.scoreCuts(list, analysisResult).map(cut => Math.round(cut.confidence * 1000));
+
+  expect(confidences(cuts)).toEqual([700, 800]);
+  expect(confidences(cuts.slice().reverse())).toEqual([800, 700]);
+
+  // A cut between two samples has nothing to score against
+  expect(confidences([{startTime: 1.25, endTime: 1.75, camera: 1}])).toEqual([1000]);
+});
+
+// ============================================================================
+// Switching Model Tests
+// ============================================================================
+
+// Helper: camera 1 speaks, camera 2 speaks during [from, to)
+function createSpeakerTimeline(length, from, to, levels = {on: 0.8, off: 0.2}) {
+  const timeline = {};
+  for (let i = 0; i < length; i++) {
+    const speaker = i >= from && i < to ? 2 : 1;
+    timeline[i] = {
+      camera1: speaker === 1 ? levels.on : levels.off,
+      camera2: speaker === 2 ? levels.on : levels.off,
+      activeCamera: speaker
+    };
+  }
+  return timeline;
+}
+
+test('resolveActiveCameras() passes activeCamera through when disabled', () => {
+  const generator = new CutGenerator();
+  const analysisResult = createMockAnalysisResult(createSpeakerTimeline(6, 2, 3), 6);
+
+  const resolved = generator.resolveActiveCameras(analysisResult, [0, 1, 2, 3, 4, 5]);
+
+  expect(resolved).toEqual([1, 1, 2, 1, 1, 1]);
+});
+
+test('resolveActiveCameras() ignores a cough shorter than attack time', () => {
+  const generator = new CutGenerator();
+  const analysisResult = createMockAnalysisResult(createSpeakerTimeline(6, 2, 3), 6);
+
+  const resolved = generator.resolveActiveCameras(analysisResult, [0, 1, 2, 3, 4, 5], {attackTime: 2.0});
+
+  expect(resolved).toEqual([1, 1, 1, 1, 1, 1]);
+});
+
+test('resolveActiveCameras() back-dates switch after attack time', () => {
+  const generator = new CutGenerator();
+  const analysisResult = createMockAnalysisResult(createSpeakerTimeline(8, 2, 6), 8);
+
+  const resolved = generator.resolveActiveCameras(analysisResult, [0, 1, 2, 3, 4, 5, 6, 7], {attackTime: 2.0});
+
+  expect(resolved).toEqual([1, 1, 2, 2, 2, 2, 1, 1]);
+});
+
+test('resolveActiveCameras() requires the dB margin', () => {
+  const generator = new CutGenerator();
+
+  // Camera 2 only 0.03 above camera 1 (1.8 dB on the default -60 dB scale)
+  const analysisResult = createMockAnalysisResult(createSpeakerTimeline(6, 2, 6, {on: 0.63, off: 0.6}), 6);
+  const timestamps = [0, 1, 2, 3, 4, 5];
+
+  expect(generator.resolveActiveCameras(analysisResult, timestamps, {switchMarginDb: 3})).toEqual([1, 1, 1, 1, 1, 1]);
+  expect(generator.resolveActiveCameras(analysisResult, timestamps, {switchMarginDb: 1})).toEqual([1, 1, 2, 2, 2, 2]);
+});
+
+test('resolveActiveCameras() holds a camera after switching', () => {
+  const generator = new CutGenerator();
+  const analysisResult = createMockAnalysisResult(createSpeakerTimeline(8, 1, 2), 8);
+
+  // Camera 2 takes over at 1s, camera 1 returns at 2s but must wait for the 3s hold
+  const resolved = generator.resolveActiveCameras(analysisResult, [0, 1, 2, 3, 4, 5, 6, 7], {holdTime: 3.0, attackTime: 0.5});
+
+  expect(resolved).toEqual([1, 1, 1, 1, 1, 1, 1, 1]);
+});
+
+test('generateCuts() applies the switching model', () => {
+  const generator = new CutGenerator();
+
+  // Alternating breaths on camera 2 every other second while camera 1 talks
+  const timeline = {};
+  for (let i = 0; i < 10; i++) {
+    const spike = i % 2 === 1;
+    timeline[i] = {camera1: 0.5, camera2: spike ? 0.9 : 0.1, activeCamera: spike ? 2 : 1};
+  }
+
+  const analysisResult = createMockAnalysisResult(timeline, 10);
+  const flickering = generator.generateCuts(analysisResult, {minCutDuration: 0.5, cutFrequency: 'high'});
+  const smoothed = generator.generateCuts(analysisResult, {minCutDuration: 0.5, cutFrequency: 'high', attackTime: 1.5});
+
+  expect(flickering.length).toBeGreaterThan(1);
+  expect(smoothed.length).toBe(1);
+  expect(smoothed[0].camera).toBe(1);
+});
+
+// ============================================================================
+// Optimal Strategy Tests
+// ============================================================================
+
+// Helper: timeline from a list of [activeCamera, camera1, camera2, camera3] per second
+function createLevelTimeline(rows) {
+  const timeline = {};
+  rows.forEach(([activeCamera, camera1, camera2, camera3], i) => {
+    timeline[i] = {camera1, camera2, camera3, activeCamera};
+  });
+  return timeline;
+}
+
+test('generateCuts() optimal strategy avoids unmergeable short cuts', () => {
+  const generator = new CutGenerator();
+
+  // Camera 1 talks, camera 2 interjects for 1s, then camera 3 takes over
+  const rows = [
+    [1, 0.9, 0.1, 0.1], [1, 0.9, 0.1, 0.1], [1, 0.9, 0.1, 0.1], [1, 0.9, 0.1, 0.1],
+    [2, 0.3, 0.9, 0.1],
+    [3, 0.1, 0.1, 0.9], [3, 0.1, 0.1, 0.9], [3, 0.1, 0.1, 0.9], [3, 0.1, 0.1, 0.9], [3, 0.1, 0.1, 0.9]
+  ];
+  const analysisResult = createMockAnalysisResult(createLevelTimeline(rows), 10);
+
+  const greedy = generator.generateCuts(analysisResult, {minCutDuration: 2.0});
+  const optimal = generator.generateCuts(analysisResult, {minCutDuration: 2.0, strategy: 'optimal'});
+
+  // Greedy holds camera 2 past its speaker and delays camera 3
+  expect(greedy[1].camera).toBe(2);
+  expect(greedy[2].startTime).toBe(6);
+
+  expect(optimal).toEqual([
+    {startTime: 0, endTime: 5, camera: 1},
+    {startTime: 5, endTime: 10, camera: 3}
+  ]);
+});
+
+test('generateCuts() optimal strategy honors minimum cut duration', () => {
+  const generator = new CutGenerator();
+
+  const timeline = {};
+  for (let i = 0; i < 60; i++) {
+    const active = (Math.floor(i / 3) + (i % 7 === 0 ? 1 : 0)) % 3 + 1;
+    timeline[i] = {
+      camera1: active === 1 ? 0.8 : 0.2,
+      camera2: active === 2 ? 0.8 : 0.2,
+      camera3: active === 3 ? 0.8 : 0.2,
+      activeCamera: active
+    };
+  }
+
+  const cuts = generator.generateCuts(createMockAnalysisResult(timeline, 60), {
+    minCutDuration: 4.0,
+    cutFrequency: 'high',
+    strategy: 'optimal'
+  });
+
+  expect(generator.validateCuts(cuts, 3).valid).toBe(true);
+  for (const cut of cuts) {
+    expect(cut.endTime - cut.startTime >= 4.0).toBe(true);
+  }
+  for (let i = 1; i < cuts.length; i++) {
+    expect(cuts[i].camera !== cuts[i - 1].camera).toBe(true);
+  }
+});
+
+test('generateCuts() optimal strategy makes fewer cuts with higher penalty', () => {
+  const generator = new CutGenerator();
+
+  // Camera 2 briefly and weakly louder several times
+  const rows = [];
+  for (let i = 0; i < 30; i++) {
+    rows.push(i % 6 >= 3 ? [2, 0.5, 0.7, 0.1] : [1, 0.7, 0.5, 0.1]);
+  }
+  const analysisResult = createMockAnalysisResult(createLevelTimeline(rows), 30);
+
+  const high = generator.generateCuts(analysisResult, {minCutDuration: 1.0, cutFrequency: 'high', strategy: 'optimal'});
+  const low = generator.generateCuts(analysisResult, {minCutDuration: 1.0, cutFrequency: 'low', strategy: 'optimal'});
+  const none = generator.generateCuts(analysisResult, {minCutDuration: 1.0, strategy: 'optimal', switchPenalty: 100});
+
+  expect(high.length).toBeGreaterThan(low.length);
+  expect(none.length).toBe(1);
+});
+
+test('generateCuts() optimal strategy handles empty and single-sample timelines', () => {
+  const generator = new CutGenerator();
+
+  expect(generator.generateCuts(createMockAnalysisResult({}, 0), {strategy: 'optimal'}).length).toBe(0);
+
+  const single = generator.generateCuts(
+    createMockAnalysisResult({0: {camera1: 0.2, camera2: 0.7, activeCamera: 2}}, 1),
+    {strategy: 'optimal'}
+  );
+  expect(single).toEqual([{startTime: 0, endTime: 1, camera: 2}]);
+});
+
+// ============================================================================
+// Wide Camera Tests
+// ============================================================================
+
+// Helper: repeat one [activeCamera, camera1, camera2, camera3] row; camera 3 is the wide shot
+function repeatRow(row, count) {
+  return Array.from({length: count}, () => row);
+}
+
+test('generateCuts() routes overlapping speech to the wide camera', () => {
+  const generator = new CutGenerator();
+  const rows = [
+    ...repeatRow([1, 0.9, 0.1, 0.3], 4),
+    ...repeatRow([1, 0.8, 0.8, 0.5], 3),
+    ...repeatRow([2, 0.1, 0.9, 0.3], 5)
+  ];
+  const analysisResult = createMockAnalysisResult(createLevelTimeline(rows), 12);
+  const options = {minCutDuration: 2.0, wideCamera: 3, wideMinDuration: 2.0};
+
+  const expected = [
+    {startTime: 0, endTime: 4, camera: 1},
+    {startTime: 4, endTime: 7, camera: 3, reason: 'overlap'},
+    {startTime: 7, endTime: 12, camera: 2}
+  ];
+
+  expect(generator.generateCuts(analysisResult, options)).toEqual(expected);
+  expect(generator.generateCuts(analysisResult, {...options, strategy: 'optimal'})).toEqual(expected);
+
+  // Without a wide camera the loudest speaker keeps the shot
+  const withoutWide = generator.generateCuts(analysisResult, {minCutDuration: 2.0});
+  expect(withoutWide.some(cut => cut.camera === 3)).toBe(false);
+});
+
+test('generateCuts() routes only long silences to the wide camera', () => {
+  const generator = new CutGenerator();
+  const rows = [
+    ...repeatRow([1, 0.9, 0.1, 0.3], 4),
+    ...repeatRow([1, 0.05, 0.05, 0.05], 1),
+    ...repeatRow([1, 0.9, 0.1, 0.3], 2),
+    ...repeatRow([1, 0.05, 0.05, 0.05], 4),
+    ...repeatRow([2, 0.1, 0.9, 0.3], 3)
+  ];
+  const analysisResult = createMockAnalysisResult(createLevelTimeline(rows), 14);
+
+  const cuts = generator.generateCuts(analysisResult, {minCutDuration: 2.0, wideCamera: 3, wideMinDuration: 3.0});
+
+  expect(cuts).toEqual([
+    {startTime: 0, endTime: 7, camera: 1},
+    {startTime: 7, endTime: 11, camera: 3, reason: 'silence'},
+    {startTime: 11, endTime: 14, camera: 2}
+  ]);
+});
+
+test('generateCuts() applies wideMinDuration to wide shots', () => {
+  const generator = new CutGenerator();
+  const rows = [
+    ...repeatRow([1, 0.9, 0.1, 0.3], 4),
+    ...repeatRow([1, 0.8, 0.7, 0.5], 1),
+    ...repeatRow([1, 0.9, 0.1, 0.3], 4)
+  ];
+  const analysisResult = createMockAnalysisResult(createLevelTimeline(rows), 9);
+
+  // A 1s wide shot survives a 3s minimum cut duration
+  const cuts = generator.generateCuts(analysisResult, {minCutDuration: 3.0, wideCamera: 3, wideMinDuration: 1.0});
+  expect(cuts.length).toBe(3);
+  expect(cuts[1]).toEqual({startTime: 4, endTime: 5, camera: 3, reason: 'overlap'});
+
+  // With a 2s wide minimum the single overlapping second is not routed
+  const strict = generator.generateCuts(analysisResult, {minCutDuration: 3.0, wideCamera: 3, wideMinDuration: 2.0});
+  expect(strict).toEqual([{startTime: 0, endTime: 9, camera: 1}]);
+});
+
+test('generateCuts() optimal strategy applies wideMinDuration to wide shots', () => {
+  const generator = new CutGenerator();
+  const rows = [
+    ...repeatRow([1, 0.9, 0.1, 0.3], 4),
+    ...repeatRow([1, 0.8, 0.7, 0.5], 1),
+    ...repeatRow([1, 0.9, 0.1, 0.3], 4)
+  ];
+  const analysisResult = createMockAnalysisResult(createLevelTimeline(rows), 9);
+  const options = {minCutDuration: 3.0, wideCamera: 3, strategy: 'optimal', switchPenalty: 0.1};
+
+  // The wide shot only has to last wideMinDuration, not minCutDuration
+  const cuts = generator.generateCuts(analysisResult, {...options, wideMinDuration: 1.0});
+  expect(cuts).toEqual([
+    {startTime: 0, endTime: 4, camera: 1},
+    {startTime: 4, endTime: 5, camera: 3, reason: 'overlap'},
+    {startTime: 5, endTime: 9, camera: 1}
+  ]);
+
+  // Speaker shots still honor minCutDuration around a long wide minimum
+  const rows2 = [
+    ...repeatRow([1, 0.9, 0.1, 0.3], 4),
+    ...repeatRow([1, 0.8, 0.7, 0.5], 4),
+    ...repeatRow([2, 0.1, 0.9, 0.3], 4)
+  ];
+  const long = generator.generateCuts(createMockAnalysisResult(createLevelTimeline(rows2), 12),
+    {...options, minCutDuration: 1.0, wideMinDuration: 4.0});
+  expect(long).toEqual([
+    {startTime: 0, endTime: 4, camera: 1},
+    {startTime: 4, endTime: 8, camera: 3, reason: 'overlap'},
+    {startTime: 8, endTime: 12, camera: 2}
+  ]);
+});
+
+// ============================================================================
+// Cutaway Tests
+// ============================================================================
+
+// Helper: camera 1 talks for the whole timeline, listeners keep fixed levels
+function createMonologueTimeline(length, listenerLevels) {
+  const timeline = {};
+  for (let i = 0; i < length; i++) {
+    timeline[i] = {camera1: 0.9, activeCamera: 1};
+    listenerLevels.forEach((level, index) => {
+      timeline[i][`camera${index + 2}`] = level;
+    });
+  }
+  return timeline;
+}
+
+test('generateCuts() inserts cutaways to the wide camera in long shots', () => {
+  const generator = new CutGenerator();
+  const analysisResult = createMockAnalysisResult(createMonologueTimeline(20, [0.2, 0.3]), 20);
+
+  const cuts = generator.generateCuts(analysisResult, {
+    minCutDuration: 2.0,
+    wideCamera: 3,
+    maxCutDuration: 6.0,
+    cutawayDuration: 2.0
+  });
+
+  expect(cuts).toEqual([
+    {startTime: 0, endTime: 6, camera: 1},
+    {startTime: 6, endTime: 8, camera: 3, cutaway: true},
+    {startTime: 8, endTime: 14, camera: 1},
+    {startTime: 14, endTime: 16, camera: 3, cutaway: true},
+    {startTime: 16, endTime: 20, camera: 1}
+  ]);
+  expect(generator.validateCuts(cuts, 3).valid).toBe(true);
+});
+
+test('generateCuts() picks the quietest listener without a wide camera', () => {
+  const generator = new CutGenerator();
+  const analysisResult = createMockAnalysisResult(createMonologueTimeline(12, [0.3, 0.15, 0.25]), 12);
+
+  const cuts = generator.generateCuts(analysisResult, {minCutDuration: 2.0, maxCutDuration: 5.0});
+
+  expect(cuts.length).toBe(3);
+  expect(cuts[1]).toEqual({startTime: 5, endTime: 7, camera: 3, cutaway: true});
+});
+
+test('generateCuts() rotates listeners with round-robin cutaways', () => {
+  const generator = new CutGenerator();
+  const analysisResult = createMockAnalysisResult(createMonologueTimeline(30, [0.3, 0.15, 0.25]), 30);
+
+  const cuts = generator.generateCuts(analysisResult, {
+    minCutDuration: 2.0,
+    maxCutDuration: 5.0,
+    cutawayDuration: 1.0,
+    cutawayCamera: 'round-robin',
+    strategy: 'optimal'
+  });
+
+  const cutaways = cuts.filter(cut => cut.cutaway);
+  expect(cutaways.map(cut => cut.camera)).toEqual([2, 3, 4, 2]);
+  expect(cuts[cuts.length - 1].endTime).toBe(30);
+});
+
+test('generateCuts() leaves shots alone without maxCutDuration', () => {
+  const generator = new CutGenerator();
+  const analysisResult = createMockAnalysisResult(createMonologueTimeline(20, [0.2, 0.3]), 20);
+
+  const cuts = generator.generateCuts(analysisResult, {minCutDuration: 2.0});
+  expect(cuts).toEqual([{startTime: 0, endTime: 20, camera: 1}]);
+});
+
+test('insertCutaways() does not split wide shots or leave a short tail', () => {
+  const generator = new CutGenerator();
+  const analysisResult = createMockAnalysisResult(createMonologueTimeline(12, [0.2, 0.3]), 12);
+  const timestamps = Object.keys(analysisResult.timeline).map(Number);
+  const options = {minCutDuration: 2.0, maxCutDuration: 4.0, cutawayDuration: 2.0, cutawayCamera: 'wide', wideCamera: 3};
+
+  const wide = [{startTime: 0, endTime: 12, camera: 3, reason: 'silence'}];
+  expect(generator.insertCutaways(wide, analysisResult, timestamps, options)).toEqual(wide);
+
+  // 7s shot: a cutaway at 4-6s would leave only 1s of the speaker
+  const short = [{startTime: 0, endTime: 7, camera: 1}];
+  expect(generator.insertCutaways(short, analysisResult, timestamps, options)).toEqual(short);
+});
+
+// ============================================================================
+// Frame Snapping Tests
+// ============================================================================
+
+test('generateCuts() snaps cut boundaries to frames of analysisResult.frameRate', () => {
+  const generator = new CutGenerator();
+  const analysisResult = createMockAnalysisResult(createMonologueTimeline(20, [0.2, 0.3]), 20);
+  analysisResult.frameRate = 25;
+
+  const cuts = generator.generateCuts(analysisResult, {
+    minCutDuration: 2.0,
+    maxCutDuration: 4.01,
+    cutawayDuration: 1.99,
+    cutawayCamera: 'quietest'
+  });
+
+  // 4.01s and 1.99s land on 4.0s and 6.0s at 25 fps
+  expect(cuts[0].endTime).toBe(4);
+  expect(cuts[1].startTime).toBe(4);
+  expect(cuts[1].endTime).toBe(6);
+  cuts.forEach(cut => {
+    expect(Math.abs(cut.startTime * 25 - Math.round(cut.startTime * 25)) < 1e-9).toBe(true);
+    expect(Math.abs(cut.endTime * 25 - Math.round(cut.endTime * 25)) < 1e-9).toBe(true);
+  });
+});
+
+test('snapToFrames() drops sub-frame cuts and merges the neighbours', () => {
+  const generator = new CutGenerator();
+  const cuts = [
+    {startTime: 0, endTime: 2.0, camera: 1},
+    {startTime: 2.0, endTime: 2.01, camera: 2},
+    {startTime: 2.01, endTime: 4.0, camera: 1}
+  ];
+
+  expect(generator.snapToFrames(cuts, 25)).toEqual([{startTime: 0, endTime: 4, camera: 1}]);
+  expect(generator.snapToFrames(cuts)).toEqual(cuts);
+});
+
+// ============================================================================
+// Speech Probability Tests
+// ============================================================================
+
+test('weightBySpeech() scales levels and re-picks the active camera', () => {
+  const generator = new CutGenerator();
+  const result = createMockAnalysisResult({
+    0: {camera1: 0.9, camera2: 0.6, speech1: 0.1, speech2: 0.9, activeCamera: 1},
+    1: {camera1: 0.2, camera2: 0.2, speech1: 0.2, speech2: 0.2, activeCamera: 1}
+  });
+
+  const weighted = generator.weightBySpeech(result);
+
+  expect(Math.abs(weighted.timeline[0].camera1 - 0.09) < 1e-9).toBe(true);
+  expect(Math.abs(weighted.timeline[0].camera2 - 0.54) < 1e-9).toBe(true);
+  expect(weighted.timeline[0].activeCamera).toBe(2);
+  expect(weighted.timeline[0].speech2).toBe(0.9);
+  expect(weighted.timeline[1].activeCamera).toBe(1);
+  expect(result.timeline[0].camera1).toBe(0.9);
+});
+
+test('weightBySpeech() leaves timelines without speech fields unchanged', () => {
+  const generator = new CutGenerator();
+  const result = createMockAnalysisResult({
+    0: {camera1: 0.9, camera2: 0.1, activeCamera: 1}
+  });
+
+  expect(generator.weightBySpeech(result)).toBe(result);
+});
+
+test('generateCuts() ignores loud non-speech on a listener camera', () => {
+  const generator = new CutGenerator();
+
+  // Camera 2 talks throughout; camera 1 has a door slam / laughter burst at 3-6s
+  const timeline = {};
+  for (let i = 0; i < 10; i++) {
+    const burst = i >= 3 && i < 6;
+    timeline[i] = {
+      camera1: burst ? 0.95 : 0.1,
+      camera2: burst ? 0.3 : 0.7,
+      speech1: burst ? 0.1 : 0,
+      speech2: 0.9,
+      activeCamera: burst ? 1 : 2
+    };
+  }
+  const result = createMockAnalysisResult(timeline);
+
+  const bySpeech = generator.generateCuts(result, {minCutDuration: 2.0});
+  const byLevel = generator.generateCuts(result, {minCutDuration: 2.0, detection: 'level'});
+
+  expect(bySpeech.length).toBe(1);
+  expect(bySpeech[0].camera).toBe(2);
+  expect(byLevel.some(cut => cut.camera === 1)).toBe(true);
+});
+
+// ============================================================================
+// Compact Layout Tests
+// ============================================================================
+
+// Helper: the typed-array layout of AudioAnalyzer.analyzeCompact for a mock result
+function toCompactResult(result, cameras) {
+  const timestamps = Object.keys(result.timeline).map(Number).sort((a, b) => a - b);
+  const compact = {
+    format: 'compact',
+    timestamps: Float64Array.from(timestamps),
+    levels: {},
+    speech: {},
+    activeCamera: Uint8Array.from(timestamps.map(t => result.timeline[t].activeCamera)),
+    duration: result.duration,
+    sampleRate: result.sampleRate,
+    cameras
+  };
+  for (const num of cameras) {
+    compact.levels[num] = Float32Array.from(timestamps.map(t => result.timeline[t][`camera${num}`]));
+    if (timestamps.every(t => typeof result.timeline[t][`speech${num}`] === 'number')) {
+      compact.speech[num] = Float32Array.from(timestamps.map(t => result.timeline[t][`speech${num}`]));
+    }
+  }
+  return compact;
+}
+
+test('generateCuts() gives the same cuts for compact results', () => {
+  const generator = new CutGenerator();
+  const rows = [
+    ...repeatRow([1, 0.9, 0.1, 0.3], 4),
+    ...repeatRow([1, 0.75, 0.75, 0.5], 3),
+    ...repeatRow([2, 0.25, 0.9, 0.25], 5),
+    ...repeatRow([3, 0.0, 0.0, 0.5], 4)
+  ];
+  const analysisResult = createMockAnalysisResult(createLevelTimeline(rows), 16);
+  analysisResult.cameras = [1, 2, 3];
+  const compact = toCompactResult(analysisResult, [1, 2, 3]);
+
+  const variants = [
+    {minCutDuration: 2.0},
+    {minCutDuration: 2.0, strategy: 'optimal'},
+    {minCutDuration: 2.0, wideCamera: 3, wideMinDuration: 2.0},
+    {minCutDuration: 2.0, attackTime: 1.0, maxCutDuration: 3.0, cutawayCamera: 'quietest'}
+  ];
+  for (const options of variants) {
+    expect(generator.generateCuts(compact, options)).toEqual(generator.generateCuts(analysisResult, options));
+  }
+
+  // Levels are single precision in the compact layout
+  const cuts = generator.generateCuts(compact, {minCutDuration: 2.0});
+  const confidences = result => generator.scoreCuts(cuts, result).map(cut => Math.round(cut.confidence * 1000));
+  expect(confidences(compact)).toEqual(confidences(analysisResult));
+});
+
+test('generateCuts() indexes compact arrays without building timeline entries', () => {
+  const generator = new CutGenerator();
+  const rows = [
+    ...repeatRow([1, 0.9, 0.1, 0.3], 4),
+    ...repeatRow([1, 0.75, 0.75, 0.5], 3),
+    ...repeatRow([2, 0.25, 0.9, 0.25], 5)
+  ];
+  const analysisResult = createMockAnalysisResult(createLevelTimeline(rows), 12);
+  analysisResult.cameras = [1, 2, 3];
+  const compact = toCompactResult(analysisResult, [1, 2, 3]);
+
+  const {getSample, getTimestamps} = CompactTimeline;
+  CompactTimeline.getSample = () => {
+    throw new Error('getSample() called on a compact result');
+  };
+  CompactTimeline.getTimestamps = result => {
+    const timestamps = getTimestamps(result);
+    expect(timestamps).toBeInstanceOf(Float64Array);
+    return timestamps;
+  };
+
+  try {
+    for (const strategy of ['threshold', 'optimal']) {
+      const cuts = generator.generateCuts(compact, {strategy, minCutDuration: 2.0, wideCamera: 3, attackTime: 1.0});
+      expect(cuts.length).toBeGreaterThan(0);
+    }
+  } finally {
+    CompactTimeline.getSample = getSample;
+    CompactTimeline.getTimestamps = getTimestamps;
+  }
+});
+
+test('findQuietestCamera() averages only the samples inside the range', () => {
+  const generator = new CutGenerator();
+  const timeline = createMonologueTimeline(10, [0.1, 0.4]);
+  for (let i = 4; i < 7; i++) {
+    timeline[i].camera2 = 0.6;
+  }
+  const analysisResult = createMockAnalysisResult(timeline, 10);
+  const compact = toCompactResult(analysisResult, [1, 2, 3]);
+  const timestamps = Array.from(compact.timestamps);
+
+  // Camera 2 is quieter overall but louder from 4s to 7s
+  expect(generator.findQuietestCamera(compact, timestamps, [2, 3], 0, 10)).toBe(2);
+  expect(generator.findQuietestCamera(compact, timestamps, [2, 3], 4, 7)).toBe(3);
+  expect(generator.findQuietestCamera(analysisResult, timestamps, [2, 3], 4, 7)).toBe(3);
+  expect(generator.findQuietestCamera(compact, timestamps, [], 4, 7)).toBe(null);
+});
+
+test('weightBySpeech() keeps the compact layout', () => {
+  const generator = new CutGenerator();
+  const result = toCompactResult(createMockAnalysisResult({
+    0: {camera1: 0.9, camera2: 0.6, speech1: 0.1, speech2: 0.9, activeCamera: 1},
+    1: {camera1: 0.5, camera2: 0.2, speech1: 1.0, speech2: 0.5, activeCamera: 1}
+  }), [1, 2]);
+
+  const weighted = generator.weightBySpeech(result);
+
+  expect(weighted.levels[1]).toBeInstanceOf(Float32Array);
+  expect(Math.abs(weighted.levels[2][0] - 0.54) < 1e-6).toBe(true);
+  expect(Array.from(weighted.activeCamera)).toEqual([2, 1]);
+  expect(result.levels[1][0]).toBe(Math.fround(0.9));
+  expect(result.activeCamera[0]).toBe(1);
+
+  delete result.speech[2];
+  expect(generator.weightBySpeech(result)).toBe(result);
+});
+
+// ============================================================================
+// Camera Count Tests
+// ============================================================================
+
+test('generateCuts() works with 2 cameras', () => {
+  const generator = new CutGenerator();
+
+  const timeline = {
+    0: {camera1: 0.8, camera2: 0.2, activeCamera: 1},
+    1: {camera1: 0.9, camera2: 0.1, activeCamera: 1},
+    2: {camera1: 0.2, camera2: 0.9, activeCamera: 2},
+    3: {camera1: 0.1, camera2: 0.8, activeCamera: 2}
+  };
+
+  const cuts = generator.generateCuts(createMockAnalysisResult(timeline, 4), {minCutDuration: 2.0});
+
+  expect(cuts.length).toBe(2);
+  expect(cuts[0].camera).toBe(1);
+  expect(cuts[1].camera).toBe(2);
+  expect(generator.validateCuts(cuts, 2).valid).toBe(true);
+});
+
+test('generateCuts() works with 6 cameras', () => {
+  const generator = new CutGenerator();
+
+  const timeline = {};
+  for (let i = 0; i < 12; i++) {
+    const active = Math.floor(i / 2) + 1;
+    const entry = {};
+    for (let num = 1; num <= 6; num++) {
+      entry[`camera${num}`] = num === active ? 0.9 : 0.1;
+    }
+    entry.activeCamera = active;
+    timeline[i] = entry;
+  }
+
+  const cuts = generator.generateCuts(createMockAnalysisResult(timeline, 12), {minCutDuration: 2.0});
+
+  expect(cuts.length).toBe(6);
+  expect(cuts.map(cut => cut.camera)).toEqual([1, 2, 3, 4, 5, 6]);
+  expect(generator.validateCuts(cuts, 6).valid).toBe(true);
+});
+
 // ============================================================================
 // Edge Cases
 // ============================================================================
@@ -393,6 +1132,26 @@ test('generateCuts() handles very short sequence', () => {
   expect(cuts[0].camera).toBe(1);
 });
 
+test('generateCuts() throws an AbortError when the signal is aborted', () => {
+  const generator = new CutGenerator();
+
+  const timeline = {
+    0: {camera1: 0.8, camera2: 0.2, camera3: 0.1, activeCamera: 1}
+  };
+
+  const controller = new AbortController();
+  controller.abort();
+
+  let error = null;
+  try {
+    generator.generateCuts(createMockAnalysisResult(timeline, 1), {signal: controller.signal});
+  } catch (e) {
+    error = e;
+  }
+
+  expect(error !== null && error.name).toBe('AbortError');
+});
+
 test('generateCuts() handles very long sequence', () => {
   const generator = new CutGenerator();
 
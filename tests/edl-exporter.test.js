@@ -0,0 +1,302 @@
+/**
+ * EdlExporter Unit Tests
+ *
+ * @test EdlExporter
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EdlExporter = require('../modules/EdlExporter.js');
+const {toSegments} = require('./timeline-editor.test.js');
+
+// Simple test framework
+const tests = [];
+let passCount = 0;
+let failCount = 0;
+
+function test(name, fn) {
+  tests.push({name, fn});
+}
+
+function expect(actual) {
+  return {
+    toBe(expected) {
+      if (actual !== expected) {
+        throw new Error(`Expected ${expected}, got ${actual}`);
+      }
+    },
+    toBeGreaterThan(expected) {
+      if (actual <= expected) {
+        throw new Error(`Expected ${actual} > ${expected}`);
+      }
+    },
+    toBeLessThan(expected) {
+      if (actual >= expected) {
+        throw new Error(`Expected ${actual} < ${expected}`);
+      }
+    },
+    toBeCloseTo(expected, tolerance = 0.01) {
+      if (Math.abs(actual - expected) > tolerance) {
+        throw new Error(`Expected ${actual} to be within ${tolerance} of ${expected}`);
+      }
+    },
+    toEqual(expected) {
+      if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+      }
+    },
+    toContain(substring) {
+      if (!actual.includes(substring)) {
+        throw new Error(`Expected "${actual}" to contain "${substring}"`);
+      }
+    }
+  };
+}
+
+async function runTests() {
+  console.log('\n=== EdlExporter Unit Tests ===\n');
+
+  for (const {name, fn} of tests) {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passCount++;
+    } catch (error) {
+      console.error(`✗ ${name}`);
+      console.error(`  Error: ${error.message}`);
+      failCount++;
+    }
+  }
+
+  console.log(`\n=== Test Results ===`);
+  console.log(`Passed: ${passCount}`);
+  console.log(`Failed: ${failCount}`);
+  console.log(`Total: ${tests.length}`);
+
+  if (failCount > 0) {
+    process.exit(1);
+  }
+}
+
+// Helper to create mock cameras
+function createMockCameras() {
+  return {
+    1: {trackIndex: 0, trackName: 'Camera 1'},
+    2: {trackIndex: 1, trackName: 'Camera 2'},
+    3: {trackIndex: 2, trackName: 'Wide'}
+  };
+}
+
+// Helper to get event lines (skip header, comments and blank lines)
+function eventLines(edl) {
+  return edl.split('\n').filter(line => /^\d{3}  /.test(line));
+}
+
+// ============================================================================
+// Timecode Tests
+// ============================================================================
+
+test('framesToTimecode() formats non-drop-frame timecode', () => {
+  const exporter = new EdlExporter();
+
+  expect(exporter.framesToTimecode(90, 25, false)).toBe('00:00:03:15');
+  expect(exporter.framesToTimecode(24000 / 1001 * 3600, 24000 / 1001, false)).toBe('00:59:56:10');
+  expect(exporter.framesToTimecode(86400, 24, false)).toBe('01:00:00:00');
+});
+
+test('framesToTimecode() skips dropped frame numbers at 29.97', () => {
+  const exporter = new EdlExporter();
+  const fps = 30000 / 1001;
+
+  expect(exporter.framesToTimecode(1799, fps, true)).toBe('00:00:59:29');
+  expect(exporter.framesToTimecode(1800, fps, true)).toBe('00:01:00:02');
+  expect(exporter.framesToTimecode(17982, fps, true)).toBe('00:10:00:00');
+  expect(exporter.framesToTimecode(107892, fps, true)).toBe('01:00:00:00');
+});
+
+test('framesToTimecode() drops four frame numbers at 59.94', () => {
+  const exporter = new EdlExporter();
+
+  expect(exporter.framesToTimecode(3600, 60000 / 1001, true)).toBe('00:01:00:04');
+});
+
+test('timecodeToFrames() inverts framesToTimecode()', () => {
+  const exporter = new EdlExporter();
+  const fps = 30000 / 1001;
+
+  for (const frames of [0, 1799, 1800, 17982, 53999, 107892]) {
+    const timecode = exporter.framesToTimecode(frames, fps, true);
+    expect(exporter.timecodeToFrames(timecode, fps, true)).toBe(frames);
+  }
+  expect(exporter.timecodeToFrames('01:00:00;00', fps, true)).toBe(107892);
+  expect(exporter.timecodeToFrames('00:00:01:00', 25, false)).toBe(25);
+});
+
+test('isDropFrameRate() only accepts 29.97 and 59.94', () => {
+  const exporter = new EdlExporter();
+
+  expect(exporter.isDropFrameRate(30000 / 1001)).toBe(true);
+  expect(exporter.isDropFrameRate(29.97)).toBe(true);
+  expect(exporter.isDropFrameRate(60000 / 1001)).toBe(true);
+  expect(exporter.isDropFrameRate(30)).toBe(false);
+  expect(exporter.isDropFrameRate(24000 / 1001)).toBe(false);
+  expect(exporter.isDropFrameRate(25)).toBe(false);
+});
+
+// ============================================================================
+// export() Tests
+// ============================================================================
+
+test('export() writes CMX3600 header and cut events', () => {
+  const exporter = new EdlExporter();
+  const cuts = [
+    {startTime: 0, endTime: 5, camera: 1},
+    {startTime: 5, endTime: 12, camera: 2}
+  ];
+
+  const edl = exporter.export(toSegments(cuts), createMockCameras(), {title: 'Episode 12', frameRate: 25});
+  const lines = edl.split('\n');
+
+  expect(lines[0]).toBe('TITLE: EPISODE 12');
+  expect(lines[1]).toBe('FCM: NON-DROP FRAME');
+  expect(eventLines(edl)).toEqual([
+    '001  CAM1     V     C        00:00:00:00 00:00:05:00 00:00:00:00 00:00:05:00',
+    '002  CAM2     V     C        00:00:05:00 00:00:12:00 00:00:05:00 00:00:12:00'
+  ]);
+  expect(edl).toContain('* FROM CLIP NAME: cam1.mov');
+});
+
+test('export() uses drop-frame timecode and record start at 29.97', () => {
+  const exporter = new EdlExporter();
+  const cuts = [{startTime: 0, endTime: 60.06, camera: 1}];
+
+  const edl = exporter.export(toSegments(cuts), createMockCameras(), {frameRate: 30000 / 1001, recordStart: '01:00:00:00'});
+
+  expect(edl).toContain('FCM: DROP FRAME');
+  expect(eventLines(edl)[0]).toBe('001  CAM1     V     C        00:00:00:00 00:01:00:02 01:00:00:00 01:01:00:02');
+});
+
+test('export() writes dissolve events when transitionDuration is set', () => {
+  const exporter = new EdlExporter();
+  const cuts = [
+    {startTime: 0, endTime: 4, camera: 1},
+    {startTime: 4, endTime: 8, camera: 3, reason: 'overlap'}
+  ];
+
+  const edl = exporter.export(toSegments(cuts), createMockCameras(), {frameRate: 25, transitionDuration: 0.5});
+
+  expect(eventLines(edl)).toEqual([
+    '001  CAM1     V     C        00:00:00:00 00:00:04:00 00:00:00:00 00:00:04:00',
+    '002  CAM1     V     C        00:00:04:00 00:00:04:00 00:00:04:00 00:00:04:00',
+    '002  CAM3     V     D    013 00:00:04:00 00:00:08:00 00:00:04:00 00:00:08:00'
+  ]);
+  expect(edl).toContain('* COMMENT: WIDE (OVERLAP)');
+});
+
+test('export() marks cutaways and skips zero-length cuts', () => {
+  const exporter = new EdlExporter();
+  const cuts = [
+    {startTime: 0, endTime: 6, camera: 1},
+    {startTime: 6, endTime: 6, camera: 2},
+    {startTime: 6, endTime: 8, camera: 3, cutaway: true}
+  ];
+
+  const edl = exporter.export(toSegments(cuts), createMockCameras(), {frameRate: 25});
+
+  expect(eventLines(edl).length).toBe(2);
+  expect(edl).toContain('* COMMENT: CUTAWAY');
+});
+
+test('export() gives each media file its own reel and adds the file start timecode', () => {
+  const exporter = new EdlExporter();
+  const takeOne = {path: '/Shoot/A001.mov', name: 'A001.mov', start: 3600};
+  const takeTwo = {path: '/Shoot/A002.mov', name: 'A002.mov', start: 7200};
+  const segments = [
+    {cut: {startTime: 0, endTime: 4, camera: 1}, camera: 1, startTime: 0, endTime: 4, sourceIn: 10, sourceOut: 14, media: takeOne},
+    {cut: {startTime: 4, endTime: 6, camera: 1}, camera: 1, startTime: 4, endTime: 6, sourceIn: 0, sourceOut: 2, media: takeTwo},
+    {cut: {startTime: 6, endTime: 8, camera: 1}, camera: 1, startTime: 6, endTime: 8, sourceIn: 20, sourceOut: 22, media: takeOne}
+  ];
+
+  const edl = exporter.export(segments, createMockCameras(), {frameRate: 25});
+
+  expect(eventLines(edl)).toEqual([
+    '001  A001     V     C        01:00:10:00 01:00:14:00 00:00:00:00 00:00:04:00',
+    '002  A002     V     C        02:00:00:00 02:00:02:00 00:00:04:00 00:00:06:00',
+    '003  A001     V     C        01:00:20:00 01:00:22:00 00:00:06:00 00:00:08:00'
+  ]);
+});
+
+test('export() rejects drop-frame at non-NTSC rates', () => {
+  const exporter = new EdlExporter();
+
+  let errorThrown = false;
+  try {
+    exporter.export([], createMockCameras(), {frameRate: 25, dropFrame: true});
+  } catch (error) {
+    errorThrown = true;
+    expect(error.message).toContain('Drop-frame');
+  }
+  expect(errorThrown).toBe(true);
+});
+
+// ============================================================================
+// Reel / Frame Rate / File Tests
+// ============================================================================
+
+test('getReelNames() sanitizes and de-duplicates media file names', () => {
+  const exporter = new EdlExporter();
+  const segment = (camera, media) => ({camera, media});
+  const reels = exporter.getReelNames([
+    segment(1, {path: '/A/Cam A (Host).mov', name: 'Cam A (Host).mov'}),
+    segment(2, {path: '/B/Cam A [Host].mxf', name: 'Cam A [Host].mxf'}),
+    segment(1, {path: '/A/Cam A (Host).mov', name: 'Cam A (Host).mov'}),
+    segment(3, null),
+    segment(4, {path: '/C/---.mov', name: '---.mov'})
+  ], {
+    3: {trackIndex: 2, trackName: 'Wide'},
+    4: null
+  });
+
+  expect(Array.from(reels.values())).toEqual(['CAMAHOST', 'CAMAHOS2', 'WIDE', 'CAM4']);
+  expect(reels.get('file:/A/Cam A (Host).mov')).toBe('CAMAHOST');
+});
+
+test('getFrameRate() reads the sequence timebase or settings', async () => {
+  const exporter = new EdlExporter();
+
+  const fromTimebase = await exporter.getFrameRate({getTimebase: async () => '10160640000'});
+  expect(fromTimebase).toBe(25);
+
+  const fromSettings = await exporter.getFrameRate({
+    getSettings: async () => ({videoFrameRate: {numerator: 24000, denominator: 1001}})
+  });
+  expect(fromSettings).toBeCloseTo(23.976, 0.001);
+
+  expect(await exporter.getFrameRate({})).toBeCloseTo(29.97, 0.001);
+});
+
+test('saveToFile() writes the EDL outside UXP', async () => {
+  const exporter = new EdlExporter();
+  const file = path.join(os.tmpdir(), `edl-exporter-test-${process.pid}.edl`);
+
+  try {
+    const saved = await exporter.saveToFile('TITLE: TEST\n', file);
+    expect(saved).toBe(file);
+    expect(fs.readFileSync(file, 'utf8')).toBe('TITLE: TEST\n');
+  } finally {
+    if (fs.existsSync(file)) {
+      fs.unlinkSync(file);
+    }
+  }
+});
+
+// ============================================================================
+// Run tests
+// ============================================================================
+
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = {tests, runTests};
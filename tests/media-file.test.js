@@ -0,0 +1,94 @@
+/**
+ * MediaFile Unit Tests
+ *
+ * @test MediaFile
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MediaFile = require('../modules/MediaFile.js');
+
+// Simple test framework
+const tests = [];
+let passCount = 0;
+let failCount = 0;
+
+function test(name, fn) {
+  tests.push({name, fn});
+}
+
+function expect(actual) {
+  return {
+    toBe(expected) {
+      if (actual !== expected) {
+        throw new Error(`Expected ${expected}, got ${actual}`);
+      }
+    }
+  };
+}
+
+async function runTests() {
+  console.log('\n=== MediaFile Unit Tests ===\n');
+
+  for (const {name, fn} of tests) {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passCount++;
+    } catch (error) {
+      console.error(`✗ ${name}`);
+      console.error(`  Error: ${error.message}`);
+      failCount++;
+    }
+  }
+
+  console.log(`\n=== Test Results ===`);
+  console.log(`Passed: ${passCount}`);
+  console.log(`Failed: ${failCount}`);
+  console.log(`Total: ${tests.length}`);
+
+  if (failCount > 0) {
+    process.exit(1);
+  }
+}
+
+// ============================================================================
+// open() / read() Tests
+// ============================================================================
+
+test('open() reads byte ranges of a file outside UXP', async () => {
+  const file = path.join(os.tmpdir(), `media-file-test-${process.pid}.bin`);
+  fs.writeFileSync(file, Buffer.from(Array.from({length: 256}, (_, i) => i)));
+
+  const media = await MediaFile.open(file);
+  try {
+    expect(media.size).toBe(256);
+    expect(Array.from(new Uint8Array(await media.read(10, 3))).join()).toBe('10,11,12');
+
+    // Ranges past the end are cut short
+    expect((await media.read(250, 100)).byteLength).toBe(6);
+    expect((await media.read(300, 10)).byteLength).toBe(0);
+  } finally {
+    await media.close();
+    fs.unlinkSync(file);
+  }
+});
+
+test('fromBuffer() reads ranges of contents in memory', async () => {
+  const media = MediaFile.fromBuffer(new Uint8Array([1, 2, 3, 4]).buffer);
+
+  expect(media.size).toBe(4);
+  expect(Array.from(new Uint8Array(await media.read(2, 8))).join()).toBe('3,4');
+  await media.close();
+});
+
+// ============================================================================
+// Run tests
+// ============================================================================
+
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = {tests, runTests};
@@ -0,0 +1,299 @@
+/**
+ * OtioSerializer Unit Tests
+ *
+ * @test OtioSerializer
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const OtioSerializer = require('../modules/OtioSerializer.js');
+const {toSegments} = require('./timeline-editor.test.js');
+
+// Simple test framework
+const tests = [];
+let passCount = 0;
+let failCount = 0;
+
+function test(name, fn) {
+  tests.push({name, fn});
+}
+
+function expect(actual) {
+  return {
+    toBe(expected) {
+      if (actual !== expected) {
+        throw new Error(`Expected ${expected}, got ${actual}`);
+      }
+    },
+    toBeGreaterThan(expected) {
+      if (actual <= expected) {
+        throw new Error(`Expected ${actual} > ${expected}`);
+      }
+    },
+    toBeLessThan(expected) {
+      if (actual >= expected) {
+        throw new Error(`Expected ${actual} < ${expected}`);
+      }
+    },
+    toBeCloseTo(expected, tolerance = 0.01) {
+      if (Math.abs(actual - expected) > tolerance) {
+        throw new Error(`Expected ${actual} to be within ${tolerance} of ${expected}`);
+      }
+    },
+    toEqual(expected) {
+      if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+      }
+    },
+    toContain(substring) {
+      if (!actual.includes(substring)) {
+        throw new Error(`Expected "${actual}" to contain "${substring}"`);
+      }
+    }
+  };
+}
+
+async function runTests() {
+  console.log('\n=== OtioSerializer Unit Tests ===\n');
+
+  for (const {name, fn} of tests) {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passCount++;
+    } catch (error) {
+      console.error(`✗ ${name}`);
+      console.error(`  Error: ${error.message}`);
+      failCount++;
+    }
+  }
+
+  console.log(`\n=== Test Results ===`);
+  console.log(`Passed: ${passCount}`);
+  console.log(`Failed: ${failCount}`);
+  console.log(`Total: ${tests.length}`);
+
+  if (failCount > 0) {
+    process.exit(1);
+  }
+}
+
+// Helper to create mock cameras
+function createMockCameras() {
+  return {
+    1: {trackIndex: 0, trackName: 'Host'},
+    2: {trackIndex: 1, trackName: 'Guest'},
+    3: {trackIndex: 2, trackName: 'Wide', role: 'wide'}
+  };
+}
+
+// Helper to create mock media paths
+function createMockMedia() {
+  return {
+    1: {path: '/Shoot/Day 1/cam_a.mov', name: 'cam_a.mov'},
+    2: {path: '/Shoot/Day 1/cam_b.mov', name: 'cam_b.mov'},
+    3: {path: '/Shoot/Day 1/wide.mov', name: 'wide.mov'}
+  };
+}
+
+// Helper to get the clips/gaps of the exported video track
+function trackChildren(text) {
+  return JSON.parse(text).tracks.children[0].children;
+}
+
+const cuts = [
+  {startTime: 0, endTime: 4.3, camera: 1},
+  {startTime: 4.3, endTime: 7.1, camera: 3, reason: 'overlap'},
+  {startTime: 7.1, endTime: 9.1, camera: 2, cutaway: true},
+  {startTime: 9.1, endTime: 20.7, camera: 1}
+];
+
+// ============================================================================
+// serialize() Tests
+// ============================================================================
+
+test('serialize() writes one video track with a clip per cut', () => {
+  const serializer = new OtioSerializer();
+  const text = serializer.serialize(toSegments(cuts, createMockMedia()), createMockCameras(), {title: 'Ep 1', frameRate: 25});
+  const timeline = JSON.parse(text);
+
+  expect(timeline.OTIO_SCHEMA).toBe('Timeline.1');
+  expect(timeline.name).toBe('Ep 1');
+  expect(timeline.tracks.children.length).toBe(1);
+  expect(timeline.tracks.children[0].kind).toBe('Video');
+
+  const clips = trackChildren(text);
+  expect(clips.length).toBe(4);
+  expect(clips[0].name).toBe('Camera 1 (Host)');
+  expect(clips[0].media_reference.target_url).toBe('file:///Shoot/Day%201/cam_a.mov');
+  expect(clips[1].source_range.start_time.value).toBe(108);
+  expect(clips[1].source_range.duration.value).toBe(70);
+  expect(clips[1].source_range.duration.rate).toBe(25);
+  expect(clips[2].markers[0].name).toBe('Cutaway');
+});
+
+test('serialize() writes whole-frame RationalTimes', () => {
+  const serializer = new OtioSerializer();
+
+  for (const frameRate of [24000 / 1001, 30000 / 1001, 60000 / 1001]) {
+    const children = trackChildren(serializer.serialize(toSegments(cuts, createMockMedia()), createMockCameras(), {frameRate}));
+    const values = children.flatMap(item => [item.source_range.start_time.value, item.source_range.duration.value]);
+
+    expect(values.every(Number.isInteger)).toBe(true);
+  }
+});
+
+test('deserialize() joins the clips of a cut split across media files', () => {
+  const serializer = new OtioSerializer();
+  const cut = {startTime: 5, endTime: 12, camera: 2};
+  const segments = [
+    {cut, camera: 2, startTime: 5, endTime: 8, sourceIn: 5, sourceOut: 8, media: {path: '/Shoot/cam_b1.mov', name: 'cam_b1.mov'}},
+    {cut, camera: 2, startTime: 8, endTime: 12, sourceIn: 100, sourceOut: 104, media: {path: '/Shoot/cam_b2.mov', name: 'cam_b2.mov'}}
+  ];
+
+  const text = serializer.serialize(segments, createMockCameras(), {frameRate: 25});
+  const children = trackChildren(text);
+
+  expect(children.map(item => item.source_range.start_time.value)).toEqual([0, 125, 2500]);
+  expect(children[2].media_reference.target_url).toBe('file:///Shoot/cam_b2.mov');
+  expect(serializer.deserialize(text).cuts).toEqual([cut]);
+});
+
+test('serialize() fills holes in the cut list with gaps', () => {
+  const serializer = new OtioSerializer();
+  const text = serializer.serialize(toSegments([{startTime: 2, endTime: 5, camera: 1}], createMockMedia()), createMockCameras(), {frameRate: 25});
+  const children = trackChildren(text);
+
+  expect(children[0].OTIO_SCHEMA).toBe('Gap.1');
+  expect(children[0].source_range.duration.value).toBe(50);
+  expect(children[1].OTIO_SCHEMA).toBe('Clip.1');
+});
+
+test('serialize() uses a missing reference when media is unknown', () => {
+  const serializer = new OtioSerializer();
+  const text = serializer.serialize(toSegments(cuts.slice(0, 1), {}), createMockCameras(), {frameRate: 25});
+
+  expect(trackChildren(text)[0].media_reference.OTIO_SCHEMA).toBe('MissingReference.1');
+});
+
+// ============================================================================
+// Round-trip Tests
+// ============================================================================
+
+test('serialize() then deserialize() yields identical cuts', () => {
+  const serializer = new OtioSerializer();
+
+  for (const frameRate of [24000 / 1001, 25, 30000 / 1001, 60000 / 1001]) {
+    const text = serializer.serialize(toSegments(cuts, createMockMedia()), createMockCameras(), {frameRate});
+    const imported = serializer.deserialize(text);
+
+    expect(imported.cuts).toEqual(cuts);
+    expect(imported.cameras).toEqual(createMockCameras());
+    expect(imported.frameRate).toBe(frameRate);
+  }
+});
+
+test('round trip preserves leading gaps', () => {
+  const serializer = new OtioSerializer();
+  const gapped = [
+    {startTime: 1.5, endTime: 4, camera: 2},
+    {startTime: 6, endTime: 8, camera: 1}
+  ];
+
+  const text = serializer.serialize(toSegments(gapped, createMockMedia()), createMockCameras(), {frameRate: 25});
+  expect(serializer.deserialize(text).cuts).toEqual(gapped);
+});
+
+// ============================================================================
+// deserialize() Tests
+// ============================================================================
+
+test('deserialize() follows clips retimed in another tool', () => {
+  const serializer = new OtioSerializer();
+  const timeline = JSON.parse(serializer.serialize(toSegments(cuts, createMockMedia()), createMockCameras(), {frameRate: 25}));
+  const clips = timeline.tracks.children[0].children;
+
+  // Extend the first clip by 1s (25 frames) and trim the second by the same amount
+  clips[0].source_range.duration.value += 25;
+  clips[1].source_range.duration.value -= 25;
+
+  const imported = serializer.deserialize(JSON.stringify(timeline)).cuts;
+
+  // 4.3s was written as frame 108; the moved edge lands on frame 133
+  expect(imported[0].endTime).toBeCloseTo(5.32, 1e-9);
+  expect(imported[1].startTime).toBeCloseTo(5.32, 1e-9);
+  expect(imported[1].endTime).toBeCloseTo(7.1, 1e-9);
+  expect(imported[2]).toEqual(cuts[2]);
+});
+
+test('deserialize() maps clips without metadata by media path or name', () => {
+  const serializer = new OtioSerializer();
+  const timeline = JSON.parse(serializer.serialize(toSegments(cuts.slice(0, 2), createMockMedia()), createMockCameras(), {frameRate: 25}));
+  const clips = timeline.tracks.children[0].children;
+
+  clips.forEach(clip => { clip.metadata = {}; });
+  clips[1].media_reference = {OTIO_SCHEMA: 'MissingReference.1', metadata: {}};
+  clips.splice(1, 0, {OTIO_SCHEMA: 'Transition.1', name: 'Dissolve', in_offset: {}, out_offset: {}});
+
+  // Camera 1 was restarted; its clip shows the second take
+  const media = createMockMedia();
+  const cameraMedia = {1: [{path: '/Shoot/Day 0/cam_a.mov'}, media[1]], 2: [media[2]], 3: [media[3]]};
+  const imported = serializer.deserialize(JSON.stringify(timeline), cameraMedia).cuts;
+
+  expect(imported.map(cut => cut.camera)).toEqual([1, 3]);
+  // Without metadata the record position is the whole frame written for 4.3s
+  expect(imported[1].startTime).toBeCloseTo(108 / 25, 1e-9);
+});
+
+test('deserialize() rejects invalid files and unknown clips', () => {
+  const serializer = new OtioSerializer();
+  const expectError = (text, message) => {
+    let errorThrown = false;
+    try {
+      serializer.deserialize(text);
+    } catch (error) {
+      errorThrown = true;
+      expect(error.message).toContain(message);
+    }
+    expect(errorThrown).toBe(true);
+  };
+
+  expectError('not json', 'Invalid OTIO file');
+  expectError(JSON.stringify({OTIO_SCHEMA: 'Stack.1'}), 'not a Timeline');
+
+  const timeline = JSON.parse(serializer.serialize(toSegments(cuts.slice(0, 1), {}), createMockCameras(), {frameRate: 25}));
+  const clip = timeline.tracks.children[0].children[0];
+  clip.metadata = {};
+  clip.name = 'B-roll';
+  expectError(JSON.stringify(timeline), 'Cannot map OTIO clip "B-roll"');
+});
+
+// ============================================================================
+// File Tests
+// ============================================================================
+
+test('saveToFile() and openFile() round-trip outside UXP', async () => {
+  const serializer = new OtioSerializer();
+  const file = path.join(os.tmpdir(), `otio-serializer-test-${process.pid}.otio`);
+  const text = serializer.serialize(toSegments(cuts, createMockMedia()), createMockCameras(), {frameRate: 25});
+
+  try {
+    expect(await serializer.saveToFile(text, file)).toBe(file);
+    expect(serializer.deserialize(await serializer.openFile(file)).cuts).toEqual(cuts);
+  } finally {
+    if (fs.existsSync(file)) {
+      fs.unlinkSync(file);
+    }
+  }
+});
+
+// ============================================================================
+// Run tests
+// ============================================================================
+
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = {tests, runTests};
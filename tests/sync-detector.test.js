@@ -0,0 +1,322 @@
+/**
+ * SyncDetector Unit Tests
+ *
+ * @test SyncDetector
+ */
+
+const SyncDetector = require('../modules/SyncDetector.js');
+const AudioAnalyzer = require('../modules/AudioAnalyzer.js');
+const MediaFile = require('../modules/MediaFile.js');
+const {createWav} = require('./audio-decoder.test.js');
+
+// Simple test framework
+const tests = [];
+let passCount = 0;
+let failCount = 0;
+
+function test(name, fn) {
+  tests.push({name, fn});
+}
+
+function expect(actual) {
+  return {
+    toBe(expected) {
+      if (actual !== expected) {
+        throw new Error(`Expected ${expected}, got ${actual}`);
+      }
+    },
+    toBeGreaterThan(expected) {
+      if (actual <= expected) {
+        throw new Error(`Expected ${actual} > ${expected}`);
+      }
+    },
+    toBeLessThan(expected) {
+      if (actual >= expected) {
+        throw new Error(`Expected ${actual} < ${expected}`);
+      }
+    },
+    toBeCloseTo(expected, tolerance = 0.01) {
+      if (Math.abs(actual - expected) > tolerance) {
+        throw new Error(`Expected ${actual} to be within ${tolerance} of ${expected}`);
+      }
+    },
+    toEqual(expected) {
+      if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+      }
+    },
+    toContain(substring) {
+      if (!actual.includes(substring)) {
+        throw new Error(`Expected "${actual}" to contain "${substring}"`);
+      }
+    }
+  };
+}
+
+async function runTests() {
+  console.log('\n=== SyncDetector Unit Tests ===\n');
+
+  for (const {name, fn} of tests) {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passCount++;
+    } catch (error) {
+      console.error(`✗ ${name}`);
+      console.error(`  Error: ${error.message}`);
+      failCount++;
+    }
+  }
+
+  console.log(`\n=== Test Results ===`);
+  console.log(`Passed: ${passCount}`);
+  console.log(`Failed: ${failCount}`);
+  console.log(`Total: ${tests.length}`);
+
+  if (failCount > 0) {
+    process.exit(1);
+  }
+}
+
+const TICKS_PER_SECOND = 254016000000;
+
+// Helper: deterministic on/off speech pattern, one value per step
+function createBurstPattern(length, seed = 7) {
+  let state = seed;
+  const random = () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648;
+  };
+
+  const pattern = new Float32Array(length);
+  let i = 0;
+  let on = false;
+  while (i < length) {
+    const run = 10 + Math.floor(random() * 40);
+    for (let j = 0; j < run && i < length; j++, i++) {
+      pattern[i] = on ? 0.9 : 0;
+    }
+    on = !on;
+  }
+  return pattern;
+}
+
+// Helper: shift a pattern later by `lag` steps (negative = earlier)
+function shift(pattern, lag) {
+  const shifted = new Float32Array(pattern.length);
+  for (let i = 0; i < pattern.length; i++) {
+    const source = i - lag;
+    shifted[i] = source >= 0 && source < pattern.length ? pattern[source] : 0;
+  }
+  return shifted;
+}
+
+// Helper: PCM square wave gated by a 10ms-step pattern
+function patternToSamples(pattern, sampleRate = 8000) {
+  const perStep = sampleRate / 100;
+  return Array.from({length: pattern.length * perStep}, (_, i) =>
+    pattern[Math.floor(i / perStep)] > 0 ? (i % 2 === 0 ? 0.5 : -0.5) : 0
+  );
+}
+
+// Helper: sequence at 25 fps with one audio clip per media path
+function createMockSequence(mediaPaths, seconds) {
+  return {
+    end: seconds * TICKS_PER_SECOND,
+    getTimebase: async () => String(TICKS_PER_SECOND / 25),
+    audioTracks: mediaPaths.map(mediaPath => ({
+      clips: [{
+        name: mediaPath,
+        start: 0,
+        end: seconds * TICKS_PER_SECOND,
+        inPoint: 0,
+        getProjectItem: async () => ({getMediaFilePath: async () => mediaPath})
+      }]
+    }))
+  };
+}
+
+// Helper: analyzer that reads WAVs from memory
+function createAnalyzer(files) {
+  const analyzer = new AudioAnalyzer();
+  analyzer.openMediaFile = async (mediaPath) => MediaFile.fromBuffer(files[mediaPath]);
+  return analyzer;
+}
+
+// ============================================================================
+// Correlation Tests
+// ============================================================================
+
+test('correlate() finds a late target', () => {
+  const detector = new SyncDetector(new AudioAnalyzer());
+  const reference = createBurstPattern(3000);
+
+  const result = detector.correlate(reference, shift(reference, 17), 200);
+
+  expect(result.lag).toBe(17);
+  expect(result.confidence).toBeGreaterThan(0.9);
+});
+
+test('correlate() finds an early target', () => {
+  const detector = new SyncDetector(new AudioAnalyzer());
+  const reference = createBurstPattern(3000);
+
+  const result = detector.correlate(reference, shift(reference, -42), 200);
+
+  expect(result.lag).toBe(-42);
+  expect(result.confidence).toBeGreaterThan(0.9);
+});
+
+test('correlate() reports zero confidence for silence', () => {
+  const detector = new SyncDetector(new AudioAnalyzer());
+
+  const result = detector.correlate(createBurstPattern(1000), new Float32Array(1000), 100);
+
+  expect(result.lag).toBe(0);
+  expect(result.confidence).toBe(0);
+});
+
+test('correlate() gives low confidence to unrelated audio', () => {
+  const detector = new SyncDetector(new AudioAnalyzer());
+
+  const result = detector.correlate(createBurstPattern(3000, 7), createBurstPattern(3000, 99), 200);
+
+  expect(result.confidence).toBeLessThan(0.5);
+});
+
+// ============================================================================
+// Detection Tests
+// ============================================================================
+
+test('detectOffsets() measures offsets in frames against the reference camera', async () => {
+  const pattern = createBurstPattern(1000);
+  const analyzer = createAnalyzer({
+    '/media/cam1.wav': createWav(patternToSamples(pattern)),
+    '/media/cam2.wav': createWav(patternToSamples(shift(pattern, 20)))
+  });
+  const detector = new SyncDetector(analyzer);
+  const cameras = {
+    1: {trackIndex: 0, audioTrackIndex: 0},
+    2: {trackIndex: 1, audioTrackIndex: 1}
+  };
+
+  const report = await detector.detectOffsets(createMockSequence(['/media/cam1.wav', '/media/cam2.wav'], 10), cameras);
+
+  // 20 steps of 10ms = 0.2s = 5 frames at 25 fps
+  expect(report.referenceCamera).toBe(1);
+  expect(report.cameras[2].frames).toBe(5);
+  expect(report.cameras[2].offset).toBeCloseTo(0.2, 1e-9);
+  expect(report.cameras[2].applied).toBe(true);
+  expect(report.cameras[1]).toBe(undefined);
+});
+
+test('detectOffsets() prefers the wide camera as reference', async () => {
+  const pattern = createBurstPattern(500);
+  const analyzer = createAnalyzer({
+    '/media/cam1.wav': createWav(patternToSamples(shift(pattern, -8))),
+    '/media/wide.wav': createWav(patternToSamples(pattern))
+  });
+  const detector = new SyncDetector(analyzer);
+  const cameras = {
+    1: {trackIndex: 0, audioTrackIndex: 0},
+    2: {trackIndex: 1, audioTrackIndex: 1, role: 'wide'}
+  };
+
+  const report = await detector.detectOffsets(createMockSequence(['/media/cam1.wav', '/media/wide.wav'], 5), cameras);
+
+  expect(report.referenceCamera).toBe(2);
+  expect(report.cameras[1].frames).toBe(-2);
+});
+
+test('detectOffsets() refuses offsets below minConfidence', async () => {
+  const analyzer = createAnalyzer({
+    '/media/cam1.wav': createWav(patternToSamples(createBurstPattern(1000, 7))),
+    '/media/cam2.wav': createWav(patternToSamples(createBurstPattern(1000, 99)))
+  });
+  const detector = new SyncDetector(analyzer);
+  const cameras = {
+    1: {trackIndex: 0, audioTrackIndex: 0},
+    2: {trackIndex: 1, audioTrackIndex: 1}
+  };
+
+  const report = await detector.detectOffsets(
+    createMockSequence(['/media/cam1.wav', '/media/cam2.wav'], 10),
+    cameras,
+    {minConfidence: 0.8}
+  );
+
+  expect(report.minConfidence).toBe(0.8);
+  expect(report.cameras[2].applied).toBe(false);
+  expect(detector.applyOffsets(cameras, report)[2].syncOffset).toBe(undefined);
+});
+
+test('detectOffsets() stops between cameras once its signal is aborted', async () => {
+  const pattern = createBurstPattern(500);
+  const analyzer = createAnalyzer({
+    '/media/cam1.wav': createWav(patternToSamples(pattern)),
+    '/media/cam2.wav': createWav(patternToSamples(pattern))
+  });
+  const signal = {aborted: false};
+  const opened = [];
+  const open = analyzer.openMediaFile;
+  analyzer.openMediaFile = async mediaPath => {
+    opened.push(mediaPath);
+    signal.aborted = true;
+    return open(mediaPath);
+  };
+  const detector = new SyncDetector(analyzer);
+  const cameras = {
+    1: {trackIndex: 0, audioTrackIndex: 0},
+    2: {trackIndex: 1, audioTrackIndex: 1}
+  };
+
+  let name = null;
+  try {
+    await detector.detectOffsets(createMockSequence(['/media/cam1.wav', '/media/cam2.wav'], 5), cameras, {signal});
+  } catch (error) {
+    name = error.name;
+  }
+
+  expect(name).toBe('AbortError');
+  expect(opened).toEqual(['/media/cam1.wav']);
+});
+
+// ============================================================================
+// applyOffsets() Tests
+// ============================================================================
+
+test('applyOffsets() stores accepted offsets and resets the rest', () => {
+  const detector = new SyncDetector(new AudioAnalyzer());
+  const cameras = {
+    1: {trackIndex: 0, syncOffset: 0.5},
+    2: {trackIndex: 1},
+    3: {trackIndex: 2, syncOffset: 1.0},
+    4: null
+  };
+  const report = {
+    referenceCamera: 1,
+    minConfidence: 0.5,
+    cameras: {
+      2: {offset: -0.12, frames: -3, confidence: 0.9, applied: true},
+      3: {offset: 0.4, frames: 10, confidence: 0.2, applied: false}
+    }
+  };
+
+  const updated = detector.applyOffsets(cameras, report);
+
+  expect(updated[1].syncOffset).toBe(undefined);
+  expect(updated[2].syncOffset).toBe(-0.12);
+  expect(updated[3].syncOffset).toBe(undefined);
+  expect(updated[4]).toBe(null);
+  expect(cameras[1].syncOffset).toBe(0.5);
+});
+
+// ============================================================================
+// Run tests
+// ============================================================================
+
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = {tests, runTests};
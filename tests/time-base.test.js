@@ -0,0 +1,209 @@
+/**
+ * TimeBase Unit Tests
+ *
+ * @test TimeBase
+ */
+
+const TimeBase = require('../modules/TimeBase.js');
+
+// Simple test framework
+const tests = [];
+let passCount = 0;
+let failCount = 0;
+
+function test(name, fn) {
+  tests.push({name, fn});
+}
+
+function expect(actual) {
+  return {
+    toBe(expected) {
+      if (actual !== expected) {
+        throw new Error(`Expected ${expected}, got ${actual}`);
+      }
+    },
+    toBeGreaterThan(expected) {
+      if (actual <= expected) {
+        throw new Error(`Expected ${actual} > ${expected}`);
+      }
+    },
+    toBeLessThan(expected) {
+      if (actual >= expected) {
+        throw new Error(`Expected ${actual} < ${expected}`);
+      }
+    },
+    toBeCloseTo(expected, tolerance = 0.01) {
+      if (Math.abs(actual - expected) > tolerance) {
+        throw new Error(`Expected ${actual} to be within ${tolerance} of ${expected}`);
+      }
+    },
+    toEqual(expected) {
+      if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+      }
+    },
+    toContain(substring) {
+      if (!actual.includes(substring)) {
+        throw new Error(`Expected "${actual}" to contain "${substring}"`);
+      }
+    }
+  };
+}
+
+async function runTests() {
+  console.log('\n=== TimeBase Unit Tests ===\n');
+
+  for (const {name, fn} of tests) {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passCount++;
+    } catch (error) {
+      console.error(`✗ ${name}`);
+      console.error(`  Error: ${error.message}`);
+      failCount++;
+    }
+  }
+
+  console.log(`\n=== Test Results ===`);
+  console.log(`Passed: ${passCount}`);
+  console.log(`Failed: ${failCount}`);
+  console.log(`Total: ${tests.length}`);
+
+  if (failCount > 0) {
+    process.exit(1);
+  }
+}
+
+// ============================================================================
+// Frame Rate Tests
+// ============================================================================
+
+test('constructor normalizes NTSC rates to exact rationals', () => {
+  expect(new TimeBase(29.97).numerator).toBe(30000);
+  expect(new TimeBase(29.97).denominator).toBe(1001);
+  expect(new TimeBase({num: 2997, den: 100}).numerator).toBe(30000);
+  expect(new TimeBase({numerator: 24000, denominator: 1001}).denominator).toBe(1001);
+  expect(new TimeBase(59.94).numerator).toBe(60000);
+  expect(new TimeBase(25).numerator).toBe(25);
+  expect(new TimeBase(25).denominator).toBe(1);
+});
+
+test('constructor rejects invalid frame rates', () => {
+  let threw = false;
+  try {
+    new TimeBase(0);
+  } catch (error) {
+    threw = true;
+    expect(error.message).toContain('Invalid frame rate');
+  }
+  expect(threw).toBe(true);
+});
+
+test('dropFrame defaults to true only for 29.97 and 59.94', () => {
+  expect(new TimeBase(30000 / 1001).dropFrame).toBe(true);
+  expect(new TimeBase(60000 / 1001).dropFrame).toBe(true);
+  expect(new TimeBase(24000 / 1001).dropFrame).toBe(false);
+  expect(new TimeBase(25).dropFrame).toBe(false);
+  expect(new TimeBase(30).dropFrame).toBe(false);
+});
+
+test('fromSequence() reads the sequence timebase or settings', async () => {
+  const fromTimebase = await TimeBase.fromSequence({getTimebase: async () => '8475667200'});
+  expect(fromTimebase.numerator).toBe(30000);
+  expect(fromTimebase.denominator).toBe(1001);
+
+  const fromSettings = await TimeBase.fromSequence({
+    getSettings: async () => ({videoFrameRate: {num: 25, den: 1}})
+  });
+  expect(fromSettings.frameRate).toBe(25);
+
+  expect((await TimeBase.fromSequence({})).numerator).toBe(30000);
+});
+
+// ============================================================================
+// Conversion Tests
+// ============================================================================
+
+test('ticks convert to seconds and frames', () => {
+  expect(TimeBase.ticksToSeconds(254016000000 * 3)).toBe(3);
+  expect(TimeBase.ticksToSeconds('508032000000')).toBe(2);
+  expect(TimeBase.secondsToTicks(1.5)).toBe(381024000000);
+
+  const ntsc = new TimeBase(30000 / 1001);
+  expect(ntsc.ticksPerFrame).toBe(8475667200);
+  expect(ntsc.ticksToFrames(8475667200 * 100)).toBe(100);
+  expect(ntsc.framesToTicks(100)).toBe(847566720000);
+  expect(new TimeBase(25).ticksPerFrame).toBe(10160640000);
+});
+
+test('seconds convert to frames without drift over an hour', () => {
+  const ntsc = new TimeBase(29.97);
+
+  // One hour of 29.97 is 107892 frames (3600 * 30000 / 1001 = 107892.1)
+  expect(ntsc.secondsToFrames(3600)).toBe(107892);
+  expect(ntsc.secondsToFrames(ntsc.framesToSeconds(107892))).toBe(107892);
+  expect(ntsc.framesToSeconds(30000)).toBe(1001);
+});
+
+test('snap() moves times onto frame edges', () => {
+  const pal = new TimeBase(25);
+  expect(pal.snap(1.01)).toBe(1);
+  expect(pal.snap(1.03)).toBe(1.04);
+
+  const ntsc = new TimeBase(30000 / 1001);
+  const snapped = ntsc.snap(10);
+  expect(snapped).toBe(ntsc.framesToSeconds(300));
+  expect(ntsc.snap(snapped)).toBe(snapped);
+});
+
+test('frameDuration is exact for NTSC and integer rates', () => {
+  expect(new TimeBase(30000 / 1001).frameDuration).toEqual({numerator: 1001, denominator: 30000});
+  expect(new TimeBase(24000 / 1001).frameDuration).toEqual({numerator: 1001, denominator: 24000});
+  expect(new TimeBase(25).frameDuration).toEqual({numerator: 1, denominator: 25});
+  expect(new TimeBase(12.5).frameDuration).toEqual({numerator: 2, denominator: 25});
+});
+
+// ============================================================================
+// Timecode Tests
+// ============================================================================
+
+test('framesToTimecode() handles 23.976, 25, 29.97 DF and 59.94 DF', () => {
+  expect(new TimeBase(24000 / 1001).framesToTimecode(24 * 3600)).toBe('01:00:00:00');
+  expect(new TimeBase(25).framesToTimecode(25 * 61 + 3)).toBe('00:01:01:03');
+
+  const ntsc = new TimeBase(30000 / 1001);
+  expect(ntsc.framesToTimecode(1800)).toBe('00:01:00:02');
+  expect(ntsc.framesToTimecode(17982)).toBe('00:10:00:00');
+  expect(ntsc.framesToTimecode(107892)).toBe('01:00:00:00');
+  expect(ntsc.framesToTimecode(1800, false)).toBe('00:01:00:00');
+
+  expect(new TimeBase(60000 / 1001).framesToTimecode(3600)).toBe('00:01:00:04');
+});
+
+test('timecodeToFrames() inverts framesToTimecode()', () => {
+  for (const rate of [24000 / 1001, 25, 30000 / 1001, 60000 / 1001]) {
+    const timeBase = new TimeBase(rate);
+    for (const frames of [0, 1, 1799, 1800, 17982, 107891, 215784]) {
+      expect(timeBase.timecodeToFrames(timeBase.framesToTimecode(frames))).toBe(frames);
+    }
+  }
+
+  expect(new TimeBase(29.97).timecodeToFrames('00:01:00;02')).toBe(1800);
+});
+
+test('secondsToTimecode() rounds to the nearest frame', () => {
+  expect(new TimeBase(25).secondsToTimecode(3661.5)).toBe('01:01:01:13');
+  expect(new TimeBase(29.97).secondsToTimecode(3600)).toBe('01:00:00:00');
+  expect(new TimeBase(29.97).secondsToTimecode(3600, false)).toBe('00:59:56:12');
+});
+
+// ============================================================================
+// Run tests
+// ============================================================================
+
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = {tests, runTests};
@@ -8,6 +8,7 @@
  */
 
 const TimelineEditor = require('../modules/TimelineEditor.js');
+const TimeBase = require('../modules/TimeBase.js');
 
 // Simple test framework
 const tests = [];
@@ -234,6 +235,88 @@ test('applyEdits() handles errors gracefully', async () => {
   expect(result.errors.length).toBeGreaterThan(0);
 });
 
+test('applyEdits() stops on cancel and marks the half-built sequence incomplete', async () => {
+  const editor = new TimelineEditor();
+  const controller = new AbortController();
+
+  const created = createMockSequence('Test Sequence_Multicam');
+  created.setName = async (name) => {
+    created.renamedTo = name;
+  };
+  editor.createNewSequence = async () => created;
+
+  let applied = 0;
+  editor.onProgress(() => {
+    applied++;
+    if (applied === 1) {
+      controller.abort();
+    }
+  });
+
+  const result = await editor.applyEdits(createMockSequence(), createMockCuts(), createMockCameras(),
+    {signal: controller.signal});
+
+  expect(result.success).toBe(false);
+  expect(result.cancelled).toBe(true);
+  expect(applied).toBe(1);
+  expect(result.rollback).toBe('marked');
+  expect(created.renamedTo).toBe('Test Sequence_Multicam (incomplete)');
+  expect(result.newSequenceName).toBe('Test Sequence_Multicam (incomplete)');
+});
+
+test('applyEdits() deletes the half-built sequence when the host supports it', async () => {
+  const editor = new TimelineEditor();
+  const deleted = [];
+
+  global.app = {
+    project: {
+      createSequence: async (name) => Object.assign(createMockSequence(name), {
+        getVideoTrack: async () => {
+          throw new Error('Track unavailable');
+        }
+      }),
+      deleteSequence: async (sequence) => {
+        deleted.push(sequence.name);
+      }
+    }
+  };
+
+  try {
+    const result = await editor.applyEdits(createMockSequence(), createMockCuts(), createMockCameras());
+
+    expect(result.success).toBe(false);
+    expect(result.cancelled).toBe(false);
+    expect(result.rollback).toBe('deleted');
+    expect(result.newSequenceName).toBe(null);
+    expect(deleted).toEqual(['Test Sequence_Multicam']);
+  } finally {
+    delete global.app;
+  }
+});
+
+test('rollbackSequence() marks the sequence incomplete when deleting fails', async () => {
+  const editor = new TimelineEditor();
+  const sequence = createMockSequence('Test Sequence_Multicam');
+  sequence.setName = async (name) => {
+    sequence.renamedTo = name;
+  };
+
+  global.app = {
+    project: {
+      deleteSequence: async () => {
+        throw new Error('Sequence is open');
+      }
+    }
+  };
+
+  try {
+    expect(await editor.rollbackSequence(sequence)).toBe('marked');
+    expect(sequence.renamedTo).toBe('Test Sequence_Multicam (incomplete)');
+  } finally {
+    delete global.app;
+  }
+});
+
 // ============================================================================
 // createNewSequence() Tests
 // ============================================================================
@@ -321,6 +404,45 @@ test('getCameraClips() throws error if no clips in track', async () => {
   expect(errorThrown).toBeTruthy();
 });
 
+test('getCameraMedia() resolves media paths from UXP and legacy clips', async () => {
+  const editor = new TimelineEditor();
+  const sequence = {
+    name: 'Media Sequence',
+    videoTracks: [
+      {index: 0, clips: [{getProjectItem: async () => ({getMediaFilePath: async () => '/Shoot/cam_a.mov'})}]},
+      {index: 1, clips: [
+        {projectItem: {getMediaPath: () => 'D:\\Shoot\\cam_b.mov'}},
+        {projectItem: {getMediaPath: () => 'D:\\Shoot\\cam_b2.mov'}},
+        {projectItem: {getMediaPath: () => 'D:\\Shoot\\cam_b.mov'}}
+      ]}
+    ]
+  };
+  const cameras = {
+    1: {trackIndex: 0, trackName: 'Camera 1'},
+    2: {trackIndex: 1, trackName: 'Camera 2'}
+  };
+
+  const media = await editor.getCameraMedia(sequence, cameras);
+
+  expect(media[1]).toEqual([{path: '/Shoot/cam_a.mov', name: 'cam_a.mov'}]);
+  // Every take of a restarted camera, each file once
+  expect(media[2].map(item => item.name)).toEqual(['cam_b.mov', 'cam_b2.mov']);
+});
+
+test('getCameraMedia() throws error if media path is unavailable', async () => {
+  const editor = new TimelineEditor();
+
+  let errorThrown = false;
+  try {
+    await editor.getCameraMedia(createMockSequence(), createMockCameras());
+  } catch (error) {
+    errorThrown = true;
+    expect(error.message).toContain('Media file not found');
+  }
+
+  expect(errorThrown).toBeTruthy();
+});
+
 // ============================================================================
 // applyCut() Tests
 // ============================================================================
@@ -357,6 +479,215 @@ test('applyCut() throws error if camera clip not found', async () => {
   expect(errorThrown).toBeTruthy();
 });
 
+// Helper to create a clip from sequence start/end and media in-point in seconds
+function createTimedClip(name, start, end, inPoint) {
+  const ticks = 254016000000;
+  return {name, start: start * ticks, end: end * ticks, inPoint: inPoint * ticks};
+}
+
+test('getSourceSegments() maps sequence time into the clip in-point', async () => {
+  const editor = new TimelineEditor();
+
+  // Clip starts 3s into the sequence with 10s of its head trimmed
+  const clips = [createTimedClip('A', 3, 60, 10)];
+
+  const segments = await editor.getSourceSegments(clips, 5, 8);
+
+  expect(segments.length).toBe(1);
+  expect(segments[0].sequenceStart).toBe(5);
+  expect(segments[0].inPoint).toBe(12);
+  expect(segments[0].outPoint).toBe(15);
+});
+
+test('getSourceSegments() reads a synced camera later on its track', async () => {
+  const editor = new TimelineEditor();
+  const clips = [createTimedClip('A', 0, 60, 0)];
+
+  const segments = await editor.getSourceSegments(clips, 5, 8, 0.5);
+
+  expect(segments[0].sequenceStart).toBe(5);
+  expect(segments[0].sequenceEnd).toBe(8);
+  expect(segments[0].inPoint).toBe(5.5);
+  expect(segments[0].outPoint).toBe(8.5);
+});
+
+test('getSourceSegments() splits a cut that spans two clips', async () => {
+  const editor = new TimelineEditor();
+  const clips = [
+    createTimedClip('Second', 20, 40, 0),
+    createTimedClip('First', 0, 15, 5)
+  ];
+
+  const segments = await editor.getSourceSegments(clips, 10, 30);
+
+  expect(segments.map(segment => segment.clip.name)).toEqual(['First', 'Second']);
+  expect(segments.map(segment => [segment.sequenceStart, segment.sequenceEnd])).toEqual([[10, 15], [20, 30]]);
+  expect(segments.map(segment => [segment.inPoint, segment.outPoint])).toEqual([[15, 20], [0, 10]]);
+});
+
+test('applyCut() inserts each covered segment with its own in/out points', async () => {
+  const editor = new TimelineEditor();
+  const inserted = [];
+  const destination = {
+    getVideoTrack: async () => ({
+      insertClip: async (clip, inPoint, outPoint, position) => {
+        inserted.push([clip.name, inPoint, outPoint, position]);
+      }
+    })
+  };
+  const cameraClips = {
+    1: [createTimedClip('First', 0, 15, 5), createTimedClip('Second', 15, 40, 100)]
+  };
+
+  await editor.applyCut(destination, cameraClips, {startTime: 12, endTime: 18, camera: 1}, new TimeBase(25));
+
+  expect(inserted).toEqual([
+    ['First', 17, 20, 12],
+    ['Second', 100, 103, 15]
+  ]);
+});
+
+test('resolveCoverage() fills a gap between clips from the wide camera', async () => {
+  const editor = new TimelineEditor();
+  const cameraClips = {
+    1: [createTimedClip('Cam1 take 1', 0, 10, 0), createTimedClip('Cam1 take 2', 14, 30, 0)],
+    2: [createTimedClip('Cam2', 0, 30, 0)],
+    3: [createTimedClip('Wide', 0, 30, 0)]
+  };
+  const cameras = {
+    1: {trackIndex: 0},
+    2: {trackIndex: 1},
+    3: {trackIndex: 2, role: 'wide'}
+  };
+
+  const pieces = await editor.resolveCoverage({startTime: 5, endTime: 20, camera: 1}, cameraClips, cameras, new TimeBase(25));
+
+  expect(pieces).toEqual([
+    {startTime: 5, endTime: 10, camera: 1},
+    {startTime: 10, endTime: 14, camera: 3, fallbackFrom: 1},
+    {startTime: 14, endTime: 20, camera: 1}
+  ]);
+});
+
+test('resolveCoverage() falls back to the camera covering most of the gap', async () => {
+  const editor = new TimelineEditor();
+  const cameraClips = {
+    1: [createTimedClip('Cam1', 0, 10, 0)],
+    2: [createTimedClip('Cam2', 0, 12, 0)],
+    3: [createTimedClip('Cam3', 0, 18, 0)]
+  };
+  const cameras = {1: {trackIndex: 0}, 2: {trackIndex: 1}, 3: {trackIndex: 2}};
+
+  const pieces = await editor.resolveCoverage({startTime: 0, endTime: 20, camera: 1}, cameraClips, cameras, new TimeBase(25));
+
+  expect(pieces).toEqual([
+    {startTime: 0, endTime: 10, camera: 1},
+    {startTime: 10, endTime: 20, camera: 3, fallbackFrom: 1}
+  ]);
+});
+
+// Helper to create a timed clip whose media path the legacy API reports
+function createMediaClip(mediaPath, start, end, inPoint) {
+  return Object.assign(createTimedClip(mediaPath, start, end, inPoint), {
+    projectItem: {getMediaPath: () => mediaPath}
+  });
+}
+
+// Helper (shared with the exporter tests): getExportSegments() output for cuts on
+// clips that start at sequence time 0 with no trimmed head
+function toSegments(cuts, media = null) {
+  return cuts.map(cut => ({
+    cut,
+    camera: cut.camera,
+    startTime: cut.startTime,
+    endTime: cut.endTime,
+    sourceIn: cut.startTime,
+    sourceOut: cut.endTime,
+    media: media ? media[cut.camera] : {path: `/Shoot/cam${cut.camera}.mov`, name: `cam${cut.camera}.mov`}
+  }));
+}
+
+test('getExportSegments() maps cuts onto each clip\'s media and source time', async () => {
+  const editor = new TimelineEditor();
+  const sequence = {
+    name: 'Export Sequence',
+    getTimebase: async () => '10160640000', // 25 fps
+    videoTracks: [
+      // Camera 1 starts 10s into the sequence with 3s of its head trimmed
+      {clips: [createMediaClip('/Shoot/cam_a.mov', 10, 40, 3)]},
+      // Camera 2 was restarted at 8s
+      {clips: [createMediaClip('/Shoot/cam_b1.mov', 0, 8, 0), createMediaClip('/Shoot/cam_b2.mov', 8, 40, 100)]}
+    ]
+  };
+  const cameras = {1: {trackIndex: 0}, 2: {trackIndex: 1, syncOffset: 0}};
+  const cuts = [
+    {startTime: 5, endTime: 12, camera: 2},
+    {startTime: 12, endTime: 20, camera: 1, reason: 'overlap'}
+  ];
+
+  const segments = await editor.getExportSegments(sequence, cuts, cameras);
+
+  expect(segments.map(segment => [segment.startTime, segment.endTime, segment.sourceIn, segment.sourceOut])).toEqual([
+    [5, 8, 5, 8],
+    [8, 12, 100, 104],
+    [12, 20, 5, 13]
+  ]);
+  expect(segments.map(segment => segment.media.name)).toEqual(['cam_b1.mov', 'cam_b2.mov', 'cam_a.mov']);
+  expect(segments[1].cut).toBe(cuts[0]);
+  expect(segments[2].camera).toBe(1);
+
+  // A sync offset reads the camera's media that much later
+  cameras[2].syncOffset = 0.5;
+  const synced = await editor.getExportSegments(sequence, cuts.slice(0, 1), cameras);
+  expect(synced.map(segment => [segment.startTime, segment.endTime, segment.sourceIn])).toEqual([
+    [5, 7.5, 5.5],
+    [7.5, 12, 100]
+  ]);
+});
+
+test('getExportSegments() exports gap fill-ins with the fallback camera\'s media', async () => {
+  const editor = new TimelineEditor();
+  const sequence = {
+    name: 'Restarted Camera',
+    getTimebase: async () => '10160640000', // 25 fps
+    videoTracks: [
+      {clips: [createMediaClip('/Shoot/cam_a1.mov', 0, 4, 0), createMediaClip('/Shoot/cam_a2.mov', 5, 10, 20)]},
+      {clips: [createMediaClip('/Shoot/wide.mov', 0, 10, 0)]}
+    ]
+  };
+  const cameras = {1: {trackIndex: 0}, 2: {trackIndex: 1, role: 'wide'}};
+  const cut = {startTime: 0, endTime: 10, camera: 1};
+
+  const segments = await editor.getExportSegments(sequence, [cut], cameras);
+
+  expect(segments.map(segment => [segment.camera, segment.startTime, segment.endTime, segment.sourceIn])).toEqual([
+    [1, 0, 4, 0],
+    [2, 4, 5, 4],
+    [1, 5, 10, 20]
+  ]);
+  expect(segments.map(segment => segment.media.name)).toEqual(['cam_a1.mov', 'wide.mov', 'cam_a2.mov']);
+  expect(segments.every(segment => segment.cut === cut)).toBe(true);
+});
+
+test('applyEdits() reports gaps filled from another camera', async () => {
+  const editor = new TimelineEditor();
+  const sequence = {
+    name: 'Restarted Camera',
+    getTimebase: async () => '10160640000', // 25 fps
+    videoTracks: [
+      {clips: [createTimedClip('Cam1 take 1', 0, 4, 0), createTimedClip('Cam1 take 2', 5, 10, 0)]},
+      {clips: [createTimedClip('Cam2', 0, 10, 0)]}
+    ]
+  };
+  const cameras = {1: {trackIndex: 0}, 2: {trackIndex: 1}};
+
+  const result = await editor.applyEdits(sequence, [{startTime: 0, endTime: 10, camera: 1}], cameras);
+
+  expect(result.success).toBeTruthy();
+  expect(result.cutsApplied).toBe(1);
+  expect(result.fallbacks).toBe(1);
+});
+
 // ============================================================================
 // Edge Cases
 // ============================================================================
@@ -425,4 +756,4 @@ if (require.main === module) {
   runTests();
 }
 
-module.exports = {tests, runTests};
+module.exports = {tests, runTests, toSegments};
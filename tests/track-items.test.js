@@ -0,0 +1,128 @@
+/**
+ * TrackItems Unit Tests
+ *
+ * @test TrackItems
+ */
+
+const TrackItems = require('../modules/TrackItems.js');
+const TimeBase = require('../modules/TimeBase.js');
+
+// Simple test framework
+const tests = [];
+let passCount = 0;
+let failCount = 0;
+
+function test(name, fn) {
+  tests.push({name, fn});
+}
+
+function expect(actual) {
+  return {
+    toBe(expected) {
+      if (actual !== expected) {
+        throw new Error(`Expected ${expected}, got ${actual}`);
+      }
+    },
+    toEqual(expected) {
+      if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+      }
+    }
+  };
+}
+
+async function runTests() {
+  console.log('\n=== TrackItems Unit Tests ===\n');
+
+  for (const {name, fn} of tests) {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passCount++;
+    } catch (error) {
+      console.error(`✗ ${name}`);
+      console.error(`  Error: ${error.message}`);
+      failCount++;
+    }
+  }
+
+  console.log(`\n=== Test Results ===`);
+  console.log(`Passed: ${passCount}`);
+  console.log(`Failed: ${failCount}`);
+  console.log(`Total: ${tests.length}`);
+
+  if (failCount > 0) {
+    process.exit(1);
+  }
+}
+
+// ============================================================================
+// getTrackClips() Tests
+// ============================================================================
+
+test('getTrackClips() reads UXP arrays and legacy collections', async () => {
+  const a = {name: 'a'};
+  const b = {name: 'b'};
+
+  expect(await TrackItems.getTrackClips({getClips: async () => [a, null, b]})).toEqual([a, b]);
+  expect(await TrackItems.getTrackClips({clips: {numItems: 2, getItemAt: i => [a, b][i]}})).toEqual([a, b]);
+  expect(await TrackItems.getTrackClips({clips: {length: 1, 0: b}})).toEqual([b]);
+  expect(await TrackItems.getTrackClips({})).toEqual([]);
+});
+
+// ============================================================================
+// getClipTiming() Tests
+// ============================================================================
+
+test('getClipTiming() reads UXP getters and legacy properties', async () => {
+  const uxpClip = {
+    getStartTime: async () => ({seconds: 10}),
+    getEndTime: async () => ({ticks: TimeBase.secondsToTicks(15)}),
+    getInPoint: async () => ({seconds: 2.5})
+  };
+  expect(await TrackItems.getClipTiming(uxpClip)).toEqual({start: 10, end: 15, inPoint: 2.5});
+
+  const legacyClip = {start: {seconds: 1}, end: TimeBase.secondsToTicks(3)};
+  expect(await TrackItems.getClipTiming(legacyClip)).toEqual({start: 1, end: 3, inPoint: 0});
+});
+
+// ============================================================================
+// getClipMediaPath() Tests
+// ============================================================================
+
+test('getClipMediaPath() reads UXP project items and legacy media paths', async () => {
+  const uxpClip = {getProjectItem: async () => ({getMediaFilePath: async () => '/Shoot/cam_a.mov'})};
+  expect(await TrackItems.getClipMediaPath(uxpClip)).toBe('/Shoot/cam_a.mov');
+
+  const legacyClip = {projectItem: {getMediaPath: () => 'C:\\Shoot\\cam_b.mov'}};
+  expect(await TrackItems.getClipMediaPath(legacyClip)).toBe('C:\\Shoot\\cam_b.mov');
+
+  // Outside Premiere Pro the ClipProjectItem cast is unavailable
+  expect(await TrackItems.getClipMediaPath({getProjectItem: async () => ({})})).toBe(null);
+});
+
+test('getClipMediaTiming() reads the media start and length', async () => {
+  const uxpClip = {
+    getProjectItem: async () => ({
+      getMediaFilePath: async () => '/Shoot/cam_a.mov',
+      getMedia: async () => ({start: {seconds: 3600}, duration: {ticks: TimeBase.secondsToTicks(90)}})
+    })
+  };
+  expect(await TrackItems.getClipMediaTiming(uxpClip)).toEqual({start: 3600, duration: 90});
+
+  const legacyClip = {projectItem: {getMediaPath: () => '/Shoot/cam_b.mov', startTime: () => ({seconds: 10})}};
+  expect(await TrackItems.getClipMediaTiming(legacyClip)).toEqual({start: 10, duration: null});
+
+  expect(await TrackItems.getClipMediaTiming({projectItem: {getMediaPath: () => '/Shoot/cam_c.mov'}}))
+    .toEqual({start: null, duration: null});
+});
+
+// ============================================================================
+// Run tests
+// ============================================================================
+
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = {tests, runTests};
@@ -0,0 +1,91 @@
+/**
+ * UserFile Unit Tests
+ *
+ * @test UserFile
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const UserFile = require('../modules/UserFile.js');
+
+// Simple test framework
+const tests = [];
+let passCount = 0;
+let failCount = 0;
+
+function test(name, fn) {
+  tests.push({name, fn});
+}
+
+function expect(actual) {
+  return {
+    toBe(expected) {
+      if (actual !== expected) {
+        throw new Error(`Expected ${expected}, got ${actual}`);
+      }
+    }
+  };
+}
+
+async function runTests() {
+  console.log('\n=== UserFile Unit Tests ===\n');
+
+  for (const {name, fn} of tests) {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passCount++;
+    } catch (error) {
+      console.error(`✗ ${name}`);
+      console.error(`  Error: ${error.message}`);
+      failCount++;
+    }
+  }
+
+  console.log(`\n=== Test Results ===`);
+  console.log(`Passed: ${passCount}`);
+  console.log(`Failed: ${failCount}`);
+  console.log(`Total: ${tests.length}`);
+
+  if (failCount > 0) {
+    process.exit(1);
+  }
+}
+
+// ============================================================================
+// toFileUrl() Tests
+// ============================================================================
+
+test('toFileUrl() encodes POSIX and Windows paths', () => {
+  expect(UserFile.toFileUrl('/Volumes/Shoot/Day 1/cam_a.mov')).toBe('file:///Volumes/Shoot/Day%201/cam_a.mov');
+  expect(UserFile.toFileUrl('C:\\Media\\wide & master.mov', 'localhost'))
+    .toBe('file://localhost/C:/Media/wide%20%26%20master.mov');
+});
+
+// ============================================================================
+// save() / open() Tests
+// ============================================================================
+
+test('save() and open() round-trip outside UXP', async () => {
+  const file = path.join(os.tmpdir(), `user-file-test-${process.pid}.txt`);
+
+  try {
+    expect(await UserFile.save('カメラ 1\n', file)).toBe(file);
+    expect(await UserFile.open(['txt'], file)).toBe('カメラ 1\n');
+  } finally {
+    if (fs.existsSync(file)) {
+      fs.unlinkSync(file);
+    }
+  }
+});
+
+// ============================================================================
+// Run tests
+// ============================================================================
+
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = {tests, runTests};
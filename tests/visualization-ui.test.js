@@ -278,13 +278,325 @@ test('render() handles many timestamps', () => {
   expect(stats.totalSamples).toBe(100);
 });
 
+test('render() draws one section per camera', () => {
+  const canvas = createMockCanvas();
+  const labels = [];
+  const ctx = canvas.getContext();
+  ctx.fillText = (text) => labels.push(text);
+  canvas.getContext = () => ctx;
+
+  const viz = new VisualizationUI(canvas);
+
+  const timeline = {};
+  for (let i = 0; i < 6; i++) {
+    const entry = {};
+    for (let num = 1; num <= 6; num++) {
+      entry[`camera${num}`] = num === i + 1 ? 0.9 : 0.1;
+    }
+    entry.activeCamera = i + 1;
+    timeline[i] = entry;
+  }
+
+  viz.render({timeline: timeline, duration: 6, sampleRate: 1.0, cameras: [1, 2, 3, 4, 5, 6]});
+
+  expect(labels.filter(label => label.startsWith('Camera')).length).toBe(6);
+
+  const stats = viz.getStatistics();
+  expect(stats.cameraActivity[6]).toBe(1);
+  expect(stats.camera6Percentage).toBe('16.7');
+});
+
+test('getStatistics() derives cameras from timeline when not listed', () => {
+  const canvas = createMockCanvas();
+  const viz = new VisualizationUI(canvas);
+
+  viz.render({
+    timeline: {
+      0: {camera1: 0.8, camera2: 0.2, activeCamera: 1},
+      1: {camera1: 0.1, camera2: 0.9, activeCamera: 2}
+    },
+    duration: 2,
+    sampleRate: 1.0
+  });
+
+  const stats = viz.getStatistics();
+  expect(Object.keys(stats.cameraActivity).length).toBe(2);
+  expect(stats.camera2Percentage).toBe('50.0');
+  expect(stats.camera3Percentage).toBe(undefined);
+});
+
+test('getStatistics() reports timecode duration when frameRate is known', () => {
+  const canvas = createMockCanvas();
+  const viz = new VisualizationUI(canvas);
+
+  viz.render({...createMockAnalysisResult(), duration: 3600, frameRate: 30000 / 1001});
+
+  const stats = viz.getStatistics();
+  expect(stats.frameRate).toBe(30000 / 1001);
+  expect(stats.durationTimecode).toBe('01:00:00:00');
+});
+
+test('render() shows levels before and after bleed compensation', () => {
+  const canvas = createMockCanvas();
+  const labels = [];
+  const fills = [];
+  const ctx = canvas.getContext();
+  ctx.fillText = (text) => labels.push(text);
+  ctx.fillRect = () => fills.push(ctx.fillStyle);
+  canvas.getContext = () => ctx;
+
+  const viz = new VisualizationUI(canvas);
+  const result = createMockAnalysisResult();
+  const rawTimeline = Object.assign({}, result.timeline, {
+    3: {camera1: 0.1, camera2: 0.8, camera3: 0.85, activeCamera: 3}
+  });
+
+  viz.render({...result, rawTimeline});
+
+  // Background + 5 samples x (3 raw + 3 compensated bars + 2 active strips)
+  expect(fills.length).toBe(1 + 5 * 8);
+  expect(fills.filter(color => color === '#4a4a4a').length).toBe(15);
+  expect(labels.some(label => label.includes('before / after'))).toBe(true);
+
+  const stats = viz.getStatistics();
+  expect(stats.bleedChangedSamples).toBe(1);
+});
+
+test('render() overlays a cut list on the levels', () => {
+  const canvas = createMockCanvas();
+  const labels = [];
+  const rects = [];
+  const ctx = canvas.getContext();
+  ctx.fillText = (text) => labels.push(text);
+  ctx.fillRect = (x, y, w, h) => rects.push({x, y, w, h, color: ctx.fillStyle});
+  canvas.getContext = () => ctx;
+
+  const viz = new VisualizationUI(canvas);
+  viz.render(createMockAnalysisResult(), [
+    {startTime: 0, endTime: 2, camera: 1},
+    {startTime: 2, endTime: 5, camera: 2}
+  ]);
+
+  // Camera strip along the bottom edge, 2s of 5s = 320px of 800px
+  const strip = rects.filter(rect => rect.y === canvas.height - 4);
+  expect(strip.length).toBe(2);
+  expect(strip[0].w).toBe(320);
+  expect(strip[1].x).toBe(320);
+  expect(strip[1].color).toBe(viz.getCameraColor(2));
+
+  // One boundary line, none at the start of the sequence
+  const lines = rects.filter(rect => rect.w === 1 && rect.y === 0);
+  expect(lines.length).toBe(1);
+  expect(lines[0].x).toBe(320);
+
+  expect(labels.includes('Cuts: 2')).toBe(true);
+  expect(viz.getStatistics().totalCuts).toBe(2);
+});
+
+test('render() draws compact results like timestamp-indexed ones', () => {
+  const draw = (result) => {
+    const canvas = createMockCanvas();
+    const fills = [];
+    const ctx = canvas.getContext();
+    ctx.fillRect = () => fills.push(ctx.fillStyle);
+    canvas.getContext = () => ctx;
+
+    const viz = new VisualizationUI(canvas);
+    viz.render(result);
+    return {fills, stats: viz.getStatistics()};
+  };
+
+  const result = createMockAnalysisResult();
+  result.cameras = [1, 2, 3];
+  const timestamps = [0, 1, 2, 3, 4];
+  const levels = {};
+  for (const num of result.cameras) {
+    levels[num] = Float32Array.from(timestamps.map(t => result.timeline[t][`camera${num}`]));
+  }
+  const activeCamera = Uint8Array.from(timestamps.map(t => result.timeline[t].activeCamera));
+  const compact = {
+    format: 'compact',
+    timestamps: Float64Array.from(timestamps),
+    levels,
+    activeCamera,
+    rawLevels: levels,
+    rawActiveCamera: Uint8Array.from([1, 1, 2, 3, 3]),
+    duration: 5,
+    sampleRate: 1.0,
+    cameras: [1, 2, 3]
+  };
+
+  const expected = draw({...result, rawTimeline: {...result.timeline, 3: {...result.timeline[3], activeCamera: 3}}});
+  const actual = draw(compact);
+
+  expect(actual.fills).toEqual(expected.fills);
+  expect(actual.stats.cameraActivity).toEqual(expected.stats.cameraActivity);
+  expect(actual.stats.bleedChangedSamples).toBe(1);
+  expect(expected.stats.bleedChangedSamples).toBe(1);
+});
+
+test('render() draws long recordings one column per pixel', () => {
+  const canvas = createMockCanvas();
+  const rects = [];
+  const ctx = canvas.getContext();
+  ctx.fillRect = (x, y, w, h) => rects.push({x, y, w, h, color: ctx.fillStyle});
+  canvas.getContext = () => ctx;
+
+  // 4000 samples on an 800px canvas: 5 samples per column
+  const samples = 4000;
+  const levels = {1: new Float32Array(samples).fill(0.1), 2: new Float32Array(samples).fill(0.2)};
+  levels[1][2003] = 0.9;
+  const activeCamera = new Uint8Array(samples).fill(2);
+  activeCamera.fill(1, 2000, 2003);
+  const result = {
+    format: 'compact',
+    timestamps: Float64Array.from({length: samples}, (_, i) => i * 0.1),
+    levels,
+    activeCamera,
+    duration: 400,
+    sampleRate: 0.1,
+    cameras: [1, 2]
+  };
+
+  const viz = new VisualizationUI(canvas);
+  viz.render(result);
+
+  const strip = rects.filter(rect => rect.y === canvas.height - 10);
+  expect(strip.length).toBe(800);
+  expect(strip[0].w).toBe(1);
+  // Column 400 keeps its loudest sample and the camera active in most of its samples
+  const sectionHeight = (canvas.height - 40) / 2;
+  const bars = rects.filter(rect => rect.x === 400 && rect.color === viz.getCameraColor(1) && rect.y < sectionHeight);
+  expect(Math.abs(bars[0].h - 0.9 * sectionHeight) < 1e-3).toBe(true);
+  expect(strip[400].color).toBe(viz.getCameraColor(1));
+  expect(strip[401].color).toBe(viz.getCameraColor(2));
+
+  // Re-rendering the same result with cuts reuses the columns
+  const columns = viz.columns;
+  viz.render(result, [{startTime: 0, endTime: 400, camera: 1}]);
+  expect(viz.columns).toBe(columns);
+  expect(viz.getStatistics().totalSamples).toBe(samples);
+});
+
+// Helper: mock canvas shown at half size that records mouse listeners
+function createEditableCanvas() {
+  const canvas = createMockCanvas();
+  const ctx = canvas.getContext();
+  canvas.getContext = () => ctx;
+  canvas.style = {};
+  canvas.listeners = {};
+  canvas.addEventListener = (type, handler) => {
+    canvas.listeners[type] = handler;
+  };
+  canvas.getBoundingClientRect = () => ({left: 10, top: 0, width: 400, height: 150});
+  canvas.dispatch = (type, canvasX, modifiers = {}) => {
+    canvas.listeners[type](Object.assign({type, clientX: 10 + canvasX / 2}, modifiers));
+  };
+  return canvas;
+}
+
+// Helper: cut list of the mock analysis, times and cameras only
+function summarizeCuts(cuts) {
+  return cuts.map(cut => [cut.startTime, cut.endTime, cut.camera]);
+}
+
+test('render() tints the levels of each cut in its camera color', () => {
+  const canvas = createMockCanvas();
+  const rects = [];
+  const ctx = canvas.getContext();
+  ctx.fillRect = (x, y, w, h) => rects.push({x, y, w, h, color: ctx.fillStyle});
+  canvas.getContext = () => ctx;
+
+  const viz = new VisualizationUI(canvas);
+  viz.render(createMockAnalysisResult(), [
+    {startTime: 0, endTime: 2, camera: 1},
+    {startTime: 2, endTime: 5, camera: 3}
+  ]);
+
+  const tints = rects.filter(rect => rect.color.startsWith('rgba(') && rect.w > 1);
+  expect(tints.length).toBe(2);
+  expect(tints[0].color).toBe('rgba(52, 152, 219, 0.12)');
+  expect(tints[1].x).toBe(320);
+  expect(tints[1].w).toBe(480);
+  expect(tints[1].h).toBe(canvas.height - 40);
+});
+
+test('enableEditing() moves a dragged cut boundary', () => {
+  const canvas = createEditableCanvas();
+  const viz = new VisualizationUI(canvas);
+  const edits = [];
+  viz.enableEditing(edit => edits.push(edit));
+  viz.render(Object.assign(createMockAnalysisResult(), {frameRate: 25}), [
+    {startTime: 0, endTime: 2, camera: 1},
+    {startTime: 2, endTime: 5, camera: 2}
+  ]);
+
+  canvas.dispatch('mousemove', 322);
+  expect(canvas.style.cursor).toBe('col-resize');
+
+  canvas.dispatch('mousedown', 322);
+  canvas.dispatch('mousemove', 400);
+  canvas.dispatch('mousemove', 480);
+  expect(viz.cuts[1].startTime).toBe(3);
+  canvas.dispatch('mouseup', 480);
+
+  expect(edits.length).toBe(1);
+  expect(edits[0].action).toBe('move');
+  expect(summarizeCuts(edits[0].cuts)).toEqual([[0, 3, 1], [3, 5, 2]]);
+});
+
+test('enableEditing() changes, splits and deletes clicked cuts', () => {
+  const canvas = createEditableCanvas();
+  const viz = new VisualizationUI(canvas);
+  const edits = [];
+  viz.enableEditing(edit => edits.push(edit));
+  const result = Object.assign(createMockAnalysisResult(), {frameRate: 25});
+  const cuts = [
+    {startTime: 0, endTime: 2, camera: 1},
+    {startTime: 2, endTime: 5, camera: 3}
+  ];
+  viz.render(result, cuts);
+
+  // Plain click: next analyzed camera, wrapping around
+  canvas.dispatch('mousedown', 600);
+  canvas.dispatch('mouseup', 600);
+  expect(summarizeCuts(edits[0].cuts)).toEqual([[0, 2, 1], [2, 5, 1]]);
+
+  // Alt+click: split at the click, 3s
+  viz.render(result, cuts);
+  canvas.dispatch('mousedown', 480);
+  canvas.dispatch('mouseup', 480, {altKey: true});
+  expect(edits[1].action).toBe('split');
+  expect(summarizeCuts(edits[1].cuts)).toEqual([[0, 2, 1], [2, 3, 3], [3, 5, 3]]);
+
+  // Shift+click: delete, the previous cut takes over
+  viz.render(result, cuts);
+  canvas.dispatch('mousedown', 600);
+  canvas.dispatch('mouseup', 600, {shiftKey: true});
+  expect(edits[2].action).toBe('delete');
+  expect(summarizeCuts(viz.cuts)).toEqual([[0, 5, 1]]);
+
+  // Deleting the only cut is refused
+  canvas.dispatch('mousedown', 100);
+  canvas.dispatch('mouseup', 100, {shiftKey: true});
+  expect(edits.length).toBe(3);
+});
+
+test('render() without enableEditing() ignores the mouse', () => {
+  const canvas = createEditableCanvas();
+  const viz = new VisualizationUI(canvas);
+  viz.render(createMockAnalysisResult(), [{startTime: 0, endTime: 5, camera: 1}]);
+
+  expect(Object.keys(canvas.listeners).length).toBe(0);
+});
+
 // ============================================================================
 // Manual Visual Tests (documented, not automated)
 // ============================================================================
 
 test('[MANUAL] Visual rendering requires browser testing', () => {
   console.log('  → Manual test: Open index.html in browser');
-  console.log('  → Expected: Bar chart with 3 colored sections');
+  console.log('  → Expected: Bar chart with one colored section per camera');
   console.log('  → Expected: Active camera indicator at bottom');
   console.log('  → Expected: Legend labels visible');
   console.log('  → Expected: Bars scale correctly with audio levels');
@@ -0,0 +1,255 @@
+/**
+ * XmlExporter Unit Tests
+ *
+ * @test XmlExporter
+ */
+
+const XmlExporter = require('../modules/XmlExporter.js');
+const {toSegments} = require('./timeline-editor.test.js');
+
+// Simple test framework
+const tests = [];
+let passCount = 0;
+let failCount = 0;
+
+function test(name, fn) {
+  tests.push({name, fn});
+}
+
+function expect(actual) {
+  return {
+    toBe(expected) {
+      if (actual !== expected) {
+        throw new Error(`Expected ${expected}, got ${actual}`);
+      }
+    },
+    toBeGreaterThan(expected) {
+      if (actual <= expected) {
+        throw new Error(`Expected ${actual} > ${expected}`);
+      }
+    },
+    toBeLessThan(expected) {
+      if (actual >= expected) {
+        throw new Error(`Expected ${actual} < ${expected}`);
+      }
+    },
+    toBeCloseTo(expected, tolerance = 0.01) {
+      if (Math.abs(actual - expected) > tolerance) {
+        throw new Error(`Expected ${actual} to be within ${tolerance} of ${expected}`);
+      }
+    },
+    toEqual(expected) {
+      if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+      }
+    },
+    toContain(substring) {
+      if (!actual.includes(substring)) {
+        throw new Error(`Expected "${actual}" to contain "${substring}"`);
+      }
+    }
+  };
+}
+
+async function runTests() {
+  console.log('\n=== XmlExporter Unit Tests ===\n');
+
+  for (const {name, fn} of tests) {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passCount++;
+    } catch (error) {
+      console.error(`✗ ${name}`);
+      console.error(`  Error: ${error.message}`);
+      failCount++;
+    }
+  }
+
+  console.log(`\n=== Test Results ===`);
+  console.log(`Passed: ${passCount}`);
+  console.log(`Failed: ${failCount}`);
+  console.log(`Total: ${tests.length}`);
+
+  if (failCount > 0) {
+    process.exit(1);
+  }
+}
+
+// Helper to create mock cameras
+function createMockCameras() {
+  return {
+    1: {trackIndex: 0, trackName: 'Host'},
+    2: {trackIndex: 1, trackName: 'Guest'},
+    3: {trackIndex: 2, trackName: 'Wide'}
+  };
+}
+
+// Helper to create mock media paths
+function createMockMedia() {
+  return {
+    1: {path: '/Volumes/Shoot/Day 1/cam_a.mov', name: 'cam_a.mov', duration: 600},
+    2: {path: '/Volumes/Shoot/Day 1/cam_b.mov', name: 'cam_b.mov', start: 3600, duration: 900},
+    3: {path: 'C:\\Media\\wide & master.mov', name: 'wide & master.mov'}
+  };
+}
+
+const cuts = [
+  {startTime: 0, endTime: 5, camera: 1, confidence: 0.9},
+  {startTime: 5, endTime: 7, camera: 3, cutaway: true, confidence: 1.0},
+  {startTime: 7, endTime: 12, camera: 1, confidence: 0.9},
+  {startTime: 12, endTime: 15, camera: 2, confidence: 0.55}
+];
+
+// ============================================================================
+// Time / URL Helper Tests
+// ============================================================================
+
+test('formatRationalTime() uses NTSC and integer frame durations', () => {
+  const exporter = new XmlExporter();
+
+  const ntsc = exporter.getFrameDuration(30000 / 1001);
+  expect(ntsc).toEqual({numerator: 1001, denominator: 30000});
+  expect(exporter.formatRationalTime(0, ntsc)).toBe('0s');
+  expect(exporter.formatRationalTime(150, ntsc)).toBe('150150/30000s');
+  expect(exporter.formatRationalTime(30000, ntsc)).toBe('1001s');
+
+  const pal = exporter.getFrameDuration(25);
+  expect(exporter.formatRationalTime(1, pal)).toBe('1/25s');
+  expect(exporter.formatRationalTime(125, pal)).toBe('5s');
+
+  expect(exporter.getFrameDuration(24000 / 1001)).toEqual({numerator: 1001, denominator: 24000});
+});
+
+// ============================================================================
+// exportFcpxml() Tests
+// ============================================================================
+
+test('exportFcpxml() writes resources and one asset per camera', () => {
+  const exporter = new XmlExporter();
+  const xml = exporter.exportFcpxml(toSegments(cuts, createMockMedia()), createMockCameras(), {title: 'Ep 1', frameRate: 25});
+
+  expect(xml).toContain('<fcpxml version="1.9">');
+  expect(xml).toContain('<format id="r1" frameDuration="1/25s" width="1920" height="1080"/>');
+  // An asset spans its file's start timecode and length, and leaves out a length Premiere did not report
+  expect(xml).toContain('<asset id="r2" name="cam_a.mov" start="0s" duration="600s" hasVideo="1"');
+  expect(xml).toContain('<asset id="r3" name="wide &amp; master.mov" start="0s" hasVideo="1"');
+  expect(xml).toContain('<asset id="r4" name="cam_b.mov" start="3600s" duration="900s" hasVideo="1"');
+  expect(xml).toContain('<media-rep kind="original-media" src="file:///Volumes/Shoot/Day%201/cam_a.mov"/>');
+  expect(xml).toContain('src="file:///C:/Media/wide%20%26%20master.mov"');
+  expect(xml).toContain('<project name="Ep 1">');
+  expect(xml.split('<asset ').length - 1).toBe(3);
+});
+
+test('exportFcpxml() places clips on the spine with markers', () => {
+  const exporter = new XmlExporter();
+  const xml = exporter.exportFcpxml(toSegments(cuts, createMockMedia()), createMockCameras(), {frameRate: 25});
+
+  expect(xml.split('<asset-clip ').length - 1).toBe(4);
+  expect(xml).toContain('<asset-clip ref="r2" offset="7s" name="Camera 1 (Host)" start="7s" duration="5s" tcFormat="NDF"/>');
+  // Clips on a file with a start timecode count from it
+  expect(xml).toContain('<asset-clip ref="r4" offset="12s" name="Camera 2 (Guest)" start="3612s" duration="3s" tcFormat="NDF">');
+  expect(xml).toContain('<marker start="3612s"');
+  expect(xml).toContain('value="Cutaway" note="Cutaway to Camera 3"');
+  expect(xml).toContain('value="Low confidence" note="Camera 2 confidence 55%"');
+});
+
+test('exportFcpxml() starts clips at their source time and fills holes with gaps', () => {
+  const exporter = new XmlExporter();
+  const cameras = {1: {trackIndex: 0, trackName: 'Host'}, 2: {trackIndex: 1, trackName: 'Guest'}};
+  const cut = {startTime: 5, endTime: 12, camera: 2, cutaway: true};
+  const segments = [
+    {cut, camera: 2, startTime: 5, endTime: 8, sourceIn: 5, sourceOut: 8, media: {path: '/Shoot/cam_b1.mov', name: 'cam_b1.mov'}},
+    {cut, camera: 2, startTime: 8, endTime: 12, sourceIn: 100, sourceOut: 104, media: {path: '/Shoot/cam_b2.mov', name: 'cam_b2.mov'}}
+  ];
+
+  const xml = exporter.exportFcpxml(segments, cameras, {frameRate: 25});
+
+  expect(xml).toContain('<gap offset="0s" start="0s" duration="5s"/>');
+  expect(xml).toContain('<asset-clip ref="r3" offset="8s" name="Camera 2 (Guest)" start="100s" duration="4s" tcFormat="NDF"/>');
+  // A cut split across two media files is marked once
+  expect(xml.split('value="Cutaway"').length - 1).toBe(1);
+});
+
+test('exportFcpxml() uses drop-frame at 29.97', () => {
+  const exporter = new XmlExporter();
+  const xml = exporter.exportFcpxml(toSegments(cuts.slice(0, 1), createMockMedia()), createMockCameras());
+
+  expect(xml).toContain('frameDuration="1001/30000s"');
+  expect(xml).toContain('tcFormat="DF"');
+  expect(xml).toContain('duration="150150/30000s"');
+});
+
+test('exportFcpxml() fails without media for a used camera', () => {
+  const exporter = new XmlExporter();
+  const media = createMockMedia();
+  delete media[2];
+
+  let errorThrown = false;
+  try {
+    exporter.exportFcpxml(toSegments(cuts, media), createMockCameras(), {frameRate: 25});
+  } catch (error) {
+    errorThrown = true;
+    expect(error.message).toContain('Camera 2');
+  }
+  expect(errorThrown).toBe(true);
+});
+
+// ============================================================================
+// exportXmeml() Tests
+// ============================================================================
+
+test('exportXmeml() writes clipitems with frame in/out and shared files', () => {
+  const exporter = new XmlExporter();
+  const xml = exporter.exportXmeml(toSegments(cuts, createMockMedia()), createMockCameras(), {title: 'Ep 1', frameRate: 25});
+
+  expect(xml).toContain('<xmeml version="4">');
+  expect(xml).toContain('<rate><timebase>25</timebase><ntsc>FALSE</ntsc></rate>');
+  expect(xml).toContain('<duration>375</duration>');
+  expect(xml.split('<clipitem ').length - 1).toBe(4);
+  expect(xml).toContain('<start>175</start>');
+  expect(xml).toContain('<out>300</out>');
+
+  // Files carry their real length and start timecode when known
+  expect(xml).toContain('<duration>15000</duration>');
+  expect(xml).toContain('<duration>22500</duration>');
+  expect(xml).toContain('<string>01:00:00:00</string>');
+  expect(xml).toContain('<frame>90000</frame>');
+  expect(xml.split('<timecode>').length - 1).toBe(2);
+
+  // Camera 1 file is described once and referenced by the second clip
+  expect(xml.split('<file id="file-1">').length - 1).toBe(1);
+  expect(xml).toContain('<file id="file-1"/>');
+  expect(xml).toContain('<pathurl>file://localhost/Volumes/Shoot/Day%201/cam_a.mov</pathurl>');
+  expect(xml).toContain('<name>wide &amp; master.mov</name>');
+});
+
+test('exportXmeml() writes NTSC rate, DF timecode and markers', () => {
+  const exporter = new XmlExporter();
+  const xml = exporter.exportXmeml(toSegments(cuts, createMockMedia()), createMockCameras());
+
+  expect(xml).toContain('<rate><timebase>30</timebase><ntsc>TRUE</ntsc></rate>');
+  expect(xml).toContain('<string>00:00:00;00</string>');
+  expect(xml).toContain('<string>01:00:00;00</string>');
+  expect(xml).toContain('<displayformat>DF</displayformat>');
+  expect(xml).toContain('<name>Cutaway</name>');
+  expect(xml).toContain('<comment>Camera 2 confidence 55%</comment>');
+});
+
+test('getMarkers() flags only cutaways and low-confidence cuts', () => {
+  const exporter = new XmlExporter();
+
+  expect(exporter.getMarkers({startTime: 0, endTime: 1, camera: 1}, 0.6)).toEqual([]);
+  expect(exporter.getMarkers({startTime: 0, endTime: 1, camera: 1, confidence: 0.7}, 0.6)).toEqual([]);
+  expect(exporter.getMarkers({startTime: 0, endTime: 1, camera: 1, confidence: 0.5}, 0.6).length).toBe(1);
+});
+
+// ============================================================================
+// Run tests
+// ============================================================================
+
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = {tests, runTests};